@@ -13,6 +13,11 @@
  * - Handles node failures and recoveries
  * - Graceful shutdown on CTRL+C
  *
+ * Authentication:
+ *   Each node needs a bootstrap token issued by an admin
+ *   (POST /api/v1/admin/workers/tokens). Provide them as:
+ *   PAAS_WORKER_TOKENS="k3d-paas-dev-agent-0=wbt_xxx,k3d-paas-dev-agent-1=wbt_yyy"
+ *
  * Usage:
  *   node auto-heartbeat-k3d.js
  *   node auto-heartbeat-k3d.js --interval 15  # Custom heartbeat interval (seconds)
@@ -31,6 +36,12 @@ const CONFIG = {
   HEARTBEAT_INTERVAL: process.argv.includes("--interval")
     ? parseInt(process.argv[process.argv.indexOf("--interval") + 1]) * 1000
     : 30000, // 30 seconds default
+  WORKER_TOKENS: Object.fromEntries(
+    (process.env.PAAS_WORKER_TOKENS || "")
+      .split(",")
+      .filter((entry) => entry.includes("="))
+      .map((entry) => entry.trim().split("="))
+  ),
   MAX_RETRIES: 3,
   RETRY_DELAY: 5000, // 5 seconds
 };
@@ -232,29 +243,30 @@ function getWorkerNodes() {
   }
 }
 
+/**
+ * Build request headers with the node's bootstrap token
+ */
+function workerHeaders(nodeName) {
+  return {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${CONFIG.WORKER_TOKENS[nodeName]}`,
+  };
+}
+
 /**
  * Register worker node with PaaS backend
  */
 async function registerWorkerNode(nodeData) {
-  try {
-    const response = await axios.post(
-      `${CONFIG.BACKEND_URL}/workers/register`,
-      nodeData,
-      {
-        timeout: 10000,
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    return response.data;
-  } catch (error) {
-    if (error.response?.data?.code === "WORKER_NODE_UPDATED") {
-      return error.response.data;
+  const response = await axios.post(
+    `${CONFIG.BACKEND_URL}/workers/register`,
+    nodeData,
+    {
+      timeout: 10000,
+      headers: workerHeaders(nodeData.name),
     }
-    throw error;
-  }
+  );
+
+  return response.data;
 }
 
 /**
@@ -278,9 +290,7 @@ async function sendHeartbeat(nodeName) {
       heartbeatData,
       {
         timeout: 5000,
-        headers: {
-          "Content-Type": "application/json",
-        },
+        headers: workerHeaders(nodeName),
       }
     );
 
@@ -390,11 +400,18 @@ async function discoverAndRegisterNodes() {
     );
 
     for (const node of workerNodes) {
+      if (!CONFIG.WORKER_TOKENS[node.name]) {
+        logger.warn(
+          `🔑 No bootstrap token for ${node.name} in PAAS_WORKER_TOKENS, skipping`
+        );
+        continue;
+      }
+
       try {
         // Register or update node
         const result = await registerWorkerNode(node);
 
-        if (result.code === "WORKER_NODE_UPDATED") {
+        if (result.data?.created === false) {
           logger.success(`🔄 Updated existing worker node: ${node.name}`);
         } else {
           logger.success(`✨ Registered new worker node: ${node.name}`);
@@ -437,6 +454,11 @@ async function startMonitoring() {
   logger.info(`📡 Backend URL: ${CONFIG.BACKEND_URL}`);
   logger.info(`🎯 Cluster: ${CONFIG.CLUSTER_NAME}`);
   logger.info(`⏱️  Heartbeat Interval: ${CONFIG.HEARTBEAT_INTERVAL / 1000}s`);
+  logger.info(
+    `🔑 Bootstrap tokens configured for: ${
+      Object.keys(CONFIG.WORKER_TOKENS).join(", ") || "none"
+    }`
+  );
   logger.info("");
 
   // Initial discovery and registration
@@ -25,6 +25,8 @@ async function main() {
       memRequest: "512Mi",
       memLimit: "1Gi",
       monthlyPrice: 25000, // IDR 25,000
+      quarterlyPrice: 67500, // IDR 67,500 (10% off)
+      yearlyPrice: 250000, // IDR 250,000 (2 months free)
       availableQuota: 50, // Limit to 50 instances
       dockerImage: "n8nio/n8n:latest",
       containerPort: 5678,
@@ -69,6 +71,8 @@ async function main() {
       memRequest: "768Mi",
       memLimit: "1.5Gi",
       monthlyPrice: 45000, // IDR 45,000
+      quarterlyPrice: 121500, // IDR 121,500 (10% off)
+      yearlyPrice: 450000, // IDR 450,000 (2 months free)
       availableQuota: 30, // Limit to 30 instances
       dockerImage: "n8nio/n8n:latest",
       containerPort: 5678,
@@ -119,6 +123,8 @@ async function main() {
       memRequest: "1Gi",
       memLimit: "2Gi",
       monthlyPrice: 75000, // IDR 75,000
+      quarterlyPrice: 202500, // IDR 202,500 (10% off)
+      yearlyPrice: 750000, // IDR 750,000 (2 months free)
       availableQuota: 10, // Limit to 10 instances (premium tier)
       dockerImage: "n8nio/n8n:latest",
       containerPort: 5678,
@@ -171,6 +177,8 @@ async function main() {
       memRequest: "512Mi",
       memLimit: "1Gi",
       monthlyPrice: 35000, // IDR 35,000
+      quarterlyPrice: 94500, // IDR 94,500 (10% off)
+      yearlyPrice: 350000, // IDR 350,000 (2 months free)
       availableQuota: 25, // Limit to 25 instances
       dockerImage: "ghost:latest",
       containerPort: 2368,
@@ -254,6 +262,8 @@ async function main() {
       password: adminPassword,
       role: "ADMINISTRATOR",
       isActive: true,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -273,6 +283,8 @@ async function main() {
       password: customerPassword,
       role: "USER",
       isActive: true,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -12,6 +12,26 @@ const prisma = new PrismaClient({
   // errorFormat: "pretty",
 });
 
+// Audit log entries are append-only; refuse any write other than create
+const AUDIT_LOG_BLOCKED_ACTIONS = [
+  "update",
+  "updateMany",
+  "upsert",
+  "delete",
+  "deleteMany",
+];
+
+prisma.$use(async (params, next) => {
+  if (
+    params.model === "AuditLog" &&
+    AUDIT_LOG_BLOCKED_ACTIONS.includes(params.action)
+  ) {
+    throw new Error(`Audit log entries cannot be modified (${params.action})`);
+  }
+
+  return next(params);
+});
+
 /**
  * Connect to database
  */
@@ -1,5 +1,6 @@
 import * as k8s from "@kubernetes/client-node";
 import logger from "../utils/logger.util.js";
+import { instrumentKubernetesApi } from "../utils/metrics.util.js";
 
 /**
  * Kubernetes Client Configuration
@@ -45,15 +46,28 @@ class KubernetesConfig {
       }
 
       // Initialize API clients
-      this.coreV1Api = this.kc.makeApiClient(k8s.CoreV1Api);
-      this.appsV1Api = this.kc.makeApiClient(k8s.AppsV1Api);
-      this.networkingV1Api = this.kc.makeApiClient(k8s.NetworkingV1Api);
+      // Clients are wrapped to record API call latency metrics
+      this.coreV1Api = instrumentKubernetesApi(
+        this.kc.makeApiClient(k8s.CoreV1Api),
+        "core_v1"
+      );
+      this.appsV1Api = instrumentKubernetesApi(
+        this.kc.makeApiClient(k8s.AppsV1Api),
+        "apps_v1"
+      );
+      this.networkingV1Api = instrumentKubernetesApi(
+        this.kc.makeApiClient(k8s.NetworkingV1Api),
+        "networking_v1"
+      );
 
       // Initialize metrics API client (optional - may not be available)
       try {
         // The metrics API is typically available at /apis/metrics.k8s.io/v1beta1
         // We'll create a custom API client for metrics
-        this.metricsV1beta1Api = this.kc.makeApiClient(k8s.CustomObjectsApi);
+        this.metricsV1beta1Api = instrumentKubernetesApi(
+          this.kc.makeApiClient(k8s.CustomObjectsApi),
+          "metrics_v1beta1"
+        );
         logger.info("Metrics API client initialized (using CustomObjectsApi)");
       } catch (error) {
         logger.warn("Metrics API client initialization failed:", error.message);
@@ -0,0 +1,131 @@
+import logger from "../utils/logger.util.js";
+import { isValidRole } from "../utils/user-roles.util.js";
+
+/**
+ * OIDC identity providers for single sign-on
+ *
+ * Providers are configured as a JSON array in OIDC_PROVIDERS, e.g.
+ * [{
+ *   "id": "company",
+ *   "name": "Company SSO",
+ *   "issuer": "https://sso.example.com/realms/main",
+ *   "clientId": "minispod",
+ *   "clientSecret": "...",
+ *   "roleClaim": "groups",
+ *   "roleMapping": { "minispod-admins": "ADMINISTRATOR" }
+ * }]
+ *
+ * Optional fields: redirectUri (defaults to FRONTEND_URL/auth/oidc/callback),
+ * scopes (defaults to openid, email, profile) and allowSignup (defaults to
+ * true). clientSecret may be left out for public clients. roleClaim may be a
+ * dotted path such as "realm_access.roles". Invalid entries are logged and
+ * skipped.
+ */
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+const DEFAULT_SCOPES = ["openid", "email", "profile"];
+
+let providers = null;
+
+/**
+ * Validate one provider entry and fill in defaults
+ * @param {Object} entry - Entry from OIDC_PROVIDERS
+ * @returns {Object} Provider configuration
+ * @throws {Error} If the entry is invalid
+ */
+const toProvider = (entry) => {
+  if (!PROVIDER_ID_PATTERN.test(entry?.id || "")) {
+    throw new Error("id must be 1-32 lower-case letters, digits or dashes");
+  }
+
+  if (!entry.issuer || !entry.clientId) {
+    throw new Error("issuer and clientId are required");
+  }
+
+  const roleMapping = entry.roleMapping || {};
+  const invalidRole = Object.values(roleMapping).find(
+    (role) => !isValidRole(role)
+  );
+
+  if (invalidRole) {
+    throw new Error(`roleMapping contains an unknown role: ${invalidRole}`);
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    issuer: entry.issuer,
+    clientId: entry.clientId,
+    clientSecret: entry.clientSecret || null,
+    redirectUri:
+      entry.redirectUri || `${process.env.FRONTEND_URL}/auth/oidc/callback`,
+    scopes: entry.scopes?.length ? entry.scopes : DEFAULT_SCOPES,
+    roleClaim: entry.roleClaim || "groups",
+    roleMapping,
+    allowSignup: entry.allowSignup !== false,
+  };
+};
+
+/**
+ * Parse OIDC_PROVIDERS
+ * @returns {Array<Object>} Valid providers
+ */
+const loadProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(process.env.OIDC_PROVIDERS);
+  } catch (error) {
+    logger.error("OIDC_PROVIDERS is not valid JSON:", error.message);
+    return [];
+  }
+
+  if (!Array.isArray(entries)) {
+    logger.error("OIDC_PROVIDERS must be a JSON array");
+    return [];
+  }
+
+  const loaded = [];
+  for (const entry of entries) {
+    try {
+      const provider = toProvider(entry);
+
+      if (loaded.some(({ id }) => id === provider.id)) {
+        throw new Error("id is used by another provider");
+      }
+
+      loaded.push(provider);
+    } catch (error) {
+      logger.error(
+        `Skipping OIDC provider ${entry?.id || "(no id)"}: ${error.message}`
+      );
+    }
+  }
+
+  return loaded;
+};
+
+/**
+ * Get the configured OIDC providers, parsing OIDC_PROVIDERS on first use
+ * @returns {Array<Object>} Providers
+ */
+const getOidcProviders = () => {
+  if (!providers) {
+    providers = loadProviders();
+  }
+
+  return providers;
+};
+
+/**
+ * Get one configured OIDC provider
+ * @param {string} id - Provider id
+ * @returns {Object|null} Provider, or null if not configured
+ */
+const getOidcProvider = (id) =>
+  getOidcProviders().find((provider) => provider.id === id) || null;
+
+export { getOidcProviders, getOidcProvider };
@@ -0,0 +1,111 @@
+import { createClient } from "redis";
+import logger from "../utils/logger.util.js";
+
+/**
+ * Redis client for request-path features such as login protection
+ * Bull queues open their own connections (see jobs/queue.manager.js).
+ * When REDIS_ENABLED is not "true", or Redis cannot be reached, callers get
+ * null and fall back to in-process storage. Connecting is bounded by
+ * REDIS_CONNECT_TIMEOUT_MS and commands fail fast while disconnected, so a
+ * Redis outage never holds up a request.
+ */
+
+const REDIS_CONNECT_TIMEOUT_MS =
+  parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS) || 2000;
+
+// Reconnect attempts before the client gives up until the next call
+const REDIS_MAX_RECONNECT_ATTEMPTS = 3;
+
+// Calls use in-process storage for this long after a failed connection
+const REDIS_RETRY_INTERVAL_MS = 30 * 1000;
+
+let client = null;
+let connecting = null;
+let retryAt = 0;
+
+/**
+ * Create the shared client
+ * @returns {Object} Redis client, not yet connected
+ */
+const createRedisClient = () => {
+  const redis = createClient({
+    socket: {
+      host: process.env.REDIS_HOST || "localhost",
+      port: parseInt(process.env.REDIS_PORT) || 6379,
+      connectTimeout: REDIS_CONNECT_TIMEOUT_MS,
+      reconnectStrategy: (retries) =>
+        retries >= REDIS_MAX_RECONNECT_ATTEMPTS
+          ? new Error("Redis unreachable")
+          : Math.min(retries * 200, 1000),
+    },
+    password: process.env.REDIS_PASSWORD || undefined,
+    database: parseInt(process.env.REDIS_DB) || 0,
+    // Reject commands while disconnected instead of queueing them
+    disableOfflineQueue: true,
+  });
+
+  redis.on("error", (error) =>
+    logger.error("Redis client error:", error.message)
+  );
+
+  return redis;
+};
+
+/**
+ * Get the connected Redis client, connecting on first use
+ * Waits at most REDIS_CONNECT_TIMEOUT_MS for a connection; a connection still
+ * in progress keeps going in the background for later calls.
+ * @returns {Promise<Object|null>} Redis client, or null when Redis is disabled or not ready
+ */
+const getRedisClient = async () => {
+  if (process.env.REDIS_ENABLED !== "true") {
+    return null;
+  }
+
+  if (!client) {
+    client = createRedisClient();
+  }
+
+  if (client.isReady) {
+    return client;
+  }
+
+  // Open but not ready means the client is reconnecting on its own
+  if (!client.isOpen && !connecting && Date.now() >= retryAt) {
+    connecting = client
+      .connect()
+      .catch((error) => {
+        retryAt = Date.now() + REDIS_RETRY_INTERVAL_MS;
+        logger.warn(`Redis connection failed: ${error.message}`);
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+
+  if (connecting) {
+    let timer;
+    await Promise.race([
+      connecting,
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, REDIS_CONNECT_TIMEOUT_MS);
+      }),
+    ]);
+    clearTimeout(timer);
+  }
+
+  return client.isReady ? client : null;
+};
+
+/**
+ * Close the Redis connection if one was opened
+ */
+const disconnectRedis = async () => {
+  if (client?.isReady) {
+    await client.quit();
+  } else if (client?.isOpen) {
+    await client.disconnect();
+  }
+};
+
+export { getRedisClient, disconnectRedis };
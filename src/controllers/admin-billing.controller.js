@@ -4,10 +4,20 @@ import {
   topUpService,
   invoiceService,
   adminBalanceService,
+  creditNoteService,
 } from "../services/billing.service.js";
+import { couponService } from "../services/coupon.service.js";
+import { referralService } from "../services/referral.service.js";
+import { taxService } from "../services/tax.service.js";
+import * as settingsService from "../services/settings.service.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
 import { createResponse } from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
+import { recordAudit } from "../services/audit.service.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
 
 /**
  * Admin Billing Management Controllers
@@ -269,6 +279,21 @@ export const adjustUserBalance = async (req, res) => {
       adminId
     );
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.BALANCE_ADJUSTED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: userId,
+      targetUserId: userId,
+      before: { balance: result.balanceBefore },
+      after: { balance: result.balanceAfter },
+      metadata: {
+        type,
+        amount,
+        description,
+        balanceTransactionId: result.transaction.id,
+      },
+    });
+
     return res.status(HTTP_STATUS.OK).json(
       createResponse(true, "Balance adjusted successfully", {
         userId,
@@ -291,3 +316,617 @@ export const adjustUserBalance = async (req, res) => {
       );
   }
 };
+
+/**
+ * List refunds (credit notes) across all users (Admin only)
+ */
+export const getRefunds = async (req, res) => {
+  try {
+    const { page, limit } = req.pagination;
+    const { status, userId } = req.query;
+
+    const result = await creditNoteService.listCreditNotes({
+      page,
+      limit,
+      status,
+      userId,
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Refunds retrieved successfully", result));
+  } catch (error) {
+    logger.error("Error getting refunds:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error retrieving refunds", null, error.message)
+      );
+  }
+};
+
+/**
+ * Manual refund to a user's balance (Admin only)
+ * Refunds above the approval threshold wait for a second administrator
+ */
+export const createRefund = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { amount, reason, invoiceId } = req.body;
+    const adminId = req.user.id;
+
+    const result = await creditNoteService.requestManualRefund(
+      { userId, amount, reason, invoiceId },
+      adminId
+    );
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.REFUND_ISSUED,
+      targetType: AUDIT_TARGET_TYPES.INVOICE,
+      targetId: result.creditNote.id,
+      targetUserId: userId,
+      metadata: {
+        creditNoteNumber: result.creditNote.invoiceNumber,
+        amount,
+        reason,
+        originalInvoiceId: invoiceId || null,
+        requiresApproval: result.requiresApproval,
+      },
+    });
+
+    if (result.requiresApproval) {
+      return res
+        .status(HTTP_STATUS.ACCEPTED)
+        .json(
+          createResponse(
+            true,
+            "Refund exceeds the approval threshold and awaits approval by another administrator",
+            result
+          )
+        );
+    }
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(createResponse(true, "Refund credited successfully", result));
+  } catch (error) {
+    logger.error("Error creating refund:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(createResponse(false, "Invoice not found", null, error.message));
+    }
+
+    if (error.message.includes("exceeds")) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          createResponse(false, "Refund amount too high", null, error.message)
+        );
+    }
+
+    if (error.message.includes("being processed")) {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(createResponse(false, "Refund not created", null, error.message));
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error creating refund", null, error.message)
+      );
+  }
+};
+
+/**
+ * Approve a refund awaiting approval (Admin only, not the requester)
+ */
+export const approveRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user.id;
+
+    const creditNote = await creditNoteService.approveRefund(id, adminId);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.REFUND_APPROVED,
+      targetType: AUDIT_TARGET_TYPES.INVOICE,
+      targetId: id,
+      targetUserId: creditNote.userId,
+      before: { status: "DRAFT" },
+      after: { status: creditNote.status },
+      metadata: {
+        creditNoteNumber: creditNote.invoiceNumber,
+        amount: creditNote.amount,
+        requestedById: creditNote.requestedById,
+      },
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Refund approved and credited", creditNote));
+  } catch (error) {
+    logger.error("Error approving refund:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          createResponse(false, "Pending refund not found", null, error.message)
+        );
+    }
+
+    if (error.message.includes("different administrator")) {
+      return res
+        .status(HTTP_STATUS.FORBIDDEN)
+        .json(
+          createResponse(
+            false,
+            "Cannot approve own refund",
+            null,
+            error.message
+          )
+        );
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error approving refund", null, error.message)
+      );
+  }
+};
+
+/**
+ * Reject a refund awaiting approval (Admin only)
+ */
+export const rejectRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    const adminId = req.user.id;
+
+    const creditNote = await creditNoteService.rejectRefund(id, adminId);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.REFUND_REJECTED,
+      targetType: AUDIT_TARGET_TYPES.INVOICE,
+      targetId: id,
+      targetUserId: creditNote.userId,
+      before: { status: "DRAFT" },
+      after: { status: creditNote.status },
+      metadata: {
+        creditNoteNumber: creditNote.invoiceNumber,
+        amount: creditNote.amount,
+        reason,
+      },
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Refund rejected", creditNote));
+  } catch (error) {
+    logger.error("Error rejecting refund:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          createResponse(false, "Pending refund not found", null, error.message)
+        );
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error rejecting refund", null, error.message)
+      );
+  }
+};
+
+/**
+ * List coupons (Admin only)
+ */
+export const getCoupons = async (req, res) => {
+  try {
+    const { page, limit } = req.pagination;
+    const { target, isActive, search } = req.query;
+
+    const result = await couponService.listCoupons({
+      page,
+      limit,
+      target,
+      isActive: isActive === undefined ? undefined : isActive === "true",
+      search,
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Coupons retrieved successfully", result));
+  } catch (error) {
+    logger.error("Error getting coupons:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error retrieving coupons", null, error.message)
+      );
+  }
+};
+
+/**
+ * Get coupon with redemption statistics (Admin only)
+ */
+export const getCouponDetails = async (req, res) => {
+  try {
+    const result = await couponService.getCouponDetails(req.params.id);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Coupon retrieved successfully", result));
+  } catch (error) {
+    logger.error("Error getting coupon details:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(createResponse(false, "Coupon not found", null, error.message));
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error retrieving coupon", null, error.message)
+      );
+  }
+};
+
+/**
+ * Create coupon (Admin only)
+ */
+export const createCoupon = async (req, res) => {
+  try {
+    const coupon = await couponService.createCoupon(req.body, req.user.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COUPON_CREATED,
+      targetType: AUDIT_TARGET_TYPES.COUPON,
+      targetId: coupon.id,
+      after: coupon,
+    });
+
+    return res
+      .status(HTTP_STATUS.CREATED)
+      .json(createResponse(true, "Coupon created successfully", coupon));
+  } catch (error) {
+    logger.error("Error creating coupon:", error);
+
+    if (error.message.includes("already exists")) {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(
+          createResponse(
+            false,
+            "Coupon code already exists",
+            null,
+            error.message
+          )
+        );
+    }
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(createResponse(false, "Invalid services", null, error.message));
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error creating coupon", null, error.message)
+      );
+  }
+};
+
+/**
+ * Update coupon limits, expiry or active flag (Admin only)
+ */
+export const updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { coupon: existingCoupon } = await couponService.getCouponDetails(id);
+    const coupon = await couponService.updateCoupon(id, req.body);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.COUPON_UPDATED,
+      targetType: AUDIT_TARGET_TYPES.COUPON,
+      targetId: id,
+      before: existingCoupon,
+      after: coupon,
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Coupon updated successfully", coupon));
+  } catch (error) {
+    logger.error("Error updating coupon:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(createResponse(false, "Coupon not found", null, error.message));
+    }
+
+    if (error.message.includes("cannot be below")) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          createResponse(false, "Invalid redemption limit", null, error.message)
+        );
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error updating coupon", null, error.message)
+      );
+  }
+};
+
+/**
+ * List referrals (Admin only)
+ * ?status=UNDER_REVIEW is the fraud review queue, oldest first
+ */
+export const getReferrals = async (req, res) => {
+  try {
+    const { page, limit } = req.pagination;
+    const { status, referrerId } = req.query;
+
+    const result = await referralService.listReferrals({
+      page,
+      limit,
+      status,
+      referrerId,
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Referrals retrieved successfully", result));
+  } catch (error) {
+    logger.error("Error getting referrals:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error retrieving referrals", null, error.message)
+      );
+  }
+};
+
+/**
+ * Approve a referral held for review and pay both rewards (Admin only)
+ */
+export const approveReferral = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    const referral = await referralService.approveReferral(
+      id,
+      req.user.id,
+      note
+    );
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.REFERRAL_APPROVED,
+      targetType: AUDIT_TARGET_TYPES.REFERRAL,
+      targetId: id,
+      targetUserId: referral.referrerId,
+      before: { status: "UNDER_REVIEW" },
+      after: { status: referral.status },
+      metadata: {
+        referredUserId: referral.referredUserId,
+        fraudSignals: referral.fraudSignals,
+        referrerReward: referral.referrerReward,
+        referredReward: referral.referredReward,
+        note,
+      },
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Referral approved and rewarded", referral));
+  } catch (error) {
+    logger.error("Error approving referral:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          createResponse(
+            false,
+            "Referral awaiting review not found",
+            null,
+            error.message
+          )
+        );
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error approving referral", null, error.message)
+      );
+  }
+};
+
+/**
+ * Reject a referral held for review without rewards (Admin only)
+ */
+export const rejectReferral = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    const referral = await referralService.rejectReferral(
+      id,
+      req.user.id,
+      note
+    );
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.REFERRAL_REJECTED,
+      targetType: AUDIT_TARGET_TYPES.REFERRAL,
+      targetId: id,
+      targetUserId: referral.referrerId,
+      before: { status: "UNDER_REVIEW" },
+      after: { status: referral.status },
+      metadata: {
+        referredUserId: referral.referredUserId,
+        fraudSignals: referral.fraudSignals,
+        note,
+      },
+    });
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Referral rejected", referral));
+  } catch (error) {
+    logger.error("Error rejecting referral:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          createResponse(
+            false,
+            "Referral awaiting review not found",
+            null,
+            error.message
+          )
+        );
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error rejecting referral", null, error.message)
+      );
+  }
+};
+
+/**
+ * Referral rewards paid in a period, per referrer (Admin only)
+ */
+export const getReferralPayouts = async (req, res) => {
+  try {
+    const report = await referralService.getPayoutReport(req.dateRange);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        createResponse(
+          true,
+          "Referral payout report generated successfully",
+          report
+        )
+      );
+  } catch (error) {
+    logger.error("Error generating referral payout report:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(
+          false,
+          "Error generating referral payout report",
+          null,
+          error.message
+        )
+      );
+  }
+};
+
+/**
+ * Get PPN settings (Admin only)
+ */
+export const getTaxSettings = async (req, res) => {
+  try {
+    const settings = await settingsService.getTaxSettings();
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        createResponse(true, "Tax settings retrieved successfully", settings)
+      );
+  } catch (error) {
+    logger.error("Error getting tax settings:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(
+          false,
+          "Error retrieving tax settings",
+          null,
+          error.message
+        )
+      );
+  }
+};
+
+/**
+ * Update PPN rate or inclusive/exclusive pricing (Admin only)
+ * Applies to invoices issued from now on
+ */
+export const updateTaxSettings = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+
+    logger.info(`Admin ${adminId} updating tax settings`);
+
+    const settings = await settingsService.updateTaxSettings(req.body, adminId);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        createResponse(true, "Tax settings updated successfully", settings)
+      );
+  } catch (error) {
+    logger.error("Error updating tax settings:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(
+          false,
+          "Error updating tax settings",
+          null,
+          error.message
+        )
+      );
+  }
+};
+
+/**
+ * PPN summary per month and rate for the accountant (Admin only)
+ */
+export const getTaxReport = async (req, res) => {
+  try {
+    const report = await taxService.getTaxSummary(req.dateRange);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Tax report generated successfully", report));
+  } catch (error) {
+    logger.error("Error generating tax report:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(
+          false,
+          "Error generating tax report",
+          null,
+          error.message
+        )
+      );
+  }
+};
@@ -1,7 +1,13 @@
 import * as subscriptionService from "../services/subscription.service.js";
+import * as settingsService from "../services/settings.service.js";
 import { success, error } from "../utils/response.util.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
 import logger from "../utils/logger.util.js";
+import { recordAudit } from "../services/audit.service.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
 
 /**
  * Admin: Get all subscriptions
@@ -175,12 +181,26 @@ const forceCancelSubscription = async (req, res) => {
       `Admin ${adminUserId} force-cancelling subscription ${id}. Reason: ${reason}`
     );
 
+    const subscription = await subscriptionService.getAdminSubscriptionDetails(
+      id
+    );
+
     const cancelledSubscription = await subscriptionService.forceCancel(
       id,
       reason.trim(),
       adminUserId
     );
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SUBSCRIPTION_FORCE_CANCELLED,
+      targetType: AUDIT_TARGET_TYPES.SUBSCRIPTION,
+      targetId: id,
+      targetUserId: subscription.userId,
+      before: subscription,
+      after: cancelledSubscription,
+      metadata: { reason: reason.trim() },
+    });
+
     res.json(
       success(
         cancelledSubscription,
@@ -218,6 +238,102 @@ const getSubscriptionStats = async (req, res) => {
   }
 };
 
+/**
+ * Admin: Get trial conversion statistics
+ * @route GET /api/v1/admin/subscriptions/trials/stats
+ * @access Admin
+ */
+const getTrialStats = async (req, res) => {
+  try {
+    logger.info("Admin getting trial conversion statistics");
+
+    const stats = await subscriptionService.getTrialStats();
+
+    res.json(success(stats, "Trial statistics retrieved successfully"));
+  } catch (err) {
+    logger.error("Error getting trial stats:", err);
+    res.json(error("Failed to retrieve trial statistics"));
+  }
+};
+
+/**
+ * Admin: Get expiry lifecycle settings
+ * @route GET /api/v1/admin/subscriptions/lifecycle/settings
+ * @access Admin
+ */
+const getLifecycleSettings = async (req, res) => {
+  try {
+    const settings = await settingsService.getLifecycleSettings();
+
+    res.json(success(settings, "Lifecycle settings retrieved successfully"));
+  } catch (err) {
+    logger.error("Error getting lifecycle settings:", err);
+    res.json(error("Failed to retrieve lifecycle settings"));
+  }
+};
+
+/**
+ * Admin: Update expiry lifecycle settings
+ * @route PUT /api/v1/admin/subscriptions/lifecycle/settings
+ * @access Admin
+ */
+const updateLifecycleSettings = async (req, res) => {
+  try {
+    const adminUserId = req.user.id;
+
+    logger.info(`Admin ${adminUserId} updating lifecycle settings`);
+
+    const settings = await settingsService.updateLifecycleSettings(
+      req.body,
+      adminUserId
+    );
+
+    res.json(success(settings, "Lifecycle settings updated successfully"));
+  } catch (err) {
+    logger.error("Error updating lifecycle settings:", err);
+    res.json(error("Failed to update lifecycle settings"));
+  }
+};
+
+/**
+ * Admin: Get pause limit settings
+ * @route GET /api/v1/admin/subscriptions/pause/settings
+ * @access Admin
+ */
+const getPauseSettings = async (req, res) => {
+  try {
+    const settings = await settingsService.getPauseSettings();
+
+    res.json(success(settings, "Pause settings retrieved successfully"));
+  } catch (err) {
+    logger.error("Error getting pause settings:", err);
+    res.json(error("Failed to retrieve pause settings"));
+  }
+};
+
+/**
+ * Admin: Update pause limit settings
+ * @route PUT /api/v1/admin/subscriptions/pause/settings
+ * @access Admin
+ */
+const updatePauseSettings = async (req, res) => {
+  try {
+    const adminUserId = req.user.id;
+
+    logger.info(`Admin ${adminUserId} updating pause settings`);
+
+    const settings = await settingsService.updatePauseSettings(
+      req.body,
+      adminUserId
+    );
+
+    res.json(success(settings, "Pause settings updated successfully"));
+  } catch (err) {
+    logger.error("Error updating pause settings:", err);
+    res.json(error("Failed to update pause settings"));
+  }
+};
+
 /**
  * Admin: Get subscriptions by user
  * @route GET /api/v1/admin/subscriptions/user/:userId
@@ -280,6 +396,9 @@ const bulkUpdateSubscriptions = async (req, res) => {
 
     for (const subscriptionId of subscriptionIds) {
       try {
+        const subscription =
+          await subscriptionService.getAdminSubscriptionDetails(subscriptionId);
+
         let result;
         switch (action) {
           case "updateStatus":
@@ -313,6 +432,17 @@ const bulkUpdateSubscriptions = async (req, res) => {
             );
             break;
         }
+
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.SUBSCRIPTIONS_BULK_UPDATED,
+          targetType: AUDIT_TARGET_TYPES.SUBSCRIPTION,
+          targetId: subscriptionId,
+          targetUserId: subscription.userId,
+          before: subscription,
+          after: result,
+          metadata: { bulkAction: action, data },
+        });
+
         results.push({ subscriptionId, success: true, data: result });
       } catch (err) {
         logger.error(
@@ -353,6 +483,11 @@ export {
   extendSubscription,
   forceCancelSubscription,
   getSubscriptionStats,
+  getTrialStats,
+  getLifecycleSettings,
+  updateLifecycleSettings,
+  getPauseSettings,
+  updatePauseSettings,
   getSubscriptionsByUser,
   bulkUpdateSubscriptions,
 };
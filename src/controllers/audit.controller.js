@@ -0,0 +1,64 @@
+import * as auditService from "../services/audit.service.js";
+import * as responseUtil from "../utils/response.util.js";
+import logger from "../utils/logger.util.js";
+import HTTP_STATUS from "../utils/http-status.util.js";
+
+/**
+ * Audit log controller (admin)
+ */
+
+/**
+ * List audit log entries with filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const result = await auditService.getAuditLogs(req.query);
+
+    res.json(responseUtil.success(result, "Audit log retrieved successfully"));
+  } catch (error) {
+    logger.error("Error in getAuditLogs controller:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to retrieve audit log",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Export audit log entries as CSV
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportAuditLogs = async (req, res) => {
+  try {
+    const csv = await auditService.exportAuditLogsCsv(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="audit-log-${date}.csv"`
+    );
+    res.send(csv);
+  } catch (error) {
+    logger.error("Error in exportAuditLogs controller:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to export audit log",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+export { getAuditLogs, exportAuditLogs };
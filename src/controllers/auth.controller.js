@@ -1,4 +1,12 @@
 import * as authService from "../services/auth.service.js";
+import * as sessionService from "../services/session.service.js";
+import * as twoFactorService from "../services/two-factor.service.js";
+import * as apiKeyService from "../services/api-key.service.js";
+import * as impersonationService from "../services/impersonation.service.js";
+import * as auditService from "../services/audit.service.js";
+import * as oidcService from "../services/oidc.service.js";
+import * as dataExportService from "../services/data-export.service.js";
+import * as accountDeletionService from "../services/account-deletion.service.js";
 import {
   success,
   conflictError,
@@ -8,6 +16,126 @@ import {
 } from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
+
+/**
+ * Client details recorded with each refresh token
+ * @param {Object} req - Express request object
+ * @returns {Object} Client context
+ */
+const getClientContext = (req) => ({
+  userAgent: req.get("User-Agent"),
+  ipAddress: req.ip,
+});
+
+const TWO_FACTOR_ERROR_STATUS = {
+  USER_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  TWO_FACTOR_ALREADY_ENABLED: HTTP_STATUS.CONFLICT,
+  TWO_FACTOR_NOT_ENABLED: HTTP_STATUS.BAD_REQUEST,
+  TWO_FACTOR_SETUP_REQUIRED: HTTP_STATUS.BAD_REQUEST,
+  TWO_FACTOR_REQUIRED: HTTP_STATUS.FORBIDDEN,
+  INVALID_TWO_FACTOR_CODE: HTTP_STATUS.BAD_REQUEST,
+  INVALID_PASSWORD: HTTP_STATUS.BAD_REQUEST,
+};
+
+/**
+ * Send a known two-factor service error, or pass it on
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Error} err - Error thrown by the two-factor service
+ */
+const handleTwoFactorError = (res, next, err) => {
+  const statusCode = TWO_FACTOR_ERROR_STATUS[err.code];
+
+  if (!statusCode) {
+    return next(err);
+  }
+
+  res.status(statusCode).json(error(err.message, err.code, statusCode));
+};
+
+const LOGIN_BLOCKED_CODES = ["LOGIN_LOCKED", "LOGIN_THROTTLED"];
+
+/**
+ * Send a 429 for a sign-in refused by login protection, or return false
+ * @param {Object} res - Express response object
+ * @param {Error} err - Error thrown by the auth service
+ * @returns {boolean} True if a response was sent
+ */
+const handleLoginBlocked = (res, err) => {
+  if (!LOGIN_BLOCKED_CODES.includes(err.code)) {
+    return false;
+  }
+
+  res.set("Retry-After", String(err.retryAfter));
+  res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json(
+    error(err.message, err.code, HTTP_STATUS.TOO_MANY_REQUESTS, {
+      retryAfter: err.retryAfter,
+    })
+  );
+  return true;
+};
+
+const OIDC_ERROR_STATUS = {
+  OIDC_PROVIDER_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  OIDC_PROVIDER_UNAVAILABLE: HTTP_STATUS.BAD_GATEWAY,
+  INVALID_OIDC_STATE: HTTP_STATUS.BAD_REQUEST,
+  OIDC_AUTHENTICATION_FAILED: HTTP_STATUS.UNAUTHORIZED,
+  OIDC_EMAIL_MISSING: HTTP_STATUS.BAD_REQUEST,
+  OIDC_ACCOUNT_NOT_LINKED: HTTP_STATUS.CONFLICT,
+  OIDC_SIGNUP_DISABLED: HTTP_STATUS.FORBIDDEN,
+  IDENTITY_ALREADY_LINKED: HTTP_STATUS.CONFLICT,
+  IDENTITY_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  CANNOT_UNLINK_LAST_SIGN_IN: HTTP_STATUS.BAD_REQUEST,
+};
+
+/**
+ * Send a known single sign-on error, or pass it on
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Error} err - Error thrown by the auth or OIDC service
+ */
+const handleOidcError = (res, next, err) => {
+  const statusCode = OIDC_ERROR_STATUS[err.code];
+
+  if (!statusCode) {
+    return next(err);
+  }
+
+  res.status(statusCode).json(error(err.message, err.code, statusCode));
+};
+
+const ACCOUNT_DATA_ERROR_STATUS = {
+  DATA_EXPORT_IN_PROGRESS: HTTP_STATUS.CONFLICT,
+  DATA_EXPORT_RATE_LIMITED: HTTP_STATUS.TOO_MANY_REQUESTS,
+  DATA_EXPORT_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  DATA_EXPORT_NOT_READY: HTTP_STATUS.CONFLICT,
+  DATA_EXPORT_EXPIRED: HTTP_STATUS.GONE,
+  USER_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  INVALID_PASSWORD: HTTP_STATUS.BAD_REQUEST,
+  DELETION_ALREADY_SCHEDULED: HTTP_STATUS.CONFLICT,
+  DELETION_NOT_SCHEDULED: HTTP_STATUS.NOT_FOUND,
+  LAST_ORGANIZATION_OWNER: HTTP_STATUS.CONFLICT,
+};
+
+/**
+ * Send a known data export or account deletion error, or pass it on
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Error} err - Error thrown by the data export or deletion service
+ */
+const handleAccountDataError = (res, next, err) => {
+  const statusCode = ACCOUNT_DATA_ERROR_STATUS[err.code];
+
+  if (!statusCode) {
+    return next(err);
+  }
+
+  res.status(statusCode).json(error(err.message, err.code, statusCode));
+};
 
 /**
  * Register a new user
@@ -15,7 +143,7 @@ import HTTP_STATUS from "../utils/http-status.util.js";
  */
 export const register = async (req, res, next) => {
   try {
-    const result = await authService.register(req.body);
+    const result = await authService.register(req.body, getClientContext(req));
 
     res
       .status(HTTP_STATUS.CREATED)
@@ -26,6 +154,13 @@ export const register = async (req, res, next) => {
     if (err.message === "User with this email already exists") {
       return res.status(HTTP_STATUS.CONFLICT).json(conflictError(err.message));
     }
+    if (err.message === "Invalid referral code") {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          error(err.message, "INVALID_REFERRAL_CODE", HTTP_STATUS.BAD_REQUEST)
+        );
+    }
     next(err);
   }
 };
@@ -36,10 +171,15 @@ export const register = async (req, res, next) => {
  */
 export const login = async (req, res, next) => {
   try {
-    const result = await authService.login(req.body);
+    const result = await authService.login(req.body, getClientContext(req));
+
+    if (result.twoFactorRequired) {
+      return res.json(success(result, "Two-factor authentication required"));
+    }
 
     res.json(success(result, "Login successful"));
   } catch (err) {
+    if (handleLoginBlocked(res, err)) return;
     if (
       err.message === "Invalid email or password" ||
       err.message === "Account is deactivated"
@@ -50,6 +190,40 @@ export const login = async (req, res, next) => {
   }
 };
 
+/**
+ * Complete login with a two-factor code
+ * POST /api/v1/auth/2fa/verify
+ */
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const result = await authService.verifyTwoFactorLogin(
+      req.body,
+      getClientContext(req)
+    );
+
+    res.json(success(result, "Login successful"));
+  } catch (err) {
+    if (handleLoginBlocked(res, err)) return;
+    if (err.message === "Invalid two-factor code") {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(authError(err.message));
+    }
+    if (
+      err.message === "Invalid two-factor challenge" ||
+      err.name === "JsonWebTokenError" ||
+      err.name === "TokenExpiredError"
+    ) {
+      return res
+        .status(HTTP_STATUS.UNAUTHORIZED)
+        .json(
+          authError(
+            "Invalid or expired two-factor challenge. Please login again."
+          )
+        );
+    }
+    next(err);
+  }
+};
+
 /**
  * Refresh access token
  * POST /api/v1/auth/refresh
@@ -57,10 +231,22 @@ export const login = async (req, res, next) => {
 export const refreshToken = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
-    const result = await authService.refreshToken(refreshToken);
+    const result = await authService.refreshToken(
+      refreshToken,
+      getClientContext(req)
+    );
 
     res.json(success(result, "Token refreshed successfully"));
   } catch (err) {
+    if (err.message === "Refresh token reuse detected") {
+      return res
+        .status(HTTP_STATUS.UNAUTHORIZED)
+        .json(
+          authError(
+            "Refresh token has already been used. All sessions from this login were signed out."
+          )
+        );
+    }
     if (
       err.message === "Invalid refresh token" ||
       err.name === "JsonWebTokenError" ||
@@ -122,7 +308,9 @@ export const changePassword = async (req, res, next) => {
   try {
     await authService.changePassword(req.userId, req.body);
 
-    res.json(success(null, "Password changed successfully"));
+    res.json(
+      success(null, "Password changed successfully. Please login again.")
+    );
   } catch (err) {
     if (err.message === "Current password is incorrect") {
       return res
@@ -137,17 +325,328 @@ export const changePassword = async (req, res, next) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Verify email address
+ * POST /api/v1/auth/verify-email
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const result = await authService.verifyEmail(req.body.token);
+
+    res.json(success(result, "Email verified successfully"));
+  } catch (err) {
+    if (err.message === "Invalid or expired token") {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(error(err.message, "INVALID_TOKEN", HTTP_STATUS.BAD_REQUEST));
+    }
+    next(err);
+  }
+};
+
+/**
+ * Resend email verification link
+ * POST /api/v1/auth/verify-email/resend
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    await authService.resendVerificationEmail(req.userId);
+
+    res.json(success(null, "Verification email sent"));
+  } catch (err) {
+    if (err.message === "Email is already verified") {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(
+          error(err.message, "EMAIL_ALREADY_VERIFIED", HTTP_STATUS.CONFLICT)
+        );
+    }
+    if (err.message === "User not found") {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(notFoundError("User"));
+    }
+    next(err);
+  }
+};
+
+/**
+ * Request a password reset link
+ * POST /api/v1/auth/forgot-password
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    await authService.forgotPassword(req.body.email);
+
+    res.json(
+      success(
+        null,
+        "If an account exists for this email, a password reset link has been sent"
+      )
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Reset password with a token from the reset link
+ * POST /api/v1/auth/reset-password
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    await authService.resetPassword(req.body);
+
+    res.json(success(null, "Password reset successfully. Please login again."));
+  } catch (err) {
+    if (err.message === "Invalid or expired token") {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(error(err.message, "INVALID_TOKEN", HTTP_STATUS.BAD_REQUEST));
+    }
+    next(err);
+  }
+};
+
+/**
+ * Logout user (revokes the current session's refresh tokens)
  * POST /api/v1/auth/logout
  */
-export const logout = async (req, res) => {
-  // Since we're using stateless JWT tokens, logout is handled client-side
-  // by removing the tokens from storage. This endpoint exists for consistency
-  // and can be extended later for token blacklisting if needed.
+export const logout = async (req, res, next) => {
+  try {
+    // Impersonation tokens have no refresh token family; end the session
+    if (req.impersonationId) {
+      await impersonationService.endImpersonation(req.impersonationId);
+
+      return res.json(success(null, "Impersonation ended"));
+    }
+
+    await authService.logout(req.userId, req.sessionId);
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json(success(null, "Logout successful"));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Get two-factor authentication status
+ * GET /api/v1/auth/2fa
+ */
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getTwoFactorStatus(req.userId);
 
-  logger.info(`User logged out: ${req.user.email}`);
+    res.json(success(status, "Two-factor status retrieved successfully"));
+  } catch (err) {
+    handleTwoFactorError(res, next, err);
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * POST /api/v1/auth/2fa/setup
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const setup = await twoFactorService.setupTwoFactor(req.userId);
 
-  res.json(success(null, "Logout successful"));
+    res.json(
+      success(
+        setup,
+        "Scan the otpauth URI with your authenticator app, then confirm with a code"
+      )
+    );
+  } catch (err) {
+    handleTwoFactorError(res, next, err);
+  }
+};
+
+/**
+ * Confirm two-factor enrollment
+ * POST /api/v1/auth/2fa/enable
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.enableTwoFactor(
+      req.userId,
+      req.body.code
+    );
+
+    res.json(
+      success(
+        result,
+        "Two-factor authentication enabled. Store the recovery codes now - they will not be shown again"
+      )
+    );
+  } catch (err) {
+    handleTwoFactorError(res, next, err);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * POST /api/v1/auth/2fa/disable
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    await twoFactorService.disableTwoFactor(req.userId, req.body);
+
+    res.json(success(null, "Two-factor authentication disabled"));
+  } catch (err) {
+    handleTwoFactorError(res, next, err);
+  }
+};
+
+/**
+ * Replace two-factor recovery codes
+ * POST /api/v1/auth/2fa/recovery-codes
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(
+      req.userId,
+      req.body.code
+    );
+
+    res.json(
+      success(
+        result,
+        "Recovery codes regenerated. Store them now - they will not be shown again"
+      )
+    );
+  } catch (err) {
+    handleTwoFactorError(res, next, err);
+  }
+};
+
+/**
+ * List active sessions of the current user
+ * GET /api/v1/auth/sessions
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.getUserSessions(
+      req.userId,
+      req.sessionId
+    );
+
+    res.json(success(sessions, "Sessions retrieved successfully"));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Revoke one session of the current user
+ * DELETE /api/v1/auth/sessions/:sessionId
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.userId, req.params.sessionId);
+
+    res.json(success(null, "Session revoked successfully"));
+  } catch (err) {
+    if (err.code === "SESSION_NOT_FOUND") {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(notFoundError("Session"));
+    }
+    next(err);
+  }
+};
+
+/**
+ * Revoke every session of the current user except this one
+ * DELETE /api/v1/auth/sessions
+ */
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await sessionService.revokeOtherSessions(
+      req.userId,
+      req.sessionId
+    );
+
+    res.json(success({ revokedCount }, "Other sessions revoked successfully"));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * List API keys of the current user
+ * GET /api/v1/auth/api-keys
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.getApiKeys(req.userId, req.query);
+
+    res.json(success(apiKeys, "API keys retrieved successfully"));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Create an API key (the key is only returned once)
+ * POST /api/v1/auth/api-keys
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.createApiKey(req.userId, req.body);
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        success(
+          apiKey,
+          "API key created successfully. Store the key now, it will not be shown again."
+        )
+      );
+  } catch (err) {
+    if (err.code === "API_KEY_LIMIT_REACHED") {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(error(err.message, err.code, HTTP_STATUS.BAD_REQUEST));
+    }
+    next(err);
+  }
+};
+
+/**
+ * Revoke an API key of the current user
+ * DELETE /api/v1/auth/api-keys/:keyId
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(
+      req.userId,
+      req.params.keyId
+    );
+
+    res.json(success(apiKey, "API key revoked successfully"));
+  } catch (err) {
+    if (err.code === "API_KEY_NOT_FOUND") {
+      return res.status(HTTP_STATUS.NOT_FOUND).json(notFoundError("API key"));
+    }
+    if (err.code === "API_KEY_REVOKED") {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(error(err.message, err.code, HTTP_STATUS.CONFLICT));
+    }
+    next(err);
+  }
+};
+
+/**
+ * List audited actions that touched the current user's account
+ * GET /api/v1/auth/activity
+ */
+export const getActivity = async (req, res, next) => {
+  try {
+    const activity = await auditService.getUserActivity(req.userId, req.query);
+
+    res.json(success(activity, "Account activity retrieved successfully"));
+  } catch (err) {
+    next(err);
+  }
 };
 
 /**
@@ -188,14 +687,20 @@ export const checkAuth = async (req, res) => {
  */
 export const googleOAuth = async (req, res, next) => {
   try {
-    const result = await authService.googleOAuth(req.body);
+    const result = await authService.googleOAuth(
+      req.body,
+      getClientContext(req)
+    );
 
-    const message = result.isNewUser
+    const message = result.twoFactorRequired
+      ? "Two-factor authentication required"
+      : result.isNewUser
       ? "Account created and logged in successfully"
       : "Login successful";
 
     res.json(success(result, message));
   } catch (err) {
+    if (handleLoginBlocked(res, err)) return;
     if (
       err.message === "Invalid Google ID token" ||
       err.message === "Google email not verified" ||
@@ -206,3 +711,250 @@ export const googleOAuth = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * List configured single sign-on providers
+ * GET /api/v1/auth/oidc/providers
+ */
+export const getOidcProviders = async (req, res) => {
+  res.json(
+    success(
+      { providers: oidcService.getProviders() },
+      "Single sign-on providers retrieved successfully"
+    )
+  );
+};
+
+/**
+ * Start single sign-on with an OIDC provider
+ * POST /api/v1/auth/oidc/:provider/authorize
+ */
+export const startOidcLogin = async (req, res, next) => {
+  try {
+    const result = await oidcService.createAuthorizationRequest(
+      req.params.provider,
+      { purpose: oidcService.OIDC_PURPOSES.LOGIN }
+    );
+
+    res.json(success(result, "Authorization URL created"));
+  } catch (err) {
+    handleOidcError(res, next, err);
+  }
+};
+
+/**
+ * Complete single sign-on with the code returned by the provider
+ * POST /api/v1/auth/oidc/:provider/callback
+ */
+export const oidcCallback = async (req, res, next) => {
+  try {
+    const result = await authService.oidcLogin(
+      req.params.provider,
+      req.body,
+      getClientContext(req)
+    );
+
+    const message = result.twoFactorRequired
+      ? "Two-factor authentication required"
+      : result.isNewUser
+      ? "Account created and logged in successfully"
+      : "Login successful";
+
+    res.json(success(result, message));
+  } catch (err) {
+    if (handleLoginBlocked(res, err)) return;
+    if (err.message === "Account is deactivated") {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json(authError(err.message));
+    }
+    handleOidcError(res, next, err);
+  }
+};
+
+/**
+ * List identity providers linked to the current user
+ * GET /api/v1/auth/identities
+ */
+export const getIdentities = async (req, res, next) => {
+  try {
+    const identities = await oidcService.getUserIdentities(req.userId);
+
+    res.json(success({ identities }, "Linked accounts retrieved successfully"));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Start linking an OIDC provider to the current user
+ * POST /api/v1/auth/identities/:provider/authorize
+ */
+export const startIdentityLink = async (req, res, next) => {
+  try {
+    const result = await oidcService.createAuthorizationRequest(
+      req.params.provider,
+      { purpose: oidcService.OIDC_PURPOSES.LINK, userId: req.userId }
+    );
+
+    res.json(success(result, "Authorization URL created"));
+  } catch (err) {
+    handleOidcError(res, next, err);
+  }
+};
+
+/**
+ * Link an OIDC provider with the code returned by the provider
+ * POST /api/v1/auth/identities/:provider/callback
+ */
+export const completeIdentityLink = async (req, res, next) => {
+  try {
+    const identity = await oidcService.linkIdentity(
+      req.userId,
+      req.params.provider,
+      req.body
+    );
+
+    await auditService.recordAudit(req, {
+      action: AUDIT_ACTIONS.IDENTITY_LINKED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: req.userId,
+      targetUserId: req.userId,
+      metadata: { provider: identity.provider, identityId: identity.id },
+    });
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(success(identity, "Account linked successfully"));
+  } catch (err) {
+    handleOidcError(res, next, err);
+  }
+};
+
+/**
+ * Unlink an OIDC provider from the current user
+ * DELETE /api/v1/auth/identities/:provider
+ */
+export const unlinkIdentity = async (req, res, next) => {
+  try {
+    const identity = await oidcService.unlinkIdentity(
+      req.userId,
+      req.params.provider
+    );
+
+    await auditService.recordAudit(req, {
+      action: AUDIT_ACTIONS.IDENTITY_UNLINKED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: req.userId,
+      targetUserId: req.userId,
+      metadata: { provider: identity.provider, identityId: identity.id },
+    });
+
+    res.json(success(null, "Account unlinked successfully"));
+  } catch (err) {
+    handleOidcError(res, next, err);
+  }
+};
+
+/**
+ * Request an export of the current user's personal data
+ * POST /api/v1/auth/data-exports
+ */
+export const requestDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await dataExportService.requestDataExport(req.userId);
+
+    res
+      .status(HTTP_STATUS.ACCEPTED)
+      .json(
+        success(
+          dataExport,
+          "Data export requested. We will email you when it is ready."
+        )
+      );
+  } catch (err) {
+    handleAccountDataError(res, next, err);
+  }
+};
+
+/**
+ * List the current user's data exports
+ * GET /api/v1/auth/data-exports
+ */
+export const getDataExports = async (req, res, next) => {
+  try {
+    const exports = await dataExportService.getDataExports(req.userId);
+
+    res.json(success({ exports }, "Data exports retrieved successfully"));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Download a ready data export
+ * GET /api/v1/auth/data-exports/:exportId/download
+ */
+export const downloadDataExport = async (req, res, next) => {
+  try {
+    const { filePath, fileName } = await dataExportService.getDataExportFile(
+      req.userId,
+      req.params.exportId
+    );
+
+    res.download(filePath, fileName, (err) => {
+      if (err && !res.headersSent) next(err);
+    });
+  } catch (err) {
+    handleAccountDataError(res, next, err);
+  }
+};
+
+/**
+ * Schedule deletion of the current user's account
+ * POST /api/v1/auth/account/deletion
+ */
+export const requestAccountDeletion = async (req, res, next) => {
+  try {
+    const schedule = await accountDeletionService.requestAccountDeletion(
+      req.userId,
+      req.body
+    );
+
+    await auditService.recordAudit(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_DELETION_SCHEDULED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: req.userId,
+      targetUserId: req.userId,
+      metadata: schedule,
+    });
+
+    res.json(
+      success(
+        schedule,
+        "Account deletion scheduled. You can cancel it until the scheduled date."
+      )
+    );
+  } catch (err) {
+    handleAccountDataError(res, next, err);
+  }
+};
+
+/**
+ * Cancel a scheduled deletion of the current user's account
+ * DELETE /api/v1/auth/account/deletion
+ */
+export const cancelAccountDeletion = async (req, res, next) => {
+  try {
+    await accountDeletionService.cancelAccountDeletion(req.userId);
+
+    await auditService.recordAudit(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_DELETION_CANCELLED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: req.userId,
+      targetUserId: req.userId,
+    });
+
+    res.json(success(null, "Account deletion cancelled"));
+  } catch (err) {
+    handleAccountDataError(res, next, err);
+  }
+};
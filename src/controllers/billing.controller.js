@@ -4,6 +4,8 @@ import {
   invoiceService,
   transactionService,
 } from "../services/billing.service.js";
+import { referralService } from "../services/referral.service.js";
+import { taxService } from "../services/tax.service.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
 import { createResponse } from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
@@ -19,7 +21,10 @@ import { generateInvoicePDF } from "../utils/pdf.util.js";
 export const getBalance = async (req, res) => {
   try {
     const userId = req.user.id;
-    const userBalance = await balanceService.getUserBalance(userId);
+    const userBalance = await balanceService.getUserBalance(
+      userId,
+      req.organizationId
+    );
 
     return res.status(HTTP_STATUS.OK).json(
       createResponse(true, "Balance retrieved successfully", {
@@ -27,6 +32,7 @@ export const getBalance = async (req, res) => {
         currency: userBalance.currency,
         lastUpdated: userBalance.updatedAt,
         user: userBalance.user,
+        organization: userBalance.organization,
       })
     );
   } catch (error) {
@@ -56,6 +62,7 @@ export const getTransactions = async (req, res) => {
       status,
       startDate,
       endDate,
+      organizationId: req.organizationId,
     });
 
     return res
@@ -88,7 +95,8 @@ export const getTransactionDetails = async (req, res) => {
 
     const transaction = await transactionService.getTransactionDetails(
       id,
-      userId
+      userId,
+      req.organizationId
     );
 
     return res.status(HTTP_STATUS.OK).json(
@@ -146,9 +154,14 @@ export const getTransactionDetails = async (req, res) => {
 export const createTopUp = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { amount } = req.body;
+    const { amount, couponCode } = req.body;
 
-    const result = await topUpService.createTopUpTransaction(userId, amount);
+    const result = await topUpService.createTopUpTransaction(
+      userId,
+      amount,
+      req.organizationId,
+      couponCode
+    );
 
     return res.status(HTTP_STATUS.CREATED).json(
       createResponse(true, "Top-up transaction created successfully", {
@@ -160,10 +173,20 @@ export const createTopUp = async (req, res) => {
         snapToken: result.snapToken,
         redirectUrl: result.redirectUrl,
         expiresAt: result.transaction.expiredAt,
+        coupon: result.coupon || null, // Bonus credited once paid
       })
     );
   } catch (error) {
     logger.error("Error creating top-up transaction:", error);
+
+    if (error.message.startsWith("Coupon")) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          createResponse(false, "Invalid coupon code", null, error.message)
+        );
+    }
+
     return res
       .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
       .json(
@@ -185,7 +208,11 @@ export const getTopUpDetails = async (req, res) => {
     const userId = req.user.id;
     const { id } = req.params;
 
-    const topUpTransaction = await topUpService.getTopUpDetails(id, userId);
+    const topUpTransaction = await topUpService.getTopUpDetails(
+      id,
+      userId,
+      req.organizationId
+    );
 
     return res.status(HTTP_STATUS.OK).json(
       createResponse(true, "Top-up details retrieved successfully", {
@@ -236,6 +263,7 @@ export const listTopUps = async (req, res) => {
       page,
       limit,
       status,
+      organizationId: req.organizationId,
     });
 
     return res
@@ -270,7 +298,11 @@ export const retryPayment = async (req, res) => {
     const userId = req.user.id;
     const { id } = req.params;
 
-    const result = await topUpService.retryPayment(id, userId);
+    const result = await topUpService.retryPayment(
+      id,
+      userId,
+      req.organizationId
+    );
 
     return res.status(HTTP_STATUS.OK).json(
       createResponse(true, "Payment retry successful", {
@@ -337,6 +369,7 @@ export const listInvoices = async (req, res) => {
       status,
       startDate,
       endDate,
+      organizationId: req.organizationId,
     });
 
     return res
@@ -360,7 +393,11 @@ export const getInvoiceDetails = async (req, res) => {
     const userId = req.user.id;
     const { id } = req.params;
 
-    const invoice = await invoiceService.getInvoiceDetails(id, userId);
+    const invoice = await invoiceService.getInvoiceDetails(
+      id,
+      userId,
+      req.organizationId
+    );
 
     return res.status(HTTP_STATUS.OK).json(
       createResponse(true, "Invoice details retrieved successfully", {
@@ -417,16 +454,22 @@ export const downloadInvoicePDF = async (req, res) => {
     const { id } = req.params;
 
     // Get invoice details
-    const invoice = await invoiceService.getInvoiceDetails(id, userId);
+    const invoice = await invoiceService.getInvoiceDetails(
+      id,
+      userId,
+      req.organizationId
+    );
 
     // Track download
-    await invoiceService.trackInvoiceDownload(id, userId);
+    await invoiceService.trackInvoiceDownload(id, userId, req.organizationId);
 
     // Generate PDF
     const pdfBuffer = await generateInvoicePDF(invoice);
 
     // Set response headers for PDF download
-    const filename = `invoice-${invoice.invoiceNumber}.pdf`;
+    const filename = `${
+      invoice.type === "CREDIT_NOTE" ? "credit-note" : "invoice"
+    }-${invoice.invoiceNumber}.pdf`;
     res.setHeader("Content-Type", "application/pdf");
     res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
     res.setHeader("Content-Length", pdfBuffer.length);
@@ -501,7 +544,10 @@ export const getDashboardOverview = async (req, res) => {
     const userId = req.user.id;
 
     // Get user balance
-    const userBalance = await balanceService.getUserBalance(userId);
+    const userBalance = await balanceService.getUserBalance(
+      userId,
+      req.organizationId
+    );
 
     // Get recent transactions (last 5)
     const recentTransactions = await transactionService.getUserTransactions(
@@ -509,6 +555,7 @@ export const getDashboardOverview = async (req, res) => {
       {
         page: 1,
         limit: 5,
+        organizationId: req.organizationId,
       }
     );
 
@@ -517,6 +564,7 @@ export const getDashboardOverview = async (req, res) => {
       page: 1,
       limit: 10,
       status: "PENDING",
+      organizationId: req.organizationId,
     });
 
     // Calculate total pending amount
@@ -574,6 +622,7 @@ export const getBillingAnalytics = async (req, res) => {
       limit: 1000, // Get all transactions for analytics
       startDate,
       endDate,
+      organizationId: req.organizationId,
     });
 
     // Calculate analytics
@@ -634,3 +683,126 @@ export const getBillingAnalytics = async (req, res) => {
       );
   }
 };
+
+/**
+ * Referral Controllers
+ */
+
+/**
+ * Get the user's referral link and referral statistics
+ */
+export const getReferralStats = async (req, res) => {
+  try {
+    const stats = await referralService.getReferralStats(req.user.id);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        createResponse(
+          true,
+          "Referral statistics retrieved successfully",
+          stats
+        )
+      );
+  } catch (error) {
+    logger.error("Error getting referral stats:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(
+          false,
+          "Error retrieving referral statistics",
+          null,
+          error.message
+        )
+      );
+  }
+};
+
+/**
+ * Tax Profile Controllers
+ */
+
+/**
+ * Get the tax profile printed on the owner's invoices
+ */
+export const getTaxProfile = async (req, res) => {
+  try {
+    const taxProfile = await taxService.getTaxProfile(
+      req.user.id,
+      req.organizationId
+    );
+
+    return res.status(HTTP_STATUS.OK).json(
+      createResponse(true, "Tax profile retrieved successfully", {
+        taxProfile,
+      })
+    );
+  } catch (error) {
+    logger.error("Error getting tax profile:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(
+          false,
+          "Error retrieving tax profile",
+          null,
+          error.message
+        )
+      );
+  }
+};
+
+/**
+ * Create or replace the tax profile (NPWP, company name, billing address)
+ * Applies to invoices issued from now on
+ */
+export const saveTaxProfile = async (req, res) => {
+  try {
+    const taxProfile = await taxService.saveTaxProfile(
+      req.user.id,
+      req.organizationId,
+      req.body
+    );
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(
+        createResponse(true, "Tax profile saved successfully", { taxProfile })
+      );
+  } catch (error) {
+    logger.error("Error saving tax profile:", error);
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error saving tax profile", null, error.message)
+      );
+  }
+};
+
+/**
+ * Remove the tax profile
+ */
+export const deleteTaxProfile = async (req, res) => {
+  try {
+    await taxService.deleteTaxProfile(req.user.id, req.organizationId);
+
+    return res
+      .status(HTTP_STATUS.OK)
+      .json(createResponse(true, "Tax profile removed successfully"));
+  } catch (error) {
+    logger.error("Error removing tax profile:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(createResponse(false, "Tax profile not found"));
+    }
+
+    return res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        createResponse(false, "Error removing tax profile", null, error.message)
+      );
+  }
+};
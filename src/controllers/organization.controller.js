@@ -0,0 +1,309 @@
+import * as organizationService from "../services/organization.service.js";
+import * as responseUtil from "../utils/response.util.js";
+import logger from "../utils/logger.util.js";
+import HTTP_STATUS from "../utils/http-status.util.js";
+
+/**
+ * Organization controller
+ */
+
+const ERROR_STATUS = {
+  ORGANIZATION_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  MEMBER_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  INVITATION_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  ALREADY_MEMBER: HTTP_STATUS.CONFLICT,
+  LAST_OWNER: HTTP_STATUS.CONFLICT,
+  INVALID_INVITATION: HTTP_STATUS.BAD_REQUEST,
+  INVITATION_EMAIL_MISMATCH: HTTP_STATUS.FORBIDDEN,
+};
+
+/**
+ * Map known service errors to their status code, everything else to 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = ERROR_STATUS[error.code];
+
+  if (statusCode) {
+    return res
+      .status(statusCode)
+      .json(responseUtil.error(error.message, error.code, statusCode));
+  }
+
+  res
+    .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    .json(
+      responseUtil.error(
+        fallbackMessage,
+        "INTERNAL_SERVER_ERROR",
+        HTTP_STATUS.INTERNAL_SERVER_ERROR
+      )
+    );
+};
+
+/**
+ * Get organizations the user belongs to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrganizations = async (req, res) => {
+  try {
+    const organizations = await organizationService.getUserOrganizations(
+      req.user.id
+    );
+
+    res.json(
+      responseUtil.success(
+        organizations,
+        "Organizations retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Error in getOrganizations controller:", error);
+    sendError(res, error, "Failed to retrieve organizations");
+  }
+};
+
+/**
+ * Create an organization owned by the user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.createOrganization(
+      req.user.id,
+      req.body
+    );
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        responseUtil.success(organization, "Organization created successfully")
+      );
+  } catch (error) {
+    logger.error("Error in createOrganization controller:", error);
+    sendError(res, error, "Failed to create organization");
+  }
+};
+
+/**
+ * Get organization details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrganizationById = async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganizationById(
+      req.organizationId
+    );
+
+    res.json(
+      responseUtil.success(
+        { ...organization, role: req.organizationRole },
+        "Organization retrieved successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Error in getOrganizationById controller:", error);
+    sendError(res, error, "Failed to retrieve organization");
+  }
+};
+
+/**
+ * Update organization details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.updateOrganization(
+      req.organizationId,
+      req.body
+    );
+
+    res.json(
+      responseUtil.success(organization, "Organization updated successfully")
+    );
+  } catch (error) {
+    logger.error("Error in updateOrganization controller:", error);
+    sendError(res, error, "Failed to update organization");
+  }
+};
+
+/**
+ * Get organization members
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMembers = async (req, res) => {
+  try {
+    const members = await organizationService.getMembers(req.organizationId);
+
+    res.json(responseUtil.success(members, "Members retrieved successfully"));
+  } catch (error) {
+    logger.error("Error in getMembers controller:", error);
+    sendError(res, error, "Failed to retrieve members");
+  }
+};
+
+/**
+ * Change a member's role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateMemberRole = async (req, res) => {
+  try {
+    const member = await organizationService.updateMemberRole(
+      req.organizationId,
+      req.params.userId,
+      req.body.role
+    );
+
+    res.json(responseUtil.success(member, "Member role updated successfully"));
+  } catch (error) {
+    logger.error("Error in updateMemberRole controller:", error);
+    sendError(res, error, "Failed to update member role");
+  }
+};
+
+/**
+ * Remove a member from the organization
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeMember = async (req, res) => {
+  try {
+    await organizationService.removeMember(
+      req.organizationId,
+      req.params.userId
+    );
+
+    res.json(responseUtil.success(null, "Member removed successfully"));
+  } catch (error) {
+    logger.error("Error in removeMember controller:", error);
+    sendError(res, error, "Failed to remove member");
+  }
+};
+
+/**
+ * Leave an organization
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const leaveOrganization = async (req, res) => {
+  try {
+    await organizationService.removeMember(req.organizationId, req.user.id);
+
+    res.json(responseUtil.success(null, "You have left the organization"));
+  } catch (error) {
+    logger.error("Error in leaveOrganization controller:", error);
+    sendError(res, error, "Failed to leave organization");
+  }
+};
+
+/**
+ * Get pending invitations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const invitations = await organizationService.getInvitations(
+      req.organizationId
+    );
+
+    res.json(
+      responseUtil.success(invitations, "Invitations retrieved successfully")
+    );
+  } catch (error) {
+    logger.error("Error in getInvitations controller:", error);
+    sendError(res, error, "Failed to retrieve invitations");
+  }
+};
+
+/**
+ * Invite someone by email
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createInvitation = async (req, res) => {
+  try {
+    const invitation = await organizationService.createInvitation(
+      req.organizationId,
+      req.user,
+      req.body
+    );
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        responseUtil.success(
+          invitation,
+          invitation.emailSent
+            ? "Invitation sent successfully"
+            : "Invitation created, but the email could not be sent"
+        )
+      );
+  } catch (error) {
+    logger.error("Error in createInvitation controller:", error);
+    sendError(res, error, "Failed to create invitation");
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeInvitation = async (req, res) => {
+  try {
+    await organizationService.revokeInvitation(
+      req.organizationId,
+      req.params.invitationId
+    );
+
+    res.json(responseUtil.success(null, "Invitation revoked successfully"));
+  } catch (error) {
+    logger.error("Error in revokeInvitation controller:", error);
+    sendError(res, error, "Failed to revoke invitation");
+  }
+};
+
+/**
+ * Accept an invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const organization = await organizationService.acceptInvitation(
+      req.user,
+      req.body.token
+    );
+
+    res.json(
+      responseUtil.success(organization, "Invitation accepted successfully")
+    );
+  } catch (error) {
+    logger.error("Error in acceptInvitation controller:", error);
+    sendError(res, error, "Failed to accept invitation");
+  }
+};
+
+export {
+  getOrganizations,
+  createOrganization,
+  getOrganizationById,
+  updateOrganization,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  leaveOrganization,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+};
@@ -2,6 +2,11 @@ import * as podService from "../services/pod.service.js";
 import { success, error } from "../utils/response.util.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
 import logger from "../utils/logger.util.js";
+import { recordAudit } from "../services/audit.service.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
 
 /**
  * Get all pods (Admin only)
@@ -251,6 +256,17 @@ export const cleanupOrphanedPods = async (req, res, next) => {
       deployments,
     });
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ORPHANED_PODS_CLEANED,
+      targetType: AUDIT_TARGET_TYPES.POD,
+      metadata: {
+        namespaces,
+        deployments,
+        summary: result.summary,
+        deleted: result.cleanupResults,
+      },
+    });
+
     res
       .status(HTTP_STATUS.OK)
       .json(success(result, "Orphaned pods cleanup completed"));
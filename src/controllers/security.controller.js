@@ -0,0 +1,78 @@
+import * as settingsService from "../services/settings.service.js";
+import * as responseUtil from "../utils/response.util.js";
+import logger from "../utils/logger.util.js";
+import HTTP_STATUS from "../utils/http-status.util.js";
+
+/**
+ * Security settings controller (admin)
+ */
+
+/**
+ * Get security settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSecuritySettings = async (req, res) => {
+  try {
+    const settings = await settingsService.getSecuritySettings();
+
+    res.json(
+      responseUtil.success(settings, "Security settings retrieved successfully")
+    );
+  } catch (error) {
+    logger.error("Error in getSecuritySettings controller:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to retrieve security settings",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Update security settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const settings = await settingsService.updateSecuritySettings(
+      req.body,
+      req.user.id
+    );
+
+    res.json(
+      responseUtil.success(settings, "Security settings updated successfully")
+    );
+  } catch (error) {
+    logger.error("Error in updateSecuritySettings controller:", error);
+
+    if (error.code === "TWO_FACTOR_NOT_ENABLED") {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(
+          responseUtil.error(
+            error.message,
+            "TWO_FACTOR_NOT_ENABLED",
+            HTTP_STATUS.CONFLICT
+          )
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to update security settings",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+export { getSecuritySettings, updateSecuritySettings };
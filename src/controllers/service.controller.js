@@ -3,6 +3,11 @@ import * as responseUtil from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
 import { USER_ROLES } from "../utils/user-roles.util.js";
+import { recordAudit } from "../services/audit.service.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
 
 /**
  * Service catalog controller
@@ -182,6 +187,13 @@ const createService = async (req, res) => {
   try {
     const service = await serviceService.createService(req.body);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SERVICE_CREATED,
+      targetType: AUDIT_TARGET_TYPES.SERVICE,
+      targetId: service.id,
+      after: service,
+    });
+
     res
       .status(HTTP_STATUS.CREATED)
       .json(responseUtil.success(service, "Service created successfully"));
@@ -219,8 +231,17 @@ const createService = async (req, res) => {
  */
 const updateService = async (req, res) => {
   try {
+    const existingService = await serviceService.getServiceById(req.params.id);
     const service = await serviceService.updateService(req.params.id, req.body);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SERVICE_UPDATED,
+      targetType: AUDIT_TARGET_TYPES.SERVICE,
+      targetId: service.id,
+      before: existingService,
+      after: service,
+    });
+
     res.json(responseUtil.success(service, "Service updated successfully"));
   } catch (error) {
     logger.error("Error in updateService controller:", error);
@@ -256,8 +277,16 @@ const updateService = async (req, res) => {
  */
 const deleteService = async (req, res) => {
   try {
+    const existingService = await serviceService.getServiceById(req.params.id);
     const service = await serviceService.deleteService(req.params.id);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SERVICE_DELETED,
+      targetType: AUDIT_TARGET_TYPES.SERVICE,
+      targetId: req.params.id,
+      before: existingService,
+    });
+
     res.json(responseUtil.success(service, "Service deleted successfully"));
   } catch (error) {
     logger.error("Error in deleteService controller:", error);
@@ -307,6 +336,14 @@ const toggleServiceStatus = async (req, res) => {
   try {
     const service = await serviceService.toggleServiceStatus(req.params.id);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SERVICE_STATUS_TOGGLED,
+      targetType: AUDIT_TARGET_TYPES.SERVICE,
+      targetId: service.id,
+      before: { isActive: !service.isActive },
+      after: { isActive: service.isActive },
+    });
+
     res.json(
       responseUtil.success(service, "Service status toggled successfully")
     );
@@ -16,6 +16,9 @@ const createSubscription = async (req, res) => {
       billingCycle = "monthly",
       subdomain,
       customConfig,
+      autoRenew = false,
+      trial = false,
+      couponCode,
     } = req.body;
     const userId = req.user.id;
 
@@ -26,7 +29,9 @@ const createSubscription = async (req, res) => {
     // Check subscription eligibility first
     const eligibility = await subscriptionService.checkSubscriptionEligibility(
       userId,
-      serviceId
+      serviceId,
+      req.organizationId,
+      { trial, billingCycle, couponCode }
     );
 
     if (!eligibility.eligible) {
@@ -43,7 +48,14 @@ const createSubscription = async (req, res) => {
     // Create subscription
     const subscription = await subscriptionService.createSubscription(
       userId,
-      serviceId
+      serviceId,
+      {
+        autoRenew,
+        organizationId: req.organizationId,
+        trial,
+        billingCycle,
+        couponCode,
+      }
     );
 
     logger.info(
@@ -54,6 +66,14 @@ const createSubscription = async (req, res) => {
   } catch (err) {
     logger.error("Error creating subscription:", err);
 
+    if (err.message.includes("Email verification required")) {
+      return res.json(
+        error(
+          "Please verify your email address before purchasing a paid service"
+        )
+      );
+    }
+
     if (err.message.includes("Insufficient balance")) {
       return res.json(error("Insufficient balance for subscription"));
     }
@@ -64,6 +84,14 @@ const createSubscription = async (req, res) => {
       );
     }
 
+    if (
+      err.message.includes("Trial") ||
+      err.message.includes("Billing cycle") ||
+      err.message.startsWith("Coupon")
+    ) {
+      return res.json(error(err.message));
+    }
+
     if (err.message.includes("Service not found")) {
       return res.json(error("Service not found or inactive"));
     }
@@ -90,6 +118,7 @@ const getUserSubscriptions = async (req, res) => {
       status,
       sortBy,
       sortOrder,
+      organizationId: req.organizationId,
     });
 
     res.json(success(result, "Subscriptions retrieved successfully"));
@@ -113,7 +142,8 @@ const getSubscriptionDetails = async (req, res) => {
 
     const subscription = await subscriptionService.getSubscriptionDetails(
       id,
-      userId
+      userId,
+      req.organizationId
     );
 
     res.json(
@@ -139,13 +169,20 @@ const renewSubscription = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { billingCycle = "monthly", autoRenew = false } = req.body;
+    const { billingCycle, autoRenew, couponCode } = req.body;
 
     logger.info(`Renewing subscription ${id} for user ${userId}`);
 
+    // autoRenew and billingCycle are only changed when explicitly provided
     const renewedSubscription = await subscriptionService.renewSubscription(
       id,
-      userId
+      userId,
+      {
+        autoRenew,
+        billingCycle,
+        couponCode,
+        organizationId: req.organizationId,
+      }
     );
 
     logger.info(`Successfully renewed subscription ${id} for user ${userId}`);
@@ -158,6 +195,14 @@ const renewSubscription = async (req, res) => {
       return res.json(error("Insufficient balance for renewal"));
     }
 
+    if (
+      err.message.includes("Billing cycle") ||
+      err.message.startsWith("Coupon") ||
+      err.message.includes("already renewed")
+    ) {
+      return res.json(error(err.message));
+    }
+
     if (
       err.message.includes("not found") ||
       err.message.includes("cannot be renewed")
@@ -178,13 +223,36 @@ const cancelSubscription = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { reason, immediate = false } = req.body;
+    const { reason, immediate = true, refund = false } = req.body;
+
+    if (!immediate) {
+      logger.info(
+        `Scheduling cancellation of subscription ${id} for user ${userId}`
+      );
+
+      const scheduledSubscription =
+        await subscriptionService.scheduleCancellation(
+          id,
+          userId,
+          req.organizationId,
+          reason
+        );
+
+      return res.json(
+        success(
+          scheduledSubscription,
+          "Subscription will be cancelled at the end of the billing period"
+        )
+      );
+    }
 
     logger.info(`Cancelling subscription ${id} for user ${userId}`);
 
     const cancelledSubscription = await subscriptionService.cancelSubscription(
       id,
-      userId
+      userId,
+      req.organizationId,
+      { refund, reason }
     );
 
     logger.info(`Successfully cancelled subscription ${id} for user ${userId}`);
@@ -195,6 +263,10 @@ const cancelSubscription = async (req, res) => {
   } catch (err) {
     logger.error("Error cancelling subscription:", err);
 
+    if (err.message.includes("already scheduled")) {
+      return res.json(error(err.message));
+    }
+
     if (err.message.includes("not found")) {
       return res.json(error("Active subscription not found"));
     }
@@ -203,6 +275,110 @@ const cancelSubscription = async (req, res) => {
   }
 };
 
+/**
+ * Undo a scheduled cancellation
+ * @route DELETE /api/v1/subscriptions/:id/cancellation
+ * @access Private
+ */
+const undoCancellation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    logger.info(
+      `Undoing scheduled cancellation of subscription ${id} for user ${userId}`
+    );
+
+    const keptSubscription =
+      await subscriptionService.undoScheduledCancellation(
+        id,
+        userId,
+        req.organizationId
+      );
+
+    res.json(success(keptSubscription, "Scheduled cancellation undone"));
+  } catch (err) {
+    logger.error("Error undoing subscription cancellation:", err);
+
+    if (err.message.includes("not found")) {
+      return res.json(error("No scheduled cancellation found"));
+    }
+
+    res.json(error("Failed to undo cancellation"));
+  }
+};
+
+/**
+ * Pause subscription
+ * @route POST /api/v1/subscriptions/:id/pause
+ * @access Private
+ */
+const pauseSubscription = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const { days } = req.body;
+
+    logger.info(`Pausing subscription ${id} for user ${userId}`);
+
+    const pausedSubscription = await subscriptionService.pauseSubscription(
+      id,
+      userId,
+      req.organizationId,
+      { days }
+    );
+
+    res.json(success(pausedSubscription, "Subscription paused successfully"));
+  } catch (err) {
+    logger.error("Error pausing subscription:", err);
+
+    if (
+      err.message.includes("Pause") ||
+      err.message.includes("Pausing") ||
+      err.message.includes("cannot be paused") ||
+      err.message.includes("no deployed service")
+    ) {
+      return res.json(error(err.message));
+    }
+
+    if (err.message.includes("not found")) {
+      return res.json(error("Active subscription not found"));
+    }
+
+    res.json(error("Failed to pause subscription"));
+  }
+};
+
+/**
+ * Resume paused subscription
+ * @route POST /api/v1/subscriptions/:id/resume
+ * @access Private
+ */
+const resumeSubscription = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    logger.info(`Resuming subscription ${id} for user ${userId}`);
+
+    const resumedSubscription = await subscriptionService.resumeSubscription(
+      id,
+      userId,
+      req.organizationId
+    );
+
+    res.json(success(resumedSubscription, "Subscription resumed successfully"));
+  } catch (err) {
+    logger.error("Error resuming subscription:", err);
+
+    if (err.message.includes("not found")) {
+      return res.json(error("Paused subscription not found"));
+    }
+
+    res.json(error("Failed to resume subscription"));
+  }
+};
+
 /**
  * Update subscription (User-facing - LIMITED)
  * @route PUT /api/v1/subscriptions/:id
@@ -219,14 +395,6 @@ const updateSubscription = async (req, res) => {
       `User ${userId} updating subscription ${id} (limited fields only)`
     );
 
-    // Get current subscription to verify ownership
-    const currentSubscription =
-      await subscriptionService.getSubscriptionDetails(id, userId);
-
-    if (!currentSubscription) {
-      return res.json(error("Subscription not found"));
-    }
-
     // Users can only update these safe fields:
     const updateData = {};
 
@@ -243,12 +411,13 @@ const updateSubscription = async (req, res) => {
       return res.json(error("No valid fields provided for update"));
     }
 
-    // TODO: Implement actual update logic in service
-    // For now, just return the current subscription
-    logger.info(`User update data for subscription ${id}:`, updateData);
-
     const updatedSubscription =
-      await subscriptionService.getSubscriptionDetails(id, userId);
+      await subscriptionService.updateSubscriptionSettings(
+        id,
+        userId,
+        updateData,
+        req.organizationId
+      );
 
     res.json(success(updatedSubscription, "Subscription updated successfully"));
   } catch (err) {
@@ -262,6 +431,30 @@ const updateSubscription = async (req, res) => {
   }
 };
 
+/**
+ * Sum the traffic recorded by a cumulative network counter
+ * Counters restart from zero when the pod restarts, so a drop counts as a fresh start
+ * @param {Array} metrics - Usage metrics ordered newest first
+ * @param {string} field - Counter field name ("networkIn" or "networkOut")
+ * @returns {number|null} Total in MB, or null when no counter data exists
+ */
+const sumCounterDeltas = (metrics, field) => {
+  const values = metrics
+    .filter((m) => m[field] !== null)
+    .map((m) => parseFloat(m[field]))
+    .reverse();
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  let total = 0;
+  for (let i = 1; i < values.length; i++) {
+    total += values[i] >= values[i - 1] ? values[i] - values[i - 1] : values[i];
+  }
+  return total;
+};
+
 /**
  * Get subscription usage metrics
  * @route GET /api/v1/subscriptions/:id/usage
@@ -278,7 +471,8 @@ const getSubscriptionUsage = async (req, res) => {
     // First verify subscription ownership
     const subscription = await subscriptionService.getSubscriptionDetails(
       id,
-      userId
+      userId,
+      req.organizationId
     );
 
     if (!subscription) {
@@ -299,31 +493,25 @@ const getSubscriptionUsage = async (req, res) => {
       });
     }
 
-    // Calculate summary statistics
+    // Calculate summary statistics (records without data are excluded from averages)
+    const cpuSamples = filteredMetrics.filter((m) => m.cpuUsage !== null);
+    const memSamples = filteredMetrics.filter((m) => m.memUsage !== null);
+
     const summary = {
       totalRecords: filteredMetrics.length,
+      recordsWithData: filteredMetrics.filter((m) => m.metricsAvailable).length,
       avgCpuUsage:
-        filteredMetrics.length > 0
-          ? filteredMetrics.reduce(
-              (sum, m) => sum + parseFloat(m.cpuUsage),
-              0
-            ) / filteredMetrics.length
-          : 0,
+        cpuSamples.length > 0
+          ? cpuSamples.reduce((sum, m) => sum + parseFloat(m.cpuUsage), 0) /
+            cpuSamples.length
+          : null,
       avgMemUsage:
-        filteredMetrics.length > 0
-          ? filteredMetrics.reduce(
-              (sum, m) => sum + parseFloat(m.memUsage),
-              0
-            ) / filteredMetrics.length
-          : 0,
-      totalNetworkIn: filteredMetrics.reduce(
-        (sum, m) => sum + parseFloat(m.networkIn),
-        0
-      ),
-      totalNetworkOut: filteredMetrics.reduce(
-        (sum, m) => sum + parseFloat(m.networkOut),
-        0
-      ),
+        memSamples.length > 0
+          ? memSamples.reduce((sum, m) => sum + parseFloat(m.memUsage), 0) /
+            memSamples.length
+          : null,
+      totalNetworkIn: sumCounterDeltas(filteredMetrics, "networkIn"),
+      totalNetworkOut: sumCounterDeltas(filteredMetrics, "networkOut"),
     };
 
     res.json(
@@ -366,13 +554,15 @@ const getSubscriptionUsage = async (req, res) => {
 
 /**
  * Check subscription eligibility
- * @route GET /api/v1/subscriptions/eligibility/:serviceId
+ * @route GET /api/v1/subscriptions/eligibility/:serviceId?trial=true&billingCycle=yearly&couponCode=LAUNCH50
  * @access Private
  */
 const checkEligibility = async (req, res) => {
   try {
     const { serviceId } = req.params;
     const userId = req.user.id;
+    const trial = req.query.trial === "true";
+    const { billingCycle, couponCode } = req.query;
 
     logger.info(
       `Checking subscription eligibility for user ${userId}, service ${serviceId}`
@@ -380,7 +570,9 @@ const checkEligibility = async (req, res) => {
 
     const eligibility = await subscriptionService.checkSubscriptionEligibility(
       userId,
-      serviceId
+      serviceId,
+      req.organizationId,
+      { trial, billingCycle, couponCode }
     );
 
     res.json(success(eligibility, "Eligibility check completed"));
@@ -391,6 +583,10 @@ const checkEligibility = async (req, res) => {
       return res.json(error("Service not found or inactive"));
     }
 
+    if (err.message.includes("Invalid billing cycle")) {
+      return res.json(error(err.message));
+    }
+
     res.json(error("Failed to check eligibility"));
   }
 };
@@ -406,7 +602,10 @@ const getSubscriptionStats = async (req, res) => {
 
     logger.info(`Getting subscription stats for user ${userId}`);
 
-    const stats = await subscriptionService.getSubscriptionStats(userId);
+    const stats = await subscriptionService.getSubscriptionStats(
+      userId,
+      req.organizationId
+    );
 
     res.json(success(stats, "Subscription statistics retrieved successfully"));
   } catch (err) {
@@ -481,7 +680,11 @@ const resetSubscriptionPod = async (req, res) => {
 
     logger.info(`User ${userId} requesting pod reset for subscription ${id}`);
 
-    const resetResult = await podService.userResetPod(id, userId);
+    const resetResult = await podService.userResetPod(
+      id,
+      userId,
+      req.organizationId
+    );
 
     logger.info(
       `Successfully reset pod for subscription ${id} by user ${userId}`
@@ -536,7 +739,8 @@ const restartSubscriptionPod = async (req, res) => {
     // Get subscription with service instance
     const subscription = await subscriptionService.getSubscriptionDetails(
       id,
-      userId
+      userId,
+      req.organizationId
     );
 
     if (!subscription) {
@@ -548,9 +752,9 @@ const restartSubscriptionPod = async (req, res) => {
     }
 
     // Check if subscription is in a restartable state
-    if (!["ACTIVE", "EXPIRED"].includes(subscription.status)) {
+    if (!["ACTIVE", "TRIALING", "EXPIRED"].includes(subscription.status)) {
       return res.json(
-        error("Subscription must be active or expired to restart pod")
+        error("Subscription must be active, trialing or expired to restart pod")
       );
     }
 
@@ -597,6 +801,9 @@ export {
   getSubscriptionDetails,
   renewSubscription,
   cancelSubscription,
+  undoCancellation,
+  pauseSubscription,
+  resumeSubscription,
   updateSubscription,
   getSubscriptionUsage,
   checkEligibility,
@@ -8,6 +8,7 @@ import {
 import { createResponse } from "../utils/response.util.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
 import logger from "../utils/logger.util.js";
+import { ownerWhere } from "../utils/ownership.util.js";
 
 const prisma = new PrismaClient();
 
@@ -25,7 +26,7 @@ export const getSubscriptionUpgradeOptions = async (req, res) => {
       const subscription = await prisma.subscription.findFirst({
         where: {
           id: subscriptionId,
-          userId: userId,
+          ...ownerWhere(userId, req.organizationId),
         },
       });
 
@@ -79,7 +80,7 @@ export const validateSubscriptionUpgrade = async (req, res) => {
       const subscription = await prisma.subscription.findFirst({
         where: {
           id: subscriptionId,
-          userId: userId,
+          ...ownerWhere(userId, req.organizationId),
         },
       });
 
@@ -185,7 +186,7 @@ export const calculateUpgradeCost = async (req, res) => {
       const subscription = await prisma.subscription.findFirst({
         where: {
           id: subscriptionId,
-          userId: userId,
+          ...ownerWhere(userId, req.organizationId),
         },
       });
 
@@ -241,6 +242,16 @@ export const calculateUpgradeCost = async (req, res) => {
       );
     }
 
+    if (error.message.includes("Billing cycle")) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json(
+        createResponse(false, error.message, {
+          error: "BILLING_CYCLE_NOT_OFFERED",
+          message: error.message,
+          newServiceId,
+        })
+      );
+    }
+
     // Generic error with more details
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json(
       createResponse(false, "Failed to calculate upgrade cost", {
@@ -269,7 +280,7 @@ export const getPlanChangeHistory = async (req, res) => {
       const subscription = await prisma.subscription.findFirst({
         where: {
           id: subscriptionId,
-          userId: userId,
+          ...ownerWhere(userId, req.organizationId),
         },
       });
 
@@ -385,7 +396,7 @@ export const executeUpgrade = async (req, res) => {
       const subscription = await prisma.subscription.findFirst({
         where: {
           id: subscriptionId,
-          userId: userId,
+          ...ownerWhere(userId, req.organizationId),
         },
       });
 
@@ -477,7 +488,7 @@ export const executeDowngrade = async (req, res) => {
       const subscription = await prisma.subscription.findFirst({
         where: {
           id: subscriptionId,
-          userId: userId,
+          ...ownerWhere(userId, req.organizationId),
         },
       });
 
@@ -2,6 +2,12 @@ import * as userService from "../services/user.service.js";
 import * as responseUtil from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
+import * as impersonationService from "../services/impersonation.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
 
 /**
  * User controller for admin operations
@@ -200,6 +206,17 @@ const deleteUser = async (req, res) => {
   try {
     const user = await userService.deleteUser(req.params.id);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_DELETED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: user.id,
+      targetUserId: user.id,
+      metadata: {
+        podsRemoved: user.podsRemoved,
+        subscriptionsClosed: user.subscriptionsClosed,
+      },
+    });
+
     res.json(responseUtil.success(user, "User deleted successfully"));
   } catch (error) {
     logger.error("Error in deleteUser controller:", error);
@@ -228,6 +245,18 @@ const deleteUser = async (req, res) => {
         );
     }
 
+    if (error.code === "LAST_ORGANIZATION_OWNER") {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(
+          responseUtil.error(
+            error.message,
+            "LAST_ORGANIZATION_OWNER",
+            HTTP_STATUS.CONFLICT
+          )
+        );
+    }
+
     res
       .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
       .json(
@@ -249,6 +278,15 @@ const toggleUserStatus = async (req, res) => {
   try {
     const user = await userService.toggleUserStatus(req.params.id);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_STATUS_TOGGLED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: user.id,
+      targetUserId: user.id,
+      before: { isActive: !user.isActive },
+      after: { isActive: user.isActive },
+    });
+
     res.json(responseUtil.success(user, "User status toggled successfully"));
   } catch (error) {
     logger.error("Error in toggleUserStatus controller:", error);
@@ -277,6 +315,315 @@ const toggleUserStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get active sessions of a user (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserSessions = async (req, res) => {
+  try {
+    const sessions = await userService.getUserSessions(req.params.id);
+
+    res.json(
+      responseUtil.success(sessions, "User sessions retrieved successfully")
+    );
+  } catch (error) {
+    logger.error("Error in getUserSessions controller:", error);
+
+    if (error.code === "USER_NOT_FOUND") {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          responseUtil.error(
+            error.message,
+            "USER_NOT_FOUND",
+            HTTP_STATUS.NOT_FOUND
+          )
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to retrieve user sessions",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Revoke one session of a user (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeUserSession = async (req, res) => {
+  try {
+    await userService.revokeUserSession(req.params.id, req.params.sessionId);
+
+    res.json(responseUtil.success(null, "User session revoked successfully"));
+  } catch (error) {
+    logger.error("Error in revokeUserSession controller:", error);
+
+    if (error.code === "USER_NOT_FOUND") {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          responseUtil.error(
+            error.message,
+            "USER_NOT_FOUND",
+            HTTP_STATUS.NOT_FOUND
+          )
+        );
+    }
+
+    if (error.code === "SESSION_NOT_FOUND") {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          responseUtil.error(
+            error.message,
+            "SESSION_NOT_FOUND",
+            HTTP_STATUS.NOT_FOUND
+          )
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to revoke user session",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Revoke every session of a user (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    const result = await userService.revokeAllUserSessions(req.params.id);
+
+    res.json(
+      responseUtil.success(result, "All user sessions revoked successfully")
+    );
+  } catch (error) {
+    logger.error("Error in revokeAllUserSessions controller:", error);
+
+    if (error.code === "USER_NOT_FOUND") {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          responseUtil.error(
+            error.message,
+            "USER_NOT_FOUND",
+            HTTP_STATUS.NOT_FOUND
+          )
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to revoke user sessions",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Lift a user's sign-in lockout (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const result = await userService.unlockUser(req.params.id);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ACCOUNT_UNLOCKED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: req.params.id,
+      targetUserId: req.params.id,
+      metadata: { wasLocked: result.wasLocked },
+    });
+
+    res.json(
+      responseUtil.success(
+        result,
+        result.wasLocked
+          ? "User unlocked successfully"
+          : "User was not locked; failed sign-in counters cleared"
+      )
+    );
+  } catch (error) {
+    logger.error("Error in unlockUser controller:", error);
+
+    if (error.code === "USER_NOT_FOUND") {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          responseUtil.error(
+            error.message,
+            "USER_NOT_FOUND",
+            HTTP_STATUS.NOT_FOUND
+          )
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to unlock user",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Start impersonating a user (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const impersonateUser = async (req, res) => {
+  try {
+    const result = await impersonationService.startImpersonation(
+      req.user,
+      req.params.id,
+      req.body,
+      { userAgent: req.get("User-Agent"), ipAddress: req.ip }
+    );
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_IMPERSONATED,
+      targetType: AUDIT_TARGET_TYPES.USER,
+      targetId: result.user.id,
+      targetUserId: result.user.id,
+      metadata: {
+        impersonationId: result.impersonation.id,
+        reason: result.impersonation.reason,
+        expiresAt: result.expiresAt,
+      },
+    });
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(responseUtil.success(result, "Impersonation started successfully"));
+  } catch (error) {
+    logger.error("Error in impersonateUser controller:", error);
+
+    if (error.code === "USER_NOT_FOUND") {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          responseUtil.error(
+            error.message,
+            "USER_NOT_FOUND",
+            HTTP_STATUS.NOT_FOUND
+          )
+        );
+    }
+
+    if (
+      [
+        "CANNOT_IMPERSONATE_SELF",
+        "CANNOT_IMPERSONATE_ADMIN",
+        "USER_INACTIVE",
+      ].includes(error.code)
+    ) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json(
+          responseUtil.error(error.message, error.code, HTTP_STATUS.BAD_REQUEST)
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to start impersonation",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Get the impersonation history of a user (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserImpersonations = async (req, res) => {
+  try {
+    const result = await impersonationService.getUserImpersonations(
+      req.params.id,
+      req.query
+    );
+
+    res.json(
+      responseUtil.success(result, "User impersonations retrieved successfully")
+    );
+  } catch (error) {
+    logger.error("Error in getUserImpersonations controller:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to retrieve user impersonations",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * End every active impersonation of a user (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const endUserImpersonations = async (req, res) => {
+  try {
+    const endedCount = await impersonationService.endUserImpersonations(
+      req.params.id
+    );
+
+    res.json(
+      responseUtil.success(
+        { endedCount },
+        "User impersonations ended successfully"
+      )
+    );
+  } catch (error) {
+    logger.error("Error in endUserImpersonations controller:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to end user impersonations",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
 /**
  * Get user statistics (Admin only)
  * @param {Object} req - Express request object
@@ -311,5 +658,12 @@ export {
   changeUserPassword,
   deleteUser,
   toggleUserStatus,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  unlockUser,
+  impersonateUser,
+  getUserImpersonations,
+  endUserImpersonations,
   getUserStats,
 };
@@ -0,0 +1,212 @@
+import * as webhookService from "../services/webhook.service.js";
+import * as responseUtil from "../utils/response.util.js";
+import logger from "../utils/logger.util.js";
+import HTTP_STATUS from "../utils/http-status.util.js";
+
+/**
+ * Webhook controller
+ */
+
+const ERROR_STATUS = {
+  WEBHOOK_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  DELIVERY_NOT_FOUND: HTTP_STATUS.NOT_FOUND,
+  WEBHOOK_LIMIT_REACHED: HTTP_STATUS.CONFLICT,
+  DELIVERY_IN_PROGRESS: HTTP_STATUS.CONFLICT,
+  UNSAFE_URL: HTTP_STATUS.BAD_REQUEST,
+};
+
+/**
+ * Map known service errors to their status code, everything else to 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+const sendError = (res, error, fallbackMessage) => {
+  const statusCode = ERROR_STATUS[error.code];
+
+  if (statusCode) {
+    return res
+      .status(statusCode)
+      .json(responseUtil.error(error.message, error.code, statusCode));
+  }
+
+  res
+    .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+    .json(
+      responseUtil.error(
+        fallbackMessage,
+        "INTERNAL_SERVER_ERROR",
+        HTTP_STATUS.INTERNAL_SERVER_ERROR
+      )
+    );
+};
+
+/**
+ * Get user's webhooks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await webhookService.getUserWebhooks(req.user.id);
+
+    res.json(responseUtil.success(webhooks, "Webhooks retrieved successfully"));
+  } catch (error) {
+    logger.error("Error in getWebhooks controller:", error);
+    sendError(res, error, "Failed to retrieve webhooks");
+  }
+};
+
+/**
+ * Get webhook by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWebhookById = async (req, res) => {
+  try {
+    const webhook = await webhookService.getWebhookById(
+      req.params.id,
+      req.user.id
+    );
+
+    res.json(responseUtil.success(webhook, "Webhook retrieved successfully"));
+  } catch (error) {
+    logger.error("Error in getWebhookById controller:", error);
+    sendError(res, error, "Failed to retrieve webhook");
+  }
+};
+
+/**
+ * Create webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.createWebhook(req.user.id, req.body);
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        responseUtil.success(
+          webhook,
+          "Webhook created successfully. Store the secret now - it will not be shown again"
+        )
+      );
+  } catch (error) {
+    logger.error("Error in createWebhook controller:", error);
+    sendError(res, error, "Failed to create webhook");
+  }
+};
+
+/**
+ * Update webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await webhookService.updateWebhook(
+      req.params.id,
+      req.user.id,
+      req.body
+    );
+
+    res.json(responseUtil.success(webhook, "Webhook updated successfully"));
+  } catch (error) {
+    logger.error("Error in updateWebhook controller:", error);
+    sendError(res, error, "Failed to update webhook");
+  }
+};
+
+/**
+ * Delete webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    await webhookService.deleteWebhook(req.params.id, req.user.id);
+
+    res.json(responseUtil.success(null, "Webhook deleted successfully"));
+  } catch (error) {
+    logger.error("Error in deleteWebhook controller:", error);
+    sendError(res, error, "Failed to delete webhook");
+  }
+};
+
+/**
+ * Get webhook delivery history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const result = await webhookService.getWebhookDeliveries(
+      req.params.id,
+      req.user.id,
+      req.query
+    );
+
+    res.json(
+      responseUtil.success(result, "Webhook deliveries retrieved successfully")
+    );
+  } catch (error) {
+    logger.error("Error in getWebhookDeliveries controller:", error);
+    sendError(res, error, "Failed to retrieve webhook deliveries");
+  }
+};
+
+/**
+ * Redeliver a past webhook delivery
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const redeliverWebhook = async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliverWebhook(
+      req.params.id,
+      req.params.deliveryId,
+      req.user.id
+    );
+
+    res
+      .status(HTTP_STATUS.ACCEPTED)
+      .json(responseUtil.success(delivery, "Webhook redelivery queued"));
+  } catch (error) {
+    logger.error("Error in redeliverWebhook controller:", error);
+    sendError(res, error, "Failed to redeliver webhook");
+  }
+};
+
+/**
+ * Send a test event to a webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const sendTestEvent = async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTestEvent(
+      req.params.id,
+      req.user.id
+    );
+
+    res
+      .status(HTTP_STATUS.ACCEPTED)
+      .json(responseUtil.success(delivery, "Test event queued"));
+  } catch (error) {
+    logger.error("Error in sendTestEvent controller:", error);
+    sendError(res, error, "Failed to send test event");
+  }
+};
+
+export {
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook,
+  sendTestEvent,
+};
@@ -2,6 +2,11 @@ import * as workerService from "../services/worker.service.js";
 import * as responseUtil from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
+import { recordAudit } from "../services/audit.service.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
 import { resolveIdOrName } from "../utils/validation.util.js";
 
 /**
@@ -353,6 +358,18 @@ const drainNode = async (req, res) => {
 
     const result = await workerService.drainNode(nodeId, options);
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.WORKER_NODE_DRAINED,
+      targetType: AUDIT_TARGET_TYPES.WORKER_NODE,
+      targetId: result.node,
+      after: { status: "MAINTENANCE", isSchedulable: false },
+      metadata: {
+        options,
+        podsEvicted: result.podsEvicted,
+        podsFailed: result.podsFailed,
+      },
+    });
+
     logger.info(
       `Admin drained worker node: ${result.node} - ${result.podsEvicted} pods evicted`
     );
@@ -385,6 +402,253 @@ const drainNode = async (req, res) => {
   }
 };
 
+/**
+ * Issue a bootstrap token for a worker node
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const issueBootstrapToken = async (req, res) => {
+  try {
+    const { nodeName, ...options } = req.body;
+
+    const tokenRecord = await workerService.issueBootstrapToken(
+      nodeName,
+      options,
+      req.user.id
+    );
+
+    logger.info(`Admin issued bootstrap token for worker node: ${nodeName}`);
+
+    res
+      .status(HTTP_STATUS.CREATED)
+      .json(
+        responseUtil.success(
+          tokenRecord,
+          "Bootstrap token issued successfully. Store the token now - it will not be shown again"
+        )
+      );
+  } catch (error) {
+    logger.error("Error in issueBootstrapToken controller:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to issue bootstrap token",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * List worker bootstrap tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBootstrapTokens = async (req, res) => {
+  try {
+    const tokens = await workerService.getBootstrapTokens(req.query);
+
+    res.json(
+      responseUtil.success(tokens, "Bootstrap tokens retrieved successfully")
+    );
+  } catch (error) {
+    logger.error("Error in getBootstrapTokens controller:", error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to retrieve bootstrap tokens",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Revoke a worker bootstrap token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeBootstrapToken = async (req, res) => {
+  try {
+    const revokedToken = await workerService.revokeBootstrapToken(
+      req.params.tokenId
+    );
+
+    logger.info(
+      `Admin revoked bootstrap token for worker node: ${revokedToken.nodeName}`
+    );
+
+    res.json(
+      responseUtil.success(revokedToken, "Bootstrap token revoked successfully")
+    );
+  } catch (error) {
+    logger.error("Error in revokeBootstrapToken controller:", error);
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          responseUtil.error(
+            "Bootstrap token not found",
+            "BOOTSTRAP_TOKEN_NOT_FOUND",
+            HTTP_STATUS.NOT_FOUND
+          )
+        );
+    }
+
+    if (error.message.includes("already revoked")) {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(
+          responseUtil.error(
+            error.message,
+            "BOOTSTRAP_TOKEN_REVOKED",
+            HTTP_STATUS.CONFLICT
+          )
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to revoke bootstrap token",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Register worker node (called by the worker agent)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const registerWorkerNode = async (req, res) => {
+  try {
+    const { node, created } = await workerService.registerWorkerNode(
+      req.workerToken,
+      req.body
+    );
+
+    res
+      .status(created ? HTTP_STATUS.CREATED : HTTP_STATUS.OK)
+      .json(
+        responseUtil.success(
+          { ...node, created },
+          created
+            ? "Worker node registered successfully"
+            : "Worker node updated successfully"
+        )
+      );
+  } catch (error) {
+    logger.error("Error in registerWorkerNode controller:", error);
+
+    if (error.message.includes("not valid for worker node")) {
+      return res
+        .status(HTTP_STATUS.FORBIDDEN)
+        .json(
+          responseUtil.error(
+            error.message,
+            "WORKER_TOKEN_NODE_MISMATCH",
+            HTTP_STATUS.FORBIDDEN
+          )
+        );
+    }
+
+    if (error.message.includes("already registered")) {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json(
+          responseUtil.error(
+            error.message,
+            "WORKER_HOSTNAME_CONFLICT",
+            HTTP_STATUS.CONFLICT
+          )
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to register worker node",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
+/**
+ * Record worker node heartbeat (called by the worker agent)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const recordHeartbeat = async (req, res) => {
+  try {
+    const node = await workerService.recordHeartbeat(
+      req.workerToken,
+      req.params.name,
+      req.body
+    );
+
+    res.json(
+      responseUtil.success(
+        {
+          name: node.name,
+          status: node.status,
+          isReady: node.isReady,
+          isSchedulable: node.isSchedulable,
+          lastHeartbeat: node.lastHeartbeat,
+        },
+        "Heartbeat recorded"
+      )
+    );
+  } catch (error) {
+    logger.error("Error in recordHeartbeat controller:", error);
+
+    if (error.message.includes("not valid for worker node")) {
+      return res
+        .status(HTTP_STATUS.FORBIDDEN)
+        .json(
+          responseUtil.error(
+            error.message,
+            "WORKER_TOKEN_NODE_MISMATCH",
+            HTTP_STATUS.FORBIDDEN
+          )
+        );
+    }
+
+    if (error.message.includes("not found")) {
+      return res
+        .status(HTTP_STATUS.NOT_FOUND)
+        .json(
+          responseUtil.error(
+            "Worker node not registered",
+            "WORKER_NODE_NOT_FOUND",
+            HTTP_STATUS.NOT_FOUND
+          )
+        );
+    }
+
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json(
+        responseUtil.error(
+          "Failed to record heartbeat",
+          "INTERNAL_SERVER_ERROR",
+          HTTP_STATUS.INTERNAL_SERVER_ERROR
+        )
+      );
+  }
+};
+
 export {
   getAllWorkerNodes,
   getWorkerNodeById,
@@ -395,4 +659,9 @@ export {
   cordonNode,
   uncordonNode,
   drainNode,
+  issueBootstrapToken,
+  getBootstrapTokens,
+  revokeBootstrapToken,
+  registerWorkerNode,
+  recordHeartbeat,
 };
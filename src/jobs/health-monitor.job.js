@@ -1,5 +1,7 @@
 import { prisma } from "../config/database.js";
 import logger from "../utils/logger.util.js";
+import { cleanupExpiredSessions } from "../services/session.service.js";
+import { cleanupVerificationTokens } from "../services/verification-token.service.js";
 
 /**
  * Health monitoring background job
@@ -163,10 +165,13 @@ const cleanupOldRecords = async () => {
   try {
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
 
+    const removedSessions = await cleanupExpiredSessions();
+    const removedTokens = await cleanupVerificationTokens();
+
     // This would be used for cleaning up old logs or metrics if we had them
     // For now, just log the cleanup attempt
     logger.info(
-      `Cleanup job completed - would remove records older than ${thirtyDaysAgo.toISOString()}`
+      `Cleanup job completed - removed ${removedSessions} expired sessions and ${removedTokens} verification tokens, would remove records older than ${thirtyDaysAgo.toISOString()}`
     );
   } catch (error) {
     logger.error("Error in cleanup job:", error);
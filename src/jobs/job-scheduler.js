@@ -6,10 +6,13 @@ import {
   updateWorkerMetrics,
 } from "./health-monitor.job.js";
 import { startBillingJobs, stopBillingJobs } from "./billing.jobs.js";
+import { processScheduledDeletions } from "../services/account-deletion.service.js";
+import { cleanupDataExports } from "../services/data-export.service.js";
 import queueManager from "./queue.manager.js";
 import subscriptionJobs from "./subscription.jobs.js";
 import podJobs from "./pod.jobs.js";
 import notificationJobs from "./notification.jobs.js";
+import webhookJobs from "./webhook.jobs.js";
 
 /**
  * Job scheduler for background tasks
@@ -38,6 +41,7 @@ class JobScheduler {
       await subscriptionJobs.initialize();
       await podJobs.initialize();
       await notificationJobs.initialize();
+      await webhookJobs.initialize();
 
       // Schedule recurring jobs
       await subscriptionJobs.scheduleRecurringJobs();
@@ -127,15 +131,56 @@ class JobScheduler {
         }
       );
 
+      // Account deletion job - deletes accounts whose grace period ended
+      const accountDeletionJob = cron.schedule(
+        process.env.ACCOUNT_DELETION_INTERVAL || "30 * * * *",
+        async () => {
+          try {
+            logger.info("Running scheduled account deletions...");
+            const result = await processScheduledDeletions();
+            logger.info(
+              `Account deletions: ${result.deleted} deleted, ${result.failed} to retry`
+            );
+          } catch (error) {
+            logger.error("Account deletion job failed:", error);
+          }
+        },
+        {
+          scheduled: false,
+          name: "account-deletions",
+        }
+      );
+
+      // Data export cleanup job - expires old archives, resumes interrupted exports
+      const dataExportCleanupJob = cron.schedule(
+        "*/10 * * * *",
+        async () => {
+          try {
+            logger.debug("Cleaning up data exports...");
+            await cleanupDataExports();
+          } catch (error) {
+            logger.error("Data export cleanup job failed:", error);
+          }
+        },
+        {
+          scheduled: false,
+          name: "data-export-cleanup",
+        }
+      );
+
       // Store jobs for management
       this.jobs.set("worker-health-check", healthCheckJob);
       this.jobs.set("worker-metrics-update", metricsJob);
       this.jobs.set("daily-cleanup", cleanupJob);
+      this.jobs.set("account-deletions", accountDeletionJob);
+      this.jobs.set("data-export-cleanup", dataExportCleanupJob);
 
       // Start all jobs
       healthCheckJob.start();
       metricsJob.start();
       cleanupJob.start();
+      accountDeletionJob.start();
+      dataExportCleanupJob.start();
 
       // Start billing jobs
       startBillingJobs();
@@ -159,6 +204,12 @@ class JobScheduler {
           process.env.CLEANUP_INTERVAL || "0 2 * * *"
         } (Asia/Jakarta)`
       );
+      logger.info(
+        `  - Account deletions: ${
+          process.env.ACCOUNT_DELETION_INTERVAL || "30 * * * *"
+        }`
+      );
+      logger.info("  - Data export cleanup: */10 * * * *");
       logger.info(
         "  - Billing jobs: expire top-ups, sync payments, generate reports"
       );
@@ -267,6 +318,12 @@ class JobScheduler {
         case "daily-cleanup":
           await cleanupOldRecords();
           break;
+        case "account-deletions":
+          await processScheduledDeletions();
+          break;
+        case "data-export-cleanup":
+          await cleanupDataExports();
+          break;
         default:
           throw new Error(`Unknown job: ${jobName}`);
       }
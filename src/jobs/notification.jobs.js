@@ -29,6 +29,11 @@ export const notificationJobs = {
           "send-service-ready": this.sendServiceReady,
           "send-expiry-warning": this.sendExpiryWarning,
           "send-subscription-expired": this.sendSubscriptionExpired,
+          "send-renewal-failed": this.sendRenewalFailed,
+          "send-trial-ending": this.sendTrialEnding,
+          "send-trial-ended": this.sendTrialEnded,
+          "send-lifecycle-notice": this.sendLifecycleNotice,
+          "send-pause-ended": this.sendPauseEnded,
           "send-pod-restart-notification": this.sendPodRestartNotification,
           "send-pod-reset-notification": this.sendPodResetNotification,
           "send-payment-confirmation": this.sendPaymentConfirmation,
@@ -287,6 +292,256 @@ export const notificationJobs = {
     }
   },
 
+  /**
+   * Send failed auto-renewal notification job
+   */
+  async sendRenewalFailed(job) {
+    try {
+      const { subscriptionId, attempt, maxAttempts, finalAttempt, reason } =
+        job.data;
+
+      logger.info(`Sending renewal failed notification for ${subscriptionId}`);
+
+      const subscription = await prisma.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: {
+          user: {
+            select: { id: true, name: true, email: true },
+          },
+          service: {
+            select: { id: true, name: true, displayName: true },
+          },
+        },
+      });
+
+      if (!subscription) {
+        throw new Error(`Subscription ${subscriptionId} not found`);
+      }
+
+      await notificationService.sendRenewalFailed(
+        subscription,
+        subscription.user,
+        subscription.service,
+        { attempt, maxAttempts, finalAttempt, reason }
+      );
+
+      logger.info(`Renewal failed notification sent for ${subscriptionId}`);
+      return {
+        success: true,
+        subscriptionId,
+        recipient: subscription.user.email,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to send renewal failed notification for ${job.data.subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send trial ending reminder job
+   */
+  async sendTrialEnding(job) {
+    try {
+      const { subscriptionId } = job.data;
+
+      logger.info(`Sending trial ending reminder for ${subscriptionId}`);
+
+      const subscription = await prisma.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: {
+          user: {
+            select: { id: true, name: true, email: true },
+          },
+          service: {
+            select: {
+              id: true,
+              name: true,
+              displayName: true,
+              monthlyPrice: true,
+              quarterlyPrice: true,
+              yearlyPrice: true,
+            },
+          },
+        },
+      });
+
+      if (!subscription) {
+        throw new Error(`Subscription ${subscriptionId} not found`);
+      }
+
+      await notificationService.sendTrialEnding(
+        subscription,
+        subscription.user,
+        subscription.service
+      );
+
+      logger.info(`Trial ending reminder sent for ${subscriptionId}`);
+      return {
+        success: true,
+        subscriptionId,
+        recipient: subscription.user.email,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to send trial ending reminder for ${job.data.subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send trial ended notification job
+   */
+  async sendTrialEnded(job) {
+    try {
+      const { subscriptionId, converted, reason } = job.data;
+
+      logger.info(`Sending trial ended notification for ${subscriptionId}`);
+
+      const subscription = await prisma.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: {
+          user: {
+            select: { id: true, name: true, email: true },
+          },
+          service: {
+            select: {
+              id: true,
+              name: true,
+              displayName: true,
+              monthlyPrice: true,
+              quarterlyPrice: true,
+              yearlyPrice: true,
+            },
+          },
+        },
+      });
+
+      if (!subscription) {
+        throw new Error(`Subscription ${subscriptionId} not found`);
+      }
+
+      await notificationService.sendTrialEnded(
+        subscription,
+        subscription.user,
+        subscription.service,
+        { converted, reason }
+      );
+
+      logger.info(`Trial ended notification sent for ${subscriptionId}`);
+      return {
+        success: true,
+        subscriptionId,
+        recipient: subscription.user.email,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to send trial ended notification for ${job.data.subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send expiry lifecycle notification job
+   */
+  async sendLifecycleNotice(job) {
+    try {
+      const { subscriptionId, stage } = job.data;
+
+      logger.info(
+        `Sending ${stage} lifecycle notification for ${subscriptionId}`
+      );
+
+      const subscription = await prisma.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: {
+          user: {
+            select: { id: true, name: true, email: true },
+          },
+          service: {
+            select: { id: true, name: true, displayName: true },
+          },
+        },
+      });
+
+      if (!subscription) {
+        throw new Error(`Subscription ${subscriptionId} not found`);
+      }
+
+      await notificationService.sendSubscriptionLifecycleNotice(
+        subscription,
+        subscription.user,
+        subscription.service,
+        stage
+      );
+
+      logger.info(`${stage} lifecycle notification sent for ${subscriptionId}`);
+      return {
+        success: true,
+        subscriptionId,
+        recipient: subscription.user.email,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to send lifecycle notification for ${job.data.subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send pause ended notification job
+   */
+  async sendPauseEnded(job) {
+    try {
+      const { subscriptionId } = job.data;
+
+      logger.info(`Sending pause ended notification for ${subscriptionId}`);
+
+      const subscription = await prisma.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: {
+          user: {
+            select: { id: true, name: true, email: true },
+          },
+          service: {
+            select: { id: true, name: true, displayName: true },
+          },
+        },
+      });
+
+      if (!subscription) {
+        throw new Error(`Subscription ${subscriptionId} not found`);
+      }
+
+      await notificationService.sendPauseEndedNotification(
+        subscription,
+        subscription.user,
+        subscription.service
+      );
+
+      logger.info(`Pause ended notification sent for ${subscriptionId}`);
+      return {
+        success: true,
+        subscriptionId,
+        recipient: subscription.user.email,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to send pause ended notification for ${job.data.subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
   /**
    * Send pod restart notification job
    */
@@ -674,6 +929,119 @@ export const notificationJobs = {
     }
   },
 
+  /**
+   * Queue failed auto-renewal notification
+   */
+  async queueRenewalFailed(subscriptionId, failure) {
+    try {
+      await queueManager.addJob(
+        "notification-jobs",
+        "send-renewal-failed",
+        { subscriptionId, ...failure },
+        { priority: 8 }
+      );
+
+      logger.info(`Queued renewal failed notification for ${subscriptionId}`);
+    } catch (error) {
+      logger.error(
+        `Failed to queue renewal failed notification for ${subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Queue trial ending reminder
+   */
+  async queueTrialEnding(subscriptionId) {
+    try {
+      await queueManager.addJob(
+        "notification-jobs",
+        "send-trial-ending",
+        { subscriptionId },
+        { priority: 5 }
+      );
+
+      logger.info(`Queued trial ending reminder for ${subscriptionId}`);
+    } catch (error) {
+      logger.error(
+        `Failed to queue trial ending reminder for ${subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Queue trial ended notification
+   */
+  async queueTrialEnded(subscriptionId, outcome) {
+    try {
+      await queueManager.addJob(
+        "notification-jobs",
+        "send-trial-ended",
+        { subscriptionId, ...outcome },
+        { priority: 8 }
+      );
+
+      logger.info(`Queued trial ended notification for ${subscriptionId}`);
+    } catch (error) {
+      logger.error(
+        `Failed to queue trial ended notification for ${subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Queue expiry lifecycle notification
+   * @param {string} stage - GRACE_PERIOD, SUSPENDED, DELETION_WARNING or DATA_DELETED
+   */
+  async queueLifecycleNotice(subscriptionId, stage) {
+    try {
+      await queueManager.addJob(
+        "notification-jobs",
+        "send-lifecycle-notice",
+        { subscriptionId, stage },
+        { priority: 8 }
+      );
+
+      logger.info(
+        `Queued ${stage} lifecycle notification for ${subscriptionId}`
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to queue lifecycle notification for ${subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Queue pause ended notification
+   */
+  async queuePauseEnded(subscriptionId) {
+    try {
+      await queueManager.addJob(
+        "notification-jobs",
+        "send-pause-ended",
+        { subscriptionId },
+        { priority: 6 }
+      );
+
+      logger.info(`Queued pause ended notification for ${subscriptionId}`);
+    } catch (error) {
+      logger.error(
+        `Failed to queue pause ended notification for ${subscriptionId}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
   /**
    * Queue pod reset notification
    */
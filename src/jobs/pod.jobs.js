@@ -2,6 +2,7 @@ import {
   getPodStatus,
   deletePod,
   restartPod,
+  collectPodUsage,
 } from "../services/pod.service.js";
 import { prisma } from "../config/database.js";
 import { PodStatus } from "@prisma/client";
@@ -177,6 +178,8 @@ export const podJobs = {
 
   /**
    * Collect metrics for a specific pod
+   * Values come from metrics-server and the kubelet stats summary; anything
+   * that cannot be read is stored as null with metricsAvailable=false
    */
   async collectMetrics(job) {
     try {
@@ -186,42 +189,47 @@ export const podJobs = {
         `Collecting metrics for service instance ${serviceInstanceId}`
       );
 
-      // Get pod status and metrics
-      const status = await getPodStatus(serviceInstanceId);
-
-      if (
-        status.status === PodStatus.RUNNING &&
-        status.pods &&
-        status.pods.length > 0
-      ) {
-        // Simulate resource usage metrics (in real implementation, get from Kubernetes metrics)
-        const cpuUsage = Math.random() * 0.8; // 0-80% CPU
-        const memUsage = Math.random() * 0.9; // 0-90% Memory
-        const networkIn = Math.floor(Math.random() * 1000000); // Random bytes
-        const networkOut = Math.floor(Math.random() * 1000000); // Random bytes
-
-        // Store metrics in database
-        await prisma.usageMetric.create({
-          data: {
-            subscriptionId,
-            cpuUsage: cpuUsage.toFixed(3),
-            memUsage: memUsage.toFixed(3),
-            networkIn: networkIn.toString(),
-            networkOut: networkOut.toString(),
-            recordedAt: new Date(),
-          },
-        });
+      const serviceInstance = await prisma.serviceInstance.findUnique({
+        where: { id: serviceInstanceId },
+      });
 
-        logger.debug(
-          `Metrics collected for service instance ${serviceInstanceId}`
-        );
-        return { success: true, cpuUsage, memUsage, networkIn, networkOut };
-      } else {
+      if (!serviceInstance) {
+        throw new Error(`Service instance ${serviceInstanceId} not found`);
+      }
+
+      const usage = await collectPodUsage(serviceInstance);
+
+      if (!usage) {
         logger.debug(
           `Pod not running, skipping metrics collection for ${serviceInstanceId}`
         );
         return { success: false, reason: "Pod not running" };
       }
+
+      if (!usage.metricsAvailable) {
+        logger.warn(
+          `CPU/memory metrics unavailable for ${serviceInstanceId} - metrics server may not be installed`
+        );
+      }
+
+      // Store metrics in database (null means no data for that value)
+      await prisma.usageMetric.create({
+        data: {
+          subscriptionId,
+          metricsAvailable: usage.metricsAvailable,
+          cpuUsage: usage.cpuUsage,
+          memUsage: usage.memUsage,
+          storageUsage: usage.storageUsage,
+          networkIn: usage.networkIn,
+          networkOut: usage.networkOut,
+          recordedAt: new Date(),
+        },
+      });
+
+      logger.debug(
+        `Metrics collected for service instance ${serviceInstanceId}`
+      );
+      return { success: true, ...usage };
     } catch (error) {
       logger.error(
         `Error collecting metrics for service instance ${job.data.serviceInstanceId}:`,
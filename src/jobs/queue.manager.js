@@ -78,6 +78,18 @@ class QueueManager {
         },
       });
 
+      await this.createQueue("webhook-jobs", {
+        defaultJobOptions: {
+          removeOnComplete: 50,
+          removeOnFail: 100,
+          attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+          backoff: {
+            type: "exponential",
+            delay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000,
+          },
+        },
+      });
+
       await this.createQueue("cleanup-jobs", {
         defaultJobOptions: {
           removeOnComplete: 5,
@@ -1,9 +1,19 @@
-import { expireSubscriptions } from "../services/subscription.service.js";
+import {
+  expireSubscriptions,
+  getDeployedStatus,
+  processAutoRenewals,
+  processPauseExpirations,
+  processScheduledCancellations,
+  processSubscriptionLifecycle,
+  processTrialConversions,
+  processTrialReminders,
+} from "../services/subscription.service.js";
 import { createPod } from "../services/pod.service.js";
 import { templateUtils } from "../utils/template.util.js";
 import { prisma } from "../config/database.js";
 import queueManager from "./queue.manager.js";
 import logger from "../utils/logger.util.js";
+import { getCyclePrice } from "../utils/billing-cycle.util.js";
 
 /**
  * Subscription Background Jobs
@@ -24,8 +34,12 @@ export const subscriptionJobs = {
         "subscription-jobs",
         {
           "check-expiry": this.checkSubscriptionExpiry,
+          "auto-renew": this.processAutoRenewals,
+          "convert-trials": this.processTrialConversions,
+          "send-trial-reminders": this.sendTrialReminders,
           "send-expiry-warning": this.sendExpiryWarning,
           "cleanup-expired": this.cleanupExpiredSubscriptions,
+          "resume-paused": this.resumePausedSubscriptions,
           "retry-pod-creation": this.retryPodCreation,
           "collect-usage-metrics": this.collectUsageMetrics,
         },
@@ -53,6 +67,33 @@ export const subscriptionJobs = {
         { priority: 10 }
       );
 
+      // Renew auto-renew subscriptions every hour, offset from the expiry check
+      await queueManager.addRecurringJob(
+        "subscription-jobs",
+        "auto-renew",
+        {},
+        "30 * * * *", // Every hour at minute 30
+        { priority: 9 }
+      );
+
+      // Convert or suspend ended trials every hour
+      await queueManager.addRecurringJob(
+        "subscription-jobs",
+        "convert-trials",
+        {},
+        "15 * * * *", // Every hour at minute 15
+        { priority: 9 }
+      );
+
+      // Remind users of trials ending soon daily at 9 AM
+      await queueManager.addRecurringJob(
+        "subscription-jobs",
+        "send-trial-reminders",
+        {},
+        "0 9 * * *", // Daily at 9 AM
+        { priority: 5 }
+      );
+
       // Send expiry warnings daily at 9 AM
       await queueManager.addRecurringJob(
         "subscription-jobs",
@@ -62,15 +103,24 @@ export const subscriptionJobs = {
         { priority: 5 }
       );
 
-      // Cleanup expired subscriptions daily at 2 AM
+      // Suspend expired subscriptions after their grace period and delete their data after retention
       await queueManager.addRecurringJob(
         "subscription-jobs",
         "cleanup-expired",
         {},
-        "0 2 * * *", // Daily at 2 AM
+        "45 * * * *", // Every hour at minute 45
         { priority: 3 }
       );
 
+      // Resume paused subscriptions whose pause has run out every hour
+      await queueManager.addRecurringJob(
+        "subscription-jobs",
+        "resume-paused",
+        {},
+        "5 * * * *", // Every hour at minute 5
+        { priority: 8 }
+      );
+
       // Collect usage metrics every 15 minutes
       await queueManager.addRecurringJob(
         "subscription-jobs",
@@ -94,28 +144,77 @@ export const subscriptionJobs = {
     try {
       logger.info("Starting subscription expiry check");
 
-      const expiredCount = await expireSubscriptions();
+      // Subscriptions scheduled for cancellation end without a grace period
+      const cancelledCount = await processScheduledCancellations();
 
-      if (expiredCount > 0) {
-        // Schedule cleanup for expired subscriptions
-        await queueManager.addJob(
-          "subscription-jobs",
-          "cleanup-expired",
-          { expiredCount },
-          { delay: 5 * 60 * 1000 } // 5 minutes delay
-        );
-      }
+      // Expired subscriptions enter their grace period; cleanup-expired handles the later stages
+      const expiredCount = await expireSubscriptions();
 
       logger.info(
-        `Subscription expiry check completed. Expired: ${expiredCount}`
+        `Subscription expiry check completed. Expired: ${expiredCount}, Cancelled at period end: ${cancelledCount}`
       );
-      return { expiredCount };
+      return { expiredCount, cancelledCount };
     } catch (error) {
       logger.error("Error in subscription expiry check:", error);
       throw error;
     }
   },
 
+  /**
+   * Renew subscriptions with auto-renew enabled before they expire
+   */
+  async processAutoRenewals(job) {
+    try {
+      logger.info("Starting auto-renewal processing");
+
+      const result = await processAutoRenewals();
+
+      logger.info(
+        `Auto-renewal processing completed. Renewed: ${result.renewed}, Failed: ${result.failed}`
+      );
+      return result;
+    } catch (error) {
+      logger.error("Error in auto-renewal processing:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Charge or suspend trials that have ended
+   */
+  async processTrialConversions(job) {
+    try {
+      logger.info("Starting trial conversion processing");
+
+      const result = await processTrialConversions();
+
+      logger.info(
+        `Trial conversion processing completed. Converted: ${result.converted}, Suspended: ${result.suspended}`
+      );
+      return result;
+    } catch (error) {
+      logger.error("Error in trial conversion processing:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Send reminders for trials ending soon
+   */
+  async sendTrialReminders(job) {
+    try {
+      logger.info("Starting trial reminder notifications");
+
+      const result = await processTrialReminders();
+
+      logger.info(`Trial reminder notifications queued: ${result.reminded}`);
+      return result;
+    } catch (error) {
+      logger.error("Error in trial reminder job:", error);
+      throw error;
+    }
+  },
+
   /**
    * Send expiry warning notifications
    */
@@ -130,6 +229,7 @@ export const subscriptionJobs = {
       const expiringSubscriptions = await prisma.subscription.findMany({
         where: {
           status: "ACTIVE",
+          cancelAtPeriodEnd: false,
           expiresAt: {
             lte: threeDaysFromNow,
             gte: new Date(),
@@ -140,7 +240,12 @@ export const subscriptionJobs = {
             select: { id: true, name: true, email: true },
           },
           service: {
-            select: { displayName: true, monthlyPrice: true },
+            select: {
+              displayName: true,
+              monthlyPrice: true,
+              quarterlyPrice: true,
+              yearlyPrice: true,
+            },
           },
         },
       });
@@ -160,7 +265,10 @@ export const subscriptionJobs = {
               userName: subscription.user.name,
               serviceName: subscription.service.displayName,
               expiresAt: subscription.expiresAt,
-              renewalPrice: subscription.service.monthlyPrice,
+              renewalPrice: getCyclePrice(
+                subscription.service,
+                subscription.billingCycle
+              ),
             },
             { priority: 5 }
           );
@@ -183,93 +291,40 @@ export const subscriptionJobs = {
   },
 
   /**
-   * Cleanup expired subscriptions with 60-day grace period for PVCs
+   * Advance expired subscriptions through the lifecycle: suspend after the
+   * grace period, warn before data deletion, delete pod and volume after retention
    */
   async cleanupExpiredSubscriptions(job) {
     try {
-      logger.info(
-        "Starting expired subscription cleanup with 60-day grace period"
-      );
+      logger.info("Starting expired subscription lifecycle processing");
 
-      // Find subscriptions expired for more than 60 days (grace period)
-      const sixtyDaysAgo = new Date();
-      sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60);
+      const result = await processSubscriptionLifecycle();
 
-      const expiredSubscriptions = await prisma.subscription.findMany({
-        where: {
-          status: "EXPIRED",
-          expiresAt: {
-            lt: sixtyDaysAgo,
-          },
-        },
-        include: {
-          serviceInstance: true,
-          service: true,
-        },
-      });
-
-      let cleanedCount = 0;
-
-      for (const subscription of expiredSubscriptions) {
-        try {
-          // Delete associated pod and PVC if exists
-          if (subscription.serviceInstance) {
-            await queueManager.addJob(
-              "pod-jobs",
-              "delete-pod",
-              {
-                serviceInstanceId: subscription.serviceInstance.id,
-                reason: "subscription-expired-cleanup-60days",
-                deletePVC: true, // Ensure PVC is deleted after grace period
-              },
-              { priority: 3 }
-            );
-
-            logger.info(
-              `Scheduled pod and PVC deletion for expired subscription ${subscription.id} ` +
-                `(expired ${Math.floor(
-                  (new Date() - new Date(subscription.expiresAt)) /
-                    (1000 * 60 * 60 * 24)
-                )} days ago)`
-            );
-          }
+      logger.info(
+        `Expired subscription lifecycle completed. Suspended: ${result.suspended}, Warned: ${result.warned}, Deleted: ${result.deleted}`
+      );
+      return result;
+    } catch (error) {
+      logger.error("Error in expired subscription cleanup:", error);
+      throw error;
+    }
+  },
 
-          // Update subscription status to DELETED
-          await prisma.subscription.update({
-            where: { id: subscription.id },
-            data: { status: "DELETED" },
-          });
-
-          // Restore service quota
-          if (
-            subscription.service.availableQuota !== null &&
-            subscription.service.availableQuota !== -1
-          ) {
-            await prisma.serviceCatalog.update({
-              where: { id: subscription.serviceId },
-              data: {
-                availableQuota: {
-                  increment: 1,
-                },
-              },
-            });
-          }
+  /**
+   * Resume paused subscriptions whose pause has run out
+   */
+  async resumePausedSubscriptions(job) {
+    try {
+      logger.info("Starting paused subscription resume job");
 
-          cleanedCount++;
-        } catch (cleanupError) {
-          logger.error(
-            `Failed to cleanup subscription ${subscription.id}:`,
-            cleanupError
-          );
-        }
-      }
+      const result = await processPauseExpirations();
 
       logger.info(
-        `Expired subscription cleanup completed: ${cleanedCount} subscriptions cleaned after 60-day grace period`
+        `Paused subscription resume completed. Resumed ${result.resumed} of ${result.due}`
       );
-      return { cleanedCount, totalExpired: expiredSubscriptions.length };
+      return result;
     } catch (error) {
-      logger.error("Error in expired subscription cleanup:", error);
+      logger.error("Error in paused subscription resume job:", error);
       throw error;
     }
   },
@@ -319,10 +374,10 @@ export const subscriptionJobs = {
       // Create pod
       const serviceInstance = await createPod(subscription.id, serviceConfig);
 
-      // Update subscription status
+      // Update subscription status (trials keep running as TRIALING)
       await prisma.subscription.update({
         where: { id: subscriptionId },
-        data: { status: "ACTIVE" },
+        data: { status: getDeployedStatus(subscription) },
       });
 
       logger.info(
@@ -362,10 +417,10 @@ export const subscriptionJobs = {
     try {
       logger.info("Starting usage metrics collection");
 
-      // Get active subscriptions with service instances
+      // Get active and trialing subscriptions with service instances
       const activeSubscriptions = await prisma.subscription.findMany({
         where: {
-          status: "ACTIVE",
+          status: { in: ["ACTIVE", "TRIALING"] },
           serviceInstance: {
             isNot: null,
           },
@@ -0,0 +1,182 @@
+import axios from "axios";
+import { prisma } from "../config/database.js";
+import { generateHmacSignature } from "../utils/crypto.util.js";
+import { assertPublicUrl, safeLookup } from "../utils/url-safety.util.js";
+import queueManager from "./queue.manager.js";
+import logger from "../utils/logger.util.js";
+
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT) || 30000;
+// Response excerpt kept for support; it is never returned to the webhook owner
+const MAX_RESPONSE_BODY_LENGTH = 200;
+
+/**
+ * Webhook Background Jobs
+ * Delivers signed webhook payloads through Bull queues.
+ * Retries use the webhook-jobs queue's exponential backoff.
+ *
+ * Each request carries:
+ *   X-Webhook-Id, X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *
+ * Requests only go to public addresses: the URL is checked again before each
+ * attempt and the resolved address when connecting, and redirects are not
+ * followed.
+ */
+export const webhookJobs = {
+  /**
+   * Initialize webhook job processors
+   */
+  async initialize() {
+    try {
+      if (!queueManager.isReady()) {
+        throw new Error("Queue manager not initialized");
+      }
+
+      await queueManager.processJobs(
+        "webhook-jobs",
+        {
+          "deliver-webhook": this.deliverWebhook,
+        },
+        5
+      ); // Process 5 deliveries concurrently
+
+      logger.info("Webhook job processors initialized");
+    } catch (error) {
+      logger.error("Failed to initialize webhook jobs:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deliver a webhook payload
+   * Throws on non-2xx responses so Bull schedules the next attempt
+   */
+  async deliverWebhook(job) {
+    const { deliveryId } = job.data;
+    const maxAttempts = job.opts.attempts || 1;
+    const isFinalAttempt = job.attemptsMade + 1 >= maxAttempts;
+
+    const delivery = await prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+      include: { webhook: true },
+    });
+
+    if (!delivery) {
+      logger.warn(`Webhook delivery ${deliveryId} not found, skipping`);
+      return { success: false, reason: "Delivery not found" };
+    }
+
+    if (!delivery.webhook.isActive) {
+      await prisma.webhookDelivery.update({
+        where: { id: deliveryId },
+        data: {
+          status: "FAILED",
+          responseBody: "Webhook is disabled",
+        },
+      });
+      return { success: false, reason: "Webhook is disabled" };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = generateHmacSignature(
+      `${timestamp}.${body}`,
+      delivery.webhook.secret
+    );
+
+    let responseCode = null;
+    let responseBody = null;
+    let deliveryError = null;
+
+    try {
+      await assertPublicUrl(delivery.webhook.url);
+
+      const response = await axios.post(delivery.webhook.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "PaaS-Webhooks/1.0",
+          "X-Webhook-Id": delivery.webhook.id,
+          "X-Webhook-Event": delivery.eventType,
+          "X-Webhook-Delivery": delivery.id,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signature}`,
+        },
+        timeout: WEBHOOK_TIMEOUT,
+        maxRedirects: 0,
+        lookup: safeLookup, // Refuses private addresses at connection time
+        responseType: "text",
+        transformResponse: [(data) => data],
+        validateStatus: () => true, // Status codes are handled below
+      });
+
+      responseCode = response.status;
+      responseBody =
+        typeof response.data === "string"
+          ? response.data.slice(0, MAX_RESPONSE_BODY_LENGTH)
+          : null;
+
+      if (response.status < 200 || response.status >= 300) {
+        deliveryError = new Error(
+          `Webhook endpoint responded with status ${response.status}`
+        );
+      }
+    } catch (requestError) {
+      responseBody = requestError.message.slice(0, MAX_RESPONSE_BODY_LENGTH);
+      deliveryError = new Error(
+        `Webhook request failed: ${requestError.message}`
+      );
+    }
+
+    const status = !deliveryError
+      ? "DELIVERED"
+      : isFinalAttempt
+      ? "FAILED"
+      : "RETRYING";
+
+    await prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: {
+        status,
+        attempts: { increment: 1 },
+        lastAttempt: new Date(),
+        responseCode,
+        responseBody,
+      },
+    });
+
+    if (deliveryError) {
+      logger.warn(
+        `Webhook delivery ${deliveryId} attempt ${
+          job.attemptsMade + 1
+        }/${maxAttempts} failed: ${deliveryError.message}`
+      );
+      throw deliveryError;
+    }
+
+    logger.info(
+      `Delivered webhook ${delivery.eventType} (${deliveryId}) to ${delivery.webhook.url}`
+    );
+    return { success: true, deliveryId, responseCode };
+  },
+
+  /**
+   * Queue a webhook delivery
+   */
+  async queueDelivery(deliveryId) {
+    try {
+      await queueManager.addJob(
+        "webhook-jobs",
+        "deliver-webhook",
+        { deliveryId },
+        { priority: 5 }
+      );
+
+      logger.info(`Queued webhook delivery ${deliveryId}`);
+    } catch (error) {
+      logger.error(`Failed to queue webhook delivery ${deliveryId}:`, error);
+      throw error;
+    }
+  },
+};
+
+export default webhookJobs;
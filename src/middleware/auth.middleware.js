@@ -1,14 +1,141 @@
-import { verifyAccessToken } from "../utils/crypto.util.js";
+import { verifyAccessToken, hashToken } from "../utils/crypto.util.js";
 import * as responseUtil from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
 import { prisma } from "../config/database.js";
 import { USER_ROLES } from "../utils/user-roles.util.js";
+import { isSessionActive, touchSession } from "../services/session.service.js";
+import { getSecuritySettings } from "../services/settings.service.js";
+import {
+  isApiKey,
+  findActiveApiKey,
+  touchApiKey,
+} from "../services/api-key.service.js";
+import {
+  findActiveImpersonation,
+  recordImpersonatedRequest,
+} from "../services/impersonation.service.js";
 
 /**
- * JWT Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Authenticate a request made with a personal API key
+ * Keys are only accepted on routes that name a scope the key was granted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} key - Raw API key
+ * @param {string} requiredScope - Scope the route requires, if it accepts API keys
+ */
+const authenticateApiKey = async (req, res, next, key, requiredScope) => {
+  if (!requiredScope) {
+    return res
+      .status(403)
+      .json(
+        responseUtil.error(
+          "API keys cannot be used for this endpoint. Please login instead.",
+          "API_KEY_NOT_ALLOWED",
+          403
+        )
+      );
+  }
+
+  const apiKey = await findActiveApiKey(key);
+
+  if (!apiKey) {
+    return res
+      .status(401)
+      .json(responseUtil.authError("Invalid, expired or revoked API key."));
+  }
+
+  if (!apiKey.user.isActive) {
+    return res
+      .status(401)
+      .json(
+        responseUtil.authError(
+          "Account is inactive. Please contact administrator."
+        )
+      );
+  }
+
+  if (!apiKey.scopes.includes(requiredScope)) {
+    return res
+      .status(403)
+      .json(
+        responseUtil.error(
+          `API key is missing the required scope: ${requiredScope}`,
+          "INSUFFICIENT_SCOPE",
+          403
+        )
+      );
+  }
+
+  // Update the key's last-used time without delaying the request
+  touchApiKey(apiKey.id, req.ip).catch((touchError) =>
+    logger.warn(`Failed to update API key activity: ${touchError.message}`)
+  );
+
+  req.user = apiKey.user;
+  req.userId = apiKey.user.id;
+  req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+
+  next();
+};
+
+/**
+ * Authenticate a request made with an impersonation token
+ * The token is only honoured while its stored session is open and the
+ * administrator who started it is still an active administrator
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {Object} decoded - Verified token payload
+ * @param {Object} user - Impersonated user
  */
-const authenticate = async (req, res, next) => {
+const authenticateImpersonation = async (req, res, next, decoded, user) => {
+  const impersonation = await findActiveImpersonation(
+    decoded.impersonationId,
+    user.id,
+    decoded.impersonatorId
+  );
+
+  if (!impersonation) {
+    return res
+      .status(401)
+      .json(responseUtil.authError("Impersonation session has ended."));
+  }
+
+  logger.warn("Impersonated request", {
+    impersonationId: impersonation.id,
+    adminId: impersonation.admin.id,
+    userId: user.id,
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip,
+  });
+
+  recordImpersonatedRequest(impersonation.id).catch((recordError) =>
+    logger.warn(`Failed to record impersonated request: ${recordError.message}`)
+  );
+
+  req.user = user;
+  req.userId = user.id;
+  req.impersonationId = impersonation.id;
+  req.impersonator = {
+    id: impersonation.admin.id,
+    email: impersonation.admin.email,
+    name: impersonation.admin.name,
+  };
+
+  next();
+};
+
+/**
+ * Authenticate a request with a Bearer JWT or, when the route names a
+ * scope, a personal API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} requiredScope - API key scope accepted by the route
+ */
+const authenticateRequest = async (req, res, next, requiredScope = null) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
@@ -25,6 +152,10 @@ const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
+    if (isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token, requiredScope);
+    }
+
     // Verify token
     const decoded = verifyAccessToken(token);
 
@@ -39,6 +170,7 @@ const authenticate = async (req, res, next) => {
         name: true,
         role: true,
         isActive: true,
+        twoFactorEnabled: true,
         createdAt: true,
       },
     });
@@ -62,9 +194,30 @@ const authenticate = async (req, res, next) => {
         );
     }
 
+    if (decoded.impersonationId) {
+      return await authenticateImpersonation(req, res, next, decoded, user);
+    }
+
+    // Access tokens are bound to a refresh token family; logout, password
+    // changes and deactivation revoke the family and end the session
+    if (
+      !decoded.sessionId ||
+      !(await isSessionActive(decoded.sessionId, user.id))
+    ) {
+      return res
+        .status(401)
+        .json(responseUtil.authError("Session has ended. Please login again."));
+    }
+
+    // Update the session's last-seen time without delaying the request
+    touchSession(decoded.sessionId, req.ip).catch((touchError) =>
+      logger.warn(`Failed to update session activity: ${touchError.message}`)
+    );
+
     // Attach user to request
     req.user = user;
     req.userId = user.id;
+    req.sessionId = decoded.sessionId;
 
     next();
   } catch (error) {
@@ -94,12 +247,47 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * JWT Authentication middleware
+ * Verifies JWT token and attaches user to request. API keys are rejected;
+ * use authenticateWithScope on routes that should accept them.
+ */
+const authenticate = (req, res, next) => authenticateRequest(req, res, next);
+
+/**
+ * Authentication middleware for routes that also accept API keys
+ * Login sessions pass as with authenticate; API keys need the given scope
+ * @param {string} scope - Required API key scope (see API_KEY_SCOPES)
+ */
+const authenticateWithScope = (scope) => (req, res, next) =>
+  authenticateRequest(req, res, next, scope);
+
+/**
+ * Check whether an administrator is blocked from admin-only routes
+ * because two-factor authentication is required but not enabled
+ * @param {Object} user - Authenticated user
+ * @param {Array} allowedRoles - Roles allowed on the route
+ * @returns {Promise<boolean>} True if access must be refused
+ */
+const isMissingRequiredTwoFactor = async (user, allowedRoles) => {
+  if (
+    user.role !== USER_ROLES.ADMINISTRATOR ||
+    user.twoFactorEnabled ||
+    allowedRoles.includes(USER_ROLES.USER)
+  ) {
+    return false;
+  }
+
+  const { requireAdminTwoFactor } = await getSecuritySettings();
+  return requireAdminTwoFactor;
+};
+
 /**
  * Authorization middleware - check user roles
  * @param {Array} allowedRoles - Array of allowed roles
  */
 const authorize = (allowedRoles = []) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res
         .status(401)
@@ -120,10 +308,55 @@ const authorize = (allowedRoles = []) => {
         .json(responseUtil.forbiddenError("Insufficient permissions"));
     }
 
+    try {
+      if (await isMissingRequiredTwoFactor(req.user, allowedRoles)) {
+        return res
+          .status(403)
+          .json(
+            responseUtil.error(
+              "Two-factor authentication is required for administrators. Enable it at /auth/2fa/setup.",
+              "TWO_FACTOR_REQUIRED",
+              403
+            )
+          );
+      }
+    } catch (error) {
+      logger.error("Authorization error:", error);
+      return res.status(500).json(responseUtil.error("Authorization failed"));
+    }
+
     next();
   };
 };
 
+/**
+ * Block actions support staff must not take on a user's behalf
+ * (payments, credentials, account deletion) while impersonating
+ */
+const preventImpersonation = (req, res, next) => {
+  if (req.impersonationId) {
+    logger.warn("Blocked impersonated request", {
+      impersonationId: req.impersonationId,
+      adminId: req.impersonator?.id,
+      userId: req.userId,
+      method: req.method,
+      url: req.originalUrl,
+    });
+
+    return res
+      .status(403)
+      .json(
+        responseUtil.error(
+          "This action is not available while impersonating a user",
+          "IMPERSONATION_FORBIDDEN",
+          403
+        )
+      );
+  }
+
+  next();
+};
+
 /**
  * Optional authentication middleware
  * Attaches user if token is valid, but doesn't require it
@@ -153,10 +386,16 @@ const optionalAuth = async (req, res, next) => {
       },
     });
 
-    // Only attach user if they exist and are active
-    if (user && user.isActive) {
+    // Only attach user if they exist, are active and the session is live
+    if (
+      user &&
+      user.isActive &&
+      decoded.sessionId &&
+      (await isSessionActive(decoded.sessionId, user.id))
+    ) {
       req.user = user;
       req.userId = user.id;
+      req.sessionId = decoded.sessionId;
     }
 
     next();
@@ -166,6 +405,56 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Worker bootstrap token authentication middleware
+ * Accepts "Authorization: Bearer <token>" or "X-Worker-Token: <token>"
+ * and attaches the token record (including its bound nodeName) to the request
+ */
+const authenticateWorker = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token =
+      authHeader && authHeader.startsWith("Bearer ")
+        ? authHeader.substring(7)
+        : req.headers["x-worker-token"];
+
+    if (!token) {
+      return res
+        .status(401)
+        .json(
+          responseUtil.authError(
+            "Worker authentication required. Please provide a bootstrap token."
+          )
+        );
+    }
+
+    const workerToken = await prisma.workerBootstrapToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+    });
+
+    if (
+      !workerToken ||
+      workerToken.revokedAt ||
+      (workerToken.expiresAt && workerToken.expiresAt < new Date())
+    ) {
+      return res
+        .status(401)
+        .json(
+          responseUtil.authError("Invalid, expired or revoked worker token.")
+        );
+    }
+
+    req.workerToken = workerToken;
+
+    next();
+  } catch (error) {
+    logger.error("Worker authentication error:", error);
+    return res
+      .status(500)
+      .json(responseUtil.error("Worker authentication failed"));
+  }
+};
+
 /**
  * Administrator only middleware
  */
@@ -186,8 +475,11 @@ const userOrAdmin = [
 
 export {
   authenticate,
+  authenticateWithScope,
   authorize,
+  preventImpersonation,
   optionalAuth,
+  authenticateWorker,
   adminOnly,
   superAdminOnly,
   userOrAdmin,
@@ -5,6 +5,11 @@ import { midtransService } from "../services/midtrans.service.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
 import { createResponse } from "../utils/response.util.js";
 import logger from "../utils/logger.util.js";
+import {
+  ORGANIZATION_PERMISSIONS,
+  hasOrganizationPermission,
+} from "../utils/organization-roles.util.js";
+import { getMembership } from "../services/organization.service.js";
 
 /**
  * Check if user has sufficient balance for subscription
@@ -13,7 +18,10 @@ export const checkSufficientBalance = (requiredAmount) => {
   return async (req, res, next) => {
     try {
       const userId = req.user.id;
-      const userBalance = await balanceService.getUserBalance(userId);
+      const userBalance = await balanceService.getUserBalance(
+        userId,
+        req.organizationId
+      );
 
       if (userBalance.balance < requiredAmount) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json(
@@ -81,27 +89,39 @@ export const validateMidtransSignature = async (req, res, next) => {
 
 /**
  * Check if user owns the resource (top-up, invoice, etc.)
+ * Organization resources need the permission in the owning organization
  */
-export const checkResourceOwnership = (resourceType) => {
+export const checkResourceOwnership = (
+  resourceType,
+  permission = ORGANIZATION_PERMISSIONS.BILLING_READ
+) => {
   return async (req, res, next) => {
     try {
       const userId = req.user.id;
       const resourceId = req.params.id;
+      const select = { id: true, userId: true, organizationId: true };
 
       let resource = null;
 
       switch (resourceType) {
         case "topup":
-          resource = await prisma.topUpTransaction.findFirst({
-            where: { id: resourceId, userId },
-            select: { id: true, userId: true },
+          resource = await prisma.topUpTransaction.findUnique({
+            where: { id: resourceId },
+            select,
           });
           break;
 
         case "invoice":
-          resource = await prisma.invoice.findFirst({
-            where: { id: resourceId, userId },
-            select: { id: true, userId: true },
+          resource = await prisma.invoice.findUnique({
+            where: { id: resourceId },
+            select,
+          });
+          break;
+
+        case "transaction":
+          resource = await prisma.transaction.findUnique({
+            where: { id: resourceId },
+            select,
           });
           break;
 
@@ -111,7 +131,16 @@ export const checkResourceOwnership = (resourceType) => {
             .json(createResponse(false, "Invalid resource type"));
       }
 
-      if (!resource) {
+      let membership = null;
+      if (resource?.organizationId) {
+        membership = await getMembership(resource.organizationId, userId);
+      }
+
+      const hasAccess = resource?.organizationId
+        ? membership && hasOrganizationPermission(membership.role, permission)
+        : resource?.userId === userId;
+
+      if (!hasAccess) {
         return res
           .status(HTTP_STATUS.NOT_FOUND)
           .json(
@@ -120,6 +149,8 @@ export const checkResourceOwnership = (resourceType) => {
       }
 
       req.resource = resource;
+      req.organizationId = resource.organizationId;
+      req.organizationRole = membership?.role || null;
       next();
     } catch (error) {
       logger.error(`Error checking ${resourceType} ownership:`, error);
@@ -328,6 +359,7 @@ export const logBillingOperation = (operation) => {
 
     logger.info(`Billing operation: ${operation}`, {
       userId,
+      impersonatorId: req.impersonator?.id,
       operation,
       ip,
       userAgent,
@@ -0,0 +1,26 @@
+import { httpRequestDuration } from "../utils/metrics.util.js";
+
+/**
+ * HTTP metrics middleware
+ * Records request duration labelled by the matched route pattern
+ * (e.g. /api/v1/subscriptions/:id) to keep label cardinality bounded
+ */
+const metricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+
+  res.on("finish", () => {
+    const route = req.route
+      ? `${req.baseUrl}${req.route.path === "/" ? "" : req.route.path}` || "/"
+      : "unmatched";
+
+    endTimer({
+      method: req.method,
+      route,
+      status_code: res.statusCode,
+    });
+  });
+
+  next();
+};
+
+export default metricsMiddleware;
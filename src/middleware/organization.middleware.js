@@ -0,0 +1,187 @@
+import * as responseUtil from "../utils/response.util.js";
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { USER_ROLES } from "../utils/user-roles.util.js";
+import { hasOrganizationPermission } from "../utils/organization-roles.util.js";
+import { getMembership } from "../services/organization.service.js";
+
+/**
+ * Organization access middleware
+ *
+ * Sets req.organizationId (null for the personal account) and
+ * req.organizationRole for the controllers and services downstream.
+ */
+
+/**
+ * Respond with 403 for a member whose role lacks the permission
+ * @param {Object} res - Express response object
+ * @param {string} role - Member's organization role
+ */
+const sendPermissionDenied = (res, role) =>
+  res
+    .status(403)
+    .json(
+      responseUtil.error(
+        `Your organization role (${role}) does not allow this action`,
+        "ORGANIZATION_PERMISSION_DENIED",
+        403
+      )
+    );
+
+/**
+ * Check that the user is a member with the given permission
+ * @param {Object} res - Express response object
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - User ID
+ * @param {string} permission - Required organization permission
+ * @returns {Promise<Object|null>} Membership, or null after sending an error response
+ */
+const checkMembership = async (res, organizationId, userId, permission) => {
+  const membership = await getMembership(organizationId, userId);
+
+  if (!membership) {
+    res.status(404).json(responseUtil.notFoundError("Organization"));
+    return null;
+  }
+
+  if (!hasOrganizationPermission(membership.role, permission)) {
+    sendPermissionDenied(res, membership.role);
+    return null;
+  }
+
+  return membership;
+};
+
+/**
+ * Act for the organization named in the X-Organization-Id header
+ * Without the header the request uses the caller's personal account
+ * @param {string} permission - Organization permission the route requires
+ * @returns {Function} Express middleware
+ */
+const resolveOrganization = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const organizationId = req.get("X-Organization-Id");
+
+      if (!organizationId) {
+        req.organizationId = null;
+        return next();
+      }
+
+      const membership = await checkMembership(
+        res,
+        organizationId,
+        req.user.id,
+        permission
+      );
+      if (!membership) return;
+
+      req.organizationId = organizationId;
+      req.organizationRole = membership.role;
+      next();
+    } catch (error) {
+      logger.error("Organization resolution error:", error);
+      return res
+        .status(500)
+        .json(responseUtil.error("Failed to resolve organization"));
+    }
+  };
+};
+
+/**
+ * Require a permission in the organization from the :organizationId param
+ * @param {string} permission - Organization permission the route requires
+ * @returns {Function} Express middleware
+ */
+const requireOrganizationPermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const { organizationId } = req.params;
+
+      const membership = await checkMembership(
+        res,
+        organizationId,
+        req.user.id,
+        permission
+      );
+      if (!membership) return;
+
+      req.organizationId = organizationId;
+      req.organizationRole = membership.role;
+      next();
+    } catch (error) {
+      logger.error("Organization authorization error:", error);
+      return res
+        .status(500)
+        .json(responseUtil.error("Organization authorization failed"));
+    }
+  };
+};
+
+/**
+ * Authorize access to the subscription from the :id param
+ * Personal subscriptions must belong to the caller; organization
+ * subscriptions need the permission in the owning organization.
+ * Administrators keep their existing access to any subscription.
+ * @param {string} permission - Organization permission the route requires
+ * @returns {Function} Express middleware
+ */
+const authorizeSubscriptionAccess = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const subscription = await prisma.subscription.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, userId: true, organizationId: true },
+      });
+
+      if (!subscription) {
+        return res.status(404).json(responseUtil.notFoundError("Subscription"));
+      }
+
+      if (!subscription.organizationId) {
+        if (
+          subscription.userId !== req.user.id &&
+          req.user.role !== USER_ROLES.ADMINISTRATOR
+        ) {
+          return res
+            .status(404)
+            .json(responseUtil.notFoundError("Subscription"));
+        }
+
+        req.organizationId = null;
+        return next();
+      }
+
+      const membership = await getMembership(
+        subscription.organizationId,
+        req.user.id
+      );
+
+      if (!membership && req.user.role !== USER_ROLES.ADMINISTRATOR) {
+        return res.status(404).json(responseUtil.notFoundError("Subscription"));
+      }
+
+      if (
+        membership &&
+        !hasOrganizationPermission(membership.role, permission)
+      ) {
+        return sendPermissionDenied(res, membership.role);
+      }
+
+      req.organizationId = subscription.organizationId;
+      req.organizationRole = membership?.role || null;
+      next();
+    } catch (error) {
+      logger.error("Subscription authorization error:", error);
+      return res
+        .status(500)
+        .json(responseUtil.error("Subscription authorization failed"));
+    }
+  };
+};
+
+export {
+  resolveOrganization,
+  requireOrganizationPermission,
+  authorizeSubscriptionAccess,
+};
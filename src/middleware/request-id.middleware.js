@@ -0,0 +1,25 @@
+import { randomUUID } from "crypto";
+
+// Accept caller-supplied IDs only if they are short and log-safe
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Request ID middleware
+ * Reuses a valid X-Request-Id header (e.g. from a load balancer) or
+ * generates one, exposes it as req.id and echoes it in the response
+ * so log lines and audit entries can be matched to a request
+ */
+const requestIdMiddleware = (req, res, next) => {
+  const incomingId = req.get("X-Request-Id");
+
+  req.id =
+    incomingId && REQUEST_ID_PATTERN.test(incomingId)
+      ? incomingId
+      : randomUUID();
+
+  res.set("X-Request-Id", req.id);
+
+  next();
+};
+
+export default requestIdMiddleware;
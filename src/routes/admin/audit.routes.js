@@ -0,0 +1,38 @@
+import express from "express";
+import { adminOnly } from "../../middleware/auth.middleware.js";
+import * as auditController from "../../controllers/audit.controller.js";
+import {
+  validate,
+  auditQuerySchema,
+  auditExportQuerySchema,
+} from "../../validations/audit.validation.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/admin/audit
+ * @desc    List audit log entries, newest first (Admin only)
+ * @access  Private (Admin)
+ * @query   actorId, action, targetType, targetId, targetUserId, requestId, from, to, page, limit
+ */
+router.get(
+  "/",
+  adminOnly,
+  validate(auditQuerySchema, "query"),
+  auditController.getAuditLogs
+);
+
+/**
+ * @route   GET /api/v1/admin/audit/export
+ * @desc    Download audit log entries as CSV (Admin only)
+ * @access  Private (Admin)
+ * @query   actorId, action, targetType, targetId, targetUserId, requestId, from, to
+ */
+router.get(
+  "/export",
+  adminOnly,
+  validate(auditExportQuerySchema, "query"),
+  auditController.exportAuditLogs
+);
+
+export default router;
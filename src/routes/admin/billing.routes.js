@@ -6,6 +6,21 @@ import {
   getUserBillingOverview,
   getAllUsersBilling,
   adjustUserBalance,
+  getRefunds,
+  createRefund,
+  approveRefund,
+  rejectRefund,
+  getCoupons,
+  getCouponDetails,
+  createCoupon,
+  updateCoupon,
+  getReferrals,
+  approveReferral,
+  rejectReferral,
+  getReferralPayouts,
+  getTaxSettings,
+  updateTaxSettings,
+  getTaxReport,
 } from "../../controllers/admin-billing.controller.js";
 import { authenticate, adminOnly } from "../../middleware/auth.middleware.js";
 import {
@@ -18,6 +33,16 @@ import {
   transactionIdValidation,
   userIdValidation,
   balanceAdjustmentValidation,
+  invoiceIdValidation,
+  manualRefundValidation,
+  refundRejectionValidation,
+  couponIdValidation,
+  createCouponValidation,
+  updateCouponValidation,
+  referralIdValidation,
+  referralApprovalValidation,
+  referralRejectionValidation,
+  updateTaxSettingsValidation,
 } from "../../validations/billing.validation.js";
 
 const router = express.Router();
@@ -97,6 +122,182 @@ router.post(
   adjustUserBalance
 );
 
+/**
+ * Admin Refund Routes
+ * Refunds return balance and issue a credit note; those above
+ * REFUND_APPROVAL_THRESHOLD wait for a second administrator
+ */
+
+// GET /api/v1/admin/billing/refunds - List credit notes (?status=DRAFT for pending approval)
+router.get(
+  "/refunds",
+  authenticate,
+  adminOnly,
+  validatePagination,
+  logBillingOperation("admin_get_refunds"),
+  getRefunds
+);
+
+// POST /api/v1/admin/billing/users/:userId/refunds - Manual refund with reason
+router.post(
+  "/users/:userId/refunds",
+  authenticate,
+  adminOnly,
+  validate(userIdValidation, "params"),
+  validate(manualRefundValidation),
+  logBillingOperation("admin_create_refund"),
+  createRefund
+);
+
+// POST /api/v1/admin/billing/refunds/:id/approve - Approve a pending refund (not by its requester)
+router.post(
+  "/refunds/:id/approve",
+  authenticate,
+  adminOnly,
+  validate(invoiceIdValidation, "params"),
+  logBillingOperation("admin_approve_refund"),
+  approveRefund
+);
+
+// POST /api/v1/admin/billing/refunds/:id/reject - Reject a pending refund
+router.post(
+  "/refunds/:id/reject",
+  authenticate,
+  adminOnly,
+  validate(invoiceIdValidation, "params"),
+  validate(refundRejectionValidation),
+  logBillingOperation("admin_reject_refund"),
+  rejectRefund
+);
+
+/**
+ * Admin Coupon Routes
+ * Promo codes: a discount on subscriptions or bonus credit on top-ups
+ */
+
+// GET /api/v1/admin/billing/coupons - List coupons (?target=TOPUP&isActive=true&search=launch)
+router.get(
+  "/coupons",
+  authenticate,
+  adminOnly,
+  validatePagination,
+  logBillingOperation("admin_get_coupons"),
+  getCoupons
+);
+
+// POST /api/v1/admin/billing/coupons - Create coupon
+router.post(
+  "/coupons",
+  authenticate,
+  adminOnly,
+  validate(createCouponValidation),
+  logBillingOperation("admin_create_coupon"),
+  createCoupon
+);
+
+// GET /api/v1/admin/billing/coupons/:id - Coupon with redemption statistics
+router.get(
+  "/coupons/:id",
+  authenticate,
+  adminOnly,
+  validate(couponIdValidation, "params"),
+  logBillingOperation("admin_get_coupon_details"),
+  getCouponDetails
+);
+
+// PUT /api/v1/admin/billing/coupons/:id - Update limits, expiry or deactivate (discount terms are fixed)
+router.put(
+  "/coupons/:id",
+  authenticate,
+  adminOnly,
+  validate(couponIdValidation, "params"),
+  validate(updateCouponValidation),
+  logBillingOperation("admin_update_coupon"),
+  updateCoupon
+);
+
+/**
+ * Admin Referral Routes
+ * Referrals flagged by the same-IP/device checks wait here instead of being
+ * rewarded automatically
+ */
+
+// GET /api/v1/admin/billing/referrals - List referrals (?status=UNDER_REVIEW for the review queue, ?referrerId=)
+router.get(
+  "/referrals",
+  authenticate,
+  adminOnly,
+  validatePagination,
+  logBillingOperation("admin_get_referrals"),
+  getReferrals
+);
+
+// GET /api/v1/admin/billing/referrals/payouts - Referral rewards paid (?startDate=&endDate=)
+router.get(
+  "/referrals/payouts",
+  authenticate,
+  adminOnly,
+  validateDateRange,
+  logBillingOperation("admin_get_referral_payouts"),
+  getReferralPayouts
+);
+
+// POST /api/v1/admin/billing/referrals/:id/approve - Approve a flagged referral and pay both rewards
+router.post(
+  "/referrals/:id/approve",
+  authenticate,
+  adminOnly,
+  validate(referralIdValidation, "params"),
+  validate(referralApprovalValidation),
+  logBillingOperation("admin_approve_referral"),
+  approveReferral
+);
+
+// POST /api/v1/admin/billing/referrals/:id/reject - Reject a flagged referral
+router.post(
+  "/referrals/:id/reject",
+  authenticate,
+  adminOnly,
+  validate(referralIdValidation, "params"),
+  validate(referralRejectionValidation),
+  logBillingOperation("admin_reject_referral"),
+  rejectReferral
+);
+
+/**
+ * Admin Tax Routes
+ * PPN (Indonesian VAT) on subscription invoices
+ */
+
+// GET /api/v1/admin/billing/tax/settings - Get PPN rate and whether prices include it
+router.get(
+  "/tax/settings",
+  authenticate,
+  adminOnly,
+  logBillingOperation("admin_get_tax_settings"),
+  getTaxSettings
+);
+
+// PUT /api/v1/admin/billing/tax/settings - Update PPN rate or inclusive pricing (applies to new invoices)
+router.put(
+  "/tax/settings",
+  authenticate,
+  adminOnly,
+  validate(updateTaxSettingsValidation),
+  logBillingOperation("admin_update_tax_settings"),
+  updateTaxSettings
+);
+
+// GET /api/v1/admin/billing/tax/report - PPN summary per month and rate (?startDate=&endDate=)
+router.get(
+  "/tax/report",
+  authenticate,
+  adminOnly,
+  validateDateRange,
+  logBillingOperation("admin_get_tax_report"),
+  getTaxReport
+);
+
 /**
  * Health Check Route
  */
@@ -0,0 +1,31 @@
+import express from "express";
+import { adminOnly } from "../../middleware/auth.middleware.js";
+import * as securityController from "../../controllers/security.controller.js";
+import {
+  validate,
+  updateSecuritySettingsSchema,
+} from "../../validations/security.validation.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/admin/security/settings
+ * @desc    Get platform security settings (Admin only)
+ * @access  Private (Admin)
+ */
+router.get("/settings", adminOnly, securityController.getSecuritySettings);
+
+/**
+ * @route   PUT /api/v1/admin/security/settings
+ * @desc    Update platform security settings, e.g. require 2FA for administrators (Admin only)
+ * @access  Private (Admin)
+ * @body    requireAdminTwoFactor, requireVerifiedEmailForPurchases
+ */
+router.put(
+  "/settings",
+  adminOnly,
+  validate(updateSecuritySettingsSchema),
+  securityController.updateSecuritySettings
+);
+
+export default router;
@@ -11,6 +11,8 @@ import {
   getUserSubscriptionsQueryValidation,
   subscriptionIdValidation,
   userIdValidation,
+  updateLifecycleSettingsValidation,
+  updatePauseSettingsValidation,
 } from "../../validations/admin-subscription.validation.js";
 
 const router = express.Router();
@@ -25,6 +27,54 @@ router.use(adminOnly);
  */
 router.get("/stats", adminSubscriptionController.getSubscriptionStats);
 
+/**
+ * @route   GET /api/v1/admin/subscriptions/trials/stats
+ * @desc    Get trial conversion statistics overall and per service variant
+ * @access  Admin
+ */
+router.get("/trials/stats", adminSubscriptionController.getTrialStats);
+
+/**
+ * @route   GET /api/v1/admin/subscriptions/lifecycle/settings
+ * @desc    Get expiry lifecycle settings (grace period, data retention, deletion warning)
+ * @access  Admin
+ */
+router.get(
+  "/lifecycle/settings",
+  adminSubscriptionController.getLifecycleSettings
+);
+
+/**
+ * @route   PUT /api/v1/admin/subscriptions/lifecycle/settings
+ * @desc    Update expiry lifecycle settings; applies to subscriptions entering a stage from now on
+ * @access  Admin
+ * @body    gracePeriodDays, dataRetentionDays, deletionWarningDays
+ */
+router.put(
+  "/lifecycle/settings",
+  validate(updateLifecycleSettingsValidation, "body"),
+  adminSubscriptionController.updateLifecycleSettings
+);
+
+/**
+ * @route   GET /api/v1/admin/subscriptions/pause/settings
+ * @desc    Get pause limits (maximum pause length, pauses per year)
+ * @access  Admin
+ */
+router.get("/pause/settings", adminSubscriptionController.getPauseSettings);
+
+/**
+ * @route   PUT /api/v1/admin/subscriptions/pause/settings
+ * @desc    Update pause limits; maxPausesPerYear 0 disables pausing
+ * @access  Admin
+ * @body    maxPauseDays, maxPausesPerYear
+ */
+router.put(
+  "/pause/settings",
+  validate(updatePauseSettingsValidation, "body"),
+  adminSubscriptionController.updatePauseSettings
+);
+
 /**
  * @route   GET /api/v1/admin/subscriptions
  * @desc    Get all subscriptions with filtering and pagination
@@ -7,6 +7,9 @@ import {
   updateUserSchema,
   changeUserPasswordSchema,
   userIdSchema,
+  userSessionParamsSchema,
+  impersonateUserSchema,
+  impersonationQuerySchema,
   getUsersQuerySchema,
 } from "../../validations/user.validation.js";
 
@@ -97,9 +100,97 @@ router.patch(
   userController.toggleUserStatus
 );
 
+/**
+ * @route   GET /api/v1/users/:id/sessions
+ * @desc    Get active sessions (devices) of a user (Admin only)
+ * @access  Private (Admin)
+ */
+router.get(
+  "/:id/sessions",
+  adminOnly,
+  validate(userIdSchema, "params"),
+  userController.getUserSessions
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/sessions
+ * @desc    Sign out every session of a user without deactivating (Admin only)
+ * @access  Private (Admin)
+ */
+router.delete(
+  "/:id/sessions",
+  adminOnly,
+  validate(userIdSchema, "params"),
+  userController.revokeAllUserSessions
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/sessions/:sessionId
+ * @desc    Sign out one session of a user (Admin only)
+ * @access  Private (Admin)
+ */
+router.delete(
+  "/:id/sessions/:sessionId",
+  adminOnly,
+  validate(userSessionParamsSchema, "params"),
+  userController.revokeUserSession
+);
+
+/**
+ * @route   POST /api/v1/users/:id/unlock
+ * @desc    Lift a sign-in lockout after failed login attempts (Admin only)
+ * @access  Private (Admin)
+ */
+router.post(
+  "/:id/unlock",
+  adminOnly,
+  validate(userIdSchema, "params"),
+  userController.unlockUser
+);
+
+/**
+ * @route   POST /api/v1/users/:id/impersonate
+ * @desc    Start a time-limited impersonation of a user (Admin only)
+ * @access  Private (Admin)
+ * @body    reason, durationMinutes
+ */
+router.post(
+  "/:id/impersonate",
+  adminOnly,
+  validate(userIdSchema, "params"),
+  validate(impersonateUserSchema),
+  userController.impersonateUser
+);
+
+/**
+ * @route   GET /api/v1/users/:id/impersonations
+ * @desc    Get the impersonation history of a user (Admin only)
+ * @access  Private (Admin)
+ * @query   page, limit
+ */
+router.get(
+  "/:id/impersonations",
+  adminOnly,
+  validate(userIdSchema, "params"),
+  validate(impersonationQuerySchema, "query"),
+  userController.getUserImpersonations
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/impersonations
+ * @desc    End every active impersonation of a user (Admin only)
+ * @access  Private (Admin)
+ */
+router.delete(
+  "/:id/impersonations",
+  adminOnly,
+  validate(userIdSchema, "params"),
+  userController.endUserImpersonations
+);
+
 /**
  * @route   DELETE /api/v1/users/:id
- * @desc    Delete user (Admin only)
+ * @desc    Delete user: remove their pods and anonymise the account (Admin only)
  * @access  Private (Admin)
  */
 router.delete(
@@ -5,6 +5,9 @@ import {
   validate,
   queryWorkerNodesSchema,
   workerNodeIdOrNameSchema,
+  issueBootstrapTokenSchema,
+  bootstrapTokenQuerySchema,
+  bootstrapTokenIdSchema,
 } from "../../validations/worker.validation.js";
 
 const router = express.Router();
@@ -34,6 +37,35 @@ router.get("/offline", adminOnly, workerController.getOfflineWorkerNodes);
 // POST /api/v1/admin/workers/sync - Sync cluster state with database
 router.post("/sync", adminOnly, workerController.syncClusterState);
 
+/**
+ * Worker Bootstrap Token Routes
+ * Tokens authenticate worker agents on /api/v1/workers/register and heartbeat
+ */
+
+// GET /api/v1/admin/workers/tokens - List bootstrap tokens
+router.get(
+  "/tokens",
+  adminOnly,
+  validate(bootstrapTokenQuerySchema, "query"),
+  workerController.getBootstrapTokens
+);
+
+// POST /api/v1/admin/workers/tokens - Issue bootstrap token for a node
+router.post(
+  "/tokens",
+  adminOnly,
+  validate(issueBootstrapTokenSchema),
+  workerController.issueBootstrapToken
+);
+
+// DELETE /api/v1/admin/workers/tokens/:tokenId - Revoke bootstrap token
+router.delete(
+  "/tokens/:tokenId",
+  adminOnly,
+  validate(bootstrapTokenIdSchema, "params"),
+  workerController.revokeBootstrapToken
+);
+
 // GET /api/v1/admin/workers/:nodeId - Get worker node by ID or name with live data
 router.get(
   "/:nodeId",
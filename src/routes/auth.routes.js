@@ -1,6 +1,9 @@
 import express from "express";
 import * as authController from "../controllers/auth.controller.js";
-import { authenticate } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  preventImpersonation,
+} from "../middleware/auth.middleware.js";
 import {
   validate,
   registerSchema,
@@ -9,6 +12,22 @@ import {
   updateProfileSchema,
   refreshTokenSchema,
   googleOAuthSchema,
+  twoFactorLoginSchema,
+  twoFactorEnableSchema,
+  twoFactorCodeSchema,
+  twoFactorDisableSchema,
+  sessionIdSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  createApiKeySchema,
+  apiKeyQuerySchema,
+  apiKeyIdSchema,
+  activityQuerySchema,
+  oidcProviderSchema,
+  oidcCallbackSchema,
+  dataExportIdSchema,
+  accountDeletionSchema,
 } from "../validations/auth.validation.js";
 
 const router = express.Router();
@@ -37,9 +56,51 @@ router.post("/login", validate(loginSchema), (req, res, next) => {
  */
 router.post("/google", validate(googleOAuthSchema), authController.googleOAuth);
 
+/**
+ * @route   GET /api/v1/auth/oidc/providers
+ * @desc    List configured single sign-on providers
+ * @access  Public
+ */
+router.get("/oidc/providers", authController.getOidcProviders);
+
+/**
+ * @route   POST /api/v1/auth/oidc/:provider/authorize
+ * @desc    Start single sign-on (returns the provider authorization URL)
+ * @access  Public
+ */
+router.post(
+  "/oidc/:provider/authorize",
+  validate(oidcProviderSchema, "params"),
+  authController.startOidcLogin
+);
+
+/**
+ * @route   POST /api/v1/auth/oidc/:provider/callback
+ * @desc    Complete single sign-on with the code and state from the provider
+ * @access  Public
+ * @body    { code, state }
+ */
+router.post(
+  "/oidc/:provider/callback",
+  validate(oidcProviderSchema, "params"),
+  validate(oidcCallbackSchema),
+  authController.oidcCallback
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/verify
+ * @desc    Complete login with a two-factor or recovery code
+ * @access  Public (requires the challenge token from login)
+ */
+router.post(
+  "/2fa/verify",
+  validate(twoFactorLoginSchema),
+  authController.verifyTwoFactorLogin
+);
+
 /**
  * @route   POST /api/v1/auth/refresh
- * @desc    Refresh access token
+ * @desc    Refresh access token (rotates the refresh token)
  * @access  Public
  */
 router.post(
@@ -48,6 +109,39 @@ router.post(
   authController.refreshToken
 );
 
+/**
+ * @route   POST /api/v1/auth/verify-email
+ * @desc    Verify email address with the emailed token
+ * @access  Public
+ */
+router.post(
+  "/verify-email",
+  validate(verifyEmailSchema),
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Send a password reset link
+ * @access  Public
+ */
+router.post(
+  "/forgot-password",
+  validate(forgotPasswordSchema),
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Set a new password with the emailed token
+ * @access  Public
+ */
+router.post(
+  "/reset-password",
+  validate(resetPasswordSchema),
+  authController.resetPassword
+);
+
 /**
  * @route   GET /api/v1/auth/me
  * @desc    Check authentication status
@@ -70,6 +164,7 @@ router.get("/profile", authenticate, authController.getProfile);
 router.put(
   "/profile",
   authenticate,
+  preventImpersonation,
   validate(updateProfileSchema),
   authController.updateProfile
 );
@@ -82,22 +177,285 @@ router.put(
 router.post(
   "/change-password",
   authenticate,
+  preventImpersonation,
   validate(changePasswordSchema),
   authController.changePassword
 );
 
+/**
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @desc    Resend the email verification link
+ * @access  Private
+ */
+router.post(
+  "/verify-email/resend",
+  authenticate,
+  authController.resendVerificationEmail
+);
+
 /**
  * @route   POST /api/v1/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user (revokes the current session)
  * @access  Private
  */
 router.post("/logout", authenticate, authController.logout);
 
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get("/2fa", authenticate, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post(
+  "/2fa/setup",
+  authenticate,
+  preventImpersonation,
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm enrollment with an authenticator code (returns recovery codes)
+ * @access  Private
+ */
+router.post(
+  "/2fa/enable",
+  authenticate,
+  preventImpersonation,
+  validate(twoFactorEnableSchema),
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post(
+  "/2fa/disable",
+  authenticate,
+  preventImpersonation,
+  validate(twoFactorDisableSchema),
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  preventImpersonation,
+  validate(twoFactorCodeSchema),
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get("/sessions", authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions
+ * @desc    Sign out every other session of the current user
+ * @access  Private
+ */
+router.delete(
+  "/sessions",
+  authenticate,
+  preventImpersonation,
+  authController.revokeOtherSessions
+);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @desc    Sign out one session of the current user
+ * @access  Private
+ */
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  preventImpersonation,
+  validate(sessionIdSchema, "params"),
+  authController.revokeSession
+);
+
+/**
+ * @route   GET /api/v1/auth/api-keys
+ * @desc    List API keys of the current user
+ * @access  Private (login session only)
+ */
+router.get(
+  "/api-keys",
+  authenticate,
+  validate(apiKeyQuerySchema, "query"),
+  authController.getApiKeys
+);
+
+/**
+ * @route   POST /api/v1/auth/api-keys
+ * @desc    Create a scoped API key for scripts and automation
+ * @access  Private (login session only)
+ */
+router.post(
+  "/api-keys",
+  authenticate,
+  preventImpersonation,
+  validate(createApiKeySchema),
+  authController.createApiKey
+);
+
+/**
+ * @route   DELETE /api/v1/auth/api-keys/:keyId
+ * @desc    Revoke an API key
+ * @access  Private (login session only)
+ */
+router.delete(
+  "/api-keys/:keyId",
+  authenticate,
+  preventImpersonation,
+  validate(apiKeyIdSchema, "params"),
+  authController.revokeApiKey
+);
+
+/**
+ * @route   GET /api/v1/auth/identities
+ * @desc    List single sign-on providers linked to the current user
+ * @access  Private
+ */
+router.get("/identities", authenticate, authController.getIdentities);
+
+/**
+ * @route   POST /api/v1/auth/identities/:provider/authorize
+ * @desc    Start linking a single sign-on provider to the current user
+ * @access  Private
+ */
+router.post(
+  "/identities/:provider/authorize",
+  authenticate,
+  preventImpersonation,
+  validate(oidcProviderSchema, "params"),
+  authController.startIdentityLink
+);
+
+/**
+ * @route   POST /api/v1/auth/identities/:provider/callback
+ * @desc    Link the provider account with the code and state from the provider
+ * @access  Private
+ * @body    { code, state }
+ */
+router.post(
+  "/identities/:provider/callback",
+  authenticate,
+  preventImpersonation,
+  validate(oidcProviderSchema, "params"),
+  validate(oidcCallbackSchema),
+  authController.completeIdentityLink
+);
+
+/**
+ * @route   DELETE /api/v1/auth/identities/:provider
+ * @desc    Unlink a single sign-on provider from the current user
+ * @access  Private
+ */
+router.delete(
+  "/identities/:provider",
+  authenticate,
+  preventImpersonation,
+  validate(oidcProviderSchema, "params"),
+  authController.unlinkIdentity
+);
+
+/**
+ * @route   GET /api/v1/auth/activity
+ * @desc    List admin and billing actions that touched the current user's account
+ * @access  Private
+ */
+router.get(
+  "/activity",
+  authenticate,
+  validate(activityQuerySchema, "query"),
+  authController.getActivity
+);
+
+/**
+ * @route   GET /api/v1/auth/data-exports
+ * @desc    List personal data exports of the current user
+ * @access  Private
+ */
+router.get("/data-exports", authenticate, authController.getDataExports);
+
+/**
+ * @route   POST /api/v1/auth/data-exports
+ * @desc    Request a ZIP export of the current user's personal data
+ * @access  Private
+ */
+router.post(
+  "/data-exports",
+  authenticate,
+  preventImpersonation,
+  authController.requestDataExport
+);
+
+/**
+ * @route   GET /api/v1/auth/data-exports/:exportId/download
+ * @desc    Download a ready personal data export
+ * @access  Private
+ */
+router.get(
+  "/data-exports/:exportId/download",
+  authenticate,
+  preventImpersonation,
+  validate(dataExportIdSchema, "params"),
+  authController.downloadDataExport
+);
+
+/**
+ * @route   POST /api/v1/auth/account/deletion
+ * @desc    Schedule permanent deletion of the current user's account
+ * @access  Private
+ * @body    { password }
+ */
+router.post(
+  "/account/deletion",
+  authenticate,
+  preventImpersonation,
+  validate(accountDeletionSchema),
+  authController.requestAccountDeletion
+);
+
+/**
+ * @route   DELETE /api/v1/auth/account/deletion
+ * @desc    Cancel a scheduled account deletion
+ * @access  Private
+ */
+router.delete(
+  "/account/deletion",
+  authenticate,
+  preventImpersonation,
+  authController.cancelAccountDeletion
+);
+
 /**
  * @route   DELETE /api/v1/auth/account
  * @desc    Deactivate user account
  * @access  Private
  */
-router.delete("/account", authenticate, authController.deactivateAccount);
+router.delete(
+  "/account",
+  authenticate,
+  preventImpersonation,
+  authController.deactivateAccount
+);
 
 export default router;
@@ -13,8 +13,19 @@ import {
   handleMidtransWebhook,
   getDashboardOverview,
   getBillingAnalytics,
+  getReferralStats,
+  getTaxProfile,
+  saveTaxProfile,
+  deleteTaxProfile,
 } from "../controllers/billing.controller.js";
-import { authenticate } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  authenticateWithScope,
+  preventImpersonation,
+} from "../middleware/auth.middleware.js";
+import { resolveOrganization } from "../middleware/organization.middleware.js";
+import { API_KEY_SCOPES } from "../utils/api-key-scopes.util.js";
+import { ORGANIZATION_PERMISSIONS } from "../utils/organization-roles.util.js";
 import {
   validateMidtransSignature,
   checkResourceOwnership,
@@ -33,6 +44,7 @@ import {
   invoiceIdValidation,
   transactionListValidation,
   transactionIdValidation,
+  taxProfileValidation,
 } from "../validations/billing.validation.js";
 
 const router = express.Router();
@@ -44,7 +56,8 @@ const router = express.Router();
 // GET /api/v1/billing/balance - Get user balance
 router.get(
   "/balance",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_READ),
   logBillingOperation("get_balance"),
   getBalance
 );
@@ -53,10 +66,12 @@ router.get(
  * Top-up Routes
  */
 
-// POST /api/v1/billing/topup - Create top-up transaction
+// POST /api/v1/billing/topup - Create top-up transaction (optional couponCode for bonus credit)
 router.post(
   "/topup",
   authenticate,
+  preventImpersonation,
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_WRITE),
   rateLimitPayments,
   validateTopUpAmount,
   validate(createTopUpValidation),
@@ -67,7 +82,7 @@ router.post(
 // GET /api/v1/billing/topup/:id - Get top-up transaction details
 router.get(
   "/topup/:id",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
   validate(topUpIdValidation, "params"),
   checkResourceOwnership("topup"),
   logBillingOperation("get_topup_details"),
@@ -77,7 +92,8 @@ router.get(
 // GET /api/v1/billing/topup - List user's top-up transactions
 router.get(
   "/topup",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_READ),
   validatePagination,
   logBillingOperation("list_topups"),
   listTopUps
@@ -87,7 +103,9 @@ router.get(
 router.post(
   "/transactions/:id/pay",
   authenticate,
+  preventImpersonation,
   validate(transactionIdValidation, "params"), // Use correct transaction ID validation
+  checkResourceOwnership("transaction", ORGANIZATION_PERMISSIONS.BILLING_WRITE),
   rateLimitPayments,
   logBillingOperation("retry_payment"),
   retryPayment
@@ -100,7 +118,8 @@ router.post(
 // GET /api/v1/billing/invoices - List user invoices
 router.get(
   "/invoices",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_READ),
   validatePagination,
   validateDateRange,
   validate(invoiceListValidation),
@@ -111,7 +130,7 @@ router.get(
 // GET /api/v1/billing/invoices/:id - Get invoice details
 router.get(
   "/invoices/:id",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
   validate(invoiceIdValidation, "params"),
   checkResourceOwnership("invoice"),
   logBillingOperation("get_invoice_details"),
@@ -121,7 +140,7 @@ router.get(
 // GET /api/v1/billing/invoices/:id/pdf - Download invoice PDF
 router.get(
   "/invoices/:id/pdf",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
   validate(invoiceIdValidation, "params"),
   checkResourceOwnership("invoice"),
   logBillingOperation("download_invoice_pdf"),
@@ -135,7 +154,8 @@ router.get(
 // GET /api/v1/billing/dashboard/overview - Get billing dashboard overview
 router.get(
   "/dashboard/overview",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_READ),
   logBillingOperation("get_dashboard_overview"),
   getDashboardOverview
 );
@@ -143,12 +163,59 @@ router.get(
 // GET /api/v1/billing/dashboard/analytics - Get billing analytics
 router.get(
   "/dashboard/analytics",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_READ),
   validateDateRange,
   logBillingOperation("get_billing_analytics"),
   getBillingAnalytics
 );
 
+/**
+ * Tax Profile Routes
+ */
+
+// GET /api/v1/billing/tax-profile - Get NPWP, company name and billing address for invoices
+router.get(
+  "/tax-profile",
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_READ),
+  logBillingOperation("get_tax_profile"),
+  getTaxProfile
+);
+
+// PUT /api/v1/billing/tax-profile - Create or replace the tax profile (applies to new invoices)
+router.put(
+  "/tax-profile",
+  authenticate,
+  preventImpersonation,
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_WRITE),
+  validate(taxProfileValidation),
+  logBillingOperation("save_tax_profile"),
+  saveTaxProfile
+);
+
+// DELETE /api/v1/billing/tax-profile - Remove the tax profile
+router.delete(
+  "/tax-profile",
+  authenticate,
+  preventImpersonation,
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_WRITE),
+  logBillingOperation("delete_tax_profile"),
+  deleteTaxProfile
+);
+
+/**
+ * Referral Routes
+ */
+
+// GET /api/v1/billing/referrals - Get referral link and referral statistics (always personal)
+router.get(
+  "/referrals",
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
+  logBillingOperation("get_referral_stats"),
+  getReferralStats
+);
+
 /**
  * Transaction Routes
  */
@@ -156,7 +223,8 @@ router.get(
 // GET /api/v1/billing/transactions - Get unified transaction history
 router.get(
   "/transactions",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.BILLING_READ),
   validatePagination,
   validateDateRange,
   validate(transactionListValidation),
@@ -167,8 +235,9 @@ router.get(
 // GET /api/v1/billing/transactions/:id - Get transaction details
 router.get(
   "/transactions/:id",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.BILLING_READ),
   validate(transactionIdValidation, "params"), // Use correct transaction ID validation
+  checkResourceOwnership("transaction"),
   logBillingOperation("get_transaction_details"),
   getTransactionDetails
 );
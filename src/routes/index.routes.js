@@ -6,6 +6,9 @@ import authRoutes from "./auth.routes.js";
 import serviceRoutes from "./services.routes.js";
 import subscriptionRoutes from "./subscriptions.routes.js";
 import billingRoutes from "./billing.routes.js";
+import webhookRoutes from "./webhooks.routes.js";
+import organizationRoutes from "./organizations.routes.js";
+import workerRoutes from "./workers.routes.js";
 
 // Import admin route modules
 import adminUserRoutes from "./admin/users.routes.js";
@@ -13,6 +16,8 @@ import adminWorkerRoutes from "./admin/workers.routes.js";
 import adminPodRoutes from "./admin/pods.routes.js";
 import adminBillingRoutes from "./admin/billing.routes.js";
 import adminSubscriptionRoutes from "./admin/subscriptions.routes.js";
+import adminSecurityRoutes from "./admin/security.routes.js";
+import adminAuditRoutes from "./admin/audit.routes.js";
 
 const router = express.Router();
 
@@ -23,6 +28,13 @@ router.use("/auth", authRoutes);
 router.use("/services", serviceRoutes);
 router.use("/subscriptions", subscriptionRoutes);
 router.use("/billing", billingRoutes);
+router.use("/webhooks", webhookRoutes);
+router.use("/organizations", organizationRoutes);
+
+/**
+ * Mount worker agent routes (bootstrap token auth)
+ */
+router.use("/workers", workerRoutes);
 
 /**
  * Mount admin route modules
@@ -32,6 +44,8 @@ router.use("/admin/workers", adminWorkerRoutes);
 router.use("/admin/pods", adminPodRoutes);
 router.use("/admin/billing", adminBillingRoutes);
 router.use("/admin/subscriptions", adminSubscriptionRoutes);
+router.use("/admin/security", adminSecurityRoutes);
+router.use("/admin/audit", adminAuditRoutes);
 
 /**
  * API status endpoint
@@ -54,14 +68,24 @@ router.get("/status", (req, res) => {
       metrics: process.env.METRICS_ENABLED === "true",
     },
     route_structure: {
-      user_routes: ["auth", "services", "subscriptions", "billing"],
+      user_routes: [
+        "auth",
+        "services",
+        "subscriptions",
+        "billing",
+        "webhooks",
+        "organizations",
+      ],
       admin_routes: [
         "admin/users",
         "admin/workers",
         "admin/pods",
         "admin/billing",
         "admin/subscriptions",
+        "admin/security",
+        "admin/audit",
       ],
+      worker_routes: ["workers"],
       total_endpoints: "20+ user endpoints, 40+ admin endpoints",
     },
   };
@@ -0,0 +1,182 @@
+import express from "express";
+import {
+  authenticate,
+  preventImpersonation,
+} from "../middleware/auth.middleware.js";
+import { requireOrganizationPermission } from "../middleware/organization.middleware.js";
+import { ORGANIZATION_PERMISSIONS } from "../utils/organization-roles.util.js";
+import * as organizationController from "../controllers/organization.controller.js";
+import {
+  validate,
+  createOrganizationSchema,
+  updateOrganizationSchema,
+  organizationIdSchema,
+  memberParamsSchema,
+  updateMemberRoleSchema,
+  createInvitationSchema,
+  invitationParamsSchema,
+  acceptInvitationSchema,
+} from "../validations/organization.validation.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/organizations
+ * @desc    Get organizations the user belongs to
+ * @access  Private
+ */
+router.get("/", authenticate, organizationController.getOrganizations);
+
+/**
+ * @route   POST /api/v1/organizations
+ * @desc    Create an organization (the creator becomes its owner)
+ * @access  Private
+ */
+router.post(
+  "/",
+  authenticate,
+  preventImpersonation,
+  validate(createOrganizationSchema),
+  organizationController.createOrganization
+);
+
+/**
+ * @route   POST /api/v1/organizations/invitations/accept
+ * @desc    Accept an invitation with the token from the emailed link
+ * @access  Private (signed in as the invited email address)
+ */
+router.post(
+  "/invitations/accept",
+  authenticate,
+  preventImpersonation,
+  validate(acceptInvitationSchema),
+  organizationController.acceptInvitation
+);
+
+/**
+ * @route   GET /api/v1/organizations/:organizationId
+ * @desc    Get organization details
+ * @access  Private (Any member)
+ */
+router.get(
+  "/:organizationId",
+  authenticate,
+  validate(organizationIdSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.ORGANIZATION_READ),
+  organizationController.getOrganizationById
+);
+
+/**
+ * @route   PUT /api/v1/organizations/:organizationId
+ * @desc    Update organization details
+ * @access  Private (Owner)
+ */
+router.put(
+  "/:organizationId",
+  authenticate,
+  preventImpersonation,
+  validate(organizationIdSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.ORGANIZATION_MANAGE),
+  validate(updateOrganizationSchema),
+  organizationController.updateOrganization
+);
+
+/**
+ * @route   POST /api/v1/organizations/:organizationId/leave
+ * @desc    Leave the organization
+ * @access  Private (Any member)
+ */
+router.post(
+  "/:organizationId/leave",
+  authenticate,
+  preventImpersonation,
+  validate(organizationIdSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.ORGANIZATION_READ),
+  organizationController.leaveOrganization
+);
+
+/**
+ * @route   GET /api/v1/organizations/:organizationId/members
+ * @desc    Get organization members and their roles
+ * @access  Private (Any member)
+ */
+router.get(
+  "/:organizationId/members",
+  authenticate,
+  validate(organizationIdSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.ORGANIZATION_READ),
+  organizationController.getMembers
+);
+
+/**
+ * @route   PUT /api/v1/organizations/:organizationId/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (Owner)
+ */
+router.put(
+  "/:organizationId/members/:userId",
+  authenticate,
+  preventImpersonation,
+  validate(memberParamsSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE),
+  validate(updateMemberRoleSchema),
+  organizationController.updateMemberRole
+);
+
+/**
+ * @route   DELETE /api/v1/organizations/:organizationId/members/:userId
+ * @desc    Remove a member from the organization
+ * @access  Private (Owner)
+ */
+router.delete(
+  "/:organizationId/members/:userId",
+  authenticate,
+  preventImpersonation,
+  validate(memberParamsSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE),
+  organizationController.removeMember
+);
+
+/**
+ * @route   GET /api/v1/organizations/:organizationId/invitations
+ * @desc    Get pending invitations
+ * @access  Private (Owner)
+ */
+router.get(
+  "/:organizationId/invitations",
+  authenticate,
+  validate(organizationIdSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE),
+  organizationController.getInvitations
+);
+
+/**
+ * @route   POST /api/v1/organizations/:organizationId/invitations
+ * @desc    Invite someone by email (replaces their pending invitation)
+ * @access  Private (Owner)
+ */
+router.post(
+  "/:organizationId/invitations",
+  authenticate,
+  preventImpersonation,
+  validate(organizationIdSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE),
+  validate(createInvitationSchema),
+  organizationController.createInvitation
+);
+
+/**
+ * @route   DELETE /api/v1/organizations/:organizationId/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (Owner)
+ */
+router.delete(
+  "/:organizationId/invitations/:invitationId",
+  authenticate,
+  preventImpersonation,
+  validate(invitationParamsSchema, "params"),
+  requireOrganizationPermission(ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE),
+  organizationController.revokeInvitation
+);
+
+export default router;
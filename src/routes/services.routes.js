@@ -1,5 +1,9 @@
 import express from "express";
-import { adminOnly, authenticate } from "../middleware/auth.middleware.js";
+import {
+  adminOnly,
+  authenticateWithScope,
+} from "../middleware/auth.middleware.js";
+import { API_KEY_SCOPES } from "../utils/api-key-scopes.util.js";
 import * as serviceController from "../controllers/service.controller.js";
 import {
   validate,
@@ -18,7 +22,11 @@ const router = express.Router();
  * @desc    Get active services for authenticated users
  * @access  Private (Authenticated users only)
  */
-router.get("/", authenticate, serviceController.getActiveServices);
+router.get(
+  "/",
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
+  serviceController.getActiveServices
+);
 
 /**
  * @route   GET /api/v1/services/grouped
@@ -28,7 +36,7 @@ router.get("/", authenticate, serviceController.getActiveServices);
  */
 router.get(
   "/grouped",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validate(getGroupedServicesQuerySchema, "query"),
   serviceController.getGroupedServices
 );
@@ -38,7 +46,11 @@ router.get(
  * @desc    Get service categories
  * @access  Private (Authenticated users only)
  */
-router.get("/categories", authenticate, serviceController.getServiceCategories);
+router.get(
+  "/categories",
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
+  serviceController.getServiceCategories
+);
 
 /**
  * @route   GET /api/v1/services/admin
@@ -79,7 +91,7 @@ router.get(
  */
 router.get(
   "/:name/variants",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validate(serviceNameSchema, "params"),
   serviceController.getServiceVariants
 );
@@ -91,7 +103,7 @@ router.get(
  */
 router.get(
   "/:name",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validate(serviceNameSchema, "params"),
   serviceController.getServiceByName
 );
@@ -100,7 +112,7 @@ router.get(
  * @route   POST /api/v1/services
  * @desc    Create new service (Admin only)
  * @access  Private (Admin)
- * @body    name, displayName, description, version, isActive, cpuRequest, cpuLimit, memRequest, memLimit, monthlyPrice, dockerImage, containerPort, environmentVars
+ * @body    name, displayName, description, version, isActive, cpuRequest, cpuLimit, memRequest, memLimit, monthlyPrice, quarterlyPrice, yearlyPrice, pausedMonthlyPrice, trialDays, dockerImage, containerPort, environmentVars
  */
 router.post(
   "/",
@@ -113,7 +125,7 @@ router.post(
  * @route   PUT /api/v1/services/:id
  * @desc    Update service (Admin only)
  * @access  Private (Admin)
- * @body    displayName, description, version, isActive, cpuRequest, cpuLimit, memRequest, memLimit, monthlyPrice, dockerImage, containerPort, environmentVars
+ * @body    displayName, description, version, isActive, cpuRequest, cpuLimit, memRequest, memLimit, monthlyPrice, quarterlyPrice, yearlyPrice, pausedMonthlyPrice, trialDays, dockerImage, containerPort, environmentVars
  */
 router.put(
   "/:id",
@@ -1,5 +1,16 @@
 import express from "express";
-import { authenticate, adminOnly } from "../middleware/auth.middleware.js";
+import {
+  authenticate,
+  authenticateWithScope,
+  adminOnly,
+  preventImpersonation,
+} from "../middleware/auth.middleware.js";
+import {
+  resolveOrganization,
+  authorizeSubscriptionAccess,
+} from "../middleware/organization.middleware.js";
+import { API_KEY_SCOPES } from "../utils/api-key-scopes.util.js";
+import { ORGANIZATION_PERMISSIONS } from "../utils/organization-roles.util.js";
 import * as subscriptionController from "../controllers/subscription.controller.js";
 import * as upgradeController from "../controllers/upgrade.controller.js";
 import {
@@ -10,6 +21,7 @@ import {
   renewSubscriptionSchema,
   updateSubscriptionSchema,
   cancelSubscriptionSchema,
+  pauseSubscriptionSchema,
   subscriptionIdSchema,
   subscriptionQuerySchema,
   usageMetricsQuerySchema,
@@ -28,12 +40,14 @@ const router = express.Router();
 // User subscription routes
 /**
  * @route   POST /api/v1/subscriptions
- * @desc    Create new subscription
+ * @desc    Create new subscription (billingCycle: monthly | quarterly | yearly, trial: true starts the variant's free trial, couponCode: promo code)
  * @access  Private
  */
 router.post(
   "/",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
+  resolveOrganization(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
   validateSubscription(createSubscriptionSchema),
   subscriptionController.createSubscription
 );
@@ -45,7 +59,8 @@ router.post(
  */
 router.get(
   "/",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
   validateSubscriptionQuery(subscriptionQuerySchema),
   subscriptionController.getUserSubscriptions
 );
@@ -55,16 +70,22 @@ router.get(
  * @desc    Get user subscription statistics
  * @access  Private
  */
-router.get("/stats", authenticate, subscriptionController.getSubscriptionStats);
+router.get(
+  "/stats",
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
+  subscriptionController.getSubscriptionStats
+);
 
 /**
  * @route   GET /api/v1/subscriptions/eligibility/:serviceId
- * @desc    Check subscription eligibility for a service
+ * @desc    Check subscription eligibility for a service (?trial=true&billingCycle=yearly&couponCode=LAUNCH50 previews a promo code)
  * @access  Private
  */
 router.get(
   "/eligibility/:serviceId",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
+  resolveOrganization(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
   subscriptionController.checkEligibility
 );
 
@@ -75,8 +96,9 @@ router.get(
  */
 router.get(
   "/:id",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
   subscriptionController.getSubscriptionDetails
 );
 
@@ -87,38 +109,89 @@ router.get(
  */
 router.put(
   "/:id",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
   validateSubscription(updateSubscriptionSchema),
   subscriptionController.updateSubscription
 );
 
 /**
  * @route   PUT /api/v1/subscriptions/:id/renew
- * @desc    Renew subscription
+ * @desc    Renew subscription; restores it during the grace period or while suspended (optional billingCycle switches the cycle from this period on, optional couponCode applies a promo code)
  * @access  Private
  */
 router.put(
   "/:id/renew",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
   validateSubscription(renewSubscriptionSchema),
   subscriptionController.renewSubscription
 );
 
 /**
  * @route   DELETE /api/v1/subscriptions/:id
- * @desc    Cancel subscription
+ * @desc    Cancel subscription now (optionally refunding the unused days) or, with immediate false, at the end of the billing period
  * @access  Private
+ * @body    reason, immediate (default true), refund (immediate only)
  */
 router.delete(
   "/:id",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
   validateSubscription(cancelSubscriptionSchema),
   subscriptionController.cancelSubscription
 );
 
+/**
+ * @route   DELETE /api/v1/subscriptions/:id/cancellation
+ * @desc    Undo a cancellation scheduled for the end of the billing period
+ * @access  Private
+ */
+router.delete(
+  "/:id/cancellation",
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
+  validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
+  subscriptionController.undoCancellation
+);
+
+/**
+ * @route   POST /api/v1/subscriptions/:id/pause
+ * @desc    Pause subscription: scales the service to zero and keeps its data; paused time is added to the expiry on resume
+ * @access  Private
+ * @body    days (optional, defaults to the maximum pause length)
+ */
+router.post(
+  "/:id/pause",
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
+  validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
+  validateSubscription(pauseSubscriptionSchema),
+  subscriptionController.pauseSubscription
+);
+
+/**
+ * @route   POST /api/v1/subscriptions/:id/resume
+ * @desc    Resume paused subscription before the pause runs out
+ * @access  Private
+ */
+router.post(
+  "/:id/resume",
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
+  validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
+  subscriptionController.resumeSubscription
+);
+
 /**
  * @route   GET /api/v1/subscriptions/:id/usage
  * @desc    Get subscription usage metrics
@@ -126,8 +199,9 @@ router.delete(
  */
 router.get(
   "/:id/usage",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
   validateSubscriptionQuery(usageMetricsQuerySchema),
   subscriptionController.getSubscriptionUsage
 );
@@ -140,8 +214,9 @@ router.get(
  */
 router.get(
   "/:id/upgrade-options",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
   upgradeController.getSubscriptionUpgradeOptions
 );
 
@@ -152,8 +227,9 @@ router.get(
  */
 router.post(
   "/:id/validate-upgrade",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
   validateRequest(validateUpgradeEligibilitySchema, "body"),
   upgradeController.validateSubscriptionUpgrade
 );
@@ -165,8 +241,9 @@ router.post(
  */
 router.post(
   "/:id/calculate-upgrade",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
   validateRequest(calculateProratedSchema, "body"),
   upgradeController.calculateUpgradeCost
 );
@@ -178,8 +255,9 @@ router.post(
  */
 router.get(
   "/:id/plan-changes",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ),
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ),
   validateRequest(getPlanChangeHistorySchema, "query"),
   upgradeController.getPlanChangeHistory
 );
@@ -191,8 +269,10 @@ router.get(
  */
 router.post(
   "/:id/upgrade",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
   validateRequest(upgradeSubscriptionSchema, "body"),
   upgradeController.executeUpgrade
 );
@@ -218,8 +298,10 @@ router.post(
  */
 router.post(
   "/:id/reset-pod",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE),
+  preventImpersonation,
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
   subscriptionController.resetSubscriptionPod
 );
 
@@ -228,10 +310,13 @@ router.post(
  * @desc    Restart subscription pod (User can restart their own pod)
  * @access  Private
  */
+// Restarting keeps the pod's data, so support staff may run it while
+// impersonating a user to troubleshoot
 router.post(
   "/:id/restart-pod",
-  authenticate,
+  authenticateWithScope(API_KEY_SCOPES.PODS_RESTART),
   validateSubscriptionParams(subscriptionIdSchema),
+  authorizeSubscriptionAccess(ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE),
   subscriptionController.restartSubscriptionPod
 );
 
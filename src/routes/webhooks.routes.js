@@ -0,0 +1,117 @@
+import express from "express";
+import {
+  authenticate,
+  preventImpersonation,
+} from "../middleware/auth.middleware.js";
+import * as webhookController from "../controllers/webhook.controller.js";
+import {
+  validate,
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookIdSchema,
+  deliveryParamsSchema,
+  deliveryQuerySchema,
+} from "../validations/webhook.validation.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/webhooks
+ * @desc    Get user's webhooks
+ * @access  Private
+ */
+router.get("/", authenticate, webhookController.getWebhooks);
+
+/**
+ * @route   POST /api/v1/webhooks
+ * @desc    Register a webhook (response includes the signing secret once)
+ * @access  Private
+ */
+router.post(
+  "/",
+  authenticate,
+  preventImpersonation,
+  validate(createWebhookSchema),
+  webhookController.createWebhook
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:id
+ * @desc    Get webhook details with recent deliveries
+ * @access  Private
+ */
+router.get(
+  "/:id",
+  authenticate,
+  validate(webhookIdSchema, "params"),
+  webhookController.getWebhookById
+);
+
+/**
+ * @route   PUT /api/v1/webhooks/:id
+ * @desc    Update webhook URL, events, status or rotate its secret
+ * @access  Private
+ */
+router.put(
+  "/:id",
+  authenticate,
+  preventImpersonation,
+  validate(webhookIdSchema, "params"),
+  validate(updateWebhookSchema),
+  webhookController.updateWebhook
+);
+
+/**
+ * @route   DELETE /api/v1/webhooks/:id
+ * @desc    Delete webhook and its delivery history
+ * @access  Private
+ */
+router.delete(
+  "/:id",
+  authenticate,
+  preventImpersonation,
+  validate(webhookIdSchema, "params"),
+  webhookController.deleteWebhook
+);
+
+/**
+ * @route   POST /api/v1/webhooks/:id/test
+ * @desc    Send a test event to the webhook
+ * @access  Private
+ */
+router.post(
+  "/:id/test",
+  authenticate,
+  preventImpersonation,
+  validate(webhookIdSchema, "params"),
+  webhookController.sendTestEvent
+);
+
+/**
+ * @route   GET /api/v1/webhooks/:id/deliveries
+ * @desc    Get webhook delivery history
+ * @access  Private
+ * @query   page, limit, status, eventType
+ */
+router.get(
+  "/:id/deliveries",
+  authenticate,
+  validate(webhookIdSchema, "params"),
+  validate(deliveryQuerySchema, "query"),
+  webhookController.getWebhookDeliveries
+);
+
+/**
+ * @route   POST /api/v1/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Send a past delivery again with its original payload
+ * @access  Private
+ */
+router.post(
+  "/:id/deliveries/:deliveryId/redeliver",
+  authenticate,
+  preventImpersonation,
+  validate(deliveryParamsSchema, "params"),
+  webhookController.redeliverWebhook
+);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from "express";
+import * as workerController from "../controllers/worker.controller.js";
+import { authenticateWorker } from "../middleware/auth.middleware.js";
+import {
+  validateWorkerRegistration,
+  validateWorkerHeartbeat,
+  validateWorkerNodeName,
+} from "../validations/worker.validation.js";
+
+const router = express.Router();
+
+/**
+ * Worker Agent Routes
+ * Authenticated with per-node bootstrap tokens issued by administrators
+ */
+
+// POST /api/v1/workers/register - Register or update worker node
+router.post(
+  "/register",
+  authenticateWorker,
+  validateWorkerRegistration,
+  workerController.registerWorkerNode
+);
+
+// PUT /api/v1/workers/:name/heartbeat - Record worker node heartbeat
+router.put(
+  "/:name/heartbeat",
+  authenticateWorker,
+  validateWorkerNodeName,
+  validateWorkerHeartbeat,
+  workerController.recordHeartbeat
+);
+
+export default router;
@@ -5,12 +5,18 @@ import compression from "compression";
 import morgan from "morgan";
 import rateLimit from "express-rate-limit";
 import dotenv from "dotenv";
+import crypto from "crypto";
 
 import logger from "./utils/logger.util.js";
 import errorMiddleware from "./middleware/error.middleware.js";
+import metricsMiddleware from "./middleware/metrics.middleware.js";
+import requestIdMiddleware from "./middleware/request-id.middleware.js";
+import { getMetrics, metricsContentType } from "./utils/metrics.util.js";
+import { hashToken } from "./utils/crypto.util.js";
 import * as responseUtil from "./utils/response.util.js";
 import { connectDatabase, disconnectDatabase } from "./config/database.js";
 import { initializeKubernetes } from "./config/kubernetes.js";
+import { disconnectRedis } from "./config/redis.js";
 import jobScheduler from "./jobs/job-scheduler.js";
 
 // Import centralized routes
@@ -21,6 +27,13 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 const API_VERSION = process.env.API_VERSION || "v1";
+const METRICS_ENABLED = process.env.METRICS_ENABLED === "true";
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+// /metrics is only served with a token; it exposes internal service details
+const METRICS_EXPOSED = METRICS_ENABLED && !!METRICS_TOKEN;
+
+// Request ID (first, so every later middleware and log line can use it)
+app.use(requestIdMiddleware);
 
 // Security middleware
 app.use(helmet());
@@ -34,6 +47,11 @@ app.use(
   })
 );
 
+// Request metrics (registered before rate limiting so throttled requests are counted)
+if (METRICS_ENABLED) {
+  app.use(metricsMiddleware);
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: process.env.RATE_LIMIT_WINDOW_MS, // 15 minutes
@@ -69,6 +87,37 @@ app.get("/health", (req, res) => {
   );
 });
 
+/**
+ * Check the metrics bearer token in constant time
+ * Both sides are hashed first so their lengths always match.
+ * @param {string} [authorization] - Authorization header
+ * @returns {boolean} True if the header carries METRICS_TOKEN
+ */
+const isValidMetricsToken = (authorization = "") =>
+  crypto.timingSafeEqual(
+    Buffer.from(hashToken(authorization), "hex"),
+    Buffer.from(hashToken(`Bearer ${METRICS_TOKEN}`), "hex")
+  );
+
+// Prometheus metrics endpoint
+if (METRICS_EXPOSED) {
+  app.get("/metrics", async (req, res) => {
+    if (!isValidMetricsToken(req.headers.authorization)) {
+      return res
+        .status(401)
+        .json(responseUtil.authError("Invalid metrics token"));
+    }
+
+    try {
+      res.set("Content-Type", metricsContentType);
+      res.end(await getMetrics());
+    } catch (error) {
+      logger.error("Failed to collect metrics:", error);
+      res.status(500).end();
+    }
+  });
+}
+
 // API routes - centralized through index.routes.js
 app.use(`/api/${API_VERSION}`, apiRoutes);
 
@@ -86,6 +135,7 @@ app.use(errorMiddleware);
 process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down gracefully");
   await jobScheduler.stop();
+  await disconnectRedis();
   await disconnectDatabase();
   process.exit(0);
 });
@@ -93,6 +143,7 @@ process.on("SIGTERM", async () => {
 process.on("SIGINT", async () => {
   logger.info("SIGINT received, shutting down gracefully");
   await jobScheduler.stop();
+  await disconnectRedis();
   await disconnectDatabase();
   process.exit(0);
 });
@@ -123,6 +174,11 @@ const startServer = async () => {
         `📚 API Documentation: http://localhost:${PORT}/api/${API_VERSION}`
       );
       logger.info(`🏥 Health Check: http://localhost:${PORT}/health`);
+      if (METRICS_EXPOSED) {
+        logger.info(`📈 Metrics: http://localhost:${PORT}/metrics`);
+      } else if (METRICS_ENABLED) {
+        logger.warn("📈 Metrics endpoint disabled: METRICS_TOKEN is not set");
+      }
       logger.info(`🌍 Environment: ${process.env.NODE_ENV}`);
       logger.info(`💾 Database connected successfully`);
       logger.info(`⏰ Background jobs started successfully`);
@@ -0,0 +1,349 @@
+import { Prisma } from "@prisma/client";
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { comparePassword } from "../utils/crypto.util.js";
+import { ORGANIZATION_ROLES } from "../utils/organization-roles.util.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
+import { deletePod } from "./pod.service.js";
+import { recordAudit } from "./audit.service.js";
+import { deleteUserDataExports } from "./data-export.service.js";
+import { notificationService } from "./notification.service.js";
+
+/**
+ * Account deletion service
+ *
+ * Users ask for deletion and have a grace period to change their mind; a
+ * scheduled job then deletes the account. Deletion first tears down the
+ * user's pods and volumes, then erases personal data in one transaction:
+ * credentials, sessions, keys, webhooks and memberships are removed, and the
+ * user row is kept as an anonymised placeholder so invoices, transactions
+ * and balances we must retain still have an owner. Audit log entries are
+ * retained unchanged.
+ *
+ * If a pod cannot be removed nothing is erased and the job retries later.
+ */
+
+const ACCOUNT_DELETION_GRACE_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 7;
+
+const DELETED_USER_NAME = "Deleted user";
+
+// Subscriptions still holding a slot of their service's quota
+const HELD_STATUSES = ["ACTIVE", "TRIALING", "PAUSED"];
+
+const accountDeletionError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Refuse deletion while the user is the only owner of an organization
+ * @param {string} userId - User ID
+ */
+const ensureNotLastOwner = async (userId) => {
+  const ownerships = await prisma.organizationMember.findMany({
+    where: { userId, role: ORGANIZATION_ROLES.OWNER },
+    select: {
+      organization: {
+        select: {
+          name: true,
+          _count: {
+            select: {
+              members: { where: { role: ORGANIZATION_ROLES.OWNER } },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  const soleOwned = ownerships.find(
+    ({ organization }) => organization._count.members <= 1
+  );
+
+  if (soleOwned) {
+    throw accountDeletionError(
+      `You are the only owner of ${soleOwned.organization.name}. Transfer ownership before deleting your account.`,
+      "LAST_ORGANIZATION_OWNER"
+    );
+  }
+};
+
+/**
+ * Schedule deletion of the current user's account
+ * @param {string} userId - User ID
+ * @param {Object} confirmation - Confirmation data
+ * @param {string} confirmation.password - Current password (accounts with one)
+ * @returns {Promise<Object>} Deletion schedule
+ */
+export const requestAccountDeletion = async (userId, { password } = {}) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+
+    if (!user || user.deletedAt) {
+      throw accountDeletionError("User not found", "USER_NOT_FOUND");
+    }
+
+    if (user.deletionScheduledAt) {
+      throw accountDeletionError(
+        "Account deletion is already scheduled",
+        "DELETION_ALREADY_SCHEDULED"
+      );
+    }
+
+    // Accounts created through Google or SSO have no password to confirm
+    if (
+      user.password &&
+      !(await comparePassword(password || "", user.password))
+    ) {
+      throw accountDeletionError("Password is incorrect", "INVALID_PASSWORD");
+    }
+
+    await ensureNotLastOwner(userId);
+
+    const scheduledAt = new Date(
+      Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: {
+        deletionRequestedAt: new Date(),
+        deletionScheduledAt: scheduledAt,
+      },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        deletionRequestedAt: true,
+        deletionScheduledAt: true,
+      },
+    });
+
+    logger.info(
+      `Account deletion scheduled for ${
+        updatedUser.email
+      } at ${scheduledAt.toISOString()}`
+    );
+
+    try {
+      await notificationService.sendAccountDeletionScheduled(updatedUser, {
+        scheduledAt,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to send deletion scheduled email to ${updatedUser.email}:`,
+        error
+      );
+    }
+
+    return {
+      deletionRequestedAt: updatedUser.deletionRequestedAt,
+      deletionScheduledAt: updatedUser.deletionScheduledAt,
+    };
+  } catch (error) {
+    logger.error("Error requesting account deletion:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a scheduled deletion of the current user's account
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const cancelAccountDeletion = async (userId) => {
+  try {
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        deletionScheduledAt: { not: null },
+        deletedAt: null,
+      },
+      data: { deletionRequestedAt: null, deletionScheduledAt: null },
+    });
+
+    if (count === 0) {
+      throw accountDeletionError(
+        "No account deletion is scheduled",
+        "DELETION_NOT_SCHEDULED"
+      );
+    }
+
+    logger.info(`Account deletion cancelled for user ${userId}`);
+  } catch (error) {
+    logger.error("Error cancelling account deletion:", error);
+    throw error;
+  }
+};
+
+/**
+ * Tear down pods and erase a user's personal data now
+ * Callers record the ACCOUNT_DELETED audit entry.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Summary of removed resources
+ */
+export const deleteAccount = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, email: true, deletedAt: true },
+    });
+
+    if (!user || user.deletedAt) {
+      throw accountDeletionError("User not found", "USER_NOT_FOUND");
+    }
+
+    await ensureNotLastOwner(userId);
+
+    // Organization subscriptions stay with their organization
+    const personal = { userId, organizationId: null };
+
+    const instances = await prisma.serviceInstance.findMany({
+      where: { subscription: personal },
+      select: { id: true, podName: true, status: true },
+    });
+
+    // Stops at the first failure so no data is erased while pods still run
+    for (const instance of instances) {
+      if (instance.status !== "DELETED") {
+        await deletePod(instance.id, "account-deletion", true);
+      }
+    }
+
+    // Cancelled subscriptions give their slot back, as in cancelSubscription
+    const heldSubscriptions = await prisma.subscription.findMany({
+      where: { ...personal, status: { in: HELD_STATUSES } },
+      select: {
+        serviceId: true,
+        service: { select: { availableQuota: true } },
+      },
+    });
+
+    const releasedQuota = new Map();
+    for (const { serviceId, service } of heldSubscriptions) {
+      if (service.availableQuota !== null && service.availableQuota !== -1) {
+        releasedQuota.set(serviceId, (releasedQuota.get(serviceId) || 0) + 1);
+      }
+    }
+
+    const deletedAt = new Date();
+
+    const [subscriptions] = await prisma.$transaction([
+      prisma.subscription.updateMany({
+        where: personal,
+        data: { status: "CANCELLED", autoRenew: false, subdomain: null },
+      }),
+      ...[...releasedQuota].map(([serviceId, slots]) =>
+        prisma.serviceCatalog.update({
+          where: { id: serviceId },
+          data: { availableQuota: { increment: slots } },
+        })
+      ),
+      prisma.usageMetric.deleteMany({ where: { subscription: personal } }),
+      prisma.serviceInstance.deleteMany({ where: { subscription: personal } }),
+      prisma.refreshToken.deleteMany({ where: { userId } }),
+      prisma.userSession.deleteMany({ where: { userId } }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+      prisma.verificationToken.deleteMany({ where: { userId } }),
+      prisma.apiKey.deleteMany({ where: { userId } }),
+      prisma.userIdentity.deleteMany({ where: { userId } }),
+      prisma.webhook.deleteMany({ where: { userId } }),
+      prisma.organizationMember.deleteMany({ where: { userId } }),
+      prisma.organizationInvitation.deleteMany({
+        where: { email: user.email, acceptedAt: null },
+      }),
+      // NPWP, company name and billing address
+      prisma.taxProfile.deleteMany({ where: { userId } }),
+      // Sign-up network details kept for the referral fraud checks
+      prisma.referral.updateMany({
+        where: { referredUserId: userId },
+        data: { signupIp: null, signupUserAgent: null },
+      }),
+      // Payment gateway payloads include the customer's name and contact details
+      prisma.topUpTransaction.updateMany({
+        where: { userId },
+        data: { midtransData: Prisma.DbNull, snapToken: null },
+      }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          name: DELETED_USER_NAME,
+          email: `deleted-${userId}@deleted.invalid`,
+          password: "",
+          isActive: false,
+          emailVerified: false,
+          emailVerifiedAt: null,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastStep: null,
+          deletionScheduledAt: null,
+          deletedAt,
+        },
+      }),
+    ]);
+
+    await deleteUserDataExports(userId);
+
+    const summary = {
+      podsRemoved: instances.filter(({ status }) => status !== "DELETED")
+        .length,
+      subscriptionsClosed: subscriptions.count,
+      deletedAt,
+    };
+
+    logger.info(`Account ${user.email} (${userId}) deleted`, summary);
+
+    try {
+      await notificationService.sendAccountDeleted(user);
+    } catch (error) {
+      logger.error(
+        `Failed to send account deleted email to ${user.email}:`,
+        error
+      );
+    }
+
+    return summary;
+  } catch (error) {
+    logger.error(`Error deleting account ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete every account whose grace period has ended
+ * Failed accounts stay scheduled and are retried on the next run.
+ * @returns {Promise<Object>} { deleted, failed }
+ */
+export const processScheduledDeletions = async () => {
+  const dueUsers = await prisma.user.findMany({
+    where: { deletionScheduledAt: { lte: new Date() }, deletedAt: null },
+    select: { id: true },
+    orderBy: { deletionScheduledAt: "asc" },
+  });
+
+  let deleted = 0;
+  for (const { id } of dueUsers) {
+    try {
+      const summary = await deleteAccount(id);
+
+      await recordAudit(null, {
+        action: AUDIT_ACTIONS.ACCOUNT_DELETED,
+        targetType: AUDIT_TARGET_TYPES.USER,
+        targetId: id,
+        targetUserId: id,
+        metadata: { ...summary, scheduled: true },
+      });
+      deleted++;
+    } catch (error) {
+      logger.warn(`Scheduled deletion of account ${id} will be retried`);
+    }
+  }
+
+  return { deleted, failed: dueUsers.length - deleted };
+};
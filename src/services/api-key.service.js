@@ -0,0 +1,210 @@
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { generateRandomString, hashToken } from "../utils/crypto.util.js";
+
+/**
+ * API key service
+ *
+ * Personal API keys let scripts call the API without a login session. A key
+ * acts as its owner but only on routes that accept one of its scopes.
+ */
+
+export const API_KEY_PREFIX = "mpk_";
+
+const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER) || 20;
+
+// Minimum time between lastUsedAt writes for the same key
+const API_KEY_TOUCH_INTERVAL_MS =
+  (parseInt(process.env.SESSION_TOUCH_INTERVAL_SECONDS) || 60) * 1000;
+
+const API_KEY_SELECT = {
+  id: true,
+  name: true,
+  keyPrefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true,
+};
+
+const apiKeyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check whether a bearer token looks like an API key rather than a JWT
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for API keys
+ */
+export const isApiKey = (token) => token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Create an API key
+ * @param {string} userId - Owner
+ * @param {Object} keyData - Key data
+ * @param {string} keyData.name - Label shown in the key list
+ * @param {Array<string>} keyData.scopes - Granted scopes
+ * @param {number} keyData.expiresInDays - Optional lifetime in days
+ * @returns {Promise<Object>} Key record including the raw key (shown once)
+ */
+export const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  try {
+    const activeCount = await prisma.apiKey.count({
+      where: { userId, revokedAt: null },
+    });
+
+    if (activeCount >= MAX_API_KEYS_PER_USER) {
+      throw apiKeyError(
+        `You can have at most ${MAX_API_KEYS_PER_USER} active API keys`,
+        "API_KEY_LIMIT_REACHED"
+      );
+    }
+
+    const key = `${API_KEY_PREFIX}${generateRandomString(24)}`;
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId,
+        name,
+        keyHash: hashToken(key),
+        keyPrefix: key.substring(0, 12),
+        scopes: [...new Set(scopes)],
+        expiresAt,
+      },
+      select: API_KEY_SELECT,
+    });
+
+    logger.info(`API key ${apiKey.id} created for user ${userId}`);
+
+    return { ...apiKey, key };
+  } catch (error) {
+    logger.error("Error creating API key:", error);
+    throw error;
+  }
+};
+
+/**
+ * List a user's API keys (hashes are never returned)
+ * @param {string} userId - Owner
+ * @param {Object} options - Filter options
+ * @param {boolean} options.includeRevoked - Include revoked keys
+ * @returns {Promise<Array>} Key records, newest first
+ */
+export const getApiKeys = async (userId, options = {}) => {
+  try {
+    const { includeRevoked = false } = options;
+
+    return await prisma.apiKey.findMany({
+      where: { userId, ...(!includeRevoked && { revokedAt: null }) },
+      orderBy: { createdAt: "desc" },
+      select: API_KEY_SELECT,
+    });
+  } catch (error) {
+    logger.error("Error getting API keys:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke one of a user's API keys
+ * @param {string} userId - Owner
+ * @param {string} keyId - API key ID
+ * @returns {Promise<Object>} Revoked key record
+ */
+export const revokeApiKey = async (userId, keyId) => {
+  try {
+    const apiKey = await prisma.apiKey.findFirst({
+      where: { id: keyId, userId },
+    });
+
+    if (!apiKey) {
+      throw apiKeyError("API key not found", "API_KEY_NOT_FOUND");
+    }
+
+    if (apiKey.revokedAt) {
+      throw apiKeyError("API key is already revoked", "API_KEY_REVOKED");
+    }
+
+    const revokedKey = await prisma.apiKey.update({
+      where: { id: keyId },
+      data: { revokedAt: new Date() },
+      select: API_KEY_SELECT,
+    });
+
+    logger.info(`API key ${keyId} revoked for user ${userId}`);
+
+    return revokedKey;
+  } catch (error) {
+    logger.error("Error revoking API key:", error);
+    throw error;
+  }
+};
+
+/**
+ * Look up a usable API key with its owner
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object|null>} Key record with user, or null if invalid, expired or revoked
+ */
+export const findActiveApiKey = async (key) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          isActive: true,
+          twoFactorEnabled: true,
+          createdAt: true,
+        },
+      },
+    },
+  });
+
+  if (
+    !apiKey ||
+    apiKey.revokedAt ||
+    (apiKey.expiresAt && apiKey.expiresAt < new Date())
+  ) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Record use of an API key (throttled to one write per interval)
+ * @param {string} keyId - API key ID
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+export const touchApiKey = async (keyId, ipAddress) => {
+  const now = new Date();
+
+  await prisma.apiKey.updateMany({
+    where: {
+      id: keyId,
+      OR: [
+        { lastUsedAt: null },
+        {
+          lastUsedAt: {
+            lt: new Date(now.getTime() - API_KEY_TOUCH_INTERVAL_MS),
+          },
+        },
+      ],
+    },
+    data: {
+      lastUsedAt: now,
+      ...(ipAddress && { lastUsedIp: ipAddress }),
+    },
+  });
+};
@@ -0,0 +1,281 @@
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { USER_ROLES } from "../utils/user-roles.util.js";
+
+/**
+ * Audit log service
+ *
+ * Every audited action goes through recordAudit so entries share one shape:
+ * actor, action, target, changed fields, IP and request ID. Entries are
+ * append-only; the Prisma client refuses updates and deletes on AuditLog.
+ */
+
+const AUDIT_EXPORT_MAX_ROWS =
+  parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+const SYSTEM_ACTOR_ROLE = "SYSTEM";
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "action",
+  "actorId",
+  "actorEmail",
+  "actorRole",
+  "impersonatorId",
+  "targetType",
+  "targetId",
+  "targetUserId",
+  "changes",
+  "metadata",
+  "ipAddress",
+  "userAgent",
+  "requestId",
+];
+
+/**
+ * Convert a record to plain JSON values (Dates and Decimals become strings)
+ * @param {Object} value - Record to convert
+ * @returns {Object|null} Plain object
+ */
+const toPlain = (value) =>
+  value === undefined || value === null
+    ? null
+    : JSON.parse(JSON.stringify(value));
+
+/**
+ * Compare the scalar fields of two versions of a record
+ * Nested relations and arrays are ignored to keep entries small
+ * @param {Object|null} before - Record before the action
+ * @param {Object|null} after - Record after the action
+ * @returns {Object|null} Changed fields as { field: { from, to } }
+ */
+export const diffChanges = (before, after) => {
+  const from = toPlain(before) || {};
+  const to = toPlain(after) || {};
+  const isScalar = (value) => value === null || typeof value !== "object";
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    const oldValue = from[field] ?? null;
+    const newValue = to[field] ?? null;
+
+    if (isScalar(oldValue) && isScalar(newValue) && oldValue !== newValue) {
+      changes[field] = { from: oldValue, to: newValue };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Record an audit log entry for the current request
+ * Failures are logged rather than thrown: the audited action has
+ * already happened and its response must not turn into an error.
+ * @param {Object} req - Express request object (actor, IP, request ID)
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - Action (see AUDIT_ACTIONS)
+ * @param {string} entry.targetType - Target type (see AUDIT_TARGET_TYPES)
+ * @param {string} entry.targetId - Target record ID
+ * @param {string} entry.targetUserId - Account the action touched
+ * @param {Object} entry.before - Target before the action
+ * @param {Object} entry.after - Target after the action
+ * @param {Object} entry.metadata - Extra context (reason, options, results)
+ * @returns {Promise<Object|null>} Created entry, or null if it could not be saved
+ */
+export const recordAudit = async (
+  req,
+  { action, targetType, targetId, targetUserId, before, after, metadata }
+) => {
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        action,
+        actorId: req?.user?.id || null,
+        actorEmail: req?.user?.email || null,
+        actorRole: req?.user?.role || SYSTEM_ACTOR_ROLE,
+        impersonatorId: req?.impersonator?.id || null,
+        targetType,
+        targetId: targetId || null,
+        targetUserId: targetUserId || null,
+        changes: diffChanges(before, after) ?? undefined,
+        metadata: toPlain(metadata) ?? undefined,
+        ipAddress: req?.ip || null,
+        userAgent: req?.get?.("User-Agent") || null,
+        requestId: req?.id || null,
+      },
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit entry ${action}:`, {
+      error: error.message,
+      targetType,
+      targetId,
+      requestId: req?.id,
+    });
+    return null;
+  }
+};
+
+/**
+ * Build the where clause for audit log filters
+ * @param {Object} filters - Query filters
+ * @returns {Object} Prisma where clause
+ */
+const buildAuditWhere = ({
+  actorId,
+  action,
+  targetType,
+  targetId,
+  targetUserId,
+  requestId,
+  from,
+  to,
+} = {}) => ({
+  ...(actorId && { actorId }),
+  ...(action && { action }),
+  ...(targetType && { targetType }),
+  ...(targetId && { targetId }),
+  ...(targetUserId && { targetUserId }),
+  ...(requestId && { requestId }),
+  ...((from || to) && {
+    createdAt: {
+      ...(from && { gte: new Date(from) }),
+      ...(to && { lte: new Date(to) }),
+    },
+  }),
+});
+
+/**
+ * List audit log entries (Admin only)
+ * @param {Object} options - Filters and pagination
+ * @returns {Promise<Object>} Entries, newest first, with pagination
+ */
+export const getAuditLogs = async ({
+  page = 1,
+  limit = 50,
+  ...filters
+} = {}) => {
+  try {
+    const where = buildAuditWhere(filters);
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error getting audit logs:", error);
+    throw error;
+  }
+};
+
+/**
+ * Escape a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  const text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export audit log entries as CSV (Admin only)
+ * @param {Object} filters - Query filters
+ * @returns {Promise<string>} CSV document, newest first, capped at AUDIT_EXPORT_MAX_ROWS
+ */
+export const exportAuditLogsCsv = async (filters = {}) => {
+  try {
+    const entries = await prisma.auditLog.findMany({
+      where: buildAuditWhere(filters),
+      orderBy: { createdAt: "desc" },
+      take: AUDIT_EXPORT_MAX_ROWS,
+    });
+
+    const rows = entries.map((entry) =>
+      CSV_COLUMNS.map((column) => toCsvCell(entry[column])).join(",")
+    );
+
+    return [CSV_COLUMNS.join(","), ...rows].join("\r\n");
+  } catch (error) {
+    logger.error("Error exporting audit logs:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get audited actions that touched a user's own account
+ * Administrator identities, IPs and user agents are not exposed
+ * @param {string} userId - User ID
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Object>} Activity entries, newest first, with pagination
+ */
+export const getUserActivity = async (
+  userId,
+  { page = 1, limit = 20 } = {}
+) => {
+  try {
+    const where = { targetUserId: userId };
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.auditLog.count({ where }),
+    ]);
+
+    const performedBy = (entry) => {
+      if (entry.actorId === userId) return "YOU";
+      if (entry.actorRole === USER_ROLES.ADMINISTRATOR) return "SUPPORT";
+      return SYSTEM_ACTOR_ROLE;
+    };
+
+    return {
+      activity: entries.map((entry) => ({
+        id: entry.id,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        changes: entry.changes,
+        performedBy: performedBy(entry),
+        viaSupportAccess: Boolean(entry.impersonatorId),
+        createdAt: entry.createdAt,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error getting user activity:", error);
+    throw error;
+  }
+};
@@ -2,21 +2,147 @@ import {
   hashPassword,
   comparePassword,
   generateAccessToken,
-  generateRefreshToken,
-  verifyRefreshToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
 } from "../utils/crypto.util.js";
 import logger from "../utils/logger.util.js";
 import { prisma } from "../config/database.js";
 import { USER_ROLES } from "../utils/user-roles.util.js";
 import { OAuth2Client } from "google-auth-library";
+import {
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+} from "./refresh-token.service.js";
+import { verifyTwoFactorCode } from "./two-factor.service.js";
+import {
+  issueVerificationToken,
+  consumeVerificationToken,
+} from "./verification-token.service.js";
+import { notificationService } from "./notification.service.js";
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "./login-protection.service.js";
+import {
+  completeAuthorization,
+  resolveRole,
+  OIDC_PURPOSES,
+} from "./oidc.service.js";
+import { recordAudit } from "./audit.service.js";
+import { referralService } from "./referral.service.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
+
+/**
+ * Build the token response for a user session
+ * @param {Object} user - User with id, email and role
+ * @param {string} refreshToken - Raw refresh token
+ * @param {string} sessionId - Refresh token family the access token is bound to
+ * @returns {Object} Tokens object
+ */
+const buildTokens = (user, refreshToken, sessionId) => {
+  const accessToken = generateAccessToken({
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    sessionId,
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: process.env.JWT_EXPIRES_IN || "24h",
+  };
+};
+
+/**
+ * Strip credentials and two-factor secrets from a user record
+ * @param {Object} user - Full user record
+ * @returns {Object} User safe to return to the client
+ */
+const toPublicUser = (user) => {
+  const {
+    password: _password,
+    twoFactorSecret: _twoFactorSecret,
+    twoFactorLastStep: _twoFactorLastStep,
+    ...publicUser
+  } = user;
+
+  return publicUser;
+};
+
+/**
+ * Second login step for users with two-factor authentication enabled
+ * @param {Object} user - User record
+ * @returns {Object} Challenge to exchange at /auth/2fa/verify
+ */
+const createTwoFactorChallenge = (user) => {
+  return {
+    twoFactorRequired: true,
+    challengeToken: generateTwoFactorChallengeToken({ userId: user.id }),
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+  };
+};
+
+const oidcLoginError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Email a verification link for the user's current address
+ * Failures are logged, not thrown, so they never block the calling flow
+ * @param {Object} user - User with id, name and email
+ * @returns {Promise<boolean>} True if the email was sent
+ */
+const sendVerificationEmail = async (user) => {
+  try {
+    const { token, expiresIn } = await issueVerificationToken(
+      user,
+      "EMAIL_VERIFICATION"
+    );
+    const verificationUrl = `${
+      process.env.FRONTEND_URL
+    }/verify-email?token=${encodeURIComponent(token)}`;
+
+    await notificationService.sendEmailVerification(
+      user,
+      verificationUrl,
+      expiresIn
+    );
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send verification email to ${user.email}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Start a new session (token family) for a user
+ * @param {Object} user - User with id, email and role
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @returns {Promise<Object>} Tokens object
+ */
+const createSession = async (user, context = {}) => {
+  const { token, record } = await issueRefreshToken(user.id, context);
+
+  return buildTokens(user, token, record.familyId);
+};
 
 /**
  * Register a new user
  * @param {Object} userData - User registration data
+ * @param {Object} context - Client context (userAgent, ipAddress)
  * @returns {Promise<Object>} Created user and tokens
  */
-export const register = async (userData) => {
-  const { name, email, password } = userData;
+export const register = async (userData, context = {}) => {
+  const { name, email, password, referralCode } = userData;
 
   try {
     // Check if user already exists
@@ -28,6 +154,11 @@ export const register = async (userData) => {
       throw new Error("User with this email already exists");
     }
 
+    // Reject a bad referral link before creating the account
+    const referrer = referralCode
+      ? await referralService.getReferrerByCode(referralCode)
+      : null;
+
     // Hash password
     const hashedPassword = await hashPassword(password);
 
@@ -45,29 +176,25 @@ export const register = async (userData) => {
         email: true,
         role: true,
         isActive: true,
+        emailVerified: true,
         createdAt: true,
       },
     });
 
+    if (referrer) {
+      await referralService.recordSignup(referrer.id, user.id, context);
+    }
+
     // Generate tokens
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-    };
+    const tokens = await createSession(user, context);
 
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    await sendVerificationEmail(user);
 
     logger.info(`New user registered: ${email}`);
 
     return {
       user,
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || "24h",
-      },
+      tokens,
     };
   } catch (error) {
     logger.error("Registration error:", error);
@@ -78,18 +205,23 @@ export const register = async (userData) => {
 /**
  * Login user
  * @param {Object} credentials - Login credentials
- * @returns {Promise<Object>} User and tokens
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @returns {Promise<Object>} User and tokens, or a two-factor challenge
  */
-export const login = async (credentials) => {
+export const login = async (credentials, context = {}) => {
   const { email, password } = credentials;
+  const attempt = { email, ipAddress: context.ipAddress };
 
   try {
+    await assertLoginAllowed(attempt);
+
     // Find user by email
     const user = await prisma.user.findUnique({
       where: { email },
     });
 
     if (!user) {
+      await recordLoginFailure(attempt);
       throw new Error("Invalid email or password");
     }
 
@@ -101,31 +233,25 @@ export const login = async (credentials) => {
     // Verify password
     const isPasswordValid = await comparePassword(password, user.password);
     if (!isPasswordValid) {
+      await recordLoginFailure(attempt);
       throw new Error("Invalid email or password");
     }
 
-    // Generate tokens
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-    };
-
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    // Password is correct but a second factor is still needed
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued for user: ${email}`);
+      return createTwoFactorChallenge(user);
+    }
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    // Generate tokens
+    const tokens = await createSession(user, context);
+    await recordLoginSuccess(user.email);
 
     logger.info(`User logged in: ${email}`);
 
     return {
-      user: userWithoutPassword,
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || "24h",
-      },
+      user: toPublicUser(user),
+      tokens,
     };
   } catch (error) {
     logger.error("Login error:", error);
@@ -134,51 +260,70 @@ export const login = async (credentials) => {
 };
 
 /**
- * Refresh access token
- * @param {string} refreshToken - Refresh token
- * @returns {Promise<Object>} New tokens
+ * Complete a two-factor login
+ * @param {Object} data - Challenge data
+ * @param {string} data.challengeToken - Token returned by login
+ * @param {string} data.code - TOTP code or recovery code
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @returns {Promise<Object>} User and tokens
  */
-export const refreshToken = async (refreshToken) => {
+export const verifyTwoFactorLogin = async (
+  { challengeToken, code },
+  context = {}
+) => {
   try {
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
+    // Throws JsonWebTokenError / TokenExpiredError for bad or stale challenges
+    const decoded = verifyTwoFactorChallengeToken(challengeToken);
 
-    // Find user
     const user = await prisma.user.findUnique({
-      where: {
-        id: decoded.userId,
-        isActive: true,
-      },
-      select: {
-        id: true,
-        email: true,
-        role: true,
-        isActive: true,
-      },
+      where: { id: decoded.userId },
     });
 
-    if (!user) {
-      throw new Error("Invalid refresh token");
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      throw new Error("Invalid two-factor challenge");
     }
 
-    // Generate new tokens
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      role: user.role,
+    const attempt = { email: user.email, ipAddress: context.ipAddress };
+    await assertLoginAllowed(attempt);
+
+    if (!(await verifyTwoFactorCode(user, code))) {
+      await recordLoginFailure(attempt);
+      throw new Error("Invalid two-factor code");
+    }
+
+    const tokens = await createSession(user, context);
+    await recordLoginSuccess(user.email);
+
+    logger.info(`User logged in with two-factor authentication: ${user.email}`);
+
+    return {
+      user: toPublicUser(user),
+      tokens,
     };
+  } catch (error) {
+    logger.error("Two-factor login error:", error);
+    throw error;
+  }
+};
 
-    const newAccessToken = generateAccessToken(tokenPayload);
-    const newRefreshToken = generateRefreshToken({ userId: user.id });
+/**
+ * Refresh access token
+ * Rotates the refresh token; the presented token cannot be used again
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @returns {Promise<Object>} New tokens
+ */
+export const refreshToken = async (refreshToken, context = {}) => {
+  try {
+    const { token, record, user } = await rotateRefreshToken(
+      refreshToken,
+      context
+    );
 
     logger.info(`Token refreshed for user: ${user.email}`);
 
     return {
-      tokens: {
-        accessToken: newAccessToken,
-        refreshToken: newRefreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || "24h",
-      },
+      tokens: buildTokens(user, token, record.familyId),
     };
   } catch (error) {
     logger.error("Token refresh error:", error);
@@ -186,6 +331,25 @@ export const refreshToken = async (refreshToken) => {
   }
 };
 
+/**
+ * Logout user by revoking the current session's refresh tokens
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session (token family) ID from the access token
+ * @returns {Promise<void>}
+ */
+export const logout = async (userId, sessionId) => {
+  try {
+    const revokedCount = await revokeTokenFamily(sessionId, "LOGOUT");
+
+    logger.info(
+      `User ${userId} logged out, revoked ${revokedCount} refresh tokens`
+    );
+  } catch (error) {
+    logger.error("Logout error:", error);
+    throw error;
+  }
+};
+
 /**
  * Change user password
  * @param {string} userId - User ID
@@ -223,6 +387,9 @@ export const changePassword = async (userId, passwordData) => {
       data: { password: hashedNewPassword },
     });
 
+    // Sign out every session, including the one that made the change
+    await revokeAllUserTokens(userId, "PASSWORD_CHANGED");
+
     logger.info(`Password changed for user: ${user.email}`);
   } catch (error) {
     logger.error("Password change error:", error);
@@ -230,6 +397,145 @@ export const changePassword = async (userId, passwordData) => {
   }
 };
 
+/**
+ * Resend the email verification link
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const resendVerificationEmail = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, email: true, emailVerified: true },
+    });
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    if (user.emailVerified) {
+      throw new Error("Email is already verified");
+    }
+
+    if (!(await sendVerificationEmail(user))) {
+      throw new Error("Failed to send verification email");
+    }
+  } catch (error) {
+    logger.error("Resend verification email error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Verify an email address with a token from the verification link
+ * @param {string} token - Email verification token
+ * @returns {Promise<Object>} Verified email address
+ */
+export const verifyEmail = async (token) => {
+  try {
+    const record = await consumeVerificationToken(token, "EMAIL_VERIFICATION");
+
+    const user = await prisma.user.findUnique({
+      where: { id: record.userId },
+      select: { id: true, email: true },
+    });
+
+    // The link is only valid for the address it was sent to
+    if (!user || user.email !== record.email) {
+      throw new Error("Invalid or expired token");
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerified: true, emailVerifiedAt: new Date() },
+    });
+
+    logger.info(`Email verified for user: ${user.email}`);
+
+    return { email: user.email };
+  } catch (error) {
+    logger.error("Email verification error:", error);
+    throw error;
+  }
+};
+
+/**
+ * Start a password reset
+ * Always succeeds so the response does not reveal whether an account exists
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+export const forgotPassword = async (email) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, name: true, email: true, isActive: true },
+    });
+
+    if (!user || !user.isActive) {
+      logger.info(`Password reset requested for unknown or inactive ${email}`);
+      return;
+    }
+
+    const { token, expiresIn } = await issueVerificationToken(
+      user,
+      "PASSWORD_RESET"
+    );
+    const resetUrl = `${
+      process.env.FRONTEND_URL
+    }/reset-password?token=${encodeURIComponent(token)}`;
+
+    await notificationService.sendPasswordReset(user, resetUrl, expiresIn);
+
+    logger.info(`Password reset requested for user: ${email}`);
+  } catch (error) {
+    // Swallowed on purpose: the caller always gets the same response
+    logger.error("Forgot password error:", error);
+  }
+};
+
+/**
+ * Set a new password with a token from the reset link
+ * Signs the user out of every session
+ * @param {Object} resetData - Reset data
+ * @param {string} resetData.token - Password reset token
+ * @param {string} resetData.newPassword - New password
+ * @returns {Promise<void>}
+ */
+export const resetPassword = async ({ token, newPassword }) => {
+  try {
+    const record = await consumeVerificationToken(token, "PASSWORD_RESET");
+
+    const user = await prisma.user.findUnique({
+      where: { id: record.userId },
+      select: { id: true, email: true, isActive: true },
+    });
+
+    if (!user || !user.isActive || user.email !== record.email) {
+      throw new Error("Invalid or expired token");
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+
+    // Receiving the reset link also proves ownership of the address
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        password: hashedPassword,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      },
+    });
+
+    await revokeAllUserTokens(user.id, "PASSWORD_CHANGED");
+
+    logger.info(`Password reset for user: ${user.email}`);
+  } catch (error) {
+    logger.error("Password reset error:", error);
+    throw error;
+  }
+};
+
 /**
  * Get user profile
  * @param {string} userId - User ID
@@ -245,6 +551,10 @@ export const getProfile = async (userId) => {
         email: true,
         role: true,
         isActive: true,
+        emailVerified: true,
+        emailVerifiedAt: true,
+        twoFactorEnabled: true,
+        deletionScheduledAt: true,
         createdAt: true,
         updatedAt: true,
         _count: {
@@ -274,8 +584,20 @@ export const getProfile = async (userId) => {
  */
 export const updateProfile = async (userId, updateData) => {
   try {
+    const currentUser = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true },
+    });
+
+    if (!currentUser) {
+      throw new Error("User not found");
+    }
+
+    const emailChanged =
+      updateData.email && updateData.email !== currentUser.email;
+
     // Check if email is being updated and if it's already taken
-    if (updateData.email) {
+    if (emailChanged) {
       const existingUser = await prisma.user.findFirst({
         where: {
           email: updateData.email,
@@ -288,21 +610,29 @@ export const updateProfile = async (userId, updateData) => {
       }
     }
 
-    // Update user
+    // Update user (a new email address has to be verified again)
     const updatedUser = await prisma.user.update({
       where: { id: userId },
-      data: updateData,
+      data: {
+        ...updateData,
+        ...(emailChanged && { emailVerified: false, emailVerifiedAt: null }),
+      },
       select: {
         id: true,
         name: true,
         email: true,
         role: true,
         isActive: true,
+        emailVerified: true,
         createdAt: true,
         updatedAt: true,
       },
     });
 
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser);
+    }
+
     logger.info(`Profile updated for user: ${updatedUser.email}`);
 
     return updatedUser;
@@ -325,6 +655,8 @@ export const deactivateAccount = async (userId) => {
       select: { email: true },
     });
 
+    await revokeAllUserTokens(userId, "USER_DEACTIVATED");
+
     logger.info(`Account deactivated for user: ${user.email}`);
   } catch (error) {
     logger.error("Account deactivation error:", error);
@@ -335,24 +667,35 @@ export const deactivateAccount = async (userId) => {
 /**
  * Google OAuth authentication
  * @param {Object} googleData - Google OAuth data
- * @returns {Promise<Object>} User and tokens
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @returns {Promise<Object>} User and tokens, or a two-factor challenge
  */
-export const googleOAuth = async (googleData) => {
+export const googleOAuth = async (googleData, context = {}) => {
   const { idToken } = googleData;
 
   try {
+    // Shares the password login counters; the account is checked below
+    await assertLoginAllowed({ ipAddress: context.ipAddress });
+
     // Initialize Google OAuth client
     const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
     // Verify the Google ID token
-    const ticket = await client.verifyIdToken({
-      idToken,
-      audience: process.env.GOOGLE_CLIENT_ID,
-    });
+    let ticket;
+    try {
+      ticket = await client.verifyIdToken({
+        idToken,
+        audience: process.env.GOOGLE_CLIENT_ID,
+      });
+    } catch (verifyError) {
+      await recordLoginFailure({ ipAddress: context.ipAddress });
+      throw verifyError;
+    }
 
     const payload = ticket.getPayload();
 
     if (!payload) {
+      await recordLoginFailure({ ipAddress: context.ipAddress });
       throw new Error("Invalid Google ID token");
     }
 
@@ -362,6 +705,9 @@ export const googleOAuth = async (googleData) => {
       throw new Error("Google email not verified");
     }
 
+    // A locked account stays locked whichever way the user signs in
+    await assertLoginAllowed({ email, ipAddress: context.ipAddress });
+
     // Check if user already exists
     let user = await prisma.user.findUnique({
       where: { email },
@@ -378,6 +724,11 @@ export const googleOAuth = async (googleData) => {
         where: { id: user.id },
         data: {
           name: name || user.name,
+          // Google has verified the address
+          ...(!user.emailVerified && {
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+          }),
           // You can add a picture field to your User model if needed
         },
         select: {
@@ -386,6 +737,7 @@ export const googleOAuth = async (googleData) => {
           email: true,
           role: true,
           isActive: true,
+          twoFactorEnabled: true,
           createdAt: true,
           updatedAt: true,
         },
@@ -401,6 +753,8 @@ export const googleOAuth = async (googleData) => {
           password: "", // No password for OAuth users
           role: USER_ROLES.USER,
           isActive: true,
+          emailVerified: true, // Verified by Google
+          emailVerifiedAt: new Date(),
         },
         select: {
           id: true,
@@ -416,23 +770,19 @@ export const googleOAuth = async (googleData) => {
       logger.info(`New user created via Google OAuth: ${email}`);
     }
 
-    // Generate tokens
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      role: user.role,
-    };
+    // Only existing users can have two-factor authentication enabled
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued for user: ${email}`);
+      return { ...createTwoFactorChallenge(user), isNewUser: false };
+    }
 
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    // Generate tokens
+    const tokens = await createSession(user, context);
+    await recordLoginSuccess(user.email);
 
     return {
       user,
-      tokens: {
-        accessToken,
-        refreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || "24h",
-      },
+      tokens,
       isNewUser:
         !user.updatedAt ||
         user.createdAt.getTime() === user.updatedAt.getTime(),
@@ -442,3 +792,150 @@ export const googleOAuth = async (googleData) => {
     throw error;
   }
 };
+
+/**
+ * Sign in through a configured OIDC provider
+ * Known provider accounts sign in to their linked user. Otherwise a new user
+ * is created, unless the email already belongs to an account, which must
+ * link the provider from its settings first.
+ * @param {string} providerId - Provider id
+ * @param {Object} params - Code and state returned by the provider
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @returns {Promise<Object>} User and tokens, or a two-factor challenge
+ */
+export const oidcLogin = async (providerId, params, context = {}) => {
+  try {
+    // Shares the password login counters; the account is checked below
+    await assertLoginAllowed({ ipAddress: context.ipAddress });
+
+    let provider, claims;
+    try {
+      ({ provider, claims } = await completeAuthorization(providerId, params, {
+        purpose: OIDC_PURPOSES.LOGIN,
+      }));
+    } catch (authorizationError) {
+      if (
+        ["INVALID_OIDC_STATE", "OIDC_AUTHENTICATION_FAILED"].includes(
+          authorizationError.code
+        )
+      ) {
+        await recordLoginFailure({ ipAddress: context.ipAddress });
+      }
+      throw authorizationError;
+    }
+
+    const identity = await prisma.userIdentity.findUnique({
+      where: {
+        provider_subject: { provider: provider.id, subject: claims.sub },
+      },
+      include: { user: true },
+    });
+
+    let user = identity?.user;
+    let isNewUser = false;
+
+    if (!user) {
+      const { email, name } = claims;
+
+      if (!email) {
+        throw oidcLoginError(
+          "Identity provider did not share an email address",
+          "OIDC_EMAIL_MISSING"
+        );
+      }
+
+      if (await prisma.user.findUnique({ where: { email } })) {
+        throw oidcLoginError(
+          "An account with this email already exists. Sign in and link the provider from your account settings.",
+          "OIDC_ACCOUNT_NOT_LINKED"
+        );
+      }
+
+      if (!provider.allowSignup) {
+        throw oidcLoginError(
+          "Sign-up through this provider is disabled",
+          "OIDC_SIGNUP_DISABLED"
+        );
+      }
+
+      user = await prisma.user.create({
+        data: {
+          name: name || email.split("@")[0],
+          email,
+          password: "", // No password for SSO users
+          role: resolveRole(provider, claims) || USER_ROLES.USER,
+          emailVerified: claims.email_verified === true,
+          emailVerifiedAt: claims.email_verified === true ? new Date() : null,
+          identities: {
+            create: { provider: provider.id, subject: claims.sub, email },
+          },
+        },
+      });
+      isNewUser = true;
+
+      logger.info(
+        `New user created via OIDC provider ${provider.id}: ${email}`
+      );
+    }
+
+    if (!user.isActive) {
+      throw new Error("Account is deactivated");
+    }
+
+    // A locked account stays locked whichever way the user signs in
+    await assertLoginAllowed({
+      email: user.email,
+      ipAddress: context.ipAddress,
+    });
+
+    // With a role mapping the identity provider decides the role
+    const mappedRole = resolveRole(provider, claims);
+    if (!isNewUser && mappedRole && mappedRole !== user.role) {
+      const before = user;
+      user = await prisma.user.update({
+        where: { id: user.id },
+        data: { role: mappedRole },
+      });
+
+      await recordAudit(null, {
+        action: AUDIT_ACTIONS.USER_ROLE_CHANGED,
+        targetType: AUDIT_TARGET_TYPES.USER,
+        targetId: user.id,
+        targetUserId: user.id,
+        before: { role: before.role },
+        after: { role: user.role },
+        metadata: { source: "OIDC_ROLE_MAPPING", provider: provider.id },
+      });
+
+      logger.info(
+        `Role of ${user.email} changed from ${before.role} to ${user.role} by OIDC provider ${provider.id}`
+      );
+    }
+
+    if (identity) {
+      await prisma.userIdentity.update({
+        where: { id: identity.id },
+        data: { lastLoginAt: new Date() },
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      logger.info(`Two-factor challenge issued for user: ${user.email}`);
+      return { ...createTwoFactorChallenge(user), isNewUser };
+    }
+
+    const tokens = await createSession(user, context);
+    await recordLoginSuccess(user.email);
+
+    logger.info(`OIDC login via ${provider.id} for user: ${user.email}`);
+
+    return {
+      user: toPublicUser(user),
+      tokens,
+      isNewUser,
+    };
+  } catch (error) {
+    logger.error("OIDC login error:", error);
+    throw error;
+  }
+};
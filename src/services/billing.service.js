@@ -1,40 +1,67 @@
 import { prisma } from "../config/database.js";
 import { midtransService } from "./midtrans.service.js";
+import { couponService } from "./coupon.service.js";
+import { taxService } from "./tax.service.js";
+import { dispatchEvent } from "./webhook.service.js";
+import { WEBHOOK_EVENTS } from "../utils/webhook-events.util.js";
+import { recordTopUpStatus } from "../utils/metrics.util.js";
+import { ownerWhere, balanceWhere } from "../utils/ownership.util.js";
+import { calculateTax, toInvoiceTaxFields } from "../utils/tax.util.js";
 import logger from "../utils/logger.util.js";
 
+// Balance below which a balance.low webhook event is sent (IDR)
+const LOW_BALANCE_THRESHOLD =
+  parseInt(process.env.LOW_BALANCE_THRESHOLD) || 50000;
+
+// Manual refunds above this amount need a second administrator's approval (IDR)
+const REFUND_APPROVAL_THRESHOLD =
+  parseInt(process.env.REFUND_APPROVAL_THRESHOLD) || 500000;
+
+// Refunds credited to a user without approval within this many days count
+// together towards the approval threshold
+const REFUND_APPROVAL_WINDOW_DAYS =
+  parseInt(process.env.REFUND_APPROVAL_WINDOW_DAYS) || 30;
+
 /**
  * Balance Service - Manage user balance operations
  */
 export const balanceService = {
   /**
    * Get user balance with currency
+   * @param {string} userId - User ID
+   * @param {string|null} organizationId - Use this organization's wallet instead
    */
-  async getUserBalance(userId) {
+  async getUserBalance(userId, organizationId = null) {
     try {
-      let userBalance = await prisma.userBalance.findUnique({
-        where: { userId },
-        include: {
-          user: {
-            select: { id: true, name: true, email: true },
-          },
+      const include = {
+        user: {
+          select: { id: true, name: true, email: true },
         },
+        organization: {
+          select: { id: true, name: true, slug: true },
+        },
+      };
+
+      let userBalance = await prisma.userBalance.findUnique({
+        where: balanceWhere(userId, organizationId),
+        include,
       });
 
       // Create balance record if doesn't exist
       if (!userBalance) {
         userBalance = await prisma.userBalance.create({
           data: {
-            userId,
+            ...balanceWhere(userId, organizationId),
             balance: 0,
             currency: "IDR",
           },
-          include: {
-            user: {
-              select: { id: true, name: true, email: true },
-            },
-          },
+          include,
         });
-        logger.info(`Created new balance record for user: ${userId}`);
+        logger.info(
+          `Created new balance record for ${
+            organizationId ? `organization ${organizationId}` : `user ${userId}`
+          }`
+        );
       }
 
       return userBalance;
@@ -46,19 +73,21 @@ export const balanceService = {
 
   /**
    * Add credit to user balance with transaction record
+   * Credits with referenceType "referral" are recorded as REFERRAL_REWARD.
    */
   async addCredit(
     userId,
     amount,
     description,
     referenceId = null,
-    referenceType = null
+    referenceType = null,
+    organizationId = null
   ) {
     try {
       return await prisma.$transaction(async (tx) => {
         // Get current balance
         const currentBalance = await tx.userBalance.findUnique({
-          where: { userId },
+          where: balanceWhere(userId, organizationId),
         });
 
         if (!currentBalance) {
@@ -70,7 +99,7 @@ export const balanceService = {
 
         // Update balance
         const updatedBalance = await tx.userBalance.update({
-          where: { userId },
+          where: balanceWhere(userId, organizationId),
           data: { balance: balanceAfter },
         });
 
@@ -78,7 +107,8 @@ export const balanceService = {
         const balanceTransaction = await tx.balanceTransaction.create({
           data: {
             userId,
-            type: "CREDIT",
+            organizationId,
+            type: referenceType === "referral" ? "REFERRAL_REWARD" : "CREDIT",
             amount,
             balanceBefore,
             balanceAfter,
@@ -106,19 +136,25 @@ export const balanceService = {
 
   /**
    * Deduct credit with balance validation
+   * Pass the transaction client of a caller's $transaction to make the charge
+   * part of it; the balance.low notification is then left to the caller
+   * (notifyLowBalance) once that transaction has committed.
+   * @param {Object} [client] - Prisma transaction client
    */
   async deductCredit(
     userId,
     amount,
     description,
     referenceId = null,
-    referenceType = null
+    referenceType = null,
+    organizationId = null,
+    client = null
   ) {
     try {
-      return await prisma.$transaction(async (tx) => {
+      const debit = async (tx) => {
         // Get current balance
         const currentBalance = await tx.userBalance.findUnique({
-          where: { userId },
+          where: balanceWhere(userId, organizationId),
         });
 
         if (!currentBalance) {
@@ -138,7 +174,7 @@ export const balanceService = {
 
         // Update balance
         const updatedBalance = await tx.userBalance.update({
-          where: { userId },
+          where: balanceWhere(userId, organizationId),
           data: { balance: balanceAfter },
         });
 
@@ -146,6 +182,7 @@ export const balanceService = {
         const balanceTransaction = await tx.balanceTransaction.create({
           data: {
             userId,
+            organizationId,
             type: "DEBIT",
             amount,
             balanceBefore,
@@ -165,12 +202,81 @@ export const balanceService = {
           balance: updatedBalance,
           transaction: balanceTransaction,
         };
-      });
+      };
+
+      if (client) {
+        return await debit(client);
+      }
+
+      const result = await prisma.$transaction(debit);
+      await this.notifyLowBalance(userId, result.transaction);
+
+      return result;
     } catch (error) {
       logger.error(`Error deducting credit for user ${userId}:`, error);
       throw error;
     }
   },
+
+  /**
+   * Notify webhooks once when a debit crosses the low balance threshold
+   * @param {string} userId - User ID
+   * @param {Object} balanceTransaction - The DEBIT balance transaction
+   */
+  async notifyLowBalance(userId, { balanceBefore, balanceAfter }) {
+    if (
+      balanceBefore.gte(LOW_BALANCE_THRESHOLD) &&
+      balanceAfter.lt(LOW_BALANCE_THRESHOLD)
+    ) {
+      await dispatchEvent(userId, WEBHOOK_EVENTS.BALANCE_LOW, {
+        balance: parseFloat(balanceAfter),
+        threshold: LOW_BALANCE_THRESHOLD,
+        currency: "IDR",
+      });
+    }
+  },
+};
+
+/**
+ * Redeem a paid top-up's promo code and credit its bonus
+ * A code that can no longer be redeemed (limit reached in the meantime)
+ * does not fail the top-up; the payment is credited without the bonus.
+ * @param {Object} topUpTransaction - Paid TopUpTransaction
+ * @returns {Promise<Object|null>} { code, bonusAmount }, null if no bonus was credited
+ */
+const creditTopUpBonus = async (topUpTransaction) => {
+  if (!topUpTransaction.couponId || !topUpTransaction.bonusAmount) {
+    return null;
+  }
+
+  const coupon = await prisma.coupon.findUnique({
+    where: { id: topUpTransaction.couponId },
+  });
+
+  try {
+    await couponService.redeem(coupon, {
+      userId: topUpTransaction.userId,
+      organizationId: topUpTransaction.organizationId,
+      topUpTransactionId: topUpTransaction.id,
+      amount: topUpTransaction.bonusAmount,
+    });
+  } catch (error) {
+    logger.warn(
+      `Bonus for top-up ${topUpTransaction.orderId} not credited: ${error.message}`
+    );
+    return null;
+  }
+
+  await balanceService.addCredit(
+    topUpTransaction.userId,
+    topUpTransaction.bonusAmount,
+    `Promo bonus ${coupon.code} for top-up ${topUpTransaction.orderId}`,
+    topUpTransaction.id,
+    "topup",
+    topUpTransaction.organizationId
+  );
+
+  return { code: coupon.code, bonusAmount: topUpTransaction.bonusAmount };
 };
 
 /**
@@ -179,8 +285,15 @@ export const balanceService = {
 export const topUpService = {
   /**
    * Create top-up transaction and Midtrans order
+   * @param {string|null} organizationId - Top up this organization's wallet instead
+   * @param {string|null} couponCode - Promo code for bonus credit, redeemed once the payment succeeds
    */
-  async createTopUpTransaction(userId, amount) {
+  async createTopUpTransaction(
+    userId,
+    amount,
+    organizationId = null,
+    couponCode = null
+  ) {
     try {
       // Get user details
       const user = await prisma.user.findUnique({
@@ -192,6 +305,11 @@ export const topUpService = {
         throw new Error("User not found");
       }
 
+      // The bonus is quoted now so an invalid code fails before payment
+      const bonus = couponCode
+        ? await couponService.quoteTopUpBonus(couponCode, { userId, amount })
+        : null;
+
       // Generate order ID
       const orderId = midtransService.generateOrderId(userId);
       const expiredAt = midtransService.calculateExpiryTime();
@@ -200,11 +318,14 @@ export const topUpService = {
       const topUpTransaction = await prisma.topUpTransaction.create({
         data: {
           userId,
+          organizationId,
           amount,
           currency: "IDR",
           status: "PENDING",
           orderId,
           expiredAt,
+          couponId: bonus?.coupon.id || null,
+          bonusAmount: bonus?.bonusAmount || null,
         },
       });
 
@@ -240,6 +361,9 @@ export const topUpService = {
         transaction: updatedTransaction,
         snapToken: midtransResponse.token,
         redirectUrl: midtransResponse.redirect_url,
+        ...(bonus && {
+          coupon: { code: bonus.coupon.code, bonusAmount: bonus.bonusAmount },
+        }),
       };
     } catch (error) {
       logger.error(
@@ -299,6 +423,8 @@ export const topUpService = {
         },
       });
 
+      recordTopUpStatus(newStatus);
+
       // If payment successful, add credit to balance
       if (newStatus === "PAID" && topUpTransaction.status !== "PAID") {
         await balanceService.addCredit(
@@ -306,16 +432,26 @@ export const topUpService = {
           topUpTransaction.amount,
           `Top-up via ${payment_type}`,
           topUpTransaction.id,
-          "topup"
+          "topup",
+          topUpTransaction.organizationId
         );
 
+        const bonus = await creditTopUpBonus(topUpTransaction);
+
         // Generate invoice
         const invoice = await invoiceService.generateInvoice(
           topUpTransaction.userId,
           "TOPUP",
           topUpTransaction.amount,
           topUpTransaction.id,
-          "topup"
+          "topup",
+          {
+            organizationId: topUpTransaction.organizationId,
+            ...(bonus && {
+              couponCode: bonus.code,
+              bonusAmount: bonus.bonusAmount,
+            }),
+          }
         );
 
         // Link invoice to existing unified transaction
@@ -355,12 +491,12 @@ export const topUpService = {
   /**
    * Get top-up transaction details
    */
-  async getTopUpDetails(topUpId, userId) {
+  async getTopUpDetails(topUpId, userId, organizationId = null) {
     try {
       const topUpTransaction = await prisma.topUpTransaction.findFirst({
         where: {
           id: topUpId,
-          userId,
+          ...ownerWhere(userId, organizationId),
         },
         include: {
           user: {
@@ -384,11 +520,14 @@ export const topUpService = {
   /**
    * List user's top-up transactions
    */
-  async listTopUps(userId, { page = 1, limit = 20, status = null }) {
+  async listTopUps(
+    userId,
+    { page = 1, limit = 20, status = null, organizationId = null }
+  ) {
     try {
       const skip = (page - 1) * limit;
       const where = {
-        userId,
+        ...ownerWhere(userId, organizationId),
         ...(status && { status }),
       };
 
@@ -439,6 +578,8 @@ export const topUpService = {
         },
       });
 
+      recordTopUpStatus("EXPIRED", expiredTransactions.count);
+
       logger.info(
         `Expired ${expiredTransactions.count} unpaid top-up transactions`
       );
@@ -452,13 +593,13 @@ export const topUpService = {
   /**
    * Retry payment for pending top-up transaction
    */
-  async retryPayment(transactionId, userId) {
+  async retryPayment(transactionId, userId, organizationId = null) {
     try {
       // First, find the unified transaction
       const unifiedTransaction = await prisma.transaction.findFirst({
         where: {
           id: transactionId,
-          userId,
+          ...ownerWhere(userId, organizationId),
           type: "TOPUP",
           status: "PENDING",
         },
@@ -571,9 +712,21 @@ export const topUpService = {
 export const invoiceService = {
   /**
    * Generate invoice for top-up or subscription
+   * The owner's tax profile is copied onto the invoice. With options.tax
+   * (from taxService.quoteTax) the amount is the gross total including PPN.
+   * @param {Object} [options] - Optional overrides ({ status, description, organizationId, billingCycle, periodStart, periodEnd, couponCode, discountAmount, bonusAmount, tax })
    */
-  async generateInvoice(userId, type, amount, referenceId, referenceType) {
+  async generateInvoice(
+    userId,
+    type,
+    amount,
+    referenceId,
+    referenceType,
+    options = {}
+  ) {
     try {
+      const status = options.status || "PAID";
+
       // Generate invoice number
       const year = new Date().getFullYear();
       const month = String(new Date().getMonth() + 1).padStart(2, "0");
@@ -584,14 +737,30 @@ export const invoiceService = {
       const invoiceData = {
         invoiceNumber,
         userId,
+        organizationId: options.organizationId || null,
         type: type.toUpperCase(),
         amount,
         currency: "IDR",
-        status: "PAID", // Invoices are generated after payment
+        status, // Invoices are generated after payment unless overridden
         description:
-          type === "TOPUP" ? "Account Top-up" : "Service Subscription",
+          options.description ||
+          (type === "TOPUP" ? "Account Top-up" : "Service Subscription"),
         dueDate: new Date(),
-        paidAt: new Date(),
+        paidAt: status === "PAID" ? new Date() : null,
+        // Service period covered by a subscription invoice
+        billingCycle: options.billingCycle || null,
+        periodStart: options.periodStart || null,
+        periodEnd: options.periodEnd || null,
+        // Promo code discount (already taken off amount) or top-up bonus
+        couponCode: options.couponCode || null,
+        discountAmount: options.discountAmount || null,
+        bonusAmount: options.bonusAmount || null,
+        // PPN breakdown and the customer's tax details
+        ...(options.tax && toInvoiceTaxFields(options.tax)),
+        ...(await taxService.getInvoiceCustomerFields(
+          userId,
+          options.organizationId || null
+        )),
       };
 
       // Add reference based on type
@@ -619,6 +788,19 @@ export const invoiceService = {
       });
 
       logger.info(`Generated invoice ${invoiceNumber} for user ${userId}`);
+
+      if (invoice.status === "PAID") {
+        await dispatchEvent(userId, WEBHOOK_EVENTS.INVOICE_PAID, {
+          invoiceId: invoice.id,
+          invoiceNumber: invoice.invoiceNumber,
+          type: invoice.type,
+          amount: parseFloat(invoice.amount),
+          currency: invoice.currency,
+          description: invoice.description,
+          paidAt: invoice.paidAt,
+        });
+      }
+
       return invoice;
     } catch (error) {
       logger.error(`Error generating invoice for user ${userId}:`, error);
@@ -638,12 +820,13 @@ export const invoiceService = {
       status = null,
       startDate = null,
       endDate = null,
+      organizationId = null,
     }
   ) {
     try {
       const skip = (page - 1) * limit;
       const where = {
-        userId,
+        ...ownerWhere(userId, organizationId),
         ...(type && { type }),
         ...(status && { status }),
         ...(startDate &&
@@ -695,23 +878,39 @@ export const invoiceService = {
   /**
    * Get invoice details
    */
-  async getInvoiceDetails(invoiceId, userId) {
+  async getInvoiceDetails(invoiceId, userId, organizationId = null) {
     try {
       const invoice = await prisma.invoice.findFirst({
         where: {
           id: invoiceId,
-          userId,
+          ...ownerWhere(userId, organizationId),
         },
         include: {
           user: {
             select: { id: true, name: true, email: true },
           },
+          organization: {
+            select: { id: true, name: true, slug: true },
+          },
           topUpTransaction: true,
           subscription: {
             include: {
               service: true,
             },
           },
+          originalInvoice: {
+            select: { id: true, invoiceNumber: true, amount: true },
+          },
+          creditNotes: {
+            select: {
+              id: true,
+              invoiceNumber: true,
+              amount: true,
+              status: true,
+              createdAt: true,
+            },
+            orderBy: { createdAt: "desc" },
+          },
         },
       });
 
@@ -729,12 +928,12 @@ export const invoiceService = {
   /**
    * Track invoice download
    */
-  async trackInvoiceDownload(invoiceId, userId) {
+  async trackInvoiceDownload(invoiceId, userId, organizationId = null) {
     try {
       const invoice = await prisma.invoice.updateMany({
         where: {
           id: invoiceId,
-          userId,
+          ...ownerWhere(userId, organizationId),
         },
         data: {
           downloadCount: {
@@ -756,6 +955,437 @@ export const invoiceService = {
   },
 };
 
+/**
+ * Next credit note number from the per-year sequence (CN-2024-000001)
+ * @param {Object} tx - Prisma transaction client
+ */
+const nextCreditNoteNumber = async (tx) => {
+  const year = new Date().getFullYear();
+  const key = `CREDIT_NOTE-${year}`;
+
+  const { lastNumber } = await tx.documentSequence.upsert({
+    where: { key },
+    create: { key, lastNumber: 1 },
+    update: { lastNumber: { increment: 1 } },
+  });
+
+  return `CN-${year}-${String(lastNumber).padStart(6, "0")}`;
+};
+
+/**
+ * PPN reversed by a credit note, at the rate of the invoice it refunds
+ * The refunded amount includes the tax, so it is split like an inclusive price.
+ * @param {Object|null} originalInvoice - Refunded invoice
+ * @param {number} amount - Refunded amount
+ * @returns {Object} Invoice tax and customer columns (empty for untaxed invoices)
+ */
+const creditNoteTaxFields = (originalInvoice, amount) => {
+  if (!originalInvoice || originalInvoice.taxRate === null) {
+    return {};
+  }
+
+  return {
+    ...toInvoiceTaxFields(
+      calculateTax(amount, { rate: originalInvoice.taxRate, inclusive: true })
+    ),
+    customerTaxId: originalInvoice.customerTaxId,
+    customerCompanyName: originalInvoice.customerCompanyName,
+    customerBillingAddress: originalInvoice.customerBillingAddress,
+  };
+};
+
+/**
+ * Credit a credit note's amount to the owner's balance and record the refund
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} creditNote - CREDIT_NOTE invoice
+ * @param {Object} [reference] - Overrides the transaction's { referenceId, referenceType }
+ */
+const creditRefundToBalance = async (tx, creditNote, reference = {}) => {
+  const { userId, organizationId, subscriptionId } = creditNote;
+  const amount = creditNote.amount;
+
+  const updatedBalance = await tx.userBalance.upsert({
+    where: balanceWhere(userId, organizationId),
+    create: {
+      ...balanceWhere(userId, organizationId),
+      balance: amount,
+      currency: "IDR",
+    },
+    update: { balance: { increment: amount } },
+  });
+
+  const balanceAfter = updatedBalance.balance;
+
+  await tx.balanceTransaction.create({
+    data: {
+      userId,
+      organizationId,
+      type: "CREDIT",
+      amount,
+      balanceBefore: balanceAfter.sub(amount),
+      balanceAfter,
+      description: `${creditNote.description} (${creditNote.invoiceNumber})`,
+      subscriptionId,
+    },
+  });
+
+  await tx.transaction.create({
+    data: {
+      userId,
+      organizationId,
+      type: "REFUND",
+      status: "SUCCESS",
+      description: creditNote.description,
+      amount,
+      currency: "IDR",
+      referenceId: reference.referenceId || subscriptionId || creditNote.id,
+      referenceType:
+        reference.referenceType ||
+        (subscriptionId ? "SUBSCRIPTION" : "CREDIT_NOTE"),
+      invoiceId: creditNote.id,
+      subscriptionId,
+      paymentGateway: "BALANCE",
+      paymentMethod: "CREDIT_BALANCE",
+    },
+  });
+
+  logger.info(
+    `Credited ${amount} to ${
+      organizationId ? `organization ${organizationId}` : `user ${userId}`
+    } with credit note ${creditNote.invoiceNumber}`
+  );
+};
+
+/**
+ * Credit Note Service - Document balance returned to customers
+ */
+export const creditNoteService = {
+  /**
+   * Return balance to a customer and issue the credit note documenting it
+   * Without an original invoice, a subscription refund is linked to the
+   * subscription's latest paid invoice.
+   * @param {Object} refund - { userId, organizationId, amount, description, reason, subscriptionId, originalInvoiceId, requestedById, referenceId, referenceType }
+   * @param {Object} [client] - Prisma transaction client to join an outer transaction
+   * @returns {Promise<Object>} Credit note
+   */
+  async issueRefund(refund, client = null) {
+    const run = async (tx) => {
+      let originalInvoice = null;
+
+      if (refund.originalInvoiceId) {
+        originalInvoice = await tx.invoice.findUnique({
+          where: { id: refund.originalInvoiceId },
+        });
+      } else if (refund.subscriptionId) {
+        originalInvoice = await tx.invoice.findFirst({
+          where: {
+            subscriptionId: refund.subscriptionId,
+            type: "SUBSCRIPTION",
+            status: "PAID",
+          },
+          orderBy: { createdAt: "desc" },
+        });
+      }
+
+      const now = new Date();
+      const creditNote = await tx.invoice.create({
+        data: {
+          invoiceNumber: await nextCreditNoteNumber(tx),
+          userId: refund.userId,
+          organizationId: refund.organizationId || null,
+          type: "CREDIT_NOTE",
+          amount: refund.amount,
+          currency: "IDR",
+          status: "PAID",
+          description: refund.description,
+          dueDate: now,
+          paidAt: now,
+          subscriptionId: refund.subscriptionId || null,
+          originalInvoiceId: originalInvoice?.id || null,
+          creditReason: refund.reason || null,
+          requestedById: refund.requestedById || null,
+          ...creditNoteTaxFields(originalInvoice, refund.amount),
+        },
+      });
+
+      await creditRefundToBalance(tx, creditNote, {
+        referenceId: refund.referenceId,
+        referenceType: refund.referenceType,
+      });
+
+      return creditNote;
+    };
+
+    try {
+      return client ? await run(client) : await prisma.$transaction(run);
+    } catch (error) {
+      logger.error(`Error issuing refund for user ${refund.userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Manual refund by an administrator
+   * Refunds are credited immediately while the user's refunds credited
+   * without approval in the last REFUND_APPROVAL_WINDOW_DAYS stay within the
+   * approval threshold, so splitting a refund does not avoid approval; larger
+   * refunds wait as a DRAFT credit note for a second administrator. The
+   * checks and the credit note share a serializable transaction, so
+   * concurrent refunds cannot both pass them.
+   * @param {Object} refund - { userId, amount, reason, invoiceId }
+   * @param {string} adminId - Requesting administrator
+   * @returns {Promise<Object>} { creditNote, requiresApproval, approvalThreshold }
+   */
+  async requestManualRefund({ userId, amount, reason, invoiceId }, adminId) {
+    try {
+      const result = await prisma.$transaction(
+        async (tx) => {
+          let originalInvoice = null;
+
+          if (invoiceId) {
+            originalInvoice = await tx.invoice.findFirst({
+              where: { id: invoiceId, userId },
+              include: {
+                creditNotes: {
+                  where: { status: { in: ["DRAFT", "PAID"] } },
+                  select: { amount: true },
+                },
+              },
+            });
+
+            if (!originalInvoice || originalInvoice.type === "CREDIT_NOTE") {
+              throw new Error("Invoice not found");
+            }
+
+            const alreadyCredited = originalInvoice.creditNotes.reduce(
+              (sum, note) => sum + parseFloat(note.amount),
+              0
+            );
+            const refundable =
+              parseFloat(originalInvoice.amount) - alreadyCredited;
+
+            if (amount > refundable) {
+              throw new Error(
+                `Refund exceeds the refundable amount of invoice ${originalInvoice.invoiceNumber} (${refundable})`
+              );
+            }
+          }
+
+          const refund = {
+            userId,
+            organizationId: originalInvoice?.organizationId || null,
+            amount,
+            description: originalInvoice
+              ? `Refund for invoice ${originalInvoice.invoiceNumber}`
+              : "Manual refund",
+            reason,
+            subscriptionId: originalInvoice?.subscriptionId || null,
+            originalInvoiceId: originalInvoice?.id || null,
+            requestedById: adminId,
+          };
+
+          const windowStart = new Date(
+            Date.now() - REFUND_APPROVAL_WINDOW_DAYS * 24 * 60 * 60 * 1000
+          );
+          const {
+            _sum: { amount: refundedWithoutApproval },
+          } = await tx.invoice.aggregate({
+            where: {
+              type: "CREDIT_NOTE",
+              status: "PAID",
+              userId,
+              requestedById: { not: null },
+              approvedById: null,
+              createdAt: { gte: windowStart },
+            },
+            _sum: { amount: true },
+          });
+
+          if (
+            parseFloat(refundedWithoutApproval || 0) + amount <=
+            REFUND_APPROVAL_THRESHOLD
+          ) {
+            return {
+              creditNote: await this.issueRefund(refund, tx),
+              requiresApproval: false,
+            };
+          }
+
+          const creditNote = await tx.invoice.create({
+            data: {
+              invoiceNumber: await nextCreditNoteNumber(tx),
+              userId: refund.userId,
+              organizationId: refund.organizationId,
+              type: "CREDIT_NOTE",
+              amount: refund.amount,
+              currency: "IDR",
+              status: "DRAFT",
+              description: refund.description,
+              dueDate: new Date(),
+              subscriptionId: refund.subscriptionId,
+              originalInvoiceId: refund.originalInvoiceId,
+              creditReason: refund.reason,
+              requestedById: adminId,
+              ...creditNoteTaxFields(originalInvoice, refund.amount),
+            },
+          });
+
+          return { creditNote, requiresApproval: true };
+        },
+        { isolationLevel: "Serializable" }
+      );
+
+      if (result.requiresApproval) {
+        logger.info(
+          `Refund ${result.creditNote.invoiceNumber} of ${amount} for user ${userId} awaits approval`
+        );
+      }
+
+      return { ...result, approvalThreshold: REFUND_APPROVAL_THRESHOLD };
+    } catch (error) {
+      logger.error(`Error requesting refund for user ${userId}:`, error);
+
+      // Serialization failure: another refund for the user ran at the same time
+      if (error.code === "P2034") {
+        throw new Error(
+          "Another refund for this user is being processed. Please try again."
+        );
+      }
+
+      throw error;
+    }
+  },
+
+  /**
+   * Approve a refund awaiting approval and credit it
+   * @param {string} creditNoteId - DRAFT credit note ID
+   * @param {string} adminId - Approving administrator (not the requester)
+   */
+  async approveRefund(creditNoteId, adminId) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const pending = await tx.invoice.findFirst({
+          where: { id: creditNoteId, type: "CREDIT_NOTE", status: "DRAFT" },
+        });
+
+        if (!pending) {
+          throw new Error("Pending refund not found");
+        }
+
+        if (pending.requestedById === adminId) {
+          throw new Error(
+            "Refunds must be approved by a different administrator"
+          );
+        }
+
+        const now = new Date();
+
+        // Skip refunds approved or rejected since they were loaded
+        const { count } = await tx.invoice.updateMany({
+          where: { id: creditNoteId, status: "DRAFT" },
+          data: {
+            status: "PAID",
+            paidAt: now,
+            approvedById: adminId,
+            approvedAt: now,
+          },
+        });
+
+        if (count === 0) {
+          throw new Error("Pending refund not found");
+        }
+
+        const creditNote = { ...pending, status: "PAID", paidAt: now };
+        await creditRefundToBalance(tx, creditNote);
+
+        logger.info(
+          `Admin ${adminId} approved refund ${pending.invoiceNumber} of ${pending.amount}`
+        );
+
+        return {
+          ...creditNote,
+          approvedById: adminId,
+          approvedAt: now,
+        };
+      });
+    } catch (error) {
+      logger.error(`Error approving refund ${creditNoteId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reject a refund awaiting approval
+   * @param {string} creditNoteId - DRAFT credit note ID
+   * @param {string} adminId - Rejecting administrator
+   */
+  async rejectRefund(creditNoteId, adminId) {
+    try {
+      const { count } = await prisma.invoice.updateMany({
+        where: { id: creditNoteId, type: "CREDIT_NOTE", status: "DRAFT" },
+        data: { status: "CANCELLED" },
+      });
+
+      if (count === 0) {
+        throw new Error("Pending refund not found");
+      }
+
+      logger.info(`Admin ${adminId} rejected refund ${creditNoteId}`);
+
+      return prisma.invoice.findUnique({ where: { id: creditNoteId } });
+    } catch (error) {
+      logger.error(`Error rejecting refund ${creditNoteId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * List credit notes across all users (Admin only)
+   */
+  async listCreditNotes({
+    page = 1,
+    limit = 20,
+    status = null,
+    userId = null,
+  }) {
+    try {
+      const where = {
+        type: "CREDIT_NOTE",
+        ...(status && { status }),
+        ...(userId && { userId }),
+      };
+
+      const [creditNotes, total] = await Promise.all([
+        prisma.invoice.findMany({
+          where,
+          orderBy: { createdAt: "desc" },
+          skip: (page - 1) * limit,
+          take: limit,
+          include: {
+            user: { select: { id: true, name: true, email: true } },
+            originalInvoice: { select: { id: true, invoiceNumber: true } },
+          },
+        }),
+        prisma.invoice.count({ where }),
+      ]);
+
+      return {
+        creditNotes,
+        approvalThreshold: REFUND_APPROVAL_THRESHOLD,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error("Error listing credit notes:", error);
+      throw error;
+    }
+  },
+};
+
 /**
  * Transaction Service - Manage unified transaction records
  */
@@ -784,6 +1414,7 @@ export const transactionService = {
       const transaction = await prisma.transaction.create({
         data: {
           userId,
+          organizationId: topUpTransaction.organizationId,
           type: "TOPUP",
           status:
             topUpTransaction.status === "PAID"
@@ -819,12 +1450,14 @@ export const transactionService = {
 
   /**
    * Create unified transaction record for service purchase
+   * @param {Object} [options] - Optional overrides ({ status, invoiceId })
    */
   async createServicePurchaseTransaction(
     userId,
     subscriptionId,
     amount,
-    serviceName
+    serviceName,
+    options = {}
   ) {
     try {
       const subscription = await prisma.subscription.findUnique({
@@ -843,11 +1476,13 @@ export const transactionService = {
       const transaction = await prisma.transaction.create({
         data: {
           userId,
+          organizationId: subscription.organizationId,
           type: "SERVICE_PURCHASE",
-          status: "SUCCESS", // Service purchases are immediately successful when balance is deducted
+          status: options.status || "SUCCESS", // Service purchases are immediately successful when balance is deducted
           description: `${
             serviceName || subscription.service.displayName
           } subscription purchase`,
+          invoiceId: options.invoiceId || null,
           amount,
           currency: "IDR",
           referenceId: subscriptionId,
@@ -931,12 +1566,13 @@ export const transactionService = {
       status = null,
       startDate = null,
       endDate = null,
+      organizationId = null,
     }
   ) {
     try {
       const skip = (page - 1) * limit;
       const where = {
-        userId,
+        ...ownerWhere(userId, organizationId),
         ...(type && { type }),
         ...(status && { status }),
         ...(startDate &&
@@ -1007,12 +1643,12 @@ export const transactionService = {
   /**
    * Get transaction details by ID
    */
-  async getTransactionDetails(transactionId, userId) {
+  async getTransactionDetails(transactionId, userId, organizationId = null) {
     try {
       const transaction = await prisma.transaction.findFirst({
         where: {
           id: transactionId,
-          userId,
+          ...ownerWhere(userId, organizationId),
         },
         include: {
           user: {
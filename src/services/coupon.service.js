@@ -0,0 +1,481 @@
+import { prisma } from "../config/database.js";
+import logger from "../utils/logger.util.js";
+
+// Coupon fields an administrator may change after creation; the discount
+// terms stay fixed so every redemption of a code got the same deal
+const EDITABLE_FIELDS = [
+  "description",
+  "maxRedemptions",
+  "perUserLimit",
+  "expiresAt",
+  "isActive",
+];
+
+const TARGET_LABELS = {
+  SUBSCRIPTION: "subscriptions",
+  TOPUP: "top-ups",
+};
+
+/**
+ * Codes are matched case-insensitively and stored uppercase
+ * @param {string} code - Code as entered
+ * @returns {string} Normalized code
+ */
+const normalizeCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Discount (or top-up bonus) a coupon gives on an amount
+ * @param {Object} coupon - Coupon record
+ * @param {number} amount - Price or top-up amount
+ * @returns {number} Discount, never more than a subscription price
+ */
+const calculateDiscount = (coupon, amount) => {
+  const value = parseFloat(coupon.discountValue);
+
+  if (coupon.discountType === "PERCENT") {
+    return roundAmount((amount * value) / 100);
+  }
+
+  return coupon.target === "SUBSCRIPTION" ? Math.min(value, amount) : value;
+};
+
+/**
+ * Whether a subscription coupon covers a catalog variant
+ * @param {Object} coupon - Coupon record
+ * @param {Object} service - ServiceCatalog record
+ * @returns {boolean} True if unscoped or the service or variant is listed
+ */
+const appliesToService = (coupon, service) =>
+  (!coupon.serviceNames.length && !coupon.serviceIds.length) ||
+  coupon.serviceNames.includes(service.name) ||
+  coupon.serviceIds.includes(service.id);
+
+/**
+ * Redemptions of a coupon by one user
+ * @param {Object} client - Prisma client or transaction client
+ */
+const countUserRedemptions = (client, couponId, userId) =>
+  client.couponRedemption.count({ where: { couponId, userId } });
+
+/**
+ * Load a code and check it can still be redeemed by this user
+ * @param {string} code - Code as entered
+ * @param {string} target - "SUBSCRIPTION" or "TOPUP"
+ * @param {string} userId - Redeeming user
+ * @returns {Promise<Object>} Coupon
+ */
+const findRedeemableCoupon = async (code, target, userId) => {
+  const coupon = await prisma.coupon.findUnique({
+    where: { code: normalizeCode(code) },
+  });
+
+  if (!coupon || !coupon.isActive) {
+    throw new Error("Coupon not found or inactive");
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+    throw new Error("Coupon has expired");
+  }
+
+  if (coupon.target !== target) {
+    throw new Error(
+      `Coupon cannot be used for ${TARGET_LABELS[target] || target}`
+    );
+  }
+
+  if (
+    coupon.maxRedemptions !== null &&
+    coupon.redemptionCount >= coupon.maxRedemptions
+  ) {
+    throw new Error("Coupon redemption limit reached");
+  }
+
+  if (
+    (await countUserRedemptions(prisma, coupon.id, userId)) >=
+    coupon.perUserLimit
+  ) {
+    throw new Error("Coupon usage limit reached for this user");
+  }
+
+  return coupon;
+};
+
+/**
+ * Coupon Service - Promo codes for subscriptions and top-ups
+ *
+ * Subscription coupons take a percentage or fixed amount off the price,
+ * optionally limited to some services or variants. With durationMonths set,
+ * renewals whose period starts within the first N months after redemption
+ * are discounted too. Top-up coupons credit a bonus on top of the amount
+ * paid once the payment succeeds.
+ */
+export const couponService = {
+  /**
+   * Discount for a subscription purchase or renewal
+   * @param {string} code - Code as entered
+   * @param {Object} purchase - { userId, service: ServiceCatalog record, price: price of the billed period }
+   * @returns {Promise<Object>} { coupon, discountAmount, amount: price after the discount }
+   */
+  async quoteSubscriptionDiscount(code, { userId, service, price }) {
+    const coupon = await findRedeemableCoupon(code, "SUBSCRIPTION", userId);
+
+    if (!appliesToService(coupon, service)) {
+      throw new Error("Coupon does not apply to this service");
+    }
+
+    if (price <= 0) {
+      throw new Error("Coupon cannot be applied to a free service");
+    }
+
+    const discountAmount = calculateDiscount(coupon, price);
+
+    return {
+      coupon,
+      discountAmount,
+      amount: roundAmount(price - discountAmount),
+    };
+  },
+
+  /**
+   * Discount carried over to a renewal from a "first N months" coupon
+   * A plan change to a variant the coupon does not cover ends the discount.
+   * @param {Object} subscription - Subscription including service and coupon
+   * @param {number} price - Price of the renewed period
+   * @param {Date} periodStart - Start of the renewed period
+   * @returns {Object|null} { coupon, discountAmount, amount }, null if no discount applies
+   */
+  getRenewalDiscount(subscription, price, periodStart) {
+    const { coupon, couponEndsAt } = subscription;
+
+    if (
+      !coupon ||
+      !couponEndsAt ||
+      periodStart >= couponEndsAt ||
+      price <= 0 ||
+      !appliesToService(coupon, subscription.service)
+    ) {
+      return null;
+    }
+
+    const discountAmount = calculateDiscount(coupon, price);
+
+    return {
+      coupon,
+      discountAmount,
+      amount: roundAmount(price - discountAmount),
+    };
+  },
+
+  /**
+   * End of the discounted months for a coupon redeemed on a period
+   * @param {Object} coupon - Coupon record
+   * @param {Date} periodStart - Start of the period the code was redeemed on
+   * @returns {Date|null} Renewals starting before this date are discounted
+   */
+  getCouponEndsAt(coupon, periodStart) {
+    if (!coupon.durationMonths) {
+      return null;
+    }
+
+    const endsAt = new Date(periodStart);
+    endsAt.setMonth(endsAt.getMonth() + coupon.durationMonths);
+    return endsAt;
+  },
+
+  /**
+   * Bonus credit for a top-up
+   * @param {string} code - Code as entered
+   * @param {Object} topUp - { userId, amount }
+   * @returns {Promise<Object>} { coupon, bonusAmount }
+   */
+  async quoteTopUpBonus(code, { userId, amount }) {
+    const coupon = await findRedeemableCoupon(code, "TOPUP", userId);
+
+    return { coupon, bonusAmount: calculateDiscount(coupon, amount) };
+  },
+
+  /**
+   * Record a use of a coupon, enforcing its redemption limits
+   * @param {Object} coupon - Coupon record
+   * @param {Object} redemption - { userId, organizationId, subscriptionId, topUpTransactionId, amount }
+   * @param {Object} [client] - Prisma transaction client to join an outer transaction
+   * @returns {Promise<Object>} CouponRedemption
+   */
+  async redeem(coupon, redemption, client = null) {
+    const run = async (tx) => {
+      // Count-guarded so concurrent redemptions cannot exceed maxRedemptions
+      const { count } = await tx.coupon.updateMany({
+        where: {
+          id: coupon.id,
+          isActive: true,
+          ...(coupon.maxRedemptions !== null && {
+            redemptionCount: { lt: coupon.maxRedemptions },
+          }),
+        },
+        data: { redemptionCount: { increment: 1 } },
+      });
+
+      if (count === 0) {
+        throw new Error("Coupon redemption limit reached");
+      }
+
+      const { _count, _max } = await tx.couponRedemption.aggregate({
+        where: { couponId: coupon.id, userId: redemption.userId },
+        _count: { _all: true },
+        _max: { seq: true },
+      });
+
+      if (_count._all >= coupon.perUserLimit) {
+        throw new Error("Coupon usage limit reached for this user");
+      }
+
+      // Concurrent redemptions by the same user read the same last seq, so
+      // only one of them can insert the next one
+      return tx.couponRedemption.create({
+        data: {
+          couponId: coupon.id,
+          userId: redemption.userId,
+          seq: (_max.seq || 0) + 1,
+          organizationId: redemption.organizationId || null,
+          subscriptionId: redemption.subscriptionId || null,
+          topUpTransactionId: redemption.topUpTransactionId || null,
+          amount: redemption.amount,
+        },
+      });
+    };
+
+    try {
+      const result = client
+        ? await run(client)
+        : await prisma.$transaction(run);
+
+      logger.info(
+        `Coupon ${coupon.code} redeemed by user ${redemption.userId} (${redemption.amount})`
+      );
+
+      return result;
+    } catch (error) {
+      logger.error(`Error redeeming coupon ${coupon.code}:`, error);
+
+      // Unique (couponId, userId, seq) violation: another redemption won
+      if (error.code === "P2002") {
+        throw new Error(
+          "Coupon is already being redeemed by another request. Please try again."
+        );
+      }
+
+      throw error;
+    }
+  },
+
+  /**
+   * Undo a redemption whose purchase failed, freeing the use again
+   * @param {Object} redemption - CouponRedemption
+   */
+  async releaseRedemption(redemption) {
+    try {
+      await prisma.$transaction([
+        prisma.couponRedemption.delete({ where: { id: redemption.id } }),
+        prisma.coupon.update({
+          where: { id: redemption.couponId },
+          data: { redemptionCount: { decrement: 1 } },
+        }),
+      ]);
+
+      logger.info(`Released coupon redemption ${redemption.id}`);
+    } catch (error) {
+      logger.error(
+        `Error releasing coupon redemption ${redemption.id}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * List coupons (Admin)
+   * @param {Object} filters - { page, limit, target, isActive, search }
+   */
+  async listCoupons({ page = 1, limit = 20, target, isActive, search }) {
+    try {
+      const skip = (page - 1) * limit;
+      const where = {
+        ...(target && { target }),
+        ...(isActive !== undefined && { isActive }),
+        ...(search && {
+          OR: [
+            { code: { contains: search, mode: "insensitive" } },
+            { description: { contains: search, mode: "insensitive" } },
+          ],
+        }),
+      };
+
+      const [coupons, total] = await Promise.all([
+        prisma.coupon.findMany({
+          where,
+          orderBy: { createdAt: "desc" },
+          skip,
+          take: limit,
+        }),
+        prisma.coupon.count({ where }),
+      ]);
+
+      return {
+        coupons,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error("Error listing coupons:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Coupon with its redemption totals and latest redemptions (Admin)
+   * @param {string} couponId - Coupon ID
+   * @returns {Promise<Object>} { coupon, stats, recentRedemptions }
+   */
+  async getCouponDetails(couponId) {
+    try {
+      const coupon = await prisma.coupon.findUnique({
+        where: { id: couponId },
+      });
+
+      if (!coupon) {
+        throw new Error("Coupon not found");
+      }
+
+      const [totals, recentRedemptions] = await Promise.all([
+        prisma.couponRedemption.aggregate({
+          where: { couponId },
+          _sum: { amount: true },
+          _count: { _all: true },
+        }),
+        prisma.couponRedemption.findMany({
+          where: { couponId },
+          include: {
+            user: { select: { id: true, name: true, email: true } },
+          },
+          orderBy: { createdAt: "desc" },
+          take: 20,
+        }),
+      ]);
+
+      return {
+        coupon,
+        stats: {
+          redemptions: totals._count._all,
+          totalAmount: parseFloat(totals._sum.amount || 0),
+          remaining:
+            coupon.maxRedemptions === null
+              ? null
+              : Math.max(0, coupon.maxRedemptions - coupon.redemptionCount),
+        },
+        recentRedemptions,
+      };
+    } catch (error) {
+      logger.error(`Error getting coupon ${couponId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a coupon (Admin)
+   * @param {Object} data - Validated coupon fields
+   * @param {string} adminId - Creating administrator
+   * @returns {Promise<Object>} Coupon
+   */
+  async createCoupon(data, adminId) {
+    try {
+      const code = normalizeCode(data.code);
+
+      const existing = await prisma.coupon.findUnique({ where: { code } });
+      if (existing) {
+        throw new Error(`Coupon code ${code} already exists`);
+      }
+
+      if (data.serviceIds?.length) {
+        const found = await prisma.serviceCatalog.count({
+          where: { id: { in: data.serviceIds } },
+        });
+
+        if (found !== new Set(data.serviceIds).size) {
+          throw new Error("One or more services not found");
+        }
+      }
+
+      const coupon = await prisma.coupon.create({
+        data: {
+          code,
+          description: data.description || null,
+          target: data.target,
+          discountType: data.discountType,
+          discountValue: data.discountValue,
+          serviceNames: data.serviceNames || [],
+          serviceIds: data.serviceIds || [],
+          maxRedemptions: data.maxRedemptions ?? null,
+          perUserLimit: data.perUserLimit ?? 1,
+          expiresAt: data.expiresAt || null,
+          durationMonths: data.durationMonths ?? null,
+          createdById: adminId,
+        },
+      });
+
+      logger.info(`Admin ${adminId} created coupon ${code}`);
+
+      return coupon;
+    } catch (error) {
+      logger.error("Error creating coupon:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a coupon's limits, expiry or active flag (Admin)
+   * @param {string} couponId - Coupon ID
+   * @param {Object} changes - Any of description, maxRedemptions, perUserLimit, expiresAt, isActive
+   * @returns {Promise<Object>} Updated coupon
+   */
+  async updateCoupon(couponId, changes) {
+    try {
+      const coupon = await prisma.coupon.findUnique({
+        where: { id: couponId },
+      });
+
+      if (!coupon) {
+        throw new Error("Coupon not found");
+      }
+
+      const data = Object.fromEntries(
+        EDITABLE_FIELDS.filter((field) => changes[field] !== undefined).map(
+          (field) => [field, changes[field]]
+        )
+      );
+
+      if (
+        data.maxRedemptions !== undefined &&
+        data.maxRedemptions !== null &&
+        data.maxRedemptions < coupon.redemptionCount
+      ) {
+        throw new Error(
+          `Max redemptions cannot be below the ${coupon.redemptionCount} redemptions already made`
+        );
+      }
+
+      return await prisma.coupon.update({ where: { id: couponId }, data });
+    } catch (error) {
+      logger.error(`Error updating coupon ${couponId}:`, error);
+      throw error;
+    }
+  },
+};
@@ -0,0 +1,470 @@
+import fs from "fs/promises";
+import path from "path";
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { createZip } from "../utils/zip.util.js";
+import { generateInvoicePDF } from "../utils/pdf.util.js";
+import { invoiceService } from "./billing.service.js";
+import { notificationService } from "./notification.service.js";
+
+/**
+ * Personal data export service
+ *
+ * Builds a ZIP with everything we hold about a user's own account: profile,
+ * subscriptions, transactions, invoices (as PDFs) and usage metrics.
+ * Organization data is not included; it belongs to the organization.
+ *
+ * Exports are built in the background right after the request. The cleanup
+ * job resumes exports interrupted by a restart and deletes expired archives.
+ */
+
+const DATA_EXPORT_DIR =
+  process.env.DATA_EXPORT_DIR || path.join(process.cwd(), "uploads", "exports");
+const DATA_EXPORT_EXPIRES_MS =
+  (parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 72) * 60 * 60 * 1000;
+const DATA_EXPORT_COOLDOWN_MS =
+  (parseInt(process.env.DATA_EXPORT_COOLDOWN_HOURS) || 24) * 60 * 60 * 1000;
+
+// Pending exports older than this are assumed interrupted and restarted
+const DATA_EXPORT_STALE_MS = 15 * 60 * 1000;
+
+const DATA_EXPORT_SELECT = {
+  id: true,
+  status: true,
+  fileSize: true,
+  error: true,
+  completedAt: true,
+  expiresAt: true,
+  downloadedAt: true,
+  createdAt: true,
+};
+
+const dataExportError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const README = `Personal data export
+
+profile.json        Account details, sessions, API keys, linked sign-in
+                    providers, organization memberships and webhooks
+subscriptions.json  Your subscriptions and the services they run
+transactions.json   Payments, top-ups and balance changes
+invoices.json       Invoice records; the PDFs are in invoices/
+usage-metrics.json  Resource usage recorded for your subscriptions
+
+Secrets (passwords, API keys, webhook secrets, two-factor secrets) are
+never exported. Organization data is exported by organization owners.
+`;
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Collect the files of a user's export
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} Files as { name, data }
+ */
+const collectExportFiles = async (userId) => {
+  const personal = { userId, organizationId: null };
+
+  const [
+    profile,
+    subscriptions,
+    transactions,
+    topUps,
+    balanceTransactions,
+    invoices,
+    usageMetrics,
+  ] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        isActive: true,
+        emailVerified: true,
+        emailVerifiedAt: true,
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: true,
+        deletionScheduledAt: true,
+        createdAt: true,
+        updatedAt: true,
+        balance: { select: { balance: true, currency: true } },
+        sessions: {
+          select: {
+            deviceName: true,
+            userAgent: true,
+            ipAddress: true,
+            lastSeenAt: true,
+            createdAt: true,
+          },
+        },
+        apiKeys: {
+          select: {
+            name: true,
+            keyPrefix: true,
+            scopes: true,
+            expiresAt: true,
+            lastUsedAt: true,
+            revokedAt: true,
+            createdAt: true,
+          },
+        },
+        identities: {
+          select: { provider: true, email: true, createdAt: true },
+        },
+        organizations: {
+          select: {
+            role: true,
+            createdAt: true,
+            organization: { select: { name: true, slug: true } },
+          },
+        },
+        webhooks: {
+          select: { url: true, events: true, isActive: true, createdAt: true },
+        },
+      },
+    }),
+    prisma.subscription.findMany({
+      where: personal,
+      orderBy: { createdAt: "asc" },
+      include: {
+        service: { select: { name: true, displayName: true } },
+        serviceInstance: {
+          select: {
+            podName: true,
+            status: true,
+            externalUrl: true,
+            cpuAllocated: true,
+            memAllocated: true,
+            volumeSize: true,
+            createdAt: true,
+          },
+        },
+      },
+    }),
+    prisma.transaction.findMany({
+      where: personal,
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.topUpTransaction.findMany({
+      where: personal,
+      orderBy: { createdAt: "asc" },
+      select: {
+        id: true,
+        amount: true,
+        currency: true,
+        status: true,
+        orderId: true,
+        paymentType: true,
+        paidAt: true,
+        createdAt: true,
+      },
+    }),
+    prisma.balanceTransaction.findMany({
+      where: personal,
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.invoice.findMany({
+      where: personal,
+      orderBy: { createdAt: "asc" },
+      select: { id: true },
+    }),
+    prisma.usageMetric.findMany({
+      where: { subscription: personal },
+      orderBy: { recordedAt: "asc" },
+      select: {
+        subscriptionId: true,
+        metricsAvailable: true,
+        cpuUsage: true,
+        memUsage: true,
+        storageUsage: true,
+        networkIn: true,
+        networkOut: true,
+        recordedAt: true,
+      },
+    }),
+  ]);
+
+  // One at a time; PDF rendering is CPU-bound
+  const invoiceDetails = [];
+  const invoiceFiles = [];
+  for (const { id } of invoices) {
+    const invoice = await invoiceService.getInvoiceDetails(id, userId);
+    invoiceDetails.push(invoice);
+    invoiceFiles.push({
+      name: `invoices/${invoice.invoiceNumber}.pdf`,
+      data: await generateInvoicePDF(invoice),
+    });
+  }
+
+  return [
+    { name: "README.txt", data: README },
+    { name: "profile.json", data: toJson(profile) },
+    { name: "subscriptions.json", data: toJson(subscriptions) },
+    {
+      name: "transactions.json",
+      data: toJson({ transactions, topUps, balanceTransactions }),
+    },
+    {
+      name: "invoices.json",
+      data: toJson(
+        invoiceDetails.map(({ user: _user, topUpTransaction, ...invoice }) => ({
+          ...invoice,
+          topUpOrderId: topUpTransaction?.orderId || null,
+        }))
+      ),
+    },
+    ...invoiceFiles,
+    { name: "usage-metrics.json", data: toJson(usageMetrics) },
+  ];
+};
+
+/**
+ * Build a pending export and email the user when it is ready
+ * Does nothing if another worker already claimed the export.
+ * @param {string} exportId - Data export ID
+ * @returns {Promise<void>}
+ */
+export const processDataExport = async (exportId) => {
+  const claimed = await prisma.dataExport.updateMany({
+    where: { id: exportId, status: "PENDING" },
+    data: { status: "PROCESSING" },
+  });
+
+  if (claimed.count === 0) return;
+
+  const dataExport = await prisma.dataExport.findUnique({
+    where: { id: exportId },
+    include: { user: { select: { id: true, name: true, email: true } } },
+  });
+
+  try {
+    const files = await collectExportFiles(dataExport.userId);
+    const archive = createZip(files);
+
+    await fs.mkdir(DATA_EXPORT_DIR, { recursive: true });
+    const filePath = path.join(DATA_EXPORT_DIR, `${exportId}.zip`);
+    await fs.writeFile(filePath, archive);
+
+    const expiresAt = new Date(Date.now() + DATA_EXPORT_EXPIRES_MS);
+
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: {
+        status: "READY",
+        filePath,
+        fileSize: archive.length,
+        completedAt: new Date(),
+        expiresAt,
+      },
+    });
+
+    logger.info(
+      `Data export ${exportId} ready for ${dataExport.user.email} (${archive.length} bytes)`
+    );
+
+    try {
+      await notificationService.sendDataExportReady(dataExport.user, {
+        expiresAt,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to send data export ready email for ${exportId}:`,
+        error
+      );
+    }
+  } catch (error) {
+    logger.error(`Data export ${exportId} failed:`, error);
+
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: { status: "FAILED", error: error.message },
+    });
+  }
+};
+
+/**
+ * Request a personal data export
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Pending export
+ */
+export const requestDataExport = async (userId) => {
+  try {
+    const latest = await prisma.dataExport.findFirst({
+      where: { userId, status: { not: "FAILED" } },
+      orderBy: { createdAt: "desc" },
+    });
+
+    if (latest && ["PENDING", "PROCESSING"].includes(latest.status)) {
+      throw dataExportError(
+        "A data export is already being prepared",
+        "DATA_EXPORT_IN_PROGRESS"
+      );
+    }
+
+    if (
+      latest &&
+      Date.now() - latest.createdAt.getTime() < DATA_EXPORT_COOLDOWN_MS
+    ) {
+      throw dataExportError(
+        "You can request one data export per day. Download your latest export instead.",
+        "DATA_EXPORT_RATE_LIMITED"
+      );
+    }
+
+    const dataExport = await prisma.dataExport.create({
+      data: { userId },
+      select: DATA_EXPORT_SELECT,
+    });
+
+    logger.info(`Data export ${dataExport.id} requested by user ${userId}`);
+
+    // Built in the background; the user is emailed when it is ready
+    processDataExport(dataExport.id).catch((error) =>
+      logger.error(`Failed to process data export ${dataExport.id}:`, error)
+    );
+
+    return dataExport;
+  } catch (error) {
+    logger.error("Error requesting data export:", error);
+    throw error;
+  }
+};
+
+/**
+ * List a user's data exports
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Exports, newest first
+ */
+export const getDataExports = async (userId) => {
+  try {
+    return await prisma.dataExport.findMany({
+      where: { userId },
+      orderBy: { createdAt: "desc" },
+      take: 10,
+      select: DATA_EXPORT_SELECT,
+    });
+  } catch (error) {
+    logger.error("Error getting data exports:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the archive of a ready export for download
+ * @param {string} userId - User ID
+ * @param {string} exportId - Data export ID
+ * @returns {Promise<Object>} { filePath, fileName }
+ */
+export const getDataExportFile = async (userId, exportId) => {
+  try {
+    const dataExport = await prisma.dataExport.findFirst({
+      where: { id: exportId, userId },
+    });
+
+    if (!dataExport) {
+      throw dataExportError("Data export not found", "DATA_EXPORT_NOT_FOUND");
+    }
+
+    if (
+      dataExport.status === "EXPIRED" ||
+      (dataExport.expiresAt && dataExport.expiresAt < new Date())
+    ) {
+      throw dataExportError(
+        "This data export has expired. Please request a new one.",
+        "DATA_EXPORT_EXPIRED"
+      );
+    }
+
+    if (dataExport.status !== "READY") {
+      throw dataExportError(
+        "This data export is not ready yet",
+        "DATA_EXPORT_NOT_READY"
+      );
+    }
+
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: { downloadedAt: new Date() },
+    });
+
+    return {
+      filePath: dataExport.filePath,
+      fileName: `personal-data-${dataExport.createdAt
+        .toISOString()
+        .slice(0, 10)}.zip`,
+    };
+  } catch (error) {
+    logger.error("Error getting data export file:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete the archives of a user's exports (used by account deletion)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const deleteUserDataExports = async (userId) => {
+  const exports = await prisma.dataExport.findMany({
+    where: { userId, filePath: { not: null } },
+    select: { filePath: true },
+  });
+
+  await Promise.all(
+    exports.map(({ filePath }) => fs.rm(filePath, { force: true }))
+  );
+
+  await prisma.dataExport.deleteMany({ where: { userId } });
+};
+
+/**
+ * Delete expired archives and restart interrupted exports
+ * @returns {Promise<Object>} { expired, restarted }
+ */
+export const cleanupDataExports = async () => {
+  try {
+    const expiredExports = await prisma.dataExport.findMany({
+      where: { status: "READY", expiresAt: { lt: new Date() } },
+      select: { id: true, filePath: true },
+    });
+
+    for (const { id, filePath } of expiredExports) {
+      if (filePath) await fs.rm(filePath, { force: true });
+
+      await prisma.dataExport.update({
+        where: { id },
+        data: { status: "EXPIRED", filePath: null },
+      });
+    }
+
+    const staleBefore = new Date(Date.now() - DATA_EXPORT_STALE_MS);
+
+    // PROCESSING exports this old were cut off by a restart
+    await prisma.dataExport.updateMany({
+      where: { status: "PROCESSING", updatedAt: { lt: staleBefore } },
+      data: { status: "PENDING" },
+    });
+
+    const pendingExports = await prisma.dataExport.findMany({
+      where: { status: "PENDING", createdAt: { lt: staleBefore } },
+      select: { id: true },
+    });
+
+    for (const { id } of pendingExports) {
+      await processDataExport(id);
+    }
+
+    return {
+      expired: expiredExports.length,
+      restarted: pendingExports.length,
+    };
+  } catch (error) {
+    logger.error("Error cleaning up data exports:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,295 @@
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { generateImpersonationToken } from "../utils/crypto.util.js";
+import { USER_ROLES } from "../utils/user-roles.util.js";
+import { notificationService } from "./notification.service.js";
+
+/**
+ * Impersonation service
+ *
+ * Lets support staff act as a user for a limited time to reproduce issues.
+ * The access token carries both identities and is checked against the
+ * stored session on every request, so ending the session revokes it.
+ */
+
+export const IMPERSONATION_DEFAULT_MINUTES =
+  parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES) || 30;
+
+export const IMPERSONATION_MAX_MINUTES =
+  parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 60;
+
+const IMPERSONATION_SELECT = {
+  id: true,
+  reason: true,
+  ipAddress: true,
+  userAgent: true,
+  expiresAt: true,
+  endedAt: true,
+  endedReason: true,
+  requestCount: true,
+  lastUsedAt: true,
+  createdAt: true,
+  admin: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+const impersonationError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Where clause for impersonation sessions that can still be used
+ * @returns {Object} Prisma where clause
+ */
+const activeImpersonationWhere = () => ({
+  endedAt: null,
+  expiresAt: { gt: new Date() },
+});
+
+/**
+ * Start impersonating a user
+ * @param {Object} admin - Administrator starting the session (id, name, email)
+ * @param {string} userId - User to impersonate
+ * @param {Object} options - Session options
+ * @param {string} options.reason - Why support needs access (shown to the user)
+ * @param {number} options.durationMinutes - Session lifetime in minutes
+ * @param {Object} context - Client context (userAgent, ipAddress)
+ * @returns {Promise<Object>} Access token, session and impersonated user
+ */
+export const startImpersonation = async (
+  admin,
+  userId,
+  { reason, durationMinutes = IMPERSONATION_DEFAULT_MINUTES },
+  context = {}
+) => {
+  try {
+    if (admin.id === userId) {
+      throw impersonationError(
+        "You cannot impersonate yourself",
+        "CANNOT_IMPERSONATE_SELF"
+      );
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, name: true, email: true, role: true, isActive: true },
+    });
+
+    if (!user) {
+      throw impersonationError("User not found", "USER_NOT_FOUND");
+    }
+
+    if (user.role === USER_ROLES.ADMINISTRATOR) {
+      throw impersonationError(
+        "Administrators cannot be impersonated",
+        "CANNOT_IMPERSONATE_ADMIN"
+      );
+    }
+
+    if (!user.isActive) {
+      throw impersonationError(
+        "Inactive users cannot be impersonated",
+        "USER_INACTIVE"
+      );
+    }
+
+    const minutes = Math.min(durationMinutes, IMPERSONATION_MAX_MINUTES);
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+    const impersonation = await prisma.impersonationSession.create({
+      data: {
+        adminId: admin.id,
+        userId,
+        reason,
+        ipAddress: context.ipAddress,
+        userAgent: context.userAgent,
+        expiresAt,
+      },
+      select: IMPERSONATION_SELECT,
+    });
+
+    const accessToken = generateImpersonationToken(
+      {
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        impersonatorId: admin.id,
+        impersonationId: impersonation.id,
+      },
+      minutes * 60
+    );
+
+    logger.warn(
+      `Administrator ${admin.email} started impersonating user ${
+        user.email
+      } until ${expiresAt.toISOString()}`,
+      { impersonationId: impersonation.id, reason }
+    );
+
+    // The user is always told; a failed email must not block support
+    notificationService
+      .sendSupportAccessNotice(user, impersonation)
+      .catch((emailError) =>
+        logger.error(
+          `Failed to send support access notice to ${user.email}:`,
+          emailError
+        )
+      );
+
+    return {
+      accessToken,
+      expiresAt,
+      impersonation,
+      user: { id: user.id, name: user.name, email: user.email },
+    };
+  } catch (error) {
+    logger.error("Error starting impersonation:", error);
+    throw error;
+  }
+};
+
+/**
+ * Look up a usable impersonation session for a token
+ * The administrator must still be an active administrator
+ * @param {string} impersonationId - Impersonation session ID
+ * @param {string} userId - Impersonated user ID from the token
+ * @param {string} impersonatorId - Administrator ID from the token
+ * @returns {Promise<Object|null>} Session with its administrator, or null
+ */
+export const findActiveImpersonation = async (
+  impersonationId,
+  userId,
+  impersonatorId
+) => {
+  const impersonation = await prisma.impersonationSession.findFirst({
+    where: {
+      id: impersonationId,
+      userId,
+      adminId: impersonatorId,
+      ...activeImpersonationWhere(),
+    },
+    include: {
+      admin: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+          isActive: true,
+        },
+      },
+    },
+  });
+
+  if (
+    !impersonation ||
+    !impersonation.admin.isActive ||
+    impersonation.admin.role !== USER_ROLES.ADMINISTRATOR
+  ) {
+    return null;
+  }
+
+  return impersonation;
+};
+
+/**
+ * Count a request made with an impersonation token
+ * @param {string} impersonationId - Impersonation session ID
+ * @returns {Promise<void>}
+ */
+export const recordImpersonatedRequest = async (impersonationId) => {
+  await prisma.impersonationSession.update({
+    where: { id: impersonationId },
+    data: { requestCount: { increment: 1 }, lastUsedAt: new Date() },
+  });
+};
+
+/**
+ * End one impersonation session
+ * @param {string} impersonationId - Impersonation session ID
+ * @param {string} reason - LOGOUT or ADMIN_ENDED
+ * @returns {Promise<void>}
+ */
+export const endImpersonation = async (impersonationId, reason = "LOGOUT") => {
+  try {
+    await prisma.impersonationSession.updateMany({
+      where: { id: impersonationId, endedAt: null },
+      data: { endedAt: new Date(), endedReason: reason },
+    });
+
+    logger.warn(`Impersonation session ${impersonationId} ended (${reason})`);
+  } catch (error) {
+    logger.error("Error ending impersonation:", error);
+    throw error;
+  }
+};
+
+/**
+ * End every active impersonation of a user
+ * @param {string} userId - Impersonated user ID
+ * @returns {Promise<number>} Number of sessions ended
+ */
+export const endUserImpersonations = async (userId) => {
+  try {
+    const result = await prisma.impersonationSession.updateMany({
+      where: { userId, ...activeImpersonationWhere() },
+      data: { endedAt: new Date(), endedReason: "ADMIN_ENDED" },
+    });
+
+    logger.warn(
+      `Ended ${result.count} impersonation sessions of user ${userId}`
+    );
+
+    return result.count;
+  } catch (error) {
+    logger.error("Error ending user impersonations:", error);
+    throw error;
+  }
+};
+
+/**
+ * Get the impersonation history of a user
+ * @param {string} userId - Impersonated user ID
+ * @param {Object} options - Pagination options
+ * @returns {Promise<Object>} Sessions, newest first, with pagination
+ */
+export const getUserImpersonations = async (
+  userId,
+  { page = 1, limit = 20 } = {}
+) => {
+  try {
+    const skip = (page - 1) * limit;
+    const where = { userId };
+
+    const [impersonations, total] = await Promise.all([
+      prisma.impersonationSession.findMany({
+        where,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+        select: IMPERSONATION_SELECT,
+      }),
+      prisma.impersonationSession.count({ where }),
+    ]);
+
+    return {
+      impersonations: impersonations.map((impersonation) => ({
+        ...impersonation,
+        isActive:
+          !impersonation.endedAt && impersonation.expiresAt > new Date(),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error("Error getting user impersonations:", error);
+    throw error;
+  }
+};
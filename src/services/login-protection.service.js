@@ -0,0 +1,330 @@
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { getRedisClient } from "../config/redis.js";
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
+import { recordAudit } from "./audit.service.js";
+import { notificationService } from "./notification.service.js";
+
+/**
+ * Login protection service
+ *
+ * Counts failed sign-ins per account and per IP. Each failure on an account
+ * adds a growing delay before the next attempt is accepted, and too many
+ * failures lock the account (or IP) for a while. Password, Google and
+ * two-factor logins share the same counters.
+ *
+ * Counters live in Redis so they are shared between API instances. Without
+ * Redis, or while it is unreachable, they are kept in process memory, which
+ * only protects one instance.
+ */
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50;
+const LOGIN_ATTEMPT_WINDOW_MS =
+  (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOGIN_LOCKOUT_MS =
+  (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const LOGIN_DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000;
+const LOGIN_DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS) || 30000;
+
+const KEY_PREFIX = "login-protection";
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+const keys = {
+  accountFailures: (email) => `${KEY_PREFIX}:failures:account:${email}`,
+  ipFailures: (ip) => `${KEY_PREFIX}:failures:ip:${ip}`,
+  accountDelay: (email) => `${KEY_PREFIX}:delay:account:${email}`,
+  accountLock: (email) => `${KEY_PREFIX}:lock:account:${email}`,
+  ipLock: (ip) => `${KEY_PREFIX}:lock:ip:${ip}`,
+};
+
+const loginProtectionError = (message, code, retryAfterMs) => {
+  const error = new Error(message);
+  error.code = code;
+  error.retryAfter = Math.ceil(retryAfterMs / 1000);
+  return error;
+};
+
+/**
+ * In-process store used when Redis is disabled or unreachable
+ */
+const memoryStore = {
+  entries: new Map(),
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  },
+
+  // Drop expired entries so unique IPs don't accumulate forever
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  },
+
+  async increment(key, ttlMs) {
+    if (this.entries.size > MEMORY_STORE_SWEEP_SIZE) this.sweep();
+
+    const entry = this.read(key) || {
+      value: 0,
+      expiresAt: Date.now() + ttlMs,
+    };
+    entry.value += 1;
+    this.entries.set(key, entry);
+    return entry.value;
+  },
+
+  async set(key, ttlMs) {
+    this.entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+  },
+
+  async ttl(key) {
+    const entry = this.read(key);
+    return entry ? entry.expiresAt - Date.now() : 0;
+  },
+
+  async remove(...keyList) {
+    keyList.forEach((key) => this.entries.delete(key));
+  },
+};
+
+/**
+ * Redis-backed store with the same interface as memoryStore
+ * @param {Object} redis - Connected Redis client
+ * @returns {Object} Store
+ */
+const redisStore = (redis) => ({
+  async increment(key, ttlMs) {
+    const count = await redis.incr(key);
+    // The window starts at the first failure
+    if (count === 1) {
+      await redis.pExpire(key, ttlMs);
+    }
+    return count;
+  },
+
+  async set(key, ttlMs) {
+    await redis.set(key, "1", { PX: ttlMs });
+  },
+
+  async ttl(key) {
+    return Math.max(await redis.pTTL(key), 0);
+  },
+
+  async remove(...keyList) {
+    await redis.del(keyList);
+  },
+});
+
+/**
+ * Get the store to use for this call
+ * @returns {Promise<Object>} Redis store, or the in-process store
+ */
+const getStore = async () => {
+  const redis = await getRedisClient();
+  return redis ? redisStore(redis) : memoryStore;
+};
+
+/**
+ * Normalise an email for use in counter keys
+ * @param {string} email - Email address
+ * @returns {string|null} Lower-cased email
+ */
+const normaliseEmail = (email) => email?.trim().toLowerCase() || null;
+
+/**
+ * Delay before the next attempt after a number of failures
+ * @param {number} failures - Failed attempts in the current window
+ * @returns {number} Delay in milliseconds
+ */
+const getDelayMs = (failures) =>
+  Math.min(LOGIN_DELAY_BASE_MS * 2 ** (failures - 1), LOGIN_DELAY_MAX_MS);
+
+/**
+ * Refuse a sign-in attempt while the account or IP is locked or throttled
+ * @param {Object} attempt - Sign-in attempt
+ * @param {string} attempt.email - Account email, if known yet
+ * @param {string} attempt.ipAddress - Client IP address
+ * @throws {Error} LOGIN_LOCKED or LOGIN_THROTTLED with retryAfter seconds
+ */
+export const assertLoginAllowed = async ({ email, ipAddress }) => {
+  const account = normaliseEmail(email);
+  let ipLockMs, accountLockMs, delayMs;
+
+  try {
+    const store = await getStore();
+
+    [ipLockMs, accountLockMs, delayMs] = await Promise.all([
+      ipAddress ? store.ttl(keys.ipLock(ipAddress)) : 0,
+      account ? store.ttl(keys.accountLock(account)) : 0,
+      account ? store.ttl(keys.accountDelay(account)) : 0,
+    ]);
+  } catch (error) {
+    // A Redis outage must not stop everyone from signing in
+    logger.error("Login protection unavailable:", error);
+    return;
+  }
+
+  if (ipLockMs > 0) {
+    throw loginProtectionError(
+      "Too many failed sign-in attempts from this network. Please try again later.",
+      "LOGIN_LOCKED",
+      ipLockMs
+    );
+  }
+
+  if (accountLockMs > 0) {
+    throw loginProtectionError(
+      "This account is temporarily locked after too many failed sign-in attempts.",
+      "LOGIN_LOCKED",
+      accountLockMs
+    );
+  }
+
+  if (delayMs > 0) {
+    throw loginProtectionError(
+      "Too many failed sign-in attempts. Please wait before trying again.",
+      "LOGIN_THROTTLED",
+      delayMs
+    );
+  }
+};
+
+/**
+ * Tell the account owner about a lockout and record it in the audit log
+ * @param {string} email - Locked account email
+ * @param {string} ipAddress - IP address of the last failed attempt
+ * @returns {Promise<void>}
+ */
+const notifyAccountLocked = async (email, ipAddress) => {
+  const user = await prisma.user.findFirst({
+    where: { email: { equals: email, mode: "insensitive" } },
+    select: { id: true, name: true, email: true },
+  });
+
+  // Unknown emails are locked too, so responses don't reveal which exist
+  if (!user) return;
+
+  const unlockAt = new Date(Date.now() + LOGIN_LOCKOUT_MS);
+
+  await recordAudit(null, {
+    action: AUDIT_ACTIONS.ACCOUNT_LOCKED,
+    targetType: AUDIT_TARGET_TYPES.USER,
+    targetId: user.id,
+    targetUserId: user.id,
+    metadata: { ipAddress, failedAttempts: LOGIN_MAX_ATTEMPTS, unlockAt },
+  });
+
+  try {
+    await notificationService.sendAccountLockedNotice(user, {
+      unlockAt,
+      ipAddress,
+    });
+  } catch (error) {
+    logger.error(`Failed to send account locked notice to ${email}:`, error);
+  }
+};
+
+/**
+ * Count a failed sign-in attempt
+ * @param {Object} attempt - Sign-in attempt
+ * @param {string} attempt.email - Account email, if known
+ * @param {string} attempt.ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+export const recordLoginFailure = async ({ email, ipAddress }) => {
+  const account = normaliseEmail(email);
+
+  try {
+    const store = await getStore();
+
+    if (ipAddress) {
+      const ipFailures = await store.increment(
+        keys.ipFailures(ipAddress),
+        LOGIN_ATTEMPT_WINDOW_MS
+      );
+
+      if (ipFailures >= LOGIN_IP_MAX_ATTEMPTS) {
+        await store.set(keys.ipLock(ipAddress), LOGIN_LOCKOUT_MS);
+        await store.remove(keys.ipFailures(ipAddress));
+        logger.warn(
+          `Sign-in locked for IP ${ipAddress} after ${ipFailures} failed attempts`
+        );
+      }
+    }
+
+    if (!account) return;
+
+    const failures = await store.increment(
+      keys.accountFailures(account),
+      LOGIN_ATTEMPT_WINDOW_MS
+    );
+
+    if (failures >= LOGIN_MAX_ATTEMPTS) {
+      await store.set(keys.accountLock(account), LOGIN_LOCKOUT_MS);
+      await store.remove(
+        keys.accountFailures(account),
+        keys.accountDelay(account)
+      );
+      logger.warn(
+        `Account ${account} locked after ${failures} failed sign-in attempts (last from ${ipAddress})`
+      );
+      await notifyAccountLocked(account, ipAddress);
+      return;
+    }
+
+    await store.set(keys.accountDelay(account), getDelayMs(failures));
+  } catch (error) {
+    logger.error("Failed to record failed sign-in attempt:", error);
+  }
+};
+
+/**
+ * Clear an account's failure counters after a successful sign-in
+ * IP counters are kept so one valid account cannot reset them.
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+export const recordLoginSuccess = async (email) => {
+  const account = normaliseEmail(email);
+
+  try {
+    const store = await getStore();
+    await store.remove(
+      keys.accountFailures(account),
+      keys.accountDelay(account)
+    );
+  } catch (error) {
+    logger.error("Failed to reset sign-in counters:", error);
+  }
+};
+
+/**
+ * Lift an account lockout and clear its counters (admin)
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} True if the account was locked
+ */
+export const unlockAccount = async (email) => {
+  const account = normaliseEmail(email);
+  const store = await getStore();
+  const wasLocked = (await store.ttl(keys.accountLock(account))) > 0;
+
+  await store.remove(
+    keys.accountLock(account),
+    keys.accountFailures(account),
+    keys.accountDelay(account)
+  );
+
+  logger.info(`Sign-in lockout cleared for account ${account}`);
+
+  return wasLocked;
+};
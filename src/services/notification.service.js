@@ -3,6 +3,7 @@ import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import logger from "../utils/logger.util.js";
+import { getCycleLabel, getCyclePrice } from "../utils/billing-cycle.util.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -63,6 +64,11 @@ export const notificationService = {
    */
   async sendEmail({ to, subject, template, data, attachments = [] }) {
     try {
+      // Account emails can be sent from the API process before any job worker initialized the transporter
+      if (!this.transporter) {
+        await this.initialize();
+      }
+
       if (!this.transporter) {
         throw new Error("Email transporter not initialized");
       }
@@ -206,6 +212,293 @@ export const notificationService = {
     }
   },
 
+  /**
+   * Send email address verification link
+   */
+  async sendEmailVerification(user, verificationUrl, expiresIn) {
+    try {
+      await this.sendEmail({
+        to: user.email,
+        subject: "Verify your email address",
+        template: "verify-email",
+        data: {
+          title: "Verify Your Email",
+          userName: user.name,
+          userEmail: user.email,
+          verificationUrl,
+          expiresIn,
+          content: `
+            <h2>Hi ${user.name},</h2>
+            <p>Please confirm that ${user.email} is your email address.</p>
+            <p><a href="${verificationUrl}" class="button">Verify Email Address</a></p>
+            <p>This link expires in ${expiresIn} and can only be used once.</p>
+          `,
+        },
+      });
+
+      logger.info(`Email verification sent to ${user.email}`);
+    } catch (error) {
+      logger.error(
+        `Failed to send email verification to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send password reset link
+   */
+  async sendPasswordReset(user, resetUrl, expiresIn) {
+    try {
+      await this.sendEmail({
+        to: user.email,
+        subject: "Reset your password",
+        template: "password-reset",
+        data: {
+          title: "Reset Your Password",
+          userName: user.name,
+          userEmail: user.email,
+          resetUrl,
+          expiresIn,
+          content: `
+            <h2>Hi ${user.name},</h2>
+            <p>We received a request to reset your password.</p>
+            <p><a href="${resetUrl}" class="button">Reset Password</a></p>
+            <p>This link expires in ${expiresIn} and can only be used once.</p>
+            <p>If you did not request a password reset, you can ignore this email.</p>
+          `,
+        },
+      });
+
+      logger.info(`Password reset email sent to ${user.email}`);
+    } catch (error) {
+      logger.error(`Failed to send password reset to ${user.email}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Send organization invitation link
+   */
+  async sendOrganizationInvitation(
+    invitation,
+    organization,
+    inviter,
+    invitationUrl
+  ) {
+    try {
+      const expiresAt = invitation.expiresAt.toLocaleDateString();
+
+      await this.sendEmail({
+        to: invitation.email,
+        subject: `You're invited to join ${organization.name}`,
+        template: "organization-invite",
+        data: {
+          title: "Organization Invitation",
+          inviteeEmail: invitation.email,
+          inviterName: inviter.name,
+          organizationName: organization.name,
+          role: invitation.role,
+          invitationUrl,
+          expiresAt,
+          content: `
+            <h2>Hi there,</h2>
+            <p>${inviter.name} has invited you to join the ${organization.name} organization as ${invitation.role}.</p>
+            <p><a href="${invitationUrl}" class="button">Accept Invitation</a></p>
+            <p>This invitation is for ${invitation.email} and expires on ${expiresAt}.</p>
+          `,
+        },
+      });
+
+      logger.info(
+        `Organization invitation sent to ${invitation.email} for ${organization.slug}`
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to send organization invitation to ${invitation.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Tell a user that sign-in to their account was locked
+   */
+  async sendAccountLockedNotice(user, { unlockAt, ipAddress }) {
+    try {
+      const unlockTime = unlockAt.toLocaleString();
+      const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+
+      await this.sendEmail({
+        to: user.email,
+        subject: "Sign-in to your account was temporarily locked",
+        template: "account-locked",
+        data: {
+          title: "Account Temporarily Locked",
+          userName: user.name,
+          ipAddress: ipAddress || "unknown",
+          unlockAt: unlockTime,
+          resetUrl,
+          content: `
+            <h2>Hi ${user.name},</h2>
+            <p>We temporarily locked sign-in to your account after several failed attempts.</p>
+            <p>You can sign in again after ${unlockTime}.</p>
+            <p>If this wasn't you, <a href="${resetUrl}">reset your password</a>.</p>
+          `,
+        },
+      });
+
+      logger.info(`Account locked notice sent to ${user.email}`);
+    } catch (error) {
+      logger.error(
+        `Failed to send account locked notice to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Tell a user that support started impersonating their account
+   */
+  async sendSupportAccessNotice(user, impersonation) {
+    try {
+      const startedAt = impersonation.createdAt.toLocaleString();
+      const expiresAt = impersonation.expiresAt.toLocaleString();
+
+      await this.sendEmail({
+        to: user.email,
+        subject: "Support accessed your account",
+        template: "support-access",
+        data: {
+          title: "Support Access Notice",
+          userName: user.name,
+          adminName: impersonation.admin.name,
+          reason: impersonation.reason,
+          startedAt,
+          expiresAt,
+          content: `
+            <h2>Hi ${user.name},</h2>
+            <p>Our support team (${impersonation.admin.name}) has been given temporary access to your account.</p>
+            <p>Reason: ${impersonation.reason}</p>
+            <p>Access expires on ${expiresAt}.</p>
+          `,
+        },
+      });
+
+      logger.info(`Support access notice sent to ${user.email}`);
+    } catch (error) {
+      logger.error(
+        `Failed to send support access notice to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Tell a user that their personal data export is ready to download
+   */
+  async sendDataExportReady(user, { expiresAt }) {
+    try {
+      const downloadUrl = `${process.env.FRONTEND_URL}/settings/privacy`;
+      const expiryTime = expiresAt.toLocaleString();
+
+      await this.sendEmail({
+        to: user.email,
+        subject: "Your personal data export is ready",
+        template: "data-export-ready",
+        data: {
+          title: "Data Export Ready",
+          userName: user.name,
+          downloadUrl,
+          expiresAt: expiryTime,
+          content: `
+            <h2>Hi ${user.name},</h2>
+            <p>The export of your personal data is ready.</p>
+            <p><a href="${downloadUrl}">Download it from your privacy settings</a> before ${expiryTime}.</p>
+          `,
+        },
+      });
+
+      logger.info(`Data export ready email sent to ${user.email}`);
+    } catch (error) {
+      logger.error(
+        `Failed to send data export ready email to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm that account deletion was requested and when it will happen
+   */
+  async sendAccountDeletionScheduled(user, { scheduledAt }) {
+    try {
+      const settingsUrl = `${process.env.FRONTEND_URL}/settings/privacy`;
+      const deletionTime = scheduledAt.toLocaleString();
+
+      await this.sendEmail({
+        to: user.email,
+        subject: "Your account is scheduled for deletion",
+        template: "account-deletion-scheduled",
+        data: {
+          title: "Account Deletion Scheduled",
+          userName: user.name,
+          scheduledAt: deletionTime,
+          settingsUrl,
+          content: `
+            <h2>Hi ${user.name},</h2>
+            <p>Your account and its services will be permanently deleted on ${deletionTime}.</p>
+            <p>Changed your mind? <a href="${settingsUrl}">Cancel the deletion</a> before then.</p>
+          `,
+        },
+      });
+
+      logger.info(`Account deletion scheduled email sent to ${user.email}`);
+    } catch (error) {
+      logger.error(
+        `Failed to send account deletion scheduled email to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Confirm that an account was deleted
+   * Sent to the address the account had before it was anonymised.
+   */
+  async sendAccountDeleted(user) {
+    try {
+      await this.sendEmail({
+        to: user.email,
+        subject: "Your account has been deleted",
+        template: "account-deleted",
+        data: {
+          title: "Account Deleted",
+          userName: user.name,
+          content: `
+            <h2>Hi ${user.name},</h2>
+            <p>Your account has been deleted and its services have been removed.</p>
+            <p>Invoices and payment records are kept in anonymised form as required by law.</p>
+          `,
+        },
+      });
+
+      logger.info(`Account deleted confirmation sent to ${user.email}`);
+    } catch (error) {
+      logger.error(
+        `Failed to send account deleted confirmation to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
   /**
    * Send subscription confirmation email
    */
@@ -413,6 +706,362 @@ export const notificationService = {
     }
   },
 
+  /**
+   * Send failed auto-renewal notification
+   */
+  async sendRenewalFailed(subscription, user, service, failure) {
+    try {
+      const { attempt, maxAttempts, finalAttempt, reason } = failure;
+      const expiresAt = new Date(subscription.expiresAt).toLocaleDateString();
+      const nextStep = finalAttempt
+        ? "Automatic renewal has been stopped. Please top up your balance and renew manually before the subscription expires."
+        : "We will retry automatically. Please make sure your balance covers the renewal price.";
+
+      await this.sendEmail({
+        to: user.email,
+        subject: `⚠️ Auto-renewal failed for ${service.displayName}`,
+        template: "renewal-failed",
+        data: {
+          title: "Auto-Renewal Failed",
+          userName: user.name,
+          serviceName: service.displayName,
+          attempt,
+          maxAttempts,
+          finalAttempt,
+          reason,
+          expiresAt,
+          topUpUrl: `${process.env.FRONTEND_URL}/dashboard/billing/top-up`,
+          renewUrl: `${process.env.FRONTEND_URL}/dashboard/subscriptions/${subscription.id}/renew`,
+          dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+          content: `
+            <h2>⚠️ Auto-Renewal Failed</h2>
+            <p>Hi ${user.name},</p>
+            <p>We could not automatically renew your subscription to <strong>${service.displayName}</strong>.</p>
+            <div style="background: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Service:</strong> ${service.displayName}</p>
+              <p><strong>Reason:</strong> ${reason}</p>
+              <p><strong>Attempt:</strong> ${attempt} of ${maxAttempts}</p>
+              <p><strong>Expires:</strong> ${expiresAt}</p>
+            </div>
+            <p>${nextStep}</p>
+            <p><a href="${process.env.FRONTEND_URL}/dashboard/billing/top-up" class="button">Top Up Balance</a></p>
+            <p><a href="${process.env.FRONTEND_URL}/dashboard/subscriptions/${subscription.id}/renew">Renew Manually</a></p>
+          `,
+        },
+      });
+
+      logger.info(
+        `Renewal failed notification sent to ${user.email} for ${service.displayName}`
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to send renewal failed notification to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send trial ending reminder
+   */
+  async sendTrialEnding(subscription, user, service) {
+    try {
+      const trialEndsAt = new Date(
+        subscription.trialEndsAt
+      ).toLocaleDateString();
+      const daysLeft = Math.max(
+        1,
+        Math.ceil(
+          (new Date(subscription.trialEndsAt) - new Date()) /
+            (1000 * 60 * 60 * 24)
+        )
+      );
+      const price = getCyclePrice(service, subscription.billingCycle);
+      const cycleLabel = getCycleLabel(subscription.billingCycle);
+      const nextStep = subscription.autoRenew
+        ? `Your balance will be charged ${price} for the first ${cycleLabel.toLowerCase()} period when the trial ends. Please make sure it covers the price.`
+        : "Auto-renew is off, so your service will be suspended when the trial ends. Turn on auto-renew or renew now to keep it running.";
+
+      await this.sendEmail({
+        to: user.email,
+        subject: `⏳ Your ${service.displayName} trial ends in ${daysLeft} days`,
+        template: "trial-ending",
+        data: {
+          title: "Trial Ending Soon",
+          userName: user.name,
+          serviceName: service.displayName,
+          daysLeft,
+          trialEndsAt,
+          price,
+          billingCycle: cycleLabel,
+          autoRenew: subscription.autoRenew,
+          renewUrl: `${process.env.FRONTEND_URL}/dashboard/subscriptions/${subscription.id}/renew`,
+          dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+          content: `
+            <h2>⏳ Trial Ending Soon</h2>
+            <p>Hi ${user.name},</p>
+            <p>Your free trial of <strong>${
+              service.displayName
+            }</strong> ends in <strong>${daysLeft} days</strong>.</p>
+            <div style="background: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Service:</strong> ${service.displayName}</p>
+              <p><strong>Trial ends:</strong> ${trialEndsAt}</p>
+              <p><strong>${cycleLabel} price:</strong> ${price}</p>
+              <p><strong>Auto-renew:</strong> ${
+                subscription.autoRenew ? "On" : "Off"
+              }</p>
+            </div>
+            <p>${nextStep}</p>
+            <p><a href="${
+              process.env.FRONTEND_URL
+            }/dashboard/billing/top-up" class="button">Top Up Balance</a></p>
+            <p><a href="${process.env.FRONTEND_URL}/dashboard/subscriptions/${
+            subscription.id
+          }/renew">Subscribe Now</a></p>
+          `,
+        },
+      });
+
+      logger.info(
+        `Trial ending reminder sent to ${user.email} for ${service.displayName}`
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to send trial ending reminder to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send trial ended notification (converted or suspended)
+   */
+  async sendTrialEnded(subscription, user, service, outcome) {
+    try {
+      const { converted, reason } = outcome;
+      const expiresAt = new Date(subscription.expiresAt).toLocaleDateString();
+
+      const content = converted
+        ? `
+            <h2>✅ Trial Converted</h2>
+            <p>Hi ${user.name},</p>
+            <p>Your free trial of <strong>${
+              service.displayName
+            }</strong> has ended and your subscription is now active.</p>
+            <div style="background: #d4edda; border: 1px solid #c3e6cb; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Service:</strong> ${service.displayName}</p>
+              <p><strong>Charged:</strong> ${getCyclePrice(
+                service,
+                subscription.billingCycle
+              )} (${getCycleLabel(subscription.billingCycle)})</p>
+              <p><strong>Next renewal:</strong> ${expiresAt}</p>
+            </div>
+            <p><a href="${
+              process.env.FRONTEND_URL
+            }/dashboard" class="button">Go to Dashboard</a></p>
+          `
+        : `
+            <h2>⏸️ Trial Ended</h2>
+            <p>Hi ${user.name},</p>
+            <p>Your free trial of <strong>${
+              service.displayName
+            }</strong> has ended and the service has been suspended.</p>
+            <div style="background: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Service:</strong> ${service.displayName}</p>
+              <p><strong>Reason:</strong> ${reason}</p>
+            </div>
+            <p>Your data is kept${
+              subscription.dataDeletionAt
+                ? ` until ${new Date(
+                    subscription.dataDeletionAt
+                  ).toLocaleDateString()}`
+                : ""
+            }. Renew the subscription to start the service again.</p>
+            <p><a href="${process.env.FRONTEND_URL}/dashboard/subscriptions/${
+            subscription.id
+          }/renew" class="button">Subscribe Now</a></p>
+          `;
+
+      await this.sendEmail({
+        to: user.email,
+        subject: converted
+          ? `✅ Your ${service.displayName} subscription is active`
+          : `⏸️ Your ${service.displayName} trial has ended`,
+        template: "trial-ended",
+        data: {
+          title: converted ? "Trial Converted" : "Trial Ended",
+          userName: user.name,
+          serviceName: service.displayName,
+          converted,
+          reason,
+          expiresAt,
+          renewUrl: `${process.env.FRONTEND_URL}/dashboard/subscriptions/${subscription.id}/renew`,
+          dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+          content,
+        },
+      });
+
+      logger.info(
+        `Trial ended notification sent to ${user.email} for ${service.displayName}`
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to send trial ended notification to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send expiry lifecycle notification
+   * Stages: GRACE_PERIOD (expired, still running), SUSPENDED (pod stopped),
+   * DELETION_WARNING (data deleted soon), DATA_DELETED
+   */
+  async sendSubscriptionLifecycleNotice(subscription, user, service, stage) {
+    try {
+      const formatDate = (date) => new Date(date).toLocaleDateString();
+      const renewUrl = `${process.env.FRONTEND_URL}/dashboard/subscriptions/${subscription.id}/renew`;
+      const renewLink = `<p><a href="${renewUrl}" class="button">Renew Now</a></p>`;
+
+      const notices = {
+        GRACE_PERIOD: {
+          subject: `⚠️ ${
+            service.displayName
+          } subscription expired - renew by ${formatDate(
+            subscription.gracePeriodEndsAt
+          )}`,
+          title: "Subscription Expired",
+          boxStyle: "background: #fff3cd; border: 1px solid #ffeaa7",
+          body: `Your subscription expired on ${formatDate(
+            subscription.expiresAt
+          )}. Your service keeps running until <strong>${formatDate(
+            subscription.gracePeriodEndsAt
+          )}</strong>; after that it will be stopped. Top up your balance and renew to keep it running.`,
+        },
+        SUSPENDED: {
+          subject: `⏸️ ${service.displayName} has been suspended`,
+          title: "Service Suspended",
+          boxStyle: "background: #f8d7da; border: 1px solid #f5c6cb",
+          body: `Your service has been stopped because the subscription was not renewed. Your data is kept until <strong>${formatDate(
+            subscription.dataDeletionAt
+          )}</strong>. Renew before then to start the service again with all your data.`,
+        },
+        DELETION_WARNING: {
+          subject: `🗑️ ${
+            service.displayName
+          } data will be deleted on ${formatDate(subscription.dataDeletionAt)}`,
+          title: "Data Deletion Scheduled",
+          boxStyle: "background: #f8d7da; border: 1px solid #f5c6cb",
+          body: `Your suspended service and all of its data will be permanently deleted on <strong>${formatDate(
+            subscription.dataDeletionAt
+          )}</strong>. Renew before then to keep it.`,
+        },
+        DATA_DELETED: {
+          subject: `${service.displayName} data has been deleted`,
+          title: "Service Data Deleted",
+          boxStyle: "background: #e2e3e5; border: 1px solid #d6d8db",
+          body: "The retention period of your expired subscription has ended and the service and its data have been permanently deleted. You can subscribe again at any time to start a new instance.",
+        },
+      };
+
+      const notice = notices[stage];
+      if (!notice) {
+        throw new Error(`Unknown lifecycle stage: ${stage}`);
+      }
+
+      await this.sendEmail({
+        to: user.email,
+        subject: notice.subject,
+        template: "subscription-lifecycle",
+        data: {
+          title: notice.title,
+          userName: user.name,
+          serviceName: service.displayName,
+          stage,
+          expiresAt: formatDate(subscription.expiresAt),
+          gracePeriodEndsAt: subscription.gracePeriodEndsAt
+            ? formatDate(subscription.gracePeriodEndsAt)
+            : null,
+          dataDeletionAt: subscription.dataDeletionAt
+            ? formatDate(subscription.dataDeletionAt)
+            : null,
+          renewUrl,
+          dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+          content: `
+            <h2>${notice.title}</h2>
+            <p>Hi ${user.name},</p>
+            <div style="${
+              notice.boxStyle
+            }; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Service:</strong> ${service.displayName}</p>
+              <p>${notice.body}</p>
+            </div>
+            ${stage === "DATA_DELETED" ? "" : renewLink}
+            <p><a href="${
+              process.env.FRONTEND_URL
+            }/dashboard">View Dashboard</a></p>
+          `,
+        },
+      });
+
+      logger.info(
+        `Subscription ${stage} notification sent to ${user.email} for ${service.displayName}`
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to send subscription ${stage} notification to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * Send notification that a paused subscription was resumed automatically
+   */
+  async sendPauseEndedNotification(subscription, user, service) {
+    try {
+      const expiresAt = new Date(subscription.expiresAt).toLocaleDateString();
+
+      await this.sendEmail({
+        to: user.email,
+        subject: `▶️ ${service.displayName} has been resumed`,
+        template: "pause-ended",
+        data: {
+          title: "Service Resumed",
+          userName: user.name,
+          serviceName: service.displayName,
+          expiresAt,
+          dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+          content: `
+            <h2>Service Resumed</h2>
+            <p>Hi ${user.name},</p>
+            <p>The pause of your <strong>${service.displayName}</strong> service has ended and it is starting again.</p>
+            <div style="background: #d4edda; border: 1px solid #c3e6cb; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p><strong>Service:</strong> ${service.displayName}</p>
+              <p><strong>New Expiry Date:</strong> ${expiresAt}</p>
+            </div>
+            <p>The paused time has been added to your subscription.</p>
+            <p><a href="${process.env.FRONTEND_URL}/dashboard">View Dashboard</a></p>
+          `,
+        },
+      });
+
+      logger.info(
+        `Pause ended notification sent to ${user.email} for ${service.displayName}`
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to send pause ended notification to ${user.email}:`,
+        error
+      );
+      throw error;
+    }
+  },
+
   /**
    * Send pod restart notification
    */
@@ -0,0 +1,427 @@
+import { Issuer, custom, generators } from "openid-client";
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { getRedisClient } from "../config/redis.js";
+import { getOidcProvider, getOidcProviders } from "../config/oidc.js";
+import { USER_ROLES, getDefaultRole } from "../utils/user-roles.util.js";
+
+/**
+ * OIDC single sign-on service
+ *
+ * Runs the authorization code flow with PKCE against the providers in
+ * OIDC_PROVIDERS. The client asks for an authorization URL, sends the user
+ * there, and posts the returned code and state back to the API. Each state is
+ * single-use and remembers what it was issued for (sign-in, or linking the
+ * provider to a signed-in user).
+ *
+ * Pending states live in Redis when it is enabled and reachable, otherwise in
+ * process memory, which only works with a single API instance.
+ */
+
+const OIDC_STATE_TTL_MS =
+  (parseInt(process.env.OIDC_STATE_TTL_MINUTES) || 10) * 60 * 1000;
+const OIDC_HTTP_TIMEOUT_MS = parseInt(process.env.OIDC_HTTP_TIMEOUT_MS) || 5000;
+
+const STATE_KEY_PREFIX = "oidc-state";
+
+// Highest role wins when a user matches several mapped claim values
+const ROLE_PRECEDENCE = [USER_ROLES.ADMINISTRATOR, USER_ROLES.USER];
+
+export const OIDC_PURPOSES = {
+  LOGIN: "LOGIN",
+  LINK: "LINK",
+};
+
+const IDENTITY_SELECT = {
+  id: true,
+  provider: true,
+  email: true,
+  lastLoginAt: true,
+  createdAt: true,
+};
+
+custom.setHttpOptionsDefaults({ timeout: OIDC_HTTP_TIMEOUT_MS });
+
+const oidcError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * In-process state store used when Redis is disabled or unreachable
+ */
+const memoryStateStore = {
+  entries: new Map(),
+
+  async save(key, value, ttlMs) {
+    const now = Date.now();
+    for (const [entryKey, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(entryKey);
+    }
+
+    this.entries.set(key, { value, expiresAt: now + ttlMs });
+  },
+
+  async take(key) {
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  },
+};
+
+/**
+ * Redis-backed state store with the same interface as memoryStateStore
+ * @param {Object} redis - Connected Redis client
+ * @returns {Object} Store
+ */
+const redisStateStore = (redis) => ({
+  async save(key, value, ttlMs) {
+    await redis.set(key, value, { PX: ttlMs });
+  },
+
+  async take(key) {
+    return redis.getDel(key);
+  },
+});
+
+const getStateStore = async () => {
+  const redis = await getRedisClient();
+  return redis ? redisStateStore(redis) : memoryStateStore;
+};
+
+const stateKey = (state) => `${STATE_KEY_PREFIX}:${state}`;
+
+// Discovered clients, one per provider; failed discoveries are retried
+const clients = new Map();
+
+/**
+ * Get a configured provider
+ * @param {string} providerId - Provider id
+ * @returns {Object} Provider configuration
+ * @throws {Error} OIDC_PROVIDER_NOT_FOUND
+ */
+const getProviderOrThrow = (providerId) => {
+  const provider = getOidcProvider(providerId);
+
+  if (!provider) {
+    throw oidcError(
+      "Single sign-on provider not found",
+      "OIDC_PROVIDER_NOT_FOUND"
+    );
+  }
+
+  return provider;
+};
+
+/**
+ * Get the OIDC client for a provider, running discovery on first use
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} openid-client Client
+ * @throws {Error} OIDC_PROVIDER_UNAVAILABLE if discovery fails
+ */
+const getClient = async (provider) => {
+  if (!clients.has(provider.id)) {
+    const discovery = Issuer.discover(provider.issuer).then(
+      (issuer) =>
+        new issuer.Client({
+          client_id: provider.clientId,
+          client_secret: provider.clientSecret || undefined,
+          redirect_uris: [provider.redirectUri],
+          response_types: ["code"],
+          token_endpoint_auth_method: provider.clientSecret
+            ? "client_secret_basic"
+            : "none",
+        })
+    );
+
+    clients.set(provider.id, discovery);
+    discovery.catch(() => clients.delete(provider.id));
+  }
+
+  try {
+    return await clients.get(provider.id);
+  } catch (error) {
+    logger.error(`OIDC discovery failed for ${provider.id}:`, error.message);
+    throw oidcError(
+      "Single sign-on provider is unavailable. Please try again later.",
+      "OIDC_PROVIDER_UNAVAILABLE"
+    );
+  }
+};
+
+/**
+ * List configured providers for the sign-in page
+ * @returns {Array<Object>} Providers as { id, name }
+ */
+export const getProviders = () =>
+  getOidcProviders().map(({ id, name }) => ({ id, name }));
+
+/**
+ * Start an authorization code flow
+ * @param {string} providerId - Provider id
+ * @param {Object} options - Flow options
+ * @param {string} options.purpose - LOGIN or LINK (see OIDC_PURPOSES)
+ * @param {string} options.userId - User linking the provider (LINK only)
+ * @returns {Promise<Object>} Authorization URL, state and lifetime in seconds
+ */
+export const createAuthorizationRequest = async (
+  providerId,
+  { purpose, userId = null }
+) => {
+  const provider = getProviderOrThrow(providerId);
+  const client = await getClient(provider);
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  const store = await getStateStore();
+  await store.save(
+    stateKey(state),
+    JSON.stringify({
+      provider: provider.id,
+      purpose,
+      userId,
+      nonce,
+      codeVerifier,
+    }),
+    OIDC_STATE_TTL_MS
+  );
+
+  const authorizationUrl = client.authorizationUrl({
+    scope: provider.scopes.join(" "),
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+  });
+
+  return {
+    authorizationUrl,
+    state,
+    expiresIn: OIDC_STATE_TTL_MS / 1000,
+  };
+};
+
+/**
+ * Finish an authorization code flow and return the verified claims
+ * The state is consumed whether or not the exchange succeeds.
+ * @param {string} providerId - Provider id
+ * @param {Object} params - Parameters returned by the provider
+ * @param {string} params.code - Authorization code
+ * @param {string} params.state - State from createAuthorizationRequest
+ * @param {Object} options - Expected flow
+ * @param {string} options.purpose - LOGIN or LINK (see OIDC_PURPOSES)
+ * @param {string} options.userId - User linking the provider (LINK only)
+ * @returns {Promise<Object>} Provider and ID token claims (merged with userinfo)
+ * @throws {Error} INVALID_OIDC_STATE or OIDC_AUTHENTICATION_FAILED
+ */
+export const completeAuthorization = async (
+  providerId,
+  { code, state },
+  { purpose, userId = null }
+) => {
+  const provider = getProviderOrThrow(providerId);
+
+  const store = await getStateStore();
+  const saved = JSON.parse((await store.take(stateKey(state))) || "null");
+
+  if (
+    !saved ||
+    saved.provider !== provider.id ||
+    saved.purpose !== purpose ||
+    saved.userId !== userId
+  ) {
+    throw oidcError(
+      "Invalid or expired sign-in state. Please start again.",
+      "INVALID_OIDC_STATE"
+    );
+  }
+
+  const client = await getClient(provider);
+
+  let tokenSet;
+  try {
+    tokenSet = await client.callback(
+      provider.redirectUri,
+      { code, state },
+      { state, nonce: saved.nonce, code_verifier: saved.codeVerifier }
+    );
+  } catch (error) {
+    logger.warn(`OIDC code exchange failed for ${provider.id}:`, error.message);
+    throw oidcError(
+      "Single sign-on failed. Please try again.",
+      "OIDC_AUTHENTICATION_FAILED"
+    );
+  }
+
+  const idTokenClaims = tokenSet.claims();
+  let userinfo = {};
+
+  // Some providers only put email or groups in userinfo
+  if (client.issuer.userinfo_endpoint && tokenSet.access_token) {
+    try {
+      userinfo = await client.userinfo(tokenSet);
+    } catch (error) {
+      logger.warn(`OIDC userinfo failed for ${provider.id}:`, error.message);
+    }
+  }
+
+  return { provider, claims: { ...userinfo, ...idTokenClaims } };
+};
+
+/**
+ * Read a claim, following dotted paths such as "realm_access.roles"
+ * @param {Object} claims - Token claims
+ * @param {string} path - Claim name or dotted path
+ * @returns {*} Claim value
+ */
+const readClaim = (claims, path) =>
+  path.split(".").reduce((value, key) => value?.[key], claims);
+
+/**
+ * Map token claims to a user role
+ * @param {Object} provider - Provider configuration
+ * @param {Object} claims - Token claims
+ * @returns {string|null} Mapped role (the default role if nothing matches),
+ * or null when the provider has no role mapping
+ */
+export const resolveRole = (provider, claims) => {
+  if (Object.keys(provider.roleMapping).length === 0) {
+    return null;
+  }
+
+  const values = [readClaim(claims, provider.roleClaim) ?? []].flat();
+  const mappedRoles = values.map((value) => provider.roleMapping[value]);
+
+  return (
+    ROLE_PRECEDENCE.find((role) => mappedRoles.includes(role)) ||
+    getDefaultRole()
+  );
+};
+
+/**
+ * List the providers linked to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Linked identities
+ */
+export const getUserIdentities = async (userId) => {
+  try {
+    const identities = await prisma.userIdentity.findMany({
+      where: { userId },
+      select: IDENTITY_SELECT,
+      orderBy: { createdAt: "asc" },
+    });
+
+    return identities.map((identity) => ({
+      ...identity,
+      providerName: getOidcProvider(identity.provider)?.name || null,
+    }));
+  } catch (error) {
+    logger.error("Error getting user identities:", error);
+    throw error;
+  }
+};
+
+/**
+ * Link a provider account to a signed-in user
+ * @param {string} userId - User ID
+ * @param {string} providerId - Provider id
+ * @param {Object} params - Code and state returned by the provider
+ * @returns {Promise<Object>} Linked identity
+ */
+export const linkIdentity = async (userId, providerId, params) => {
+  try {
+    const { provider, claims } = await completeAuthorization(
+      providerId,
+      params,
+      { purpose: OIDC_PURPOSES.LINK, userId }
+    );
+
+    const [linkedAccount, linkedProvider] = await Promise.all([
+      prisma.userIdentity.findUnique({
+        where: {
+          provider_subject: { provider: provider.id, subject: claims.sub },
+        },
+      }),
+      prisma.userIdentity.findUnique({
+        where: { userId_provider: { userId, provider: provider.id } },
+      }),
+    ]);
+
+    if (linkedAccount) {
+      throw oidcError(
+        linkedAccount.userId === userId
+          ? "This account is already linked"
+          : "This account is already linked to another user",
+        "IDENTITY_ALREADY_LINKED"
+      );
+    }
+
+    if (linkedProvider) {
+      throw oidcError(
+        "Another account from this provider is already linked. Unlink it first.",
+        "IDENTITY_ALREADY_LINKED"
+      );
+    }
+
+    const identity = await prisma.userIdentity.create({
+      data: {
+        userId,
+        provider: provider.id,
+        subject: claims.sub,
+        email: claims.email || null,
+      },
+      select: IDENTITY_SELECT,
+    });
+
+    logger.info(`OIDC provider ${provider.id} linked to user ${userId}`);
+
+    return { ...identity, providerName: provider.name };
+  } catch (error) {
+    logger.error("Error linking identity:", error);
+    throw error;
+  }
+};
+
+/**
+ * Unlink a provider from a user
+ * Refused when it is the user's only way to sign in.
+ * @param {string} userId - User ID
+ * @param {string} providerId - Provider id
+ * @returns {Promise<Object>} Removed identity
+ */
+export const unlinkIdentity = async (userId, providerId) => {
+  try {
+    const identity = await prisma.userIdentity.findUnique({
+      where: { userId_provider: { userId, provider: providerId } },
+      select: { ...IDENTITY_SELECT, user: { select: { password: true } } },
+    });
+
+    if (!identity) {
+      throw oidcError("Linked account not found", "IDENTITY_NOT_FOUND");
+    }
+
+    const otherIdentities = await prisma.userIdentity.count({
+      where: { userId, id: { not: identity.id } },
+    });
+
+    if (!identity.user.password && otherIdentities === 0) {
+      throw oidcError(
+        "This is your only way to sign in. Set a password before unlinking it.",
+        "CANNOT_UNLINK_LAST_SIGN_IN"
+      );
+    }
+
+    await prisma.userIdentity.delete({ where: { id: identity.id } });
+
+    logger.info(`OIDC provider ${providerId} unlinked from user ${userId}`);
+
+    const { user: _user, ...removed } = identity;
+    return removed;
+  } catch (error) {
+    logger.error("Error unlinking identity:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,560 @@
+import { prisma } from "../config/database.js";
+import { generateRandomString, hashToken } from "../utils/crypto.util.js";
+import { ORGANIZATION_ROLES } from "../utils/organization-roles.util.js";
+import { notificationService } from "./notification.service.js";
+import logger from "../utils/logger.util.js";
+
+/**
+ * Organization service functions
+ * Organizations own subscriptions and a billing wallet shared by their
+ * members. Access inside an organization is controlled by member roles.
+ */
+
+const INVITATION_EXPIRES_DAYS =
+  parseInt(process.env.ORGANIZATION_INVITE_EXPIRES_DAYS) || 7;
+
+const memberSelect = {
+  id: true,
+  role: true,
+  createdAt: true,
+  user: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+const organizationError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Turn an organization name into a URL-friendly slug
+ * @param {string} name - Organization name
+ * @returns {string} Slug
+ */
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 40) || "org";
+
+/**
+ * Generate a slug that is not used by another organization
+ * @param {string} name - Organization name
+ * @returns {Promise<string>} Unique slug
+ */
+const generateUniqueSlug = async (name) => {
+  const baseSlug = slugify(name);
+  let slug = baseSlug;
+
+  while (await prisma.organization.findUnique({ where: { slug } })) {
+    slug = `${baseSlug}-${generateRandomString(3)}`;
+  }
+
+  return slug;
+};
+
+/**
+ * Get a user's membership in an organization
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Membership with its organization, or null
+ */
+const getMembership = async (organizationId, userId) => {
+  return prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+    include: {
+      organization: { select: { id: true, name: true, slug: true } },
+    },
+  });
+};
+
+/**
+ * Find a member of an organization or throw
+ * @param {string} organizationId - Organization ID
+ * @param {string} userId - Member user ID
+ * @returns {Promise<Object>} Membership record
+ */
+const findMember = async (organizationId, userId) => {
+  const member = await prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+  });
+
+  if (!member) {
+    throw organizationError("Member not found", "MEMBER_NOT_FOUND");
+  }
+
+  return member;
+};
+
+/**
+ * Make sure a change does not leave the organization without an owner
+ * @param {string} organizationId - Organization ID
+ * @param {Object} member - Member being demoted or removed
+ */
+const ensureAnotherOwner = async (organizationId, member) => {
+  if (member.role !== ORGANIZATION_ROLES.OWNER) {
+    return;
+  }
+
+  const ownerCount = await prisma.organizationMember.count({
+    where: { organizationId, role: ORGANIZATION_ROLES.OWNER },
+  });
+
+  if (ownerCount <= 1) {
+    throw organizationError(
+      "An organization must keep at least one owner",
+      "LAST_OWNER"
+    );
+  }
+};
+
+/**
+ * Create an organization with the creator as its owner
+ * @param {string} userId - Creator user ID
+ * @param {Object} organizationData - Organization data
+ * @param {string} organizationData.name - Display name
+ * @returns {Promise<Object>} Organization with the caller's role
+ */
+const createOrganization = async (userId, { name }) => {
+  try {
+    const slug = await generateUniqueSlug(name);
+
+    const organization = await prisma.organization.create({
+      data: {
+        name,
+        slug,
+        members: {
+          create: { userId, role: ORGANIZATION_ROLES.OWNER },
+        },
+        balance: {
+          create: { balance: 0, currency: "IDR" },
+        },
+      },
+    });
+
+    logger.info(`Organization ${organization.slug} created by user ${userId}`);
+
+    return { ...organization, role: ORGANIZATION_ROLES.OWNER };
+  } catch (error) {
+    logger.error("Error creating organization:", error);
+    throw error;
+  }
+};
+
+/**
+ * List the organizations a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Organizations with the user's role
+ */
+const getUserOrganizations = async (userId) => {
+  try {
+    const memberships = await prisma.organizationMember.findMany({
+      where: { userId },
+      orderBy: { createdAt: "asc" },
+      include: {
+        organization: {
+          include: { _count: { select: { members: true } } },
+        },
+      },
+    });
+
+    return memberships.map(({ organization, role }) => ({
+      ...organization,
+      role,
+    }));
+  } catch (error) {
+    logger.error(`Error getting organizations for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get organization details
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} Organization with balance and counts
+ */
+const getOrganizationById = async (organizationId) => {
+  try {
+    const organization = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      include: {
+        balance: { select: { balance: true, currency: true } },
+        _count: { select: { members: true, subscriptions: true } },
+      },
+    });
+
+    if (!organization) {
+      throw organizationError(
+        "Organization not found",
+        "ORGANIZATION_NOT_FOUND"
+      );
+    }
+
+    return organization;
+  } catch (error) {
+    logger.error(`Error getting organization ${organizationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update organization details
+ * @param {string} organizationId - Organization ID
+ * @param {Object} updates - Fields to change
+ * @param {string} updates.name - Display name
+ * @returns {Promise<Object>} Updated organization
+ */
+const updateOrganization = async (organizationId, { name }) => {
+  try {
+    const organization = await prisma.organization.update({
+      where: { id: organizationId },
+      data: { name },
+    });
+
+    logger.info(`Organization ${organization.slug} updated`);
+
+    return organization;
+  } catch (error) {
+    logger.error(`Error updating organization ${organizationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * List organization members
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} Members, oldest first
+ */
+const getMembers = async (organizationId) => {
+  try {
+    return await prisma.organizationMember.findMany({
+      where: { organizationId },
+      orderBy: { createdAt: "asc" },
+      select: memberSelect,
+    });
+  } catch (error) {
+    logger.error(
+      `Error getting members of organization ${organizationId}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Change a member's role
+ * @param {string} organizationId - Organization ID
+ * @param {string} memberUserId - Member user ID
+ * @param {string} role - New OrganizationRole
+ * @returns {Promise<Object>} Updated member
+ */
+const updateMemberRole = async (organizationId, memberUserId, role) => {
+  try {
+    const member = await findMember(organizationId, memberUserId);
+
+    if (role !== ORGANIZATION_ROLES.OWNER) {
+      await ensureAnotherOwner(organizationId, member);
+    }
+
+    const updatedMember = await prisma.organizationMember.update({
+      where: { id: member.id },
+      data: { role },
+      select: memberSelect,
+    });
+
+    logger.info(
+      `Member ${memberUserId} of organization ${organizationId} is now ${role}`
+    );
+
+    return updatedMember;
+  } catch (error) {
+    logger.error(
+      `Error updating member ${memberUserId} of organization ${organizationId}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Remove a member (also used when a member leaves)
+ * @param {string} organizationId - Organization ID
+ * @param {string} memberUserId - Member user ID
+ * @returns {Promise<void>}
+ */
+const removeMember = async (organizationId, memberUserId) => {
+  try {
+    const member = await findMember(organizationId, memberUserId);
+
+    await ensureAnotherOwner(organizationId, member);
+
+    await prisma.organizationMember.delete({ where: { id: member.id } });
+
+    logger.info(
+      `Member ${memberUserId} removed from organization ${organizationId}`
+    );
+  } catch (error) {
+    logger.error(
+      `Error removing member ${memberUserId} from organization ${organizationId}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Invite someone to an organization by email
+ * Any earlier pending invitation for the same address is replaced
+ * @param {string} organizationId - Organization ID
+ * @param {Object} inviter - Inviting user (id, name)
+ * @param {Object} invitationData - Invitation data
+ * @param {string} invitationData.email - Invitee email
+ * @param {string} invitationData.role - Role granted on acceptance
+ * @returns {Promise<Object>} Invitation and whether the email was sent
+ */
+const createInvitation = async (organizationId, inviter, { email, role }) => {
+  try {
+    const organization = await getOrganizationById(organizationId);
+    const normalizedEmail = email.toLowerCase();
+
+    const existingMember = await prisma.organizationMember.findFirst({
+      where: {
+        organizationId,
+        user: { email: { equals: normalizedEmail, mode: "insensitive" } },
+      },
+    });
+
+    if (existingMember) {
+      throw organizationError(
+        "This user is already a member of the organization",
+        "ALREADY_MEMBER"
+      );
+    }
+
+    const token = generateRandomString(32);
+    const expiresAt = new Date(
+      Date.now() + INVITATION_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const [, invitation] = await prisma.$transaction([
+      prisma.organizationInvitation.updateMany({
+        where: {
+          organizationId,
+          email: normalizedEmail,
+          acceptedAt: null,
+          revokedAt: null,
+        },
+        data: { revokedAt: new Date() },
+      }),
+      prisma.organizationInvitation.create({
+        data: {
+          organizationId,
+          email: normalizedEmail,
+          role,
+          tokenHash: hashToken(token),
+          invitedById: inviter.id,
+          expiresAt,
+        },
+        select: invitationSelect,
+      }),
+    ]);
+
+    const invitationUrl = `${
+      process.env.FRONTEND_URL
+    }/organizations/invitations/accept?token=${encodeURIComponent(token)}`;
+
+    let emailSent = true;
+    try {
+      await notificationService.sendOrganizationInvitation(
+        invitation,
+        organization,
+        inviter,
+        invitationUrl
+      );
+    } catch (emailError) {
+      // The invitation can be re-sent; don't fail the request
+      emailSent = false;
+      logger.error(
+        `Failed to send organization invitation to ${normalizedEmail}:`,
+        emailError
+      );
+    }
+
+    logger.info(
+      `User ${inviter.id} invited ${normalizedEmail} to organization ${organization.slug} as ${role}`
+    );
+
+    return { ...invitation, emailSent };
+  } catch (error) {
+    logger.error(
+      `Error inviting to organization ${organizationId}:`,
+      error.message
+    );
+    throw error;
+  }
+};
+
+/**
+ * List pending invitations of an organization
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} Pending invitations, newest first
+ */
+const getInvitations = async (organizationId) => {
+  try {
+    return await prisma.organizationInvitation.findMany({
+      where: {
+        organizationId,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { createdAt: "desc" },
+      select: invitationSelect,
+    });
+  } catch (error) {
+    logger.error(
+      `Error getting invitations of organization ${organizationId}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {string} organizationId - Organization ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<void>}
+ */
+const revokeInvitation = async (organizationId, invitationId) => {
+  try {
+    const revoked = await prisma.organizationInvitation.updateMany({
+      where: {
+        id: invitationId,
+        organizationId,
+        acceptedAt: null,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+
+    if (revoked.count === 0) {
+      throw organizationError("Invitation not found", "INVITATION_NOT_FOUND");
+    }
+
+    logger.info(
+      `Invitation ${invitationId} of organization ${organizationId} revoked`
+    );
+  } catch (error) {
+    logger.error(`Error revoking invitation ${invitationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Accept an invitation with the token from the emailed link
+ * The invitation must have been sent to the accepting user's email address
+ * @param {Object} user - Accepting user (id, email)
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<Object>} Joined organization with the granted role
+ */
+const acceptInvitation = async (user, token) => {
+  try {
+    const invitation = await prisma.organizationInvitation.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { organization: true },
+    });
+
+    if (
+      !invitation ||
+      invitation.acceptedAt ||
+      invitation.revokedAt ||
+      invitation.expiresAt < new Date()
+    ) {
+      throw organizationError(
+        "Invalid or expired invitation",
+        "INVALID_INVITATION"
+      );
+    }
+
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw organizationError(
+        "This invitation was sent to a different email address",
+        "INVITATION_EMAIL_MISMATCH"
+      );
+    }
+
+    const existingMember = await getMembership(
+      invitation.organizationId,
+      user.id
+    );
+
+    if (existingMember) {
+      throw organizationError(
+        "You are already a member of this organization",
+        "ALREADY_MEMBER"
+      );
+    }
+
+    await prisma.$transaction(async (tx) => {
+      // Conditional update so the same link cannot be used twice concurrently
+      const claimed = await tx.organizationInvitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() },
+      });
+
+      if (claimed.count === 0) {
+        throw organizationError(
+          "Invalid or expired invitation",
+          "INVALID_INVITATION"
+        );
+      }
+
+      await tx.organizationMember.create({
+        data: {
+          organizationId: invitation.organizationId,
+          userId: user.id,
+          role: invitation.role,
+        },
+      });
+    });
+
+    logger.info(
+      `User ${user.id} joined organization ${invitation.organization.slug} as ${invitation.role}`
+    );
+
+    return { ...invitation.organization, role: invitation.role };
+  } catch (error) {
+    logger.error("Error accepting organization invitation:", error.message);
+    throw error;
+  }
+};
+
+export {
+  getMembership,
+  createOrganization,
+  getUserOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+};
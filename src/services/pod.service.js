@@ -2665,26 +2665,28 @@ export const debugKubernetesState = async () => {
  * Get pod metrics from Kubernetes metrics API
  * @param {string} podName - Pod name
  * @param {string} namespace - Pod namespace
+ * @param {Object} [metricsApi] - Metrics API client override (defaults to the configured client)
  * @returns {Promise<Object|null>} Pod metrics or null
  */
-export const getPodMetrics = async (podName, namespace) => {
+export const getPodMetrics = async (podName, namespace, metricsApi = null) => {
   try {
-    const k8sConfig = getKubernetesConfig();
-    if (!k8sConfig.isReady()) {
-      logger.warn("Kubernetes client not ready, skipping pod metrics");
-      return null;
-    }
+    if (!metricsApi) {
+      const k8sConfig = getKubernetesConfig();
+      if (!k8sConfig.isReady()) {
+        logger.warn("Kubernetes client not ready, skipping pod metrics");
+        return null;
+      }
 
-    // Try to get metrics API client
-    let metricsApi;
-    try {
-      metricsApi = k8sConfig.getMetricsV1beta1Api();
-    } catch (error) {
-      logger.warn(
-        "Metrics API not available, skipping pod metrics:",
-        error.message
-      );
-      return null;
+      // Try to get metrics API client
+      try {
+        metricsApi = k8sConfig.getMetricsV1beta1Api();
+      } catch (error) {
+        logger.warn(
+          "Metrics API not available, skipping pod metrics:",
+          error.message
+        );
+        return null;
+      }
     }
 
     // Fetch pod metrics using CustomObjectsApi (pods are namespaced resources)
@@ -2912,6 +2914,166 @@ export const parsePodMetrics = (podMetrics, podSpec) => {
   };
 };
 
+/**
+ * Get kubelet stats summary for a node
+ * Provides per-pod network counters and volume usage, which metrics.k8s.io does not expose
+ * @param {string} nodeName - Node name
+ * @param {Object} [coreV1Api] - Core V1 API client override (defaults to the configured client)
+ * @returns {Promise<Object|null>} Stats summary or null
+ */
+export const getNodeStatsSummary = async (nodeName, coreV1Api = null) => {
+  try {
+    if (!coreV1Api) {
+      const k8sConfig = getKubernetesConfig();
+      if (!k8sConfig.isReady()) {
+        logger.warn("Kubernetes client not ready, skipping node stats");
+        return null;
+      }
+      coreV1Api = k8sConfig.getCoreV1Api();
+    }
+
+    const response = await coreV1Api.connectGetNodeProxyWithPath(
+      nodeName,
+      "stats/summary"
+    );
+
+    // The proxy endpoint may return the summary as a raw JSON string
+    return typeof response.body === "string"
+      ? JSON.parse(response.body)
+      : response.body;
+  } catch (error) {
+    logger.warn(
+      `Error getting stats summary for node ${nodeName}:`,
+      error.message
+    );
+    return null;
+  }
+};
+
+// Snapshot recorded when the cluster cannot be asked at all, so the usage
+// history shows a no-data sample instead of a gap
+const NO_USAGE_DATA = {
+  podName: null,
+  metricsAvailable: false,
+  cpuUsage: null,
+  memUsage: null,
+  storageUsage: null,
+  networkIn: null,
+  networkOut: null,
+};
+
+/**
+ * Collect a usage snapshot for a service instance
+ * CPU/memory come from metrics.k8s.io, storage and network from the kubelet stats summary.
+ * Any value that cannot be read is returned as null instead of a guessed number.
+ * @param {Object} serviceInstance - Service instance record
+ * @param {Object} [apis] - API client overrides ({ coreV1Api, metricsApi })
+ * @returns {Promise<Object|null>} Usage snapshot (all values null when the
+ * Kubernetes API is unavailable), or null when no running pod exists
+ */
+export const collectPodUsage = async (serviceInstance, apis = {}) => {
+  let { coreV1Api, metricsApi } = apis;
+
+  const deploymentName = serviceInstance.credentials?.deployment;
+  if (!deploymentName) {
+    return null;
+  }
+
+  if (!coreV1Api) {
+    const k8sConfig = getKubernetesConfig();
+    if (!k8sConfig.isReady()) {
+      logger.warn(
+        `Kubernetes client not ready, recording no usage data for ${serviceInstance.id}`
+      );
+      return { ...NO_USAGE_DATA };
+    }
+    coreV1Api = k8sConfig.getCoreV1Api();
+  }
+
+  let pods;
+  try {
+    pods = await coreV1Api.listNamespacedPod(
+      serviceInstance.namespace,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      `app=${deploymentName}`
+    );
+  } catch (error) {
+    logger.warn(
+      `Error listing pods for ${serviceInstance.id}, recording no usage data:`,
+      error.message
+    );
+    return { ...NO_USAGE_DATA };
+  }
+
+  const runningPod = pods.body.items.find(
+    (pod) => pod.status?.phase === "Running"
+  );
+  if (!runningPod) {
+    return null;
+  }
+
+  const podName = runningPod.metadata.name;
+
+  // CPU and memory from metrics-server
+  const podMetrics = await getPodMetrics(
+    podName,
+    serviceInstance.namespace,
+    metricsApi
+  );
+  const metricsData = podMetrics
+    ? parsePodMetrics(podMetrics, runningPod.spec)
+    : null;
+
+  // Storage and network counters from the kubelet on the pod's node
+  let storageUsage = null;
+  let networkIn = null;
+  let networkOut = null;
+
+  if (runningPod.spec?.nodeName) {
+    const summary = await getNodeStatsSummary(
+      runningPod.spec.nodeName,
+      coreV1Api
+    );
+    const podStats = summary?.pods?.find(
+      (stats) =>
+        stats.podRef?.name === podName &&
+        stats.podRef?.namespace === serviceInstance.namespace
+    );
+
+    if (podStats) {
+      const bytesToMB = (bytes) => (bytes / (1024 * 1024)).toFixed(2);
+
+      if (podStats.network) {
+        networkIn = bytesToMB(podStats.network.rxBytes || 0);
+        networkOut = bytesToMB(podStats.network.txBytes || 0);
+      }
+
+      const volumeStats = serviceInstance.volumeClaimName
+        ? podStats.volume?.find(
+            (volume) =>
+              volume.pvcRef?.name === serviceInstance.volumeClaimName
+          )
+        : null;
+      if (volumeStats && volumeStats.usedBytes !== undefined) {
+        storageUsage = bytesToMB(volumeStats.usedBytes);
+      }
+    }
+  }
+
+  return {
+    podName,
+    metricsAvailable: !!metricsData,
+    cpuUsage: metricsData ? metricsData.cpuUsage : null,
+    memUsage: metricsData ? metricsData.memoryUsage : null,
+    storageUsage,
+    networkIn,
+    networkOut,
+  };
+};
+
 /**
  * Update pod resources (for subscription upgrades)
  * @param {string} podName - Pod name
@@ -3361,9 +3523,14 @@ export const resetPod = async (serviceInstanceId) => {
  * User reset pod - Reset user's own pod
  * @param {string} subscriptionId - Subscription ID
  * @param {string} userId - User ID (for ownership verification)
+ * @param {string|null} organizationId - Owning organization, when already authorized
  * @returns {Object} Reset result
  */
-export const userResetPod = async (subscriptionId, userId) => {
+export const userResetPod = async (
+  subscriptionId,
+  userId,
+  organizationId = null
+) => {
   try {
     // Get subscription with service instance
     const subscription = await prisma.subscription.findUnique({
@@ -3379,8 +3546,12 @@ export const userResetPod = async (subscriptionId, userId) => {
       throw new Error("Subscription not found");
     }
 
-    // Verify ownership
-    if (subscription.userId !== userId) {
+    // Verify ownership (organization subscriptions belong to the organization)
+    const isOwner = organizationId
+      ? subscription.organizationId === organizationId
+      : subscription.userId === userId && !subscription.organizationId;
+
+    if (!isOwner) {
       throw new Error("Access denied - not your subscription");
     }
 
@@ -3390,8 +3561,10 @@ export const userResetPod = async (subscriptionId, userId) => {
     }
 
     // Check if subscription is in a resettable state
-    if (!["ACTIVE", "EXPIRED"].includes(subscription.status)) {
-      throw new Error("Subscription must be ACTIVE or EXPIRED to reset pod");
+    if (!["ACTIVE", "TRIALING", "EXPIRED"].includes(subscription.status)) {
+      throw new Error(
+        "Subscription must be ACTIVE, TRIALING or EXPIRED to reset pod"
+      );
     }
 
     // Check if pod is in a resettable state
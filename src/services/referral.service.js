@@ -0,0 +1,642 @@
+import { prisma } from "../config/database.js";
+import { balanceService } from "./billing.service.js";
+import { generateRandomString } from "../utils/crypto.util.js";
+import { balanceWhere } from "../utils/ownership.util.js";
+import logger from "../utils/logger.util.js";
+
+// Rewards credited when a referred user pays for their first subscription (IDR)
+const REFERRAL_REFERRER_REWARD =
+  parseInt(process.env.REFERRAL_REFERRER_REWARD) || 25000;
+const REFERRAL_REFERRED_REWARD =
+  parseInt(process.env.REFERRAL_REFERRED_REWARD) || 25000;
+
+// Reasons a referral is held for admin review instead of being rewarded
+export const REFERRAL_FRAUD_SIGNALS = {
+  SAME_IP: "SAME_IP", // Both accounts were used from the same IP address
+  SAME_DEVICE: "SAME_DEVICE", // Both accounts were used from the same browser/device
+  SHARED_SIGNUP_IP: "SHARED_SIGNUP_IP", // Another account referred by the same user signed up from this IP
+};
+
+const USER_SUMMARY = { select: { id: true, name: true, email: true } };
+
+/**
+ * Referral link for a code
+ * @param {string} code - Referral code
+ * @returns {string} Registration URL carrying the code
+ */
+const buildReferralLink = (code) =>
+  `${process.env.FRONTEND_URL}/register?ref=${code}`;
+
+/**
+ * A user's referral code, created the first time it is needed
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Referral code
+ */
+const ensureReferralCode = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { referralCode: true },
+  });
+
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (user.referralCode) {
+    return user.referralCode;
+  }
+
+  // Retry on the rare collision with another user's code
+  while (true) {
+    const referralCode = generateRandomString(4).toUpperCase();
+    const existing = await prisma.user.findUnique({
+      where: { referralCode },
+      select: { id: true },
+    });
+
+    if (!existing) {
+      await prisma.user.update({
+        where: { id: userId },
+        data: { referralCode },
+      });
+      return referralCode;
+    }
+  }
+};
+
+/**
+ * Same-IP/device heuristics between the referrer and the referred user,
+ * comparing the sign-up context and every session either account has had
+ * @param {Object} referral - Referral record
+ * @returns {Promise<Array<string>>} REFERRAL_FRAUD_SIGNALS values, empty if clean
+ */
+const detectFraudSignals = async (referral) => {
+  const sessionFields = { ipAddress: true, userAgent: true };
+
+  const [referrerSessions, referredSessions, sharedSignups] = await Promise.all(
+    [
+      prisma.userSession.findMany({
+        where: { userId: referral.referrerId },
+        select: sessionFields,
+      }),
+      prisma.userSession.findMany({
+        where: { userId: referral.referredUserId },
+        select: sessionFields,
+      }),
+      referral.signupIp
+        ? prisma.referral.count({
+            where: {
+              referrerId: referral.referrerId,
+              signupIp: referral.signupIp,
+              id: { not: referral.id },
+            },
+          })
+        : 0,
+    ]
+  );
+
+  const referrerIps = new Set(referrerSessions.map((s) => s.ipAddress));
+  const referrerAgents = new Set(referrerSessions.map((s) => s.userAgent));
+  const referredIps = [
+    referral.signupIp,
+    ...referredSessions.map((s) => s.ipAddress),
+  ].filter(Boolean);
+  const referredAgents = [
+    referral.signupUserAgent,
+    ...referredSessions.map((s) => s.userAgent),
+  ].filter(Boolean);
+
+  return [
+    ...(referredIps.some((ip) => referrerIps.has(ip))
+      ? [REFERRAL_FRAUD_SIGNALS.SAME_IP]
+      : []),
+    ...(referredAgents.some((agent) => referrerAgents.has(agent))
+      ? [REFERRAL_FRAUD_SIGNALS.SAME_DEVICE]
+      : []),
+    ...(sharedSignups > 0 ? [REFERRAL_FRAUD_SIGNALS.SHARED_SIGNUP_IP] : []),
+  ];
+};
+
+/**
+ * Credit one side of a referral reward to a personal wallet
+ * @param {Object} referral - Referral record
+ * @param {string} userId - User to credit
+ * @param {number} amount - Reward
+ * @param {string} description - Balance and transaction description
+ */
+const creditReward = async (referral, userId, amount, description) => {
+  // Creates the wallet if the user never had one
+  await balanceService.getUserBalance(userId);
+
+  await balanceService.addCredit(
+    userId,
+    amount,
+    description,
+    referral.id,
+    "referral"
+  );
+
+  await prisma.transaction.create({
+    data: {
+      userId,
+      type: "REFERRAL_REWARD",
+      status: "SUCCESS",
+      description,
+      amount,
+      currency: "IDR",
+      referenceId: referral.id,
+      referenceType: "REFERRAL",
+      paymentGateway: "BALANCE",
+      paymentMethod: "REFERRAL_REWARD",
+    },
+  });
+};
+
+/**
+ * Credit both users of a referral that was just marked REWARDED
+ * @param {Object} referral - Referral with referrer and referredUser
+ */
+const payRewards = async (referral) => {
+  await creditReward(
+    referral,
+    referral.referrerId,
+    referral.referrerReward,
+    `Referral reward for inviting ${referral.referredUser.name}`
+  );
+  await creditReward(
+    referral,
+    referral.referredUserId,
+    referral.referredReward,
+    `Referral reward for joining through ${referral.referrer.name}`
+  );
+
+  logger.info(
+    `Paid referral ${referral.id}: ${referral.referrerReward} to ${referral.referrerId}, ${referral.referredReward} to ${referral.referredUserId}`
+  );
+};
+
+/**
+ * Take back one side of a referral reward from a personal wallet
+ * Rewards already spent are taken back up to the remaining balance.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} referral - Referral record
+ * @param {string} userId - User who was credited
+ * @param {number} reward - Reward credited
+ * @returns {Promise<number>} Amount taken back
+ */
+const reclaimReward = async (tx, referral, userId, reward) => {
+  const wallet = await tx.userBalance.findUnique({
+    where: balanceWhere(userId, null),
+  });
+  const amount = Math.min(
+    parseFloat(reward || 0),
+    parseFloat(wallet?.balance || 0)
+  );
+
+  if (amount < parseFloat(reward || 0)) {
+    logger.warn(
+      `Referral ${referral.id}: only ${amount} of the ${reward} reward could be taken back from user ${userId}`
+    );
+  }
+
+  if (amount > 0) {
+    await balanceService.deductCredit(
+      userId,
+      amount,
+      `Referral reward reversed (referral ${referral.id})`,
+      referral.id,
+      "referral",
+      null,
+      tx
+    );
+  }
+
+  return amount;
+};
+
+/**
+ * Referral Service - Referral links, rewards and fraud review
+ */
+export const referralService = {
+  /**
+   * Find the user owning a referral code
+   * @param {string} code - Referral code from the referral link
+   * @returns {Promise<Object>} Referrer { id, name, email }
+   */
+  async getReferrerByCode(code) {
+    const referrer = await prisma.user.findUnique({
+      where: { referralCode: String(code).trim().toUpperCase() },
+      select: { id: true, name: true, email: true, isActive: true },
+    });
+
+    if (!referrer || !referrer.isActive) {
+      throw new Error("Invalid referral code");
+    }
+
+    return referrer;
+  },
+
+  /**
+   * Record that a new user signed up through a referral link
+   * @param {string} referrerId - Referring user
+   * @param {string} referredUserId - Newly registered user
+   * @param {Object} context - Client context (userAgent, ipAddress)
+   * @returns {Promise<Object>} Referral
+   */
+  async recordSignup(referrerId, referredUserId, context = {}) {
+    try {
+      const referral = await prisma.referral.create({
+        data: {
+          referrerId,
+          referredUserId,
+          signupIp: context.ipAddress || null,
+          signupUserAgent: context.userAgent || null,
+        },
+      });
+
+      logger.info(`User ${referredUserId} signed up referred by ${referrerId}`);
+
+      return referral;
+    } catch (error) {
+      logger.error(`Error recording referral for ${referredUserId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reward a referral once the referred user pays for a subscription
+   * Only the first paid subscription counts. Referrals flagged by the
+   * same-IP/device checks wait in the admin review queue instead. The rewards
+   * are taken back if that subscription is cancelled with a refund.
+   * Failures are logged, never thrown, so they cannot fail the purchase.
+   * @param {string} userId - User who paid
+   * @param {string} subscriptionId - Paid subscription
+   * @returns {Promise<Object|null>} Updated referral, null if nothing qualified
+   */
+  async processQualifyingPurchase(userId, subscriptionId) {
+    try {
+      const referral = await prisma.referral.findUnique({
+        where: { referredUserId: userId },
+      });
+
+      if (!referral || referral.status !== "PENDING") {
+        return null;
+      }
+
+      const fraudSignals = await detectFraudSignals(referral);
+      const status = fraudSignals.length ? "UNDER_REVIEW" : "REWARDED";
+      const now = new Date();
+
+      // Guarded so concurrent purchases cannot reward a referral twice
+      const { count } = await prisma.referral.updateMany({
+        where: { id: referral.id, status: "PENDING" },
+        data: {
+          status,
+          fraudSignals,
+          qualifyingSubscriptionId: subscriptionId,
+          qualifiedAt: now,
+          referrerReward: REFERRAL_REFERRER_REWARD,
+          referredReward: REFERRAL_REFERRED_REWARD,
+          ...(status === "REWARDED" && { rewardedAt: now }),
+        },
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const qualified = await prisma.referral.findUnique({
+        where: { id: referral.id },
+        include: { referrer: USER_SUMMARY, referredUser: USER_SUMMARY },
+      });
+
+      if (status === "REWARDED") {
+        await payRewards(qualified);
+      } else {
+        logger.warn(
+          `Referral ${referral.id} held for review: ${fraudSignals.join(", ")}`
+        );
+      }
+
+      return qualified;
+    } catch (error) {
+      logger.error(
+        `Error processing referral reward for user ${userId}, manual review required:`,
+        error
+      );
+      return null;
+    }
+  },
+
+  /**
+   * Take back a referral's rewards when the subscription it qualified with is
+   * cancelled with a refund, so buying, collecting the rewards and cancelling
+   * earns nothing. A referral still under review is closed without rewards.
+   * @param {string} subscriptionId - Refunded subscription
+   * @param {Object} tx - Prisma transaction client of the cancellation
+   * @returns {Promise<Object|null>} { referralId, reclaimed }, null if no referral qualified with it
+   */
+  async reverseRewards(subscriptionId, tx) {
+    const referral = await tx.referral.findFirst({
+      where: {
+        qualifyingSubscriptionId: subscriptionId,
+        status: { in: ["REWARDED", "UNDER_REVIEW"] },
+      },
+    });
+
+    if (!referral) {
+      return null;
+    }
+
+    // Guarded so a concurrent review cannot pay a reversed referral
+    const { count } = await tx.referral.updateMany({
+      where: { id: referral.id, status: referral.status },
+      data: { status: "REVERSED", reversedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    let reclaimed = 0;
+    if (referral.status === "REWARDED") {
+      reclaimed += await reclaimReward(
+        tx,
+        referral,
+        referral.referrerId,
+        referral.referrerReward
+      );
+      reclaimed += await reclaimReward(
+        tx,
+        referral,
+        referral.referredUserId,
+        referral.referredReward
+      );
+    }
+
+    logger.warn(
+      `Referral ${referral.id} reversed after subscription ${subscriptionId} was refunded, ${reclaimed} taken back`
+    );
+
+    return { referralId: referral.id, reclaimed };
+  },
+
+  /**
+   * Referral link and statistics of a user
+   * @param {string} userId - Referring user
+   * @returns {Promise<Object>} { referralCode, referralLink, rewards, stats, referrals }
+   */
+  async getReferralStats(userId) {
+    try {
+      const referralCode = await ensureReferralCode(userId);
+
+      const [byStatus, earned, referrals] = await Promise.all([
+        prisma.referral.groupBy({
+          by: ["status"],
+          where: { referrerId: userId },
+          _count: { _all: true },
+        }),
+        prisma.referral.aggregate({
+          where: { referrerId: userId, status: "REWARDED" },
+          _sum: { referrerReward: true },
+        }),
+        prisma.referral.findMany({
+          where: { referrerId: userId },
+          select: {
+            id: true,
+            status: true,
+            createdAt: true,
+            rewardedAt: true,
+            referrerReward: true,
+            referredUser: { select: { name: true } },
+          },
+          orderBy: { createdAt: "desc" },
+          take: 20,
+        }),
+      ]);
+
+      const counts = Object.fromEntries(
+        byStatus.map((group) => [group.status, group._count._all])
+      );
+
+      return {
+        referralCode,
+        referralLink: buildReferralLink(referralCode),
+        rewards: {
+          referrer: REFERRAL_REFERRER_REWARD,
+          referred: REFERRAL_REFERRED_REWARD,
+        },
+        stats: {
+          total: byStatus.reduce((sum, group) => sum + group._count._all, 0),
+          pending: counts.PENDING || 0,
+          underReview: counts.UNDER_REVIEW || 0,
+          rewarded: counts.REWARDED || 0,
+          rejected: counts.REJECTED || 0,
+          reversed: counts.REVERSED || 0,
+          totalEarned: parseFloat(earned._sum.referrerReward || 0),
+        },
+        // Referred users are shown by name only
+        referrals: referrals.map(
+          ({ referredUser, referrerReward, ...rest }) => ({
+            ...rest,
+            referredUserName: referredUser.name,
+            reward: rest.status === "REWARDED" ? referrerReward : null,
+          })
+        ),
+      };
+    } catch (error) {
+      logger.error(`Error getting referral stats for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * List referrals (Admin), e.g. the review queue with status UNDER_REVIEW
+   * @param {Object} filters - { page, limit, status, referrerId }
+   */
+  async listReferrals({ page = 1, limit = 20, status, referrerId }) {
+    try {
+      const skip = (page - 1) * limit;
+      const where = {
+        ...(status && { status }),
+        ...(referrerId && { referrerId }),
+      };
+
+      const [referrals, total] = await Promise.all([
+        prisma.referral.findMany({
+          where,
+          include: { referrer: USER_SUMMARY, referredUser: USER_SUMMARY },
+          // Oldest first, so the review queue is worked in order
+          orderBy: { createdAt: status === "UNDER_REVIEW" ? "asc" : "desc" },
+          skip,
+          take: limit,
+        }),
+        prisma.referral.count({ where }),
+      ]);
+
+      return {
+        referrals,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      logger.error("Error listing referrals:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Approve a flagged referral and pay both rewards (Admin)
+   * @param {string} referralId - Referral ID
+   * @param {string} adminId - Reviewing administrator
+   * @param {string} [note] - Review note
+   * @returns {Promise<Object>} Rewarded referral
+   */
+  async approveReferral(referralId, adminId, note = null) {
+    try {
+      const now = new Date();
+      const { count } = await prisma.referral.updateMany({
+        where: { id: referralId, status: "UNDER_REVIEW" },
+        data: {
+          status: "REWARDED",
+          rewardedAt: now,
+          reviewedById: adminId,
+          reviewedAt: now,
+          reviewNote: note,
+        },
+      });
+
+      if (count === 0) {
+        throw new Error("Referral awaiting review not found");
+      }
+
+      const referral = await prisma.referral.findUnique({
+        where: { id: referralId },
+        include: { referrer: USER_SUMMARY, referredUser: USER_SUMMARY },
+      });
+
+      await payRewards(referral);
+
+      logger.info(`Admin ${adminId} approved referral ${referralId}`);
+
+      return referral;
+    } catch (error) {
+      logger.error(`Error approving referral ${referralId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reject a flagged referral without rewards (Admin)
+   * @param {string} referralId - Referral ID
+   * @param {string} adminId - Reviewing administrator
+   * @param {string} note - Reason for rejecting
+   * @returns {Promise<Object>} Rejected referral
+   */
+  async rejectReferral(referralId, adminId, note) {
+    try {
+      const { count } = await prisma.referral.updateMany({
+        where: { id: referralId, status: "UNDER_REVIEW" },
+        data: {
+          status: "REJECTED",
+          reviewedById: adminId,
+          reviewedAt: new Date(),
+          reviewNote: note,
+        },
+      });
+
+      if (count === 0) {
+        throw new Error("Referral awaiting review not found");
+      }
+
+      logger.info(`Admin ${adminId} rejected referral ${referralId}`);
+
+      return await prisma.referral.findUnique({
+        where: { id: referralId },
+        include: { referrer: USER_SUMMARY, referredUser: USER_SUMMARY },
+      });
+    } catch (error) {
+      logger.error(`Error rejecting referral ${referralId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Referral rewards paid in a period, in total and per referrer (Admin)
+   * @param {Object} range - { startDate, endDate } on rewardedAt, both optional
+   * @returns {Promise<Object>} { period, totals, pendingReview, referrers }
+   */
+  async getPayoutReport({ startDate = null, endDate = null }) {
+    try {
+      const where = {
+        status: "REWARDED",
+        ...((startDate || endDate) && {
+          rewardedAt: {
+            ...(startDate && { gte: new Date(startDate) }),
+            ...(endDate && { lte: new Date(endDate) }),
+          },
+        }),
+      };
+
+      const [totals, byReferrer, pendingReview] = await Promise.all([
+        prisma.referral.aggregate({
+          where,
+          _count: { _all: true },
+          _sum: { referrerReward: true, referredReward: true },
+        }),
+        prisma.referral.groupBy({
+          by: ["referrerId"],
+          where,
+          _count: { _all: true },
+          _sum: { referrerReward: true, referredReward: true },
+          orderBy: { _sum: { referrerReward: "desc" } },
+        }),
+        prisma.referral.aggregate({
+          where: { status: "UNDER_REVIEW" },
+          _count: { _all: true },
+          _sum: { referrerReward: true, referredReward: true },
+        }),
+      ]);
+
+      const referrers = await prisma.user.findMany({
+        where: { id: { in: byReferrer.map((row) => row.referrerId) } },
+        select: { id: true, name: true, email: true },
+      });
+      const referrerById = new Map(referrers.map((user) => [user.id, user]));
+
+      const sumRewards = (sum) =>
+        parseFloat(sum.referrerReward || 0) +
+        parseFloat(sum.referredReward || 0);
+
+      return {
+        period: { startDate, endDate },
+        totals: {
+          referrals: totals._count._all,
+          referrerRewards: parseFloat(totals._sum.referrerReward || 0),
+          referredRewards: parseFloat(totals._sum.referredReward || 0),
+          totalPaid: sumRewards(totals._sum),
+        },
+        pendingReview: {
+          referrals: pendingReview._count._all,
+          amount: sumRewards(pendingReview._sum),
+        },
+        referrers: byReferrer.map((row) => ({
+          referrer: referrerById.get(row.referrerId) || {
+            id: row.referrerId,
+          },
+          referrals: row._count._all,
+          referrerRewards: parseFloat(row._sum.referrerReward || 0),
+          referredRewards: parseFloat(row._sum.referredReward || 0),
+          totalPaid: sumRewards(row._sum),
+        })),
+      };
+    } catch (error) {
+      logger.error("Error generating referral payout report:", error);
+      throw error;
+    }
+  },
+};
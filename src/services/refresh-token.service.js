@@ -0,0 +1,248 @@
+import crypto from "crypto";
+import {
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+} from "../utils/crypto.util.js";
+import logger from "../utils/logger.util.js";
+import { describeDevice } from "../utils/user-agent.util.js";
+import { prisma } from "../config/database.js";
+
+/**
+ * Refresh token service
+ *
+ * Refresh tokens are stored server-side (hashed) and rotated on every use.
+ * All tokens descending from one login share a familyId, which is the id of
+ * the UserSession and the sessionId carried in access tokens. Presenting a
+ * token that was already rotated means it leaked, so the whole family is
+ * revoked.
+ */
+
+const invalidRefreshTokenError = () => new Error("Invalid refresh token");
+
+/**
+ * Issue a new refresh token
+ * Starts a new session unless an existing familyId is given
+ * @param {string} userId - User ID
+ * @param {Object} options - Token options
+ * @param {string} options.familyId - Existing session to continue (new session if omitted)
+ * @param {string} options.userAgent - Client user agent
+ * @param {string} options.ipAddress - Client IP address
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Promise<Object>} Raw token and its stored record
+ */
+export const issueRefreshToken = async (
+  userId,
+  options = {},
+  client = prisma
+) => {
+  const familyId = options.familyId || crypto.randomUUID();
+  const userAgent = options.userAgent?.slice(0, 512) || null;
+  const ipAddress = options.ipAddress || null;
+
+  const token = generateRefreshToken({
+    userId,
+    familyId,
+    jti: crypto.randomUUID(),
+  });
+  const { exp } = verifyRefreshToken(token);
+  const expiresAt = new Date(exp * 1000);
+
+  if (options.familyId) {
+    await client.userSession.update({
+      where: { id: familyId },
+      data: {
+        expiresAt,
+        lastSeenAt: new Date(),
+        ...(ipAddress && { ipAddress }),
+        ...(userAgent && {
+          userAgent,
+          deviceName: describeDevice(userAgent),
+        }),
+      },
+    });
+  }
+
+  const record = await client.refreshToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      expiresAt,
+      user: { connect: { id: userId } },
+      session: options.familyId
+        ? { connect: { id: familyId } }
+        : {
+            create: {
+              id: familyId,
+              user: { connect: { id: userId } },
+              deviceName: describeDevice(userAgent),
+              userAgent,
+              ipAddress,
+              expiresAt,
+            },
+          },
+    },
+  });
+
+  return { token, record };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family
+ * @param {string} token - Raw refresh token
+ * @param {Object} context - Client context
+ * @param {string} context.userAgent - Client user agent
+ * @param {string} context.ipAddress - Client IP address
+ * @returns {Promise<Object>} New raw token, its record and the token owner
+ */
+export const rotateRefreshToken = async (token, context = {}) => {
+  // Throws JsonWebTokenError / TokenExpiredError for malformed or expired tokens
+  const decoded = verifyRefreshToken(token);
+
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: {
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          isActive: true,
+        },
+      },
+    },
+  });
+
+  if (!existing || existing.userId !== decoded.userId) {
+    throw invalidRefreshTokenError();
+  }
+
+  if (existing.revokedAt) {
+    if (
+      existing.revokedReason === "ROTATED" ||
+      existing.revokedReason === "REUSE_DETECTED"
+    ) {
+      await handleTokenReuse(existing);
+    }
+    throw invalidRefreshTokenError();
+  }
+
+  if (existing.expiresAt < new Date() || !existing.user.isActive) {
+    throw invalidRefreshTokenError();
+  }
+
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Claim the old token first so two concurrent refreshes cannot both win
+    const claimed = await tx.refreshToken.updateMany({
+      where: { id: existing.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: "ROTATED" },
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    const issued = await issueRefreshToken(
+      existing.userId,
+      {
+        familyId: existing.familyId,
+        userAgent: context.userAgent,
+        ipAddress: context.ipAddress,
+      },
+      tx
+    );
+
+    await tx.refreshToken.update({
+      where: { id: existing.id },
+      data: { replacedById: issued.record.id },
+    });
+
+    return issued;
+  });
+
+  if (!rotated) {
+    await handleTokenReuse(existing);
+  }
+
+  return { ...rotated, user: existing.user };
+};
+
+/**
+ * Revoke a token family after a rotated token was presented again
+ * @param {Object} tokenRecord - The reused refresh token record
+ * @returns {Promise<never>}
+ */
+const handleTokenReuse = async (tokenRecord) => {
+  const revokedCount = await revokeTokenFamily(
+    tokenRecord.familyId,
+    "REUSE_DETECTED"
+  );
+
+  logger.warn(
+    `Refresh token reuse detected for user ${tokenRecord.userId}, revoked family ${tokenRecord.familyId} (${revokedCount} active tokens)`
+  );
+
+  throw new Error("Refresh token reuse detected");
+};
+
+/**
+ * Revoke a session and every active token in its family
+ * @param {string} familyId - Token family / session ID
+ * @param {string} reason - RefreshTokenRevokeReason
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export const revokeTokenFamily = async (familyId, reason = "LOGOUT") => {
+  const revokedAt = new Date();
+
+  const [tokens] = await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt, revokedReason: reason },
+    }),
+    prisma.userSession.updateMany({
+      where: { id: familyId, revokedAt: null },
+      data: { revokedAt, revokedReason: reason },
+    }),
+  ]);
+
+  return tokens.count;
+};
+
+/**
+ * Revoke every session and active token of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - RefreshTokenRevokeReason
+ * @param {Object} options - Revoke options
+ * @param {string} options.exceptFamilyId - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllUserTokens = async (userId, reason, options = {}) => {
+  const revokedAt = new Date();
+  const keep = options.exceptFamilyId;
+
+  const [, sessions] = await prisma.$transaction([
+    prisma.refreshToken.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(keep && { familyId: { not: keep } }),
+      },
+      data: { revokedAt, revokedReason: reason },
+    }),
+    prisma.userSession.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(keep && { id: { not: keep } }),
+      },
+      data: { revokedAt, revokedReason: reason },
+    }),
+  ]);
+
+  if (sessions.count > 0) {
+    logger.info(
+      `Revoked ${sessions.count} sessions for user ${userId} (${reason})`
+    );
+  }
+
+  return sessions.count;
+};
@@ -1,5 +1,6 @@
 import { prisma } from "../config/database.js";
 import logger from "../utils/logger.util.js";
+import { getCyclePricing } from "../utils/billing-cycle.util.js";
 
 /**
  * Service catalog service functions
@@ -53,6 +54,10 @@ const getAllServices = async (options = {}) => {
           memRequest: true,
           memLimit: true,
           monthlyPrice: true,
+          quarterlyPrice: true,
+          yearlyPrice: true,
+          pausedMonthlyPrice: true,
+          trialDays: true,
           dockerImage: true,
           containerPort: true,
           environmentVars: true,
@@ -117,6 +122,10 @@ const getActiveServices = async () => {
         description: true,
         version: true,
         monthlyPrice: true,
+        quarterlyPrice: true,
+        yearlyPrice: true,
+        pausedMonthlyPrice: true,
+        trialDays: true,
       },
       orderBy: {
         displayName: "asc",
@@ -149,6 +158,10 @@ const getActiveServicesAdmin = async () => {
         description: true,
         version: true,
         monthlyPrice: true,
+        quarterlyPrice: true,
+        yearlyPrice: true,
+        pausedMonthlyPrice: true,
+        trialDays: true,
         dockerImage: true,
         containerPort: true,
         cpuRequest: true,
@@ -262,6 +275,10 @@ const getServiceByName = async (serviceName, variant = null) => {
           memRequest: true,
           memLimit: true,
           monthlyPrice: true,
+          quarterlyPrice: true,
+          yearlyPrice: true,
+          pausedMonthlyPrice: true,
+          trialDays: true,
           dockerImage: true,
           containerPort: true,
           environmentVars: true,
@@ -311,6 +328,10 @@ const getServiceByName = async (serviceName, variant = null) => {
           memRequest: true,
           memLimit: true,
           monthlyPrice: true,
+          quarterlyPrice: true,
+          yearlyPrice: true,
+          pausedMonthlyPrice: true,
+          trialDays: true,
           dockerImage: true,
           containerPort: true,
           environmentVars: true,
@@ -370,6 +391,10 @@ const createService = async (serviceData) => {
       memRequest = "512Mi",
       memLimit = "1Gi",
       monthlyPrice = 0,
+      quarterlyPrice = null,
+      yearlyPrice = null,
+      pausedMonthlyPrice = 0,
+      trialDays = 0,
       dockerImage,
       containerPort = 80,
       environmentVars,
@@ -420,6 +445,10 @@ const createService = async (serviceData) => {
         memRequest,
         memLimit,
         monthlyPrice,
+        quarterlyPrice,
+        yearlyPrice,
+        pausedMonthlyPrice,
+        trialDays,
         dockerImage,
         containerPort,
         environmentVars,
@@ -450,6 +479,10 @@ const createService = async (serviceData) => {
         memRequest: true,
         memLimit: true,
         monthlyPrice: true,
+        quarterlyPrice: true,
+        yearlyPrice: true,
+        pausedMonthlyPrice: true,
+        trialDays: true,
         dockerImage: true,
         containerPort: true,
         environmentVars: true,
@@ -516,6 +549,10 @@ const updateService = async (serviceId, updateData) => {
         memRequest: true,
         memLimit: true,
         monthlyPrice: true,
+        quarterlyPrice: true,
+        yearlyPrice: true,
+        pausedMonthlyPrice: true,
+        trialDays: true,
         dockerImage: true,
         containerPort: true,
         environmentVars: true,
@@ -564,8 +601,8 @@ const deleteService = async (serviceId) => {
     }
 
     // Check if service has active subscriptions
-    const activeSubscriptions = existingService.subscriptions.filter(
-      (sub) => sub.status === "ACTIVE"
+    const activeSubscriptions = existingService.subscriptions.filter((sub) =>
+      ["ACTIVE", "TRIALING", "PAUSED"].includes(sub.status)
     );
 
     if (activeSubscriptions.length > 0) {
@@ -761,6 +798,11 @@ const getGroupedServices = async (options = {}) => {
         cpuSpec: formatCpuSpec(service.cpuRequest),
         memSpec: convertMemoryFormat(service.memRequest),
         monthlyPrice: service.monthlyPrice,
+        quarterlyPrice: service.quarterlyPrice,
+        yearlyPrice: service.yearlyPrice,
+        pricing: getCyclePricing(service),
+        pausedMonthlyPrice: service.pausedMonthlyPrice,
+        trialDays: service.trialDays,
         availableQuota: service.availableQuota,
         isDefault: service.isDefaultVariant,
         features: service.features || [],
@@ -826,6 +868,11 @@ const getServiceVariants = async (serviceName) => {
         memRequest: variant.memRequest,
         memLimit: variant.memLimit,
         monthlyPrice: variant.monthlyPrice,
+        quarterlyPrice: variant.quarterlyPrice,
+        yearlyPrice: variant.yearlyPrice,
+        pricing: getCyclePricing(variant),
+        pausedMonthlyPrice: variant.pausedMonthlyPrice,
+        trialDays: variant.trialDays,
         isDefault: variant.isDefaultVariant,
         features: variant.features || [],
         dockerImage: variant.dockerImage,
@@ -0,0 +1,165 @@
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import {
+  revokeTokenFamily,
+  revokeAllUserTokens,
+} from "./refresh-token.service.js";
+
+/**
+ * Session service
+ *
+ * A session is one login on one device. It is created with the first refresh
+ * token and ends when its token family is revoked or expires.
+ */
+
+// Minimum time between lastSeenAt writes for the same session
+const SESSION_TOUCH_INTERVAL_MS =
+  (parseInt(process.env.SESSION_TOUCH_INTERVAL_SECONDS) || 60) * 1000;
+
+const SESSION_SELECT = {
+  id: true,
+  deviceName: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastSeenAt: true,
+  expiresAt: true,
+};
+
+/**
+ * Where clause for sessions that can still be used
+ * @param {string} userId - User ID
+ * @returns {Object} Prisma where clause
+ */
+const activeSessionWhere = (userId) => ({
+  userId,
+  revokedAt: null,
+  expiresAt: { gt: new Date() },
+});
+
+/**
+ * Check whether a session is still active
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID the session must belong to
+ * @returns {Promise<boolean>} True if the session is active
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  const activeCount = await prisma.userSession.count({
+    where: { id: sessionId, ...activeSessionWhere(userId) },
+  });
+
+  return activeCount > 0;
+};
+
+/**
+ * Record activity on a session (throttled to one write per interval)
+ * @param {string} sessionId - Session ID
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+export const touchSession = async (sessionId, ipAddress) => {
+  const now = new Date();
+
+  await prisma.userSession.updateMany({
+    where: {
+      id: sessionId,
+      lastSeenAt: { lt: new Date(now.getTime() - SESSION_TOUCH_INTERVAL_MS) },
+    },
+    data: {
+      lastSeenAt: now,
+      ...(ipAddress && { ipAddress }),
+    },
+  });
+};
+
+/**
+ * Get active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session making the request (flagged as current)
+ * @returns {Promise<Array>} Active sessions, most recently used first
+ */
+export const getUserSessions = async (userId, currentSessionId = null) => {
+  try {
+    const sessions = await prisma.userSession.findMany({
+      where: activeSessionWhere(userId),
+      select: SESSION_SELECT,
+      orderBy: { lastSeenAt: "desc" },
+    });
+
+    return sessions.map((session) => ({
+      ...session,
+      isCurrent: session.id === currentSessionId,
+    }));
+  } catch (error) {
+    logger.error("Error getting user sessions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke one session of a user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - RefreshTokenRevokeReason
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (
+  userId,
+  sessionId,
+  reason = "SESSION_REVOKED"
+) => {
+  try {
+    const session = await prisma.userSession.findFirst({
+      where: { id: sessionId, ...activeSessionWhere(userId) },
+      select: { id: true },
+    });
+
+    if (!session) {
+      const error = new Error("Session not found");
+      error.code = "SESSION_NOT_FOUND";
+      throw error;
+    }
+
+    await revokeTokenFamily(session.id, reason);
+
+    logger.info(`Revoked session ${sessionId} of user ${userId} (${reason})`);
+  } catch (error) {
+    logger.error("Error revoking session:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke every session of a user except the current one
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session to keep (all sessions if omitted)
+ * @param {string} reason - RefreshTokenRevokeReason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeOtherSessions = async (
+  userId,
+  currentSessionId = null,
+  reason = "SESSION_REVOKED"
+) => {
+  try {
+    return await revokeAllUserTokens(userId, reason, {
+      exceptFamilyId: currentSessionId,
+    });
+  } catch (error) {
+    logger.error("Error revoking sessions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Delete sessions whose refresh tokens have all expired (tokens cascade)
+ * Expired tokens already fail JWT verification, so reuse detection no longer needs them
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+export const cleanupExpiredSessions = async () => {
+  const result = await prisma.userSession.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  return result.count;
+};
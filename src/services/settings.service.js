@@ -0,0 +1,280 @@
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+
+/**
+ * System settings service
+ * Runtime platform settings stored in the database. Values are cached briefly
+ * because some settings are read on every authenticated admin request.
+ */
+
+const SETTINGS_CACHE_TTL_MS = 30 * 1000;
+
+export const SETTING_KEYS = {
+  REQUIRE_ADMIN_TWO_FACTOR: "security.requireAdminTwoFactor",
+  REQUIRE_VERIFIED_EMAIL_FOR_PURCHASES:
+    "security.requireVerifiedEmailForPurchases",
+  SUBSCRIPTION_GRACE_PERIOD_DAYS: "subscriptions.gracePeriodDays",
+  SUBSCRIPTION_DATA_RETENTION_DAYS: "subscriptions.dataRetentionDays",
+  SUBSCRIPTION_DELETION_WARNING_DAYS: "subscriptions.deletionWarningDays",
+  SUBSCRIPTION_MAX_PAUSE_DAYS: "subscriptions.maxPauseDays",
+  SUBSCRIPTION_MAX_PAUSES_PER_YEAR: "subscriptions.maxPausesPerYear",
+  TAX_RATE: "billing.taxRate",
+  TAX_INCLUSIVE: "billing.taxInclusive",
+};
+
+// Defaults used until an administrator saves a value
+const DEFAULT_SETTINGS = {
+  [SETTING_KEYS.REQUIRE_ADMIN_TWO_FACTOR]:
+    process.env.REQUIRE_ADMIN_2FA === "true",
+  [SETTING_KEYS.REQUIRE_VERIFIED_EMAIL_FOR_PURCHASES]:
+    process.env.REQUIRE_VERIFIED_EMAIL_FOR_PURCHASES === "true",
+  [SETTING_KEYS.SUBSCRIPTION_GRACE_PERIOD_DAYS]: parseInt(
+    process.env.SUBSCRIPTION_GRACE_PERIOD_DAYS || "3"
+  ),
+  [SETTING_KEYS.SUBSCRIPTION_DATA_RETENTION_DAYS]: parseInt(
+    process.env.SUBSCRIPTION_DATA_RETENTION_DAYS || "60"
+  ),
+  [SETTING_KEYS.SUBSCRIPTION_DELETION_WARNING_DAYS]: parseInt(
+    process.env.SUBSCRIPTION_DELETION_WARNING_DAYS || "7"
+  ),
+  [SETTING_KEYS.SUBSCRIPTION_MAX_PAUSE_DAYS]: parseInt(
+    process.env.SUBSCRIPTION_MAX_PAUSE_DAYS || "30"
+  ),
+  [SETTING_KEYS.SUBSCRIPTION_MAX_PAUSES_PER_YEAR]: parseInt(
+    process.env.SUBSCRIPTION_MAX_PAUSES_PER_YEAR || "2"
+  ),
+  [SETTING_KEYS.TAX_RATE]: parseFloat(process.env.PPN_RATE || "11"),
+  [SETTING_KEYS.TAX_INCLUSIVE]: process.env.PPN_INCLUSIVE !== "false",
+};
+
+const cache = new Map();
+
+/**
+ * Get a setting value
+ * @param {string} key - Setting key
+ * @returns {Promise<*>} Stored value or the default
+ */
+export const getSetting = async (key) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await prisma.systemSetting.findUnique({ where: { key } });
+  const value = setting ? setting.value : DEFAULT_SETTINGS[key];
+
+  cache.set(key, { value, expiresAt: Date.now() + SETTINGS_CACHE_TTL_MS });
+
+  return value;
+};
+
+/**
+ * Save a setting value
+ * @param {string} key - Setting key
+ * @param {*} value - JSON-serialisable value
+ * @param {string} updatedById - Administrator making the change
+ * @returns {Promise<*>} Saved value
+ */
+export const setSetting = async (key, value, updatedById = null) => {
+  try {
+    await prisma.systemSetting.upsert({
+      where: { key },
+      create: { key, value, updatedById },
+      update: { value, updatedById },
+    });
+
+    cache.delete(key);
+
+    logger.info(
+      `System setting ${key} set to ${JSON.stringify(value)} by ${
+        updatedById || "system"
+      }`
+    );
+
+    return value;
+  } catch (error) {
+    logger.error(`Error saving system setting ${key}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get security settings
+ * @returns {Promise<Object>} Security settings
+ */
+export const getSecuritySettings = async () => {
+  return {
+    requireAdminTwoFactor: Boolean(
+      await getSetting(SETTING_KEYS.REQUIRE_ADMIN_TWO_FACTOR)
+    ),
+    requireVerifiedEmailForPurchases: Boolean(
+      await getSetting(SETTING_KEYS.REQUIRE_VERIFIED_EMAIL_FOR_PURCHASES)
+    ),
+  };
+};
+
+/**
+ * Update security settings
+ * @param {Object} updates - Settings to change
+ * @param {boolean} updates.requireAdminTwoFactor - Require 2FA for administrators
+ * @param {boolean} updates.requireVerifiedEmailForPurchases - Require a verified email for paid subscriptions
+ * @param {string} adminId - Administrator making the change
+ * @returns {Promise<Object>} Updated security settings
+ */
+export const updateSecuritySettings = async (updates, adminId) => {
+  if (updates.requireAdminTwoFactor === true) {
+    // Otherwise the admin would lock themselves out of the admin API
+    const admin = await prisma.user.findUnique({
+      where: { id: adminId },
+      select: { twoFactorEnabled: true },
+    });
+
+    if (!admin?.twoFactorEnabled) {
+      const error = new Error(
+        "Enable two-factor authentication on your own account before requiring it for administrators"
+      );
+      error.code = "TWO_FACTOR_NOT_ENABLED";
+      throw error;
+    }
+  }
+
+  if (typeof updates.requireAdminTwoFactor === "boolean") {
+    await setSetting(
+      SETTING_KEYS.REQUIRE_ADMIN_TWO_FACTOR,
+      updates.requireAdminTwoFactor,
+      adminId
+    );
+  }
+
+  if (typeof updates.requireVerifiedEmailForPurchases === "boolean") {
+    await setSetting(
+      SETTING_KEYS.REQUIRE_VERIFIED_EMAIL_FOR_PURCHASES,
+      updates.requireVerifiedEmailForPurchases,
+      adminId
+    );
+  }
+
+  return getSecuritySettings();
+};
+
+/**
+ * Get subscription lifecycle settings
+ * Expired subscriptions keep running for the grace period, are then suspended
+ * with their data kept for the retention period, and finally deleted.
+ * @returns {Promise<Object>} Lifecycle settings in days
+ */
+export const getLifecycleSettings = async () => {
+  return {
+    gracePeriodDays: Number(
+      await getSetting(SETTING_KEYS.SUBSCRIPTION_GRACE_PERIOD_DAYS)
+    ),
+    dataRetentionDays: Number(
+      await getSetting(SETTING_KEYS.SUBSCRIPTION_DATA_RETENTION_DAYS)
+    ),
+    deletionWarningDays: Number(
+      await getSetting(SETTING_KEYS.SUBSCRIPTION_DELETION_WARNING_DAYS)
+    ),
+  };
+};
+
+/**
+ * Update subscription lifecycle settings
+ * Changes apply to subscriptions entering a stage from now on.
+ * @param {Object} updates - Settings to change
+ * @param {number} updates.gracePeriodDays - Days an expired subscription keeps running
+ * @param {number} updates.dataRetentionDays - Days a suspended subscription's data is kept
+ * @param {number} updates.deletionWarningDays - Days before deletion to warn the owner
+ * @param {string} adminId - Administrator making the change
+ * @returns {Promise<Object>} Updated lifecycle settings
+ */
+export const updateLifecycleSettings = async (updates, adminId) => {
+  const keys = {
+    gracePeriodDays: SETTING_KEYS.SUBSCRIPTION_GRACE_PERIOD_DAYS,
+    dataRetentionDays: SETTING_KEYS.SUBSCRIPTION_DATA_RETENTION_DAYS,
+    deletionWarningDays: SETTING_KEYS.SUBSCRIPTION_DELETION_WARNING_DAYS,
+  };
+
+  for (const [field, key] of Object.entries(keys)) {
+    if (Number.isInteger(updates[field])) {
+      await setSetting(key, updates[field], adminId);
+    }
+  }
+
+  return getLifecycleSettings();
+};
+
+/**
+ * Get subscription pause settings
+ * @returns {Promise<Object>} { maxPauseDays, maxPausesPerYear } (0 pauses disables pausing)
+ */
+export const getPauseSettings = async () => {
+  return {
+    maxPauseDays: Number(
+      await getSetting(SETTING_KEYS.SUBSCRIPTION_MAX_PAUSE_DAYS)
+    ),
+    maxPausesPerYear: Number(
+      await getSetting(SETTING_KEYS.SUBSCRIPTION_MAX_PAUSES_PER_YEAR)
+    ),
+  };
+};
+
+/**
+ * Update subscription pause settings
+ * @param {Object} updates - Settings to change
+ * @param {number} updates.maxPauseDays - Longest pause before automatic resume
+ * @param {number} updates.maxPausesPerYear - Pauses allowed per subscription in any 365 days
+ * @param {string} adminId - Administrator making the change
+ * @returns {Promise<Object>} Updated pause settings
+ */
+export const updatePauseSettings = async (updates, adminId) => {
+  if (Number.isInteger(updates.maxPauseDays)) {
+    await setSetting(
+      SETTING_KEYS.SUBSCRIPTION_MAX_PAUSE_DAYS,
+      updates.maxPauseDays,
+      adminId
+    );
+  }
+
+  if (Number.isInteger(updates.maxPausesPerYear)) {
+    await setSetting(
+      SETTING_KEYS.SUBSCRIPTION_MAX_PAUSES_PER_YEAR,
+      updates.maxPausesPerYear,
+      adminId
+    );
+  }
+
+  return getPauseSettings();
+};
+
+/**
+ * Get PPN (VAT) settings for subscription invoices
+ * Inclusive prices already contain PPN; exclusive prices have it charged on top.
+ * @returns {Promise<Object>} { rate, inclusive } with rate in percent (0 disables PPN)
+ */
+export const getTaxSettings = async () => {
+  return {
+    rate: Number(await getSetting(SETTING_KEYS.TAX_RATE)),
+    inclusive: Boolean(await getSetting(SETTING_KEYS.TAX_INCLUSIVE)),
+  };
+};
+
+/**
+ * Update PPN settings
+ * Changes apply to invoices issued from now on.
+ * @param {Object} updates - Settings to change
+ * @param {number} updates.rate - PPN rate in percent
+ * @param {boolean} updates.inclusive - Whether catalog prices include PPN
+ * @param {string} adminId - Administrator making the change
+ * @returns {Promise<Object>} Updated tax settings
+ */
+export const updateTaxSettings = async (updates, adminId) => {
+  if (typeof updates.rate === "number") {
+    await setSetting(SETTING_KEYS.TAX_RATE, updates.rate, adminId);
+  }
+
+  if (typeof updates.inclusive === "boolean") {
+    await setSetting(SETTING_KEYS.TAX_INCLUSIVE, updates.inclusive, adminId);
+  }
+
+  return getTaxSettings();
+};
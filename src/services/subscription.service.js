@@ -1,19 +1,157 @@
 import { prisma } from "../config/database.js";
 import {
   balanceService,
+  creditNoteService,
   invoiceService,
   transactionService,
 } from "./billing.service.js";
-import { createPod, stopPod } from "./pod.service.js";
+import { couponService } from "./coupon.service.js";
+import { referralService } from "./referral.service.js";
+import { taxService } from "./tax.service.js";
+import { createPod, deletePod, startPod, stopPod } from "./pod.service.js";
 import { templateUtils } from "../utils/template.util.js";
 import { notificationJobs } from "../jobs/notification.jobs.js";
+import { dispatchEvent } from "./webhook.service.js";
+import { WEBHOOK_EVENTS } from "../utils/webhook-events.util.js";
+import {
+  getLifecycleSettings,
+  getPauseSettings,
+  getSetting,
+  SETTING_KEYS,
+} from "./settings.service.js";
+import { ownerWhere } from "../utils/ownership.util.js";
+import {
+  addBillingCycle,
+  getCycleLabel,
+  getCyclePrice,
+  getCyclePricing,
+  prorateAmount,
+  toBillingCycle,
+} from "../utils/billing-cycle.util.js";
 import logger from "../utils/logger.util.js";
 
+// Auto-renewal configuration
+const AUTO_RENEW_WINDOW_HOURS =
+  parseInt(process.env.AUTO_RENEW_WINDOW_HOURS) || 24; // Renew this long before expiry
+const AUTO_RENEW_RETRY_INTERVAL_HOURS =
+  parseInt(process.env.AUTO_RENEW_RETRY_INTERVAL_HOURS) || 6;
+const AUTO_RENEW_MAX_ATTEMPTS =
+  parseInt(process.env.AUTO_RENEW_MAX_ATTEMPTS) || 3;
+
+// Trial configuration
+const TRIAL_REMINDER_DAYS = parseInt(process.env.TRIAL_REMINDER_DAYS) || 3; // Remind this long before a trial ends
+
+// Subscriptions that hold a running service
+const LIVE_STATUSES = ["ACTIVE", "TRIALING"];
+
+// Subscriptions the owner still holds, running or paused
+const HELD_STATUSES = [...LIVE_STATUSES, "PAUSED"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Thrown when another renewal extended the subscription first
+const RENEWAL_CONFLICT = "Subscription was already renewed by another request";
+
+// Clears the expiry lifecycle when a subscription is restored
+const LIFECYCLE_RESET = {
+  gracePeriodEndsAt: null,
+  suspendedAt: null,
+  dataDeletionAt: null,
+  deletionWarningSentAt: null,
+};
+
+// Clears a scheduled cancellation when the owner keeps the subscription
+const CANCELLATION_RESET = {
+  cancelAtPeriodEnd: false,
+  cancelRequestedAt: null,
+  cancellationReason: null,
+};
+
+/**
+ * Whether a user is blocked from paid purchases until they verify their email
+ * (controlled by the security.requireVerifiedEmailForPurchases setting)
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if verification is required and missing
+ */
+const isEmailVerificationMissing = async (userId) => {
+  if (!(await getSetting(SETTING_KEYS.REQUIRE_VERIFIED_EMAIL_FOR_PURCHASES))) {
+    return false;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { emailVerified: true },
+  });
+
+  return !user?.emailVerified;
+};
+
+/**
+ * Whether a user has already had a trial of any variant of a service
+ * @param {string} userId - User ID
+ * @param {string} serviceName - Base service name ("n8n", "ghost", ...)
+ * @returns {Promise<boolean>} True if a trial was started before
+ */
+const hasUsedTrial = async (userId, serviceName) => {
+  const previousTrial = await prisma.subscription.findFirst({
+    where: {
+      userId,
+      trialEndsAt: { not: null },
+      service: { name: serviceName },
+    },
+    select: { id: true },
+  });
+
+  return !!previousTrial;
+};
+
+/**
+ * Status a subscription takes once its pod is deployed
+ * (TRIALING while an unconverted trial is running, ACTIVE otherwise)
+ * @param {Object} subscription - Subscription with trial fields
+ * @returns {string} Subscription status
+ */
+const getDeployedStatus = (subscription) =>
+  subscription.trialEndsAt && !subscription.trialConvertedAt
+    ? "TRIALING"
+    : "ACTIVE";
+
+/**
+ * Where a subscription is in the expiry lifecycle, for dashboard banners
+ * @param {Object} subscription - Subscription with lifecycle fields
+ * @returns {Object|null} { stage: "GRACE_PERIOD" | "SUSPENDED" | "DATA_DELETED", gracePeriodEndsAt, dataDeletionAt }, null outside the lifecycle
+ */
+const getLifecycleState = (subscription) => {
+  const { status, gracePeriodEndsAt, dataDeletionAt } = subscription;
+
+  if (status === "EXPIRED" && gracePeriodEndsAt) {
+    return { stage: "GRACE_PERIOD", gracePeriodEndsAt, dataDeletionAt: null };
+  }
+  if (status === "SUSPENDED" && dataDeletionAt) {
+    return { stage: "SUSPENDED", gracePeriodEndsAt, dataDeletionAt };
+  }
+  if (status === "DELETED") {
+    return { stage: "DATA_DELETED", gracePeriodEndsAt, dataDeletionAt };
+  }
+
+  return null;
+};
+
 /**
  * Create subscription using credit balance
+ * @param {Object} [options] - { autoRenew, organizationId: bill and own the subscription as this organization, trial: start the variant's free trial instead of charging, billingCycle: "monthly" | "quarterly" | "yearly", couponCode: promo code for the first period }
  */
-const createSubscription = async (userId, serviceId) => {
+const createSubscription = async (userId, serviceId, options = {}) => {
+  const {
+    autoRenew = false,
+    organizationId = null,
+    trial = false,
+    couponCode = null,
+  } = options;
+
   try {
+    const billingCycle = toBillingCycle(options.billingCycle);
+
     // 1. Get service details and pricing
     const service = await prisma.serviceCatalog.findUnique({
       where: { id: serviceId, isActive: true },
@@ -23,10 +161,15 @@ const createSubscription = async (userId, serviceId) => {
       throw new Error("Service not found or inactive");
     }
 
-    const monthlyPrice = parseFloat(service.monthlyPrice);
+    // Price of one period of the chosen billing cycle
+    const price = getCyclePrice(service, billingCycle);
+
+    if (price === null) {
+      throw new Error("Billing cycle not available for this service");
+    }
 
-    // Allow free services (monthlyPrice = 0) for testing and free tier
-    if (monthlyPrice < 0) {
+    // Allow free services (price = 0) for testing and free tier
+    if (price < 0) {
       throw new Error("Invalid service pricing");
     }
 
@@ -41,12 +184,50 @@ const createSubscription = async (userId, serviceId) => {
       );
     }
 
-    // 3. Check user balance (only if service is not free)
-    if (monthlyPrice > 0) {
-      const userBalance = await balanceService.getUserBalance(userId);
-      if (userBalance.balance < monthlyPrice) {
+    // Trials are free until they end, so the balance is only checked at conversion
+    if (trial) {
+      if (service.trialDays <= 0) {
+        throw new Error("Trial not available for this service");
+      }
+
+      if (await hasUsedTrial(userId, service.name)) {
+        throw new Error("Trial already used for this service");
+      }
+
+      if (couponCode) {
+        throw new Error("Coupons cannot be applied to a free trial");
+      }
+    }
+
+    // Promo code discount on the first period
+    const discount = couponCode
+      ? await couponService.quoteSubscriptionDiscount(couponCode, {
+          userId,
+          service,
+          price,
+        })
+      : null;
+    // PPN on the discounted price; exclusive PPN is charged on top
+    const tax = trial
+      ? null
+      : await taxService.quoteTax(discount ? discount.amount : price);
+    const amountDue = tax ? tax.grossAmount : 0;
+
+    // 3. Check email verification and user balance (only if service is not free)
+    if (price > 0) {
+      if (await isEmailVerificationMissing(userId)) {
+        throw new Error("Email verification required for paid subscriptions");
+      }
+    }
+
+    if (amountDue > 0 && !trial) {
+      const userBalance = await balanceService.getUserBalance(
+        userId,
+        organizationId
+      );
+      if (userBalance.balance < amountDue) {
         throw new Error(
-          `Insufficient balance. Current: ${userBalance.balance}, Required: ${monthlyPrice}`
+          `Insufficient balance. Current: ${userBalance.balance}, Required: ${amountDue}`
         );
       }
     }
@@ -54,9 +235,9 @@ const createSubscription = async (userId, serviceId) => {
     // 4. Check if user already has active subscription for this service
     const existingSubscription = await prisma.subscription.findFirst({
       where: {
-        userId,
+        ...ownerWhere(userId, organizationId),
         serviceId,
-        status: "ACTIVE",
+        status: { in: HELD_STATUSES },
       },
     });
 
@@ -68,23 +249,36 @@ const createSubscription = async (userId, serviceId) => {
 
     // 4. Calculate subscription dates
     const startDate = new Date();
-    const expiresAt = new Date();
-    expiresAt.setMonth(expiresAt.getMonth() + 1); // 30 days subscription
+    const expiresAt = trial
+      ? new Date(startDate.getTime() + service.trialDays * 24 * 60 * 60 * 1000)
+      : addBillingCycle(startDate, billingCycle);
 
     // 5. Generate unique subdomain
     const subdomain = await generateUniqueSubdomain(service.name, userId);
 
-    // 6. Use transaction to create subscription and reduce quota atomically
+    // 6. Use transaction to create subscription, reduce quota and redeem the coupon atomically
+    let redemption = null;
     const subscription = await prisma.$transaction(async (tx) => {
       // Create subscription record
       const newSubscription = await tx.subscription.create({
         data: {
           userId,
+          organizationId,
           serviceId,
           status: "PENDING_DEPLOYMENT",
           startDate,
           expiresAt,
           subdomain,
+          autoRenew,
+          billingCycle,
+          ...(trial && { trialEndsAt: expiresAt }),
+          ...(discount && {
+            couponId: discount.coupon.id,
+            couponEndsAt: couponService.getCouponEndsAt(
+              discount.coupon,
+              startDate
+            ),
+          }),
         },
         include: {
           user: {
@@ -106,22 +300,37 @@ const createSubscription = async (userId, serviceId) => {
         });
       }
 
+      if (discount) {
+        redemption = await couponService.redeem(
+          discount.coupon,
+          {
+            userId,
+            organizationId,
+            subscriptionId: newSubscription.id,
+            amount: discount.discountAmount,
+          },
+          tx
+        );
+      }
+
       return newSubscription;
     });
 
     // 7. Handle billing operations for ALL services (free and paid)
     let invoice = null;
     let unifiedTransaction = null;
+    const chargedAmount = trial ? 0 : amountDue;
 
     try {
       // For paid services: deduct balance
-      if (monthlyPrice > 0) {
+      if (chargedAmount > 0) {
         await balanceService.deductCredit(
           userId,
-          monthlyPrice,
+          chargedAmount,
           `Subscription for ${service.displayName}`,
           subscription.id,
-          "subscription"
+          "subscription",
+          organizationId
         );
       }
 
@@ -129,9 +338,29 @@ const createSubscription = async (userId, serviceId) => {
       invoice = await invoiceService.generateInvoice(
         userId,
         "SUBSCRIPTION",
-        monthlyPrice, // Will be 0 for free services
+        chargedAmount, // Will be 0 for free services and trials
         subscription.id,
-        "subscription"
+        "subscription",
+        {
+          organizationId,
+          periodStart: startDate,
+          periodEnd: expiresAt,
+          ...(trial
+            ? {
+                description: `Service Subscription (${service.trialDays}-day free trial)`,
+              }
+            : {
+                description: `Service Subscription (${getCycleLabel(
+                  billingCycle
+                )})`,
+                billingCycle,
+              }),
+          ...(discount && {
+            couponCode: discount.coupon.code,
+            discountAmount: discount.discountAmount,
+          }),
+          tax,
+        }
       );
 
       // Create unified transaction record for ALL services
@@ -139,8 +368,8 @@ const createSubscription = async (userId, serviceId) => {
         await transactionService.createServicePurchaseTransaction(
           userId,
           subscription.id,
-          monthlyPrice, // Will be 0 for free services
-          service.displayName
+          chargedAmount, // Will be 0 for free services and trials
+          trial ? `${service.displayName} (Free trial)` : service.displayName
         );
 
       // Link invoice to unified transaction
@@ -152,13 +381,21 @@ const createSubscription = async (userId, serviceId) => {
         );
       }
     } catch (billingError) {
-      // If billing fails, rollback the subscription
+      // If billing fails, rollback the subscription and free the coupon use
+      if (redemption) {
+        await couponService.releaseRedemption(redemption);
+      }
       await prisma.subscription.delete({
         where: { id: subscription.id },
       });
       throw new Error(`Billing failed: ${billingError.message}`);
     }
 
+    // A first paid subscription qualifies the user's referral for rewards
+    if (chargedAmount > 0) {
+      await referralService.processQualifyingPurchase(userId, subscription.id);
+    }
+
     // 8. Create Kubernetes pod for the service
     try {
       // Generate service configuration from database
@@ -173,14 +410,15 @@ const createSubscription = async (userId, serviceId) => {
       // Create pod
       const serviceInstance = await createPod(subscription.id, serviceConfig);
 
-      // If pod creation is successful, update subscription status to ACTIVE
+      // If pod creation is successful, update subscription status to ACTIVE (TRIALING for trials)
+      const deployedStatus = getDeployedStatus(subscription);
       await prisma.subscription.update({
         where: { id: subscription.id },
-        data: { status: "ACTIVE" },
+        data: { status: deployedStatus },
       });
 
       logger.info(
-        `Created pod ${serviceInstance.podName} for subscription ${subscription.id} - subscription now ACTIVE`
+        `Created pod ${serviceInstance.podName} for subscription ${subscription.id} - subscription now ${deployedStatus}`
       );
     } catch (podError) {
       logger.error(
@@ -205,8 +443,23 @@ const createSubscription = async (userId, serviceId) => {
       // Don't fail the subscription creation for email issues
     }
 
+    // 10. Notify user webhooks
+    await dispatchEvent(userId, WEBHOOK_EVENTS.SUBSCRIPTION_CREATED, {
+      subscriptionId: subscription.id,
+      serviceId,
+      serviceName: service.displayName,
+      status: subscription.status,
+      startDate: subscription.startDate,
+      expiresAt: subscription.expiresAt,
+      autoRenew,
+      billingCycle,
+      trialEndsAt: subscription.trialEndsAt,
+    });
+
     logger.info(
-      `Created subscription ${subscription.id} for user ${userId}, service ${service.displayName}`
+      `Created ${trial ? "trial " : ""}subscription ${
+        subscription.id
+      } for user ${userId}, service ${service.displayName}`
     );
 
     return subscription;
@@ -218,18 +471,42 @@ const createSubscription = async (userId, serviceId) => {
 
 /**
  * Renew subscription using credit balance
+ * Renewing a trial converts it to a paid subscription: a running trial is
+ * extended from its end date, a trial suspended at its end restarts now.
+ * Subscriptions in the grace period or suspended after expiry are restored;
+ * once their data has been deleted they cannot be renewed.
+ * Renewals starting within the months of a "first N months" coupon keep its
+ * discount unless a new code is given, which replaces it.
+ * @param {Object} [options] - { autoRenew: update the auto-renew flag, source: "manual" | "auto", organizationId: owning organization, billingCycle: switch to this cycle from the new period on, couponCode: promo code for the renewed period }
  */
-const renewSubscription = async (subscriptionId, userId) => {
+const renewSubscription = async (subscriptionId, userId, options = {}) => {
+  const {
+    autoRenew,
+    source = "manual",
+    organizationId = null,
+    couponCode = null,
+  } = options;
+
   try {
     // 1. Get subscription details
     const subscription = await prisma.subscription.findFirst({
       where: {
         id: subscriptionId,
-        userId,
-        status: { in: ["ACTIVE", "EXPIRED"] },
+        ...ownerWhere(userId, organizationId),
+        OR: [
+          { status: { in: ["ACTIVE", "EXPIRED", "TRIALING"] } },
+          {
+            status: "SUSPENDED",
+            trialEndsAt: { not: null },
+            trialConvertedAt: null,
+          },
+          { status: "SUSPENDED", dataDeletionAt: { not: null } },
+        ],
       },
       include: {
         service: true,
+        serviceInstance: true,
+        coupon: true,
         user: {
           select: { id: true, name: true, email: true },
         },
@@ -240,37 +517,129 @@ const renewSubscription = async (subscriptionId, userId) => {
       throw new Error("Subscription not found or cannot be renewed");
     }
 
-    const monthlyPrice = parseFloat(subscription.service.monthlyPrice);
+    // Keep the current cycle unless a different one is requested
+    const billingCycle = options.billingCycle
+      ? toBillingCycle(options.billingCycle)
+      : subscription.billingCycle;
+    const price = getCyclePrice(subscription.service, billingCycle);
+
+    if (price === null) {
+      throw new Error("Billing cycle not available for this service");
+    }
+
+    const convertingTrial =
+      !!subscription.trialEndsAt && !subscription.trialConvertedAt;
+    const renewalLabel = convertingTrial
+      ? "Trial conversion"
+      : source === "auto"
+      ? "Auto-renewal"
+      : "Renewal";
+
+    // 2. Calculate the new period (expired or suspended subscriptions restart now)
+    const periodStart = ["EXPIRED", "SUSPENDED"].includes(subscription.status)
+      ? new Date()
+      : new Date(subscription.expiresAt);
+    const newExpiry = addBillingCycle(periodStart, billingCycle);
+
+    // 3. Apply a new promo code or the one carried over from an earlier period
+    const discount = couponCode
+      ? await couponService.quoteSubscriptionDiscount(couponCode, {
+          userId,
+          service: subscription.service,
+          price,
+        })
+      : couponService.getRenewalDiscount(subscription, price, periodStart);
+    const tax = await taxService.quoteTax(discount ? discount.amount : price);
+    const amountDue = tax.grossAmount;
 
-    // 2. Check user balance (only if service is not free)
-    if (monthlyPrice > 0) {
-      const userBalance = await balanceService.getUserBalance(userId);
-      if (userBalance.balance < monthlyPrice) {
+    // 4. Check user balance (only if there is anything to pay)
+    if (amountDue > 0) {
+      const userBalance = await balanceService.getUserBalance(
+        userId,
+        organizationId
+      );
+      if (userBalance.balance < amountDue) {
         throw new Error(
-          `Insufficient balance for renewal. Current: ${userBalance.balance}, Required: ${monthlyPrice}`
+          `Insufficient balance for renewal. Current: ${userBalance.balance}, Required: ${amountDue}`
         );
       }
     }
 
-    // 3. Calculate new expiry date
-    const currentExpiry = new Date(subscription.expiresAt);
-    const newExpiry = new Date(currentExpiry);
-    newExpiry.setMonth(newExpiry.getMonth() + 1);
+    // 5. Redeem a new code, then extend and charge in one transaction: the
+    // extension only applies while expiresAt is still the one read above, so
+    // a concurrent renewal (auto-renew and manual /renew) charges only once,
+    // and a failed charge rolls the extension back
+    const redemption = couponCode
+      ? await couponService.redeem(discount.coupon, {
+          userId,
+          organizationId,
+          subscriptionId,
+          amount: discount.discountAmount,
+        })
+      : null;
+
+    let charge = null;
+    try {
+      charge = await prisma.$transaction(async (tx) => {
+        // 6. Update subscription and reset auto-renewal bookkeeping
+        const { count } = await tx.subscription.updateMany({
+          where: {
+            id: subscriptionId,
+            status: subscription.status,
+            expiresAt: subscription.expiresAt,
+          },
+          data: {
+            status: "ACTIVE",
+            expiresAt: newExpiry,
+            renewalAttempts: 0,
+            lastRenewalError: null,
+            ...(source === "auto" && { lastRenewalAttemptAt: new Date() }),
+            billingCycle,
+            ...(autoRenew !== undefined && { autoRenew }),
+            ...(convertingTrial && { trialConvertedAt: new Date() }),
+            ...(couponCode && {
+              couponId: discount.coupon.id,
+              couponEndsAt: couponService.getCouponEndsAt(
+                discount.coupon,
+                periodStart
+              ),
+            }),
+            ...LIFECYCLE_RESET,
+            ...CANCELLATION_RESET,
+          },
+        });
+
+        if (count === 0) {
+          throw new Error(RENEWAL_CONFLICT);
+        }
+
+        return amountDue > 0
+          ? balanceService.deductCredit(
+              userId,
+              amountDue,
+              `Subscription ${renewalLabel.toLowerCase()} for ${
+                subscription.service.displayName
+              }`,
+              subscriptionId,
+              "subscription",
+              organizationId,
+              tx
+            )
+          : null;
+      });
+    } catch (renewalError) {
+      if (redemption) {
+        await couponService.releaseRedemption(redemption);
+      }
+      throw renewalError;
+    }
 
-    // If subscription is expired, start from current date
-    if (subscription.status === "EXPIRED") {
-      const now = new Date();
-      newExpiry.setTime(now.getTime());
-      newExpiry.setMonth(newExpiry.getMonth() + 1);
+    if (charge) {
+      await balanceService.notifyLowBalance(userId, charge.transaction);
     }
 
-    // 4. Update subscription first
-    const renewedSubscription = await prisma.subscription.update({
+    const renewedSubscription = await prisma.subscription.findUnique({
       where: { id: subscriptionId },
-      data: {
-        status: "ACTIVE",
-        expiresAt: newExpiry,
-      },
       include: {
         service: true,
         user: {
@@ -279,55 +648,65 @@ const renewSubscription = async (subscriptionId, userId) => {
       },
     });
 
-    // 5. Handle billing operations for ALL renewals (free and paid)
+    // 7. Record invoice and transaction for ALL renewals (free and paid)
     try {
-      // For paid services: deduct balance
-      if (monthlyPrice > 0) {
-        await balanceService.deductCredit(
-          userId,
-          monthlyPrice,
-          `Subscription renewal for ${subscription.service.displayName}`,
-          subscriptionId,
-          "subscription"
-        );
-      }
-
-      // Generate renewal invoice for ALL services (including free ones for tracking)
       const invoice = await invoiceService.generateInvoice(
         userId,
         "SUBSCRIPTION",
-        monthlyPrice, // Will be 0 for free services
+        amountDue, // Will be 0 for free services
         subscriptionId,
-        "subscription"
+        "subscription",
+        {
+          description: `Service Subscription (${renewalLabel}, ${getCycleLabel(
+            billingCycle
+          )})`,
+          organizationId,
+          billingCycle,
+          periodStart,
+          periodEnd: newExpiry,
+          ...(discount && {
+            couponCode: discount.coupon.code,
+            discountAmount: discount.discountAmount,
+          }),
+          tax,
+        }
       );
 
-      // Create unified transaction record for ALL renewals
-      const unifiedTransaction =
-        await transactionService.createServicePurchaseTransaction(
-          userId,
-          subscriptionId,
-          monthlyPrice, // Will be 0 for free services
-          `${subscription.service.displayName} (Renewal)`
-        );
-
-      // Link invoice to unified transaction
-      if (invoice && unifiedTransaction) {
-        await transactionService.linkInvoiceToTransaction(
-          subscriptionId,
-          "subscription",
-          invoice.id
-        );
-      }
+      await transactionService.createServicePurchaseTransaction(
+        userId,
+        subscriptionId,
+        amountDue, // Will be 0 for free services
+        `${subscription.service.displayName} (${renewalLabel})`,
+        { invoiceId: invoice.id }
+      );
     } catch (billingError) {
       logger.error(
-        `Billing failed for renewal ${subscriptionId}:`,
+        `Billing records failed for renewal ${subscriptionId}:`,
         billingError
       );
-      // Note: We don't rollback the subscription renewal here as it's a separate concern
-      // The subscription is renewed but billing failed - this should be handled by admin
+      // Note: The balance has been charged and the subscription renewed at this point
+      // Missing invoice/transaction records should be handled by admin
+    }
+
+    if (amountDue > 0) {
+      await referralService.processQualifyingPurchase(userId, subscriptionId);
+    }
+
+    // 8. Bring back the pod stopped when the trial ended or the grace period ran out
+    if (subscription.status === "SUSPENDED" && subscription.serviceInstance) {
+      try {
+        await startPod(subscription.serviceInstance.id);
+      } catch (podError) {
+        logger.error(
+          `Failed to start pod for restored subscription ${subscriptionId}:`,
+          podError
+        );
+      }
     }
 
-    logger.info(`Renewed subscription ${subscriptionId} for user ${userId}`);
+    logger.info(
+      `Renewed subscription ${subscriptionId} for user ${userId} (${source})`
+    );
 
     return renewedSubscription;
   } catch (error) {
@@ -337,99 +716,1026 @@ const renewSubscription = async (subscriptionId, userId) => {
 };
 
 /**
- * Cancel subscription
+ * Update user-editable subscription settings (autoRenew, customConfig)
  */
-const cancelSubscription = async (subscriptionId, userId) => {
+const updateSubscriptionSettings = async (
+  subscriptionId,
+  userId,
+  settings,
+  organizationId = null
+) => {
   try {
+    const { autoRenew, customConfig } = settings;
+
     const subscription = await prisma.subscription.findFirst({
-      where: {
-        id: subscriptionId,
-        userId,
-        status: "ACTIVE",
-      },
-      include: {
-        service: true,
-        serviceInstance: true,
-      },
+      where: { id: subscriptionId, ...ownerWhere(userId, organizationId) },
+      include: { serviceInstance: true },
     });
 
     if (!subscription) {
-      throw new Error("Active subscription not found");
+      throw new Error("Subscription not found");
     }
 
-    // Use transaction to cancel subscription and restore quota atomically
-    const cancelledSubscription = await prisma.$transaction(async (tx) => {
-      // Update subscription status
-      const updatedSubscription = await tx.subscription.update({
+    if (autoRenew !== undefined) {
+      await prisma.subscription.update({
         where: { id: subscriptionId },
         data: {
-          status: "CANCELLED",
-        },
-        include: {
-          service: true,
-          user: {
-            select: { id: true, name: true, email: true },
-          },
-          serviceInstance: true,
+          autoRenew,
+          // Re-enabling auto-renew starts a fresh set of attempts
+          ...(autoRenew && { renewalAttempts: 0, lastRenewalError: null }),
         },
       });
+    }
 
-      // Restore available quota by 1 (if quota is not null and not unlimited)
-      if (
-        subscription.service.availableQuota !== null &&
-        subscription.service.availableQuota !== -1
-      ) {
-        await tx.serviceCatalog.update({
-          where: { id: subscription.serviceId },
-          data: {
-            availableQuota: {
-              increment: 1,
-            },
-          },
+    if (customConfig !== undefined && subscription.serviceInstance) {
+      await prisma.serviceInstance.update({
+        where: { id: subscription.serviceInstance.id },
+        data: { customConfig },
+      });
+    }
+
+    logger.info(
+      `Updated settings for subscription ${subscriptionId} by user ${userId}`
+    );
+
+    return await getSubscriptionDetails(subscriptionId, userId, organizationId);
+  } catch (error) {
+    logger.error(
+      `Error updating subscription settings ${subscriptionId}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Process automatic renewals (background job)
+ * Renews auto-renew subscriptions expiring within the renewal window.
+ * Failed attempts are retried until AUTO_RENEW_MAX_ATTEMPTS, after which the
+ * subscription is left to expire normally.
+ */
+const processAutoRenewals = async () => {
+  try {
+    const now = new Date();
+    const windowEnd = new Date(
+      now.getTime() + AUTO_RENEW_WINDOW_HOURS * 60 * 60 * 1000
+    );
+    const retryBefore = new Date(
+      now.getTime() - AUTO_RENEW_RETRY_INTERVAL_HOURS * 60 * 60 * 1000
+    );
+
+    const dueSubscriptions = await prisma.subscription.findMany({
+      where: {
+        status: "ACTIVE",
+        autoRenew: true,
+        cancelAtPeriodEnd: false,
+        expiresAt: { gt: now, lte: windowEnd },
+        renewalAttempts: { lt: AUTO_RENEW_MAX_ATTEMPTS },
+        OR: [
+          { lastRenewalAttemptAt: null },
+          { lastRenewalAttemptAt: { lt: retryBefore } },
+        ],
+      },
+      include: { service: true },
+      take: 50, // Process in batches
+    });
+
+    let renewed = 0;
+    let failed = 0;
+
+    for (const subscription of dueSubscriptions) {
+      try {
+        await renewSubscription(subscription.id, subscription.userId, {
+          source: "auto",
+          organizationId: subscription.organizationId,
         });
+        renewed++;
+      } catch (renewalError) {
+        if (renewalError.message === RENEWAL_CONFLICT) {
+          logger.info(
+            `Subscription ${subscription.id} was renewed elsewhere, skipping auto-renewal`
+          );
+          continue;
+        }
+        failed++;
+        await recordFailedRenewal(subscription, renewalError);
+      }
+    }
+
+    logger.info(
+      `Auto-renewal completed. Due: ${dueSubscriptions.length}, Renewed: ${renewed}, Failed: ${failed}`
+    );
+    return { due: dueSubscriptions.length, renewed, failed };
+  } catch (error) {
+    logger.error("Error processing auto-renewals:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a failed auto-renewal attempt with a failed transaction, a cancelled
+ * invoice and a notification to the user
+ */
+const recordFailedRenewal = async (subscription, renewalError) => {
+  const attempt = subscription.renewalAttempts + 1;
+  const finalAttempt = attempt >= AUTO_RENEW_MAX_ATTEMPTS;
+  // A variant that stopped offering the cycle records the failure at no cost
+  const price =
+    getCyclePrice(subscription.service, subscription.billingCycle) ?? 0;
+
+  logger.warn(
+    `Auto-renewal attempt ${attempt}/${AUTO_RENEW_MAX_ATTEMPTS} failed for subscription ${subscription.id}: ${renewalError.message}`
+  );
+
+  try {
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: {
+        renewalAttempts: attempt,
+        lastRenewalAttemptAt: new Date(),
+        lastRenewalError: renewalError.message,
+      },
+    });
+
+    const invoice = await invoiceService.generateInvoice(
+      subscription.userId,
+      "SUBSCRIPTION",
+      price,
+      subscription.id,
+      "subscription",
+      {
+        status: "CANCELLED",
+        description: "Service Subscription (Auto-renewal failed)",
+        organizationId: subscription.organizationId,
       }
+    );
+
+    await transactionService.createServicePurchaseTransaction(
+      subscription.userId,
+      subscription.id,
+      price,
+      `${subscription.service.displayName} (Auto-renewal failed)`,
+      { status: "FAILED", invoiceId: invoice.id }
+    );
+
+    await notificationJobs.queueRenewalFailed(subscription.id, {
+      attempt,
+      maxAttempts: AUTO_RENEW_MAX_ATTEMPTS,
+      finalAttempt,
+      reason: renewalError.message,
+    });
+  } catch (recordError) {
+    logger.error(
+      `Failed to record auto-renewal failure for subscription ${subscription.id}:`,
+      recordError
+    );
+  }
+};
+
+/**
+ * Convert trials that have ended (background job)
+ * Trials with auto-renew are charged for their first month; trials without
+ * auto-renew, or whose charge fails, are suspended and their pod stopped.
+ * A suspended trial is converted later by renewing it.
+ */
+const processTrialConversions = async () => {
+  try {
+    const endedTrials = await prisma.subscription.findMany({
+      where: {
+        status: "TRIALING",
+        trialEndsAt: { lte: new Date() },
+      },
+      include: { service: true, serviceInstance: true },
+      take: 50, // Process in batches
+    });
+
+    let converted = 0;
+    let suspended = 0;
+
+    for (const subscription of endedTrials) {
+      let reason = "Auto-renew is turned off";
+
+      if (subscription.autoRenew) {
+        try {
+          await renewSubscription(subscription.id, subscription.userId, {
+            source: "auto",
+            organizationId: subscription.organizationId,
+          });
+          converted++;
+
+          await queueTrialEnded(subscription.id, { converted: true });
+          continue;
+        } catch (conversionError) {
+          if (conversionError.message === RENEWAL_CONFLICT) {
+            continue; // Converted by the owner in the meantime
+          }
+          reason = conversionError.message;
+        }
+      }
+
+      if (await suspendEndedTrial(subscription, reason)) {
+        suspended++;
+      }
+    }
+
+    logger.info(
+      `Trial conversion completed. Ended: ${endedTrials.length}, Converted: ${converted}, Suspended: ${suspended}`
+    );
+    return { ended: endedTrials.length, converted, suspended };
+  } catch (error) {
+    logger.error("Error processing trial conversions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Suspend a trial that ended without being converted and stop its pod
+ * The pod and its volume are kept for the data retention period so the trial
+ * can still be converted.
+ * @returns {Promise<boolean>} False if the trial was no longer running
+ */
+const suspendEndedTrial = async (subscription, reason) => {
+  const { dataRetentionDays } = await getLifecycleSettings();
+  const now = new Date();
+
+  // Skip trials converted or cancelled since they were loaded
+  const { count } = await prisma.subscription.updateMany({
+    where: { id: subscription.id, status: "TRIALING" },
+    data: {
+      status: "SUSPENDED",
+      lastRenewalError: reason,
+      suspendedAt: now,
+      dataDeletionAt: new Date(now.getTime() + dataRetentionDays * DAY_MS),
+    },
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  logger.info(
+    `Suspended trial subscription ${subscription.id} at trial end: ${reason}`
+  );
+
+  if (subscription.serviceInstance) {
+    try {
+      await stopPod(subscription.serviceInstance.id);
+    } catch (podError) {
+      logger.error(
+        `Failed to stop pod for suspended trial ${subscription.id}:`,
+        podError
+      );
+    }
+  }
+
+  await queueTrialEnded(subscription.id, { converted: false, reason });
+  return true;
+};
+
+/**
+ * Queue the trial ended notification without failing the conversion
+ */
+const queueTrialEnded = async (subscriptionId, outcome) => {
+  try {
+    await notificationJobs.queueTrialEnded(subscriptionId, outcome);
+  } catch (notificationError) {
+    logger.error(
+      `Failed to queue trial ended notification for ${subscriptionId}:`,
+      notificationError
+    );
+  }
+};
+
+/**
+ * Remind users that their trial ends soon (background job)
+ * Each trial is reminded once, TRIAL_REMINDER_DAYS before it ends.
+ */
+const processTrialReminders = async () => {
+  try {
+    const now = new Date();
+    const reminderWindowEnd = new Date(
+      now.getTime() + TRIAL_REMINDER_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const endingTrials = await prisma.subscription.findMany({
+      where: {
+        status: "TRIALING",
+        trialReminderSentAt: null,
+        trialEndsAt: { gt: now, lte: reminderWindowEnd },
+      },
+      select: { id: true },
+      take: 100, // Process in batches
+    });
+
+    let reminded = 0;
+
+    for (const { id } of endingTrials) {
+      try {
+        await notificationJobs.queueTrialEnding(id);
+        await prisma.subscription.update({
+          where: { id },
+          data: { trialReminderSentAt: new Date() },
+        });
+        reminded++;
+      } catch (reminderError) {
+        logger.error(
+          `Failed to queue trial reminder for subscription ${id}:`,
+          reminderError
+        );
+      }
+    }
+
+    logger.info(
+      `Trial reminders queued: ${reminded} of ${endingTrials.length}`
+    );
+    return { reminded, totalEnding: endingTrials.length };
+  } catch (error) {
+    logger.error("Error processing trial reminders:", error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel subscription
+ */
+/**
+ * Cancel a subscription immediately
+ * @param {Object} [options] - { refund: credit the unused part of the period, reason }
+ */
+const cancelSubscription = async (
+  subscriptionId,
+  userId,
+  organizationId = null,
+  options = {}
+) => {
+  const { refund = false, reason } = options;
+
+  try {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        id: subscriptionId,
+        ...ownerWhere(userId, organizationId),
+        status: { in: HELD_STATUSES },
+      },
+      include: { service: true, serviceInstance: true },
+    });
+
+    if (!subscription) {
+      throw new Error("Active subscription not found");
+    }
+
+    // Use transaction to cancel subscription and restore quota atomically
+    const cancelledSubscription = await prisma.$transaction(async (tx) => {
+      // Only the request that moves the subscription out of a held status
+      // restores quota and refunds; a concurrent cancel finds nothing to do
+      const { count } = await tx.subscription.updateMany({
+        where: { id: subscriptionId, status: { in: HELD_STATUSES } },
+        data: {
+          status: "CANCELLED",
+          pausedAt: null,
+          pauseEndsAt: null,
+          cancelAtPeriodEnd: false,
+          ...(reason && { cancellationReason: reason }),
+        },
+      });
+
+      if (count === 0) {
+        throw new Error("Active subscription not found");
+      }
+
+      // Restore available quota by 1 (if quota is not null and not unlimited)
+      if (
+        subscription.service.availableQuota !== null &&
+        subscription.service.availableQuota !== -1
+      ) {
+        await tx.serviceCatalog.update({
+          where: { id: subscription.serviceId },
+          data: {
+            availableQuota: {
+              increment: 1,
+            },
+          },
+        });
+      }
+
+      // Close an open pause
+      if (subscription.status === "PAUSED") {
+        await tx.subscriptionPause.updateMany({
+          where: { subscriptionId, endedAt: null },
+          data: { endedAt: new Date(), resumedBy: "cancel" },
+        });
+      }
+
+      const updatedSubscription = await tx.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: {
+          service: true,
+          user: {
+            select: { id: true, name: true, email: true },
+          },
+          serviceInstance: true,
+        },
+      });
+
+      if (refund) {
+        // Charges for periods that have not ended, read after the status
+        // change so the quote sees every credit note issued before it
+        const invoices = await tx.invoice.findMany({
+          where: {
+            subscriptionId,
+            type: "SUBSCRIPTION",
+            status: "PAID",
+            periodEnd: { gt: new Date() },
+          },
+          orderBy: { periodEnd: "asc" },
+          select: {
+            id: true,
+            amount: true,
+            periodStart: true,
+            periodEnd: true,
+            creditNotes: {
+              where: { status: { in: ["DRAFT", "PAID"] } },
+              select: { amount: true },
+            },
+          },
+        });
+
+        updatedSubscription.refund = await refundCancelledSubscription(
+          tx,
+          subscription,
+          getCancellationRefund({ invoices })
+        );
+      }
+
+      return updatedSubscription;
+    });
+
+    // Stop the associated pod if it exists
+    if (subscription.serviceInstance) {
+      try {
+        logger.info(
+          `Stopping pod ${subscription.serviceInstance.id} for cancelled subscription ${subscriptionId}`
+        );
+
+        await stopPod(subscription.serviceInstance.id);
+
+        logger.info(
+          `Successfully stopped pod ${subscription.serviceInstance.id} for cancelled subscription ${subscriptionId}`
+        );
+      } catch (podError) {
+        logger.error(
+          `Failed to stop pod ${subscription.serviceInstance.id} for cancelled subscription ${subscriptionId}:`,
+          podError
+        );
+        logger.error(`Pod error details:`, {
+          serviceInstanceId: subscription.serviceInstance.id,
+          podName: subscription.serviceInstance.podName,
+          namespace: subscription.serviceInstance.namespace,
+          error: podError.message,
+          stack: podError.stack,
+        });
+        // Don't fail the subscription cancellation if pod stopping fails
+        // The subscription is still cancelled, but admin may need to manually clean up the pod
+      }
+    } else {
+      logger.info(
+        `No service instance found for cancelled subscription ${subscriptionId}`
+      );
+    }
+
+    logger.info(`Cancelled subscription ${subscriptionId} for user ${userId}`);
+
+    return cancelledSubscription;
+  } catch (error) {
+    logger.error(`Error cancelling subscription ${subscriptionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Unused part of the paid periods, prorated the same way as plan changes
+ * Each paid invoice whose period has not ended refunds what was actually
+ * charged for it (after promo codes, including PPN) for the days left, less
+ * what credit notes already returned. Days added without a charge (pause
+ * credit, admin extensions) and trials are not paid out.
+ * @param {Object} subscription - Subscription with its paid invoices whose period has not ended
+ * @param {Date} [now] - Cancellation time
+ * @returns {Object} { amount, remainingDays, totalDays, periodEnd, invoices: [{ invoiceId, amount, remainingDays }] }
+ */
+const getCancellationRefund = (subscription, now = new Date()) => {
+  const quote = {
+    amount: 0,
+    remainingDays: 0,
+    totalDays: 0,
+    periodEnd: null,
+    invoices: [],
+  };
+
+  for (const invoice of subscription.invoices || []) {
+    if (!invoice.periodStart || !invoice.periodEnd) {
+      continue;
+    }
+
+    const start = new Date(invoice.periodStart);
+    const end = new Date(invoice.periodEnd);
+    // A period renewed in advance has not started yet and is unused in full
+    const period = {
+      totalDays: Math.ceil((end - start) / DAY_MS),
+      remainingDays: Math.max(
+        0,
+        Math.ceil((end - Math.max(now, start)) / DAY_MS)
+      ),
+    };
+
+    if (period.totalDays <= 0) {
+      continue;
+    }
+
+    const paid = parseFloat(invoice.amount);
+    const credited = invoice.creditNotes.reduce(
+      (sum, note) => sum + parseFloat(note.amount),
+      0
+    );
+
+    const amount =
+      Math.round(
+        Math.min(prorateAmount(paid, period), Math.max(0, paid - credited)) *
+          100
+      ) / 100;
+
+    if (amount > 0) {
+      quote.invoices.push({
+        invoiceId: invoice.id,
+        amount,
+        remainingDays: period.remainingDays,
+      });
+    }
+
+    quote.amount += amount;
+    quote.remainingDays += period.remainingDays;
+    quote.totalDays += period.totalDays;
+    if (!quote.periodEnd || end > quote.periodEnd) {
+      quote.periodEnd = end;
+    }
+  }
+
+  return { ...quote, amount: Math.round(quote.amount * 100) / 100 };
+};
+
+/**
+ * Credit a cancellation refund to the owner's balance
+ * Each refunded invoice gets its own credit note for its share of the quote,
+ * so no credit note exceeds what is left to refund on its invoice. Runs
+ * inside the cancellation transaction, so a failed credit also leaves the
+ * subscription uncancelled.
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<Object>} Refund quote with status CREDITED or NONE and the credit notes issued
+ */
+const refundCancelledSubscription = async (tx, subscription, refundQuote) => {
+  if (refundQuote.amount <= 0) {
+    return { ...refundQuote, status: "NONE", creditNotes: [] };
+  }
+
+  const creditNotes = [];
+
+  for (const { invoiceId, amount, remainingDays } of refundQuote.invoices) {
+    const creditNote = await creditNoteService.issueRefund(
+      {
+        userId: subscription.userId,
+        organizationId: subscription.organizationId,
+        amount,
+        description: `Refund for ${remainingDays} unused days of ${subscription.service.displayName}`,
+        reason: "Subscription cancelled with prorated refund",
+        subscriptionId: subscription.id,
+        originalInvoiceId: invoiceId,
+      },
+      tx
+    );
+
+    creditNotes.push({
+      id: creditNote.id,
+      invoiceNumber: creditNote.invoiceNumber,
+      amount,
+    });
+  }
+
+  logger.info(
+    `Refunded ${refundQuote.amount} for cancelled subscription ${subscription.id} with ${creditNotes.length} credit note(s)`
+  );
+
+  // Referral rewards earned with this subscription are not kept after a refund
+  await referralService.reverseRewards(subscription.id, tx);
+
+  return { ...refundQuote, status: "CREDITED", creditNotes };
+};
+
+/**
+ * Schedule cancellation at the end of the current billing period
+ * The subscription stays ACTIVE and is not renewed; the expiry job cancels it
+ * at expiresAt.
+ */
+const scheduleCancellation = async (
+  subscriptionId,
+  userId,
+  organizationId = null,
+  reason = null
+) => {
+  try {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        id: subscriptionId,
+        ...ownerWhere(userId, organizationId),
+        status: "ACTIVE",
+      },
+    });
+
+    if (!subscription) {
+      throw new Error("Active subscription not found");
+    }
+
+    if (subscription.cancelAtPeriodEnd) {
+      throw new Error("Cancellation is already scheduled");
+    }
+
+    const scheduledSubscription = await prisma.subscription.update({
+      where: { id: subscriptionId },
+      data: {
+        cancelAtPeriodEnd: true,
+        cancelRequestedAt: new Date(),
+        cancellationReason: reason,
+      },
+      include: { service: true, serviceInstance: true },
+    });
+
+    logger.info(
+      `Scheduled cancellation of subscription ${subscriptionId} at ${subscription.expiresAt.toISOString()}`
+    );
+
+    return scheduledSubscription;
+  } catch (error) {
+    logger.error(
+      `Error scheduling cancellation of subscription ${subscriptionId}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Keep a subscription that was scheduled for cancellation
+ */
+const undoScheduledCancellation = async (
+  subscriptionId,
+  userId,
+  organizationId = null
+) => {
+  try {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        id: subscriptionId,
+        ...ownerWhere(userId, organizationId),
+        status: "ACTIVE",
+        cancelAtPeriodEnd: true,
+      },
+    });
+
+    if (!subscription) {
+      throw new Error("No scheduled cancellation found");
+    }
+
+    const keptSubscription = await prisma.subscription.update({
+      where: { id: subscriptionId },
+      data: CANCELLATION_RESET,
+      include: { service: true, serviceInstance: true },
+    });
+
+    logger.info(
+      `Undid scheduled cancellation of subscription ${subscriptionId}`
+    );
+
+    return keptSubscription;
+  } catch (error) {
+    logger.error(
+      `Error undoing cancellation of subscription ${subscriptionId}:`,
+      error
+    );
+    throw error;
+  }
+};
+
+/**
+ * Cancel subscriptions scheduled for cancellation whose period has ended
+ * (background job, runs with the expiry check)
+ */
+const processScheduledCancellations = async () => {
+  try {
+    const dueSubscriptions = await prisma.subscription.findMany({
+      where: {
+        status: "ACTIVE",
+        cancelAtPeriodEnd: true,
+        expiresAt: { lt: new Date() },
+      },
+      include: { service: true, serviceInstance: true },
+      take: 50, // Process in batches
+    });
+
+    let cancelled = 0;
+
+    for (const subscription of dueSubscriptions) {
+      try {
+        const ended = await prisma.$transaction(async (tx) => {
+          // Skip subscriptions kept or renewed since they were loaded
+          const { count } = await tx.subscription.updateMany({
+            where: {
+              id: subscription.id,
+              status: "ACTIVE",
+              cancelAtPeriodEnd: true,
+            },
+            data: { status: "CANCELLED" },
+          });
+
+          if (
+            count > 0 &&
+            subscription.service.availableQuota !== null &&
+            subscription.service.availableQuota !== -1
+          ) {
+            await tx.serviceCatalog.update({
+              where: { id: subscription.serviceId },
+              data: { availableQuota: { increment: 1 } },
+            });
+          }
+
+          return count > 0;
+        });
+
+        if (!ended) {
+          continue;
+        }
+
+        cancelled++;
+
+        if (subscription.serviceInstance) {
+          await stopPod(subscription.serviceInstance.id);
+        }
+      } catch (cancelError) {
+        logger.error(
+          `Failed to end scheduled cancellation of subscription ${subscription.id}:`,
+          cancelError
+        );
+      }
+    }
+
+    logger.info(`Cancelled ${cancelled} subscriptions at period end`);
+    return cancelled;
+  } catch (error) {
+    logger.error("Error processing scheduled cancellations:", error);
+    throw error;
+  }
+};
+
+/**
+ * Pause a subscription: scale its pod to zero and keep the volume
+ * The subscription resumes automatically when the pause runs out and the
+ * paused time is added to expiresAt on resume.
+ * @param {Object} [options] - { days: pause length, defaults to the maximum allowed }
+ */
+const pauseSubscription = async (
+  subscriptionId,
+  userId,
+  organizationId = null,
+  options = {}
+) => {
+  try {
+    const { maxPauseDays, maxPausesPerYear } = await getPauseSettings();
+    const days = options.days ?? maxPauseDays;
+
+    if (maxPausesPerYear === 0) {
+      throw new Error("Pausing subscriptions is disabled");
+    }
+
+    if (days > maxPauseDays) {
+      throw new Error(`Pause cannot be longer than ${maxPauseDays} days`);
+    }
+
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        id: subscriptionId,
+        ...ownerWhere(userId, organizationId),
+        status: { in: LIVE_STATUSES },
+      },
+      include: { serviceInstance: true },
+    });
+
+    if (!subscription) {
+      throw new Error("Active subscription not found");
+    }
+
+    if (subscription.status === "TRIALING") {
+      throw new Error("Trials cannot be paused");
+    }
+
+    if (subscription.cancelAtPeriodEnd) {
+      throw new Error(
+        "Subscriptions scheduled for cancellation cannot be paused"
+      );
+    }
+
+    if (!subscription.serviceInstance) {
+      throw new Error("Subscription has no deployed service to pause");
+    }
+
+    const now = new Date();
+    const recentPauses = await prisma.subscriptionPause.count({
+      where: {
+        subscriptionId,
+        startedAt: { gte: new Date(now.getTime() - 365 * DAY_MS) },
+      },
+    });
+
+    if (recentPauses >= maxPausesPerYear) {
+      throw new Error(
+        `Pause limit reached: ${maxPausesPerYear} pauses per year`
+      );
+    }
+
+    // Stop first so a failed scale-down leaves the subscription running
+    await stopPod(subscription.serviceInstance.id);
+
+    const pauseEndsAt = new Date(now.getTime() + days * DAY_MS);
+
+    const pausedSubscription = await prisma.$transaction(async (tx) => {
+      await tx.subscriptionPause.create({
+        data: { subscriptionId, startedAt: now, scheduledEndAt: pauseEndsAt },
+      });
+
+      return tx.subscription.update({
+        where: { id: subscriptionId },
+        data: { status: "PAUSED", pausedAt: now, pauseEndsAt },
+        include: { service: true, serviceInstance: true },
+      });
+    });
+
+    logger.info(
+      `Paused subscription ${subscriptionId} for ${days} days (until ${pauseEndsAt.toISOString()})`
+    );
+
+    return pausedSubscription;
+  } catch (error) {
+    logger.error(`Error pausing subscription ${subscriptionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Resume a paused subscription before its pause runs out
+ */
+const resumeSubscription = async (
+  subscriptionId,
+  userId,
+  organizationId = null
+) => {
+  try {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        id: subscriptionId,
+        ...ownerWhere(userId, organizationId),
+        status: "PAUSED",
+      },
+      include: { service: true, serviceInstance: true },
+    });
+
+    if (!subscription) {
+      throw new Error("Paused subscription not found");
+    }
+
+    return await resumePausedSubscription(subscription, "user");
+  } catch (error) {
+    logger.error(`Error resuming subscription ${subscriptionId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Time credited back for a pause: the paused time, less the share paid for by
+ * the variant's storage-only rate
+ * @param {Object} service - ServiceCatalog record
+ * @param {number} pausedMs - Time paused in milliseconds
+ * @returns {number} Milliseconds to add to expiresAt
+ */
+const getPauseCreditMs = (service, pausedMs) => {
+  const monthlyPrice = parseFloat(service.monthlyPrice);
+  const pausedPrice = parseFloat(service.pausedMonthlyPrice || 0);
+
+  if (monthlyPrice <= 0) {
+    return pausedMs;
+  }
+
+  const creditShare = Math.min(1, Math.max(0, 1 - pausedPrice / monthlyPrice));
+  return Math.round(pausedMs * creditShare);
+};
+
+/**
+ * Credit the paused time, reactivate the subscription and start its pod
+ * @param {Object} subscription - Paused subscription with service and serviceInstance
+ * @param {string} resumedBy - "user" or "auto"
+ */
+const resumePausedSubscription = async (subscription, resumedBy) => {
+  const now = new Date();
+  const creditMs = getPauseCreditMs(
+    subscription.service,
+    now - new Date(subscription.pausedAt)
+  );
+  const expiresAt = new Date(
+    new Date(subscription.expiresAt).getTime() + creditMs
+  );
+
+  const resumedSubscription = await prisma.$transaction(async (tx) => {
+    // Skip subscriptions resumed or cancelled since they were loaded
+    const { count } = await tx.subscription.updateMany({
+      where: { id: subscription.id, status: "PAUSED" },
+      data: { status: "ACTIVE", expiresAt, pausedAt: null, pauseEndsAt: null },
+    });
+
+    if (count === 0) {
+      throw new Error("Paused subscription not found");
+    }
+
+    await tx.subscriptionPause.updateMany({
+      where: { subscriptionId: subscription.id, endedAt: null },
+      data: {
+        endedAt: now,
+        resumedBy,
+        creditedHours: Math.round((creditMs / (60 * 60 * 1000)) * 100) / 100,
+      },
+    });
 
-      return updatedSubscription;
+    return tx.subscription.findUnique({
+      where: { id: subscription.id },
+      include: { service: true, serviceInstance: true },
     });
+  });
 
-    // Stop the associated pod if it exists
-    if (subscription.serviceInstance) {
-      try {
-        logger.info(
-          `Stopping pod ${subscription.serviceInstance.id} for cancelled subscription ${subscriptionId}`
-        );
+  if (subscription.serviceInstance) {
+    try {
+      await startPod(subscription.serviceInstance.id);
+    } catch (podError) {
+      logger.error(
+        `Failed to start pod for resumed subscription ${subscription.id}:`,
+        podError
+      );
+    }
+  }
 
-        await stopPod(subscription.serviceInstance.id);
+  logger.info(
+    `Resumed subscription ${
+      subscription.id
+    } (${resumedBy}), expiry moved to ${expiresAt.toISOString()}`
+  );
 
-        logger.info(
-          `Successfully stopped pod ${subscription.serviceInstance.id} for cancelled subscription ${subscriptionId}`
+  return resumedSubscription;
+};
+
+/**
+ * Resume subscriptions whose pause has run out (background job)
+ */
+const processPauseExpirations = async () => {
+  try {
+    const duePauses = await prisma.subscription.findMany({
+      where: { status: "PAUSED", pauseEndsAt: { lte: new Date() } },
+      include: { service: true, serviceInstance: true },
+      take: 50, // Process in batches
+    });
+
+    let resumed = 0;
+
+    for (const subscription of duePauses) {
+      try {
+        await resumePausedSubscription(subscription, "auto");
+        resumed++;
+      } catch (resumeError) {
+        logger.error(
+          `Failed to resume paused subscription ${subscription.id}:`,
+          resumeError
         );
-      } catch (podError) {
+        continue;
+      }
+
+      try {
+        await notificationJobs.queuePauseEnded(subscription.id);
+      } catch (notificationError) {
         logger.error(
-          `Failed to stop pod ${subscription.serviceInstance.id} for cancelled subscription ${subscriptionId}:`,
-          podError
+          `Failed to queue pause ended notification for ${subscription.id}:`,
+          notificationError
         );
-        logger.error(`Pod error details:`, {
-          serviceInstanceId: subscription.serviceInstance.id,
-          podName: subscription.serviceInstance.podName,
-          namespace: subscription.serviceInstance.namespace,
-          error: podError.message,
-          stack: podError.stack,
-        });
-        // Don't fail the subscription cancellation if pod stopping fails
-        // The subscription is still cancelled, but admin may need to manually clean up the pod
       }
-    } else {
-      logger.info(
-        `No service instance found for cancelled subscription ${subscriptionId}`
-      );
     }
 
-    logger.info(`Cancelled subscription ${subscriptionId} for user ${userId}`);
-
-    return cancelledSubscription;
+    logger.info(
+      `Pause expiry completed. Due: ${duePauses.length}, Resumed: ${resumed}`
+    );
+    return { due: duePauses.length, resumed };
   } catch (error) {
-    logger.error(`Error cancelling subscription ${subscriptionId}:`, error);
+    logger.error("Error processing pause expirations:", error);
     throw error;
   }
 };
@@ -439,12 +1745,12 @@ const cancelSubscription = async (subscriptionId, userId) => {
  */
 const getUserSubscriptions = async (
   userId,
-  { page = 1, limit = 20, status = null }
+  { page = 1, limit = 20, status = null, organizationId = null }
 ) => {
   try {
     const skip = (page - 1) * limit;
     const where = {
-      userId,
+      ...ownerWhere(userId, organizationId),
       ...(status && { status }),
     };
 
@@ -480,7 +1786,10 @@ const getUserSubscriptions = async (
     ]);
 
     return {
-      subscriptions,
+      subscriptions: subscriptions.map((subscription) => ({
+        ...subscription,
+        lifecycle: getLifecycleState(subscription),
+      })),
       pagination: {
         page,
         limit,
@@ -497,12 +1806,16 @@ const getUserSubscriptions = async (
 /**
  * Get subscription details
  */
-const getSubscriptionDetails = async (subscriptionId, userId) => {
+const getSubscriptionDetails = async (
+  subscriptionId,
+  userId,
+  organizationId = null
+) => {
   try {
     const subscription = await prisma.subscription.findFirst({
       where: {
         id: subscriptionId,
-        userId,
+        ...ownerWhere(userId, organizationId),
       },
       include: {
         service: true,
@@ -510,11 +1823,17 @@ const getSubscriptionDetails = async (subscriptionId, userId) => {
         user: {
           select: { id: true, name: true, email: true },
         },
+        organization: {
+          select: { id: true, name: true, slug: true },
+        },
         usageMetrics: {
           orderBy: { recordedAt: "desc" },
           take: 10,
         },
-        invoice: true,
+        invoices: {
+          orderBy: { createdAt: "desc" },
+          take: 5,
+        },
         // NEW: Use direct Prisma relation for transactions (user security handled by subscription ownership)
         transactions: {
           orderBy: { createdAt: "desc" },
@@ -532,7 +1851,7 @@ const getSubscriptionDetails = async (subscriptionId, userId) => {
       throw new Error("Subscription not found");
     }
 
-    return subscription;
+    return { ...subscription, lifecycle: getLifecycleState(subscription) };
   } catch (error) {
     logger.error(
       `Error getting subscription details ${subscriptionId}:`,
@@ -544,16 +1863,28 @@ const getSubscriptionDetails = async (subscriptionId, userId) => {
 
 /**
  * Check subscription eligibility (balance check)
+ * @param {Object} [options] - { trial: check eligibility for the variant's free trial, billingCycle: "monthly" | "quarterly" | "yearly", couponCode: preview a promo code's discount }
  */
-const checkSubscriptionEligibility = async (userId, serviceId) => {
+const checkSubscriptionEligibility = async (
+  userId,
+  serviceId,
+  organizationId = null,
+  { trial = false, billingCycle: requestedCycle, couponCode = null } = {}
+) => {
   try {
+    const billingCycle = toBillingCycle(requestedCycle);
+
     // Get service pricing and quota
     const service = await prisma.serviceCatalog.findUnique({
       where: { id: serviceId, isActive: true },
       select: {
         id: true,
+        name: true,
         displayName: true,
         monthlyPrice: true,
+        quarterlyPrice: true,
+        yearlyPrice: true,
+        trialDays: true,
         availableQuota: true,
       },
     });
@@ -562,19 +1893,66 @@ const checkSubscriptionEligibility = async (userId, serviceId) => {
       throw new Error("Service not found or inactive");
     }
 
-    const monthlyPrice = parseFloat(service.monthlyPrice);
+    // Price of one period of the requested cycle (null if not offered)
+    const price = getCyclePrice(service, billingCycle);
+
+    // A trial is offered once per user for each base service name
+    const trialAvailable =
+      service.trialDays > 0 && !(await hasUsedTrial(userId, service.name));
+    const trialInfo = { days: service.trialDays, available: trialAvailable };
+    const trialReasons =
+      trial && !trialAvailable
+        ? [
+            service.trialDays > 0
+              ? "Trial already used for this service"
+              : "Trial not available for this service",
+          ]
+        : [];
+
+    // Promo code preview; an unusable code makes the purchase ineligible
+    let coupon = null;
+    const couponReasons = [];
+    if (couponCode && trial) {
+      couponReasons.push("Coupons cannot be applied to a free trial");
+    } else if (couponCode && price !== null) {
+      try {
+        const discount = await couponService.quoteSubscriptionDiscount(
+          couponCode,
+          { userId, service, price }
+        );
+        coupon = {
+          code: discount.coupon.code,
+          discountAmount: discount.discountAmount,
+          amount: discount.amount,
+          durationMonths: discount.coupon.durationMonths,
+        };
+      } catch (couponError) {
+        couponReasons.push(couponError.message);
+      }
+    }
+
+    const offerReasons = [
+      ...(price === null
+        ? ["Billing cycle not available for this service"]
+        : []),
+      ...trialReasons,
+      ...couponReasons,
+    ];
 
     // Check existing subscription
     const existingSubscription = await prisma.subscription.findFirst({
       where: {
-        userId,
+        ...ownerWhere(userId, organizationId),
         serviceId,
-        status: "ACTIVE",
+        status: { in: HELD_STATUSES },
       },
     });
 
     // Get user balance for all services (needed for billing operations)
-    const userBalance = await balanceService.getUserBalance(userId);
+    const userBalance = await balanceService.getUserBalance(
+      userId,
+      organizationId
+    );
 
     // Check quota availability (-1 means unlimited, null means unlimited, >0 means available)
     const quotaAvailable =
@@ -583,15 +1961,20 @@ const checkSubscriptionEligibility = async (userId, serviceId) => {
       service.availableQuota > 0;
 
     // For free services, check existing subscription and quota
-    if (monthlyPrice === 0) {
+    if (price === 0) {
       return {
-        eligible: !existingSubscription && quotaAvailable,
+        eligible:
+          !existingSubscription && quotaAvailable && !offerReasons.length,
         service: {
           id: service.id,
           displayName: service.displayName,
           monthlyPrice: service.monthlyPrice,
           availableQuota: service.availableQuota,
+          pricing: getCyclePricing(service),
         },
+        billingCycle,
+        trial: trialInfo,
+        coupon,
         balance: {
           current: userBalance.balance,
           required: 0,
@@ -607,36 +1990,58 @@ const checkSubscriptionEligibility = async (userId, serviceId) => {
             ? ["Already subscribed to this service"]
             : []),
           ...(!quotaAvailable ? ["Service quota exhausted"] : []),
+          ...offerReasons,
         ],
       };
     }
 
-    // For paid services, check balance, existing subscription, and quota
+    const emailVerificationMissing = await isEmailVerificationMissing(userId);
+
+    // Trials are charged when they convert, not when they start
+    const tax =
+      trial || price === null
+        ? null
+        : await taxService.quoteTax(coupon ? coupon.amount : price);
+    const requiredBalance = tax ? tax.grossAmount : 0;
+
+    // For paid services, check email verification, balance, existing subscription, and quota
     return {
       eligible:
-        userBalance.balance >= monthlyPrice &&
+        !emailVerificationMissing &&
+        userBalance.balance >= requiredBalance &&
         !existingSubscription &&
-        quotaAvailable,
+        quotaAvailable &&
+        !offerReasons.length,
       service: {
         id: service.id,
         displayName: service.displayName,
         monthlyPrice: service.monthlyPrice,
         availableQuota: service.availableQuota,
+        pricing: getCyclePricing(service),
       },
+      billingCycle,
+      trial: trialInfo,
+      coupon,
+      tax,
       balance: {
         current: userBalance.balance,
-        required: monthlyPrice,
-        sufficient: userBalance.balance >= monthlyPrice,
+        required: requiredBalance,
+        sufficient: userBalance.balance >= requiredBalance,
       },
       quota: {
         available: service.availableQuota,
         sufficient: quotaAvailable,
       },
       existingSubscription: !!existingSubscription,
+      emailVerificationRequired: emailVerificationMissing,
       reasons: [
-        ...(userBalance.balance < monthlyPrice ? ["Insufficient balance"] : []),
+        ...(emailVerificationMissing ? ["Email verification required"] : []),
+        ...(userBalance.balance < requiredBalance
+          ? ["Insufficient balance"]
+          : []),
         ...(existingSubscription ? ["Already subscribed to this service"] : []),
         ...(!quotaAvailable ? ["Service quota exhausted"] : []),
+        ...offerReasons,
       ],
     };
   } catch (error) {
@@ -653,62 +2058,286 @@ const checkSubscriptionEligibility = async (userId, serviceId) => {
  */
 const expireSubscriptions = async () => {
   try {
-    const expiredSubscriptions = await prisma.subscription.updateMany({
+    const { gracePeriodDays } = await getLifecycleSettings();
+
+    // Scheduled cancellations end in processScheduledCancellations instead
+    const dueSubscriptions = await prisma.subscription.findMany({
       where: {
         status: "ACTIVE",
+        cancelAtPeriodEnd: false,
         expiresAt: {
           lt: new Date(),
         },
       },
-      data: {
+      select: { id: true, expiresAt: true },
+    });
+
+    let expired = 0;
+
+    for (const subscription of dueSubscriptions) {
+      // The grace period counts from expiry, not from when this job noticed it
+      const gracePeriodEndsAt = new Date(
+        subscription.expiresAt.getTime() + gracePeriodDays * DAY_MS
+      );
+
+      // Skip subscriptions renewed since they were loaded
+      const { count } = await prisma.subscription.updateMany({
+        where: { id: subscription.id, status: "ACTIVE" },
+        data: { status: "EXPIRED", gracePeriodEndsAt },
+      });
+
+      if (count > 0) {
+        expired++;
+        await queueLifecycleNotice(subscription.id, "GRACE_PERIOD");
+      }
+    }
+
+    logger.info(`Expired ${expired} subscriptions`);
+    return expired;
+  } catch (error) {
+    logger.error("Error expiring subscriptions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Move expired subscriptions through the rest of the lifecycle (background job)
+ * 1. Grace period over: suspend and stop the pod (volume kept)
+ * 2. Deletion close: warn the owner once
+ * 3. Retention over: delete the pod and its volume
+ * Renewing before step 3 restores the service.
+ * @returns {Promise<Object>} { suspended, warned, deleted }
+ */
+const processSubscriptionLifecycle = async () => {
+  try {
+    const { gracePeriodDays, dataRetentionDays, deletionWarningDays } =
+      await getLifecycleSettings();
+    const now = new Date();
+
+    // 1. Grace period over (subscriptions expired before grace periods existed count from expiry)
+    const graceEnded = await prisma.subscription.findMany({
+      where: {
         status: "EXPIRED",
+        OR: [
+          { gracePeriodEndsAt: { lte: now } },
+          {
+            gracePeriodEndsAt: null,
+            expiresAt: {
+              lte: new Date(now.getTime() - gracePeriodDays * DAY_MS),
+            },
+          },
+        ],
+      },
+      include: { serviceInstance: true },
+      take: 50, // Process in batches
+    });
+
+    let suspended = 0;
+
+    for (const subscription of graceEnded) {
+      const { count } = await prisma.subscription.updateMany({
+        where: { id: subscription.id, status: "EXPIRED" },
+        data: {
+          status: "SUSPENDED",
+          suspendedAt: now,
+          dataDeletionAt: new Date(now.getTime() + dataRetentionDays * DAY_MS),
+        },
+      });
+
+      if (count === 0) {
+        continue;
+      }
+
+      suspended++;
+
+      if (subscription.serviceInstance) {
+        try {
+          await stopPod(subscription.serviceInstance.id);
+        } catch (podError) {
+          logger.error(
+            `Failed to stop pod for suspended subscription ${subscription.id}:`,
+            podError
+          );
+        }
+      }
+
+      await queueLifecycleNotice(subscription.id, "SUSPENDED");
+    }
+
+    // 2. Deletion close
+    const deletionSoon = await prisma.subscription.findMany({
+      where: {
+        status: "SUSPENDED",
+        deletionWarningSentAt: null,
+        dataDeletionAt: {
+          gt: now,
+          lte: new Date(now.getTime() + deletionWarningDays * DAY_MS),
+        },
       },
+      select: { id: true },
+      take: 100, // Process in batches
+    });
+
+    let warned = 0;
+
+    for (const { id } of deletionSoon) {
+      await queueLifecycleNotice(id, "DELETION_WARNING");
+      await prisma.subscription.update({
+        where: { id },
+        data: { deletionWarningSentAt: new Date() },
+      });
+      warned++;
+    }
+
+    // 3. Retention over
+    const retentionEnded = await prisma.subscription.findMany({
+      where: { status: "SUSPENDED", dataDeletionAt: { lte: now } },
+      include: { serviceInstance: true, service: true },
+      take: 50, // Process in batches
     });
 
-    logger.info(`Expired ${expiredSubscriptions.count} subscriptions`);
-    return expiredSubscriptions.count;
+    let deleted = 0;
+
+    for (const subscription of retentionEnded) {
+      if (await deleteSubscriptionData(subscription)) {
+        deleted++;
+      }
+    }
+
+    logger.info(
+      `Subscription lifecycle completed. Suspended: ${suspended}, Warned: ${warned}, Deleted: ${deleted}`
+    );
+    return { suspended, warned, deleted };
   } catch (error) {
-    logger.error("Error expiring subscriptions:", error);
+    logger.error("Error processing subscription lifecycle:", error);
     throw error;
   }
 };
 
+/**
+ * Delete the pod and volume of a subscription whose retention period ended
+ * and give its quota slot back
+ * @returns {Promise<boolean>} False if the subscription was restored meanwhile
+ */
+const deleteSubscriptionData = async (subscription) => {
+  // Skip subscriptions renewed since they were loaded
+  const { count } = await prisma.subscription.updateMany({
+    where: {
+      id: subscription.id,
+      status: "SUSPENDED",
+      dataDeletionAt: { lte: new Date() },
+    },
+    data: { status: "DELETED" },
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  if (subscription.serviceInstance) {
+    try {
+      await deletePod(
+        subscription.serviceInstance.id,
+        "subscription-data-retention-ended",
+        true // Delete the volume too
+      );
+    } catch (podError) {
+      logger.error(
+        `Failed to delete pod for subscription ${subscription.id}:`,
+        podError
+      );
+    }
+  }
+
+  if (
+    subscription.service.availableQuota !== null &&
+    subscription.service.availableQuota !== -1
+  ) {
+    await prisma.serviceCatalog.update({
+      where: { id: subscription.serviceId },
+      data: { availableQuota: { increment: 1 } },
+    });
+  }
+
+  logger.info(
+    `Deleted data of subscription ${subscription.id} after the retention period`
+  );
+
+  await queueLifecycleNotice(subscription.id, "DATA_DELETED");
+  return true;
+};
+
+/**
+ * Queue a lifecycle notification without failing the lifecycle step
+ */
+const queueLifecycleNotice = async (subscriptionId, stage) => {
+  try {
+    await notificationJobs.queueLifecycleNotice(subscriptionId, stage);
+  } catch (notificationError) {
+    logger.error(
+      `Failed to queue ${stage} notification for ${subscriptionId}:`,
+      notificationError
+    );
+  }
+};
+
 /**
  * Get subscription statistics
+ * Without a user or organization the stats cover the whole platform
  */
-const getSubscriptionStats = async (userId = null) => {
+const getSubscriptionStats = async (userId = null, organizationId = null) => {
   try {
-    const where = userId ? { userId } : {};
+    const where =
+      userId || organizationId ? ownerWhere(userId, organizationId) : {};
 
-    const [totalActive, totalExpired, totalCancelled, totalRevenue] =
-      await Promise.all([
-        prisma.subscription.count({
-          where: { ...where, status: "ACTIVE" },
-        }),
-        prisma.subscription.count({
-          where: { ...where, status: "EXPIRED" },
-        }),
-        prisma.subscription.count({
-          where: { ...where, status: "CANCELLED" },
-        }),
-        prisma.subscription
-          .findMany({
-            where: { ...where, status: { in: ["ACTIVE", "EXPIRED"] } },
-            include: { service: { select: { monthlyPrice: true } } },
-          })
-          .then((subs) =>
-            subs.reduce(
-              (sum, sub) => sum + parseFloat(sub.service.monthlyPrice),
-              0
-            )
-          ),
-      ]);
+    const [
+      totalActive,
+      totalTrialing,
+      totalPaused,
+      totalExpired,
+      totalCancelled,
+      totalRevenue,
+    ] = await Promise.all([
+      prisma.subscription.count({
+        where: { ...where, status: "ACTIVE" },
+      }),
+      prisma.subscription.count({
+        where: { ...where, status: "TRIALING" },
+      }),
+      prisma.subscription.count({
+        where: { ...where, status: "PAUSED" },
+      }),
+      prisma.subscription.count({
+        where: { ...where, status: "EXPIRED" },
+      }),
+      prisma.subscription.count({
+        where: { ...where, status: "CANCELLED" },
+      }),
+      prisma.subscription
+        .findMany({
+          where: { ...where, status: { in: ["ACTIVE", "EXPIRED"] } },
+          include: { service: { select: { monthlyPrice: true } } },
+        })
+        .then((subs) =>
+          subs.reduce(
+            (sum, sub) => sum + parseFloat(sub.service.monthlyPrice),
+            0
+          )
+        ),
+    ]);
 
     return {
       active: totalActive,
+      trialing: totalTrialing,
+      paused: totalPaused,
       expired: totalExpired,
       cancelled: totalCancelled,
-      total: totalActive + totalExpired + totalCancelled,
+      total:
+        totalActive +
+        totalTrialing +
+        totalPaused +
+        totalExpired +
+        totalCancelled,
       totalRevenue,
     };
   } catch (error) {
@@ -867,7 +2496,10 @@ const getAdminSubscriptionDetails = async (subscriptionId) => {
           orderBy: { recordedAt: "desc" },
           take: 20,
         },
-        invoice: true,
+        invoices: {
+          orderBy: { createdAt: "desc" },
+          take: 10,
+        },
         // NEW: Use direct Prisma relation for transactions
         transactions: {
           orderBy: { createdAt: "desc" },
@@ -937,7 +2569,8 @@ const updateSubscriptionStatus = async (
       // Update subscription status
       const updated = await tx.subscription.update({
         where: { id: subscriptionId },
-        data: { status },
+        // Reactivating ends any grace period or scheduled data deletion
+        data: { status, ...(status === "ACTIVE" && LIFECYCLE_RESET) },
         include: {
           user: { select: { id: true, name: true, email: true, role: true } },
           service: true,
@@ -1190,7 +2823,10 @@ const extendSubscription = async (
       data: {
         expiresAt: newExpiry,
         // If extending an expired subscription, make it active
-        ...(subscription.status === "EXPIRED" && { status: "ACTIVE" }),
+        ...(subscription.status === "EXPIRED" && {
+          status: "ACTIVE",
+          ...LIFECYCLE_RESET,
+        }),
       },
       include: {
         user: { select: { id: true, name: true, email: true, role: true } },
@@ -1235,6 +2871,8 @@ const forceCancel = async (subscriptionId, reason, adminUserId) => {
         where: { id: subscriptionId },
         data: {
           status: "CANCELLED",
+          pausedAt: null,
+          pauseEndsAt: null,
           // Store cancellation reason in a metadata field if available
         },
         include: {
@@ -1259,6 +2897,14 @@ const forceCancel = async (subscriptionId, reason, adminUserId) => {
         });
       }
 
+      // Close an open pause
+      if (subscription.status === "PAUSED") {
+        await tx.subscriptionPause.updateMany({
+          where: { subscriptionId, endedAt: null },
+          data: { endedAt: new Date(), resumedBy: "cancel" },
+        });
+      }
+
       return updatedSubscription;
     });
 
@@ -1306,6 +2952,7 @@ const getAdminSubscriptionStats = async () => {
   try {
     const [
       totalActive,
+      totalTrialing,
       totalExpired,
       totalCancelled,
       totalPendingDeployment,
@@ -1315,6 +2962,7 @@ const getAdminSubscriptionStats = async () => {
     ] = await Promise.all([
       // Basic counts
       prisma.subscription.count({ where: { status: "ACTIVE" } }),
+      prisma.subscription.count({ where: { status: "TRIALING" } }),
       prisma.subscription.count({ where: { status: "EXPIRED" } }),
       prisma.subscription.count({ where: { status: "CANCELLED" } }),
       prisma.subscription.count({ where: { status: "PENDING_DEPLOYMENT" } }),
@@ -1374,11 +3022,16 @@ const getAdminSubscriptionStats = async () => {
     return {
       overview: {
         active: totalActive,
+        trialing: totalTrialing,
         expired: totalExpired,
         cancelled: totalCancelled,
         pendingDeployment: totalPendingDeployment,
         total:
-          totalActive + totalExpired + totalCancelled + totalPendingDeployment,
+          totalActive +
+          totalTrialing +
+          totalExpired +
+          totalCancelled +
+          totalPendingDeployment,
       },
       recent: {
         last7Days: recentSubscriptions,
@@ -1394,6 +3047,111 @@ const getAdminSubscriptionStats = async () => {
   }
 };
 
+/**
+ * Admin: Get trial conversion statistics
+ * Conversion rates only count trials that have ended (converted or not).
+ */
+const getTrialStats = async () => {
+  try {
+    const trialWhere = { trialEndsAt: { not: null } };
+    const convertedWhere = { trialConvertedAt: { not: null } };
+    // Still deploying or running trials have no outcome yet
+    const notConvertedWhere = {
+      ...trialWhere,
+      trialConvertedAt: null,
+      status: { notIn: ["TRIALING", "PENDING_DEPLOYMENT"] },
+    };
+    const endingSoonBefore = new Date(
+      Date.now() + TRIAL_REMINDER_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const countByService = (where) =>
+      prisma.subscription.groupBy({
+        by: ["serviceId"],
+        where,
+        _count: { serviceId: true },
+      });
+
+    const [
+      started,
+      trialing,
+      endingSoon,
+      converted,
+      notConverted,
+      startedByService,
+      convertedByService,
+      notConvertedByService,
+    ] = await Promise.all([
+      prisma.subscription.count({ where: trialWhere }),
+      prisma.subscription.count({ where: { status: "TRIALING" } }),
+      prisma.subscription.count({
+        where: { status: "TRIALING", trialEndsAt: { lte: endingSoonBefore } },
+      }),
+      prisma.subscription.count({ where: convertedWhere }),
+      prisma.subscription.count({ where: notConvertedWhere }),
+      countByService(trialWhere),
+      countByService(convertedWhere),
+      countByService(notConvertedWhere),
+    ]);
+
+    const conversionRate = (convertedCount, notConvertedCount) => {
+      const ended = convertedCount + notConvertedCount;
+      return ended > 0
+        ? Math.round((convertedCount / ended) * 1000) / 10 // Percentage, 1 decimal
+        : null;
+    };
+
+    const countFor = (groups, serviceId) =>
+      groups.find((group) => group.serviceId === serviceId)?._count.serviceId ||
+      0;
+
+    const services = await prisma.serviceCatalog.findMany({
+      where: { id: { in: startedByService.map((group) => group.serviceId) } },
+      select: {
+        id: true,
+        name: true,
+        displayName: true,
+        variant: true,
+        trialDays: true,
+      },
+    });
+
+    const byService = services
+      .map((service) => {
+        const serviceConverted = countFor(convertedByService, service.id);
+        const serviceNotConverted = countFor(notConvertedByService, service.id);
+
+        return {
+          serviceId: service.id,
+          serviceName: service.name,
+          displayName: service.displayName,
+          variant: service.variant,
+          trialDays: service.trialDays,
+          started: countFor(startedByService, service.id),
+          converted: serviceConverted,
+          notConverted: serviceNotConverted,
+          conversionRate: conversionRate(serviceConverted, serviceNotConverted),
+        };
+      })
+      .sort((a, b) => b.started - a.started);
+
+    return {
+      overview: {
+        started,
+        trialing,
+        endingSoon,
+        converted,
+        notConverted,
+        conversionRate: conversionRate(converted, notConverted),
+      },
+      byService,
+    };
+  } catch (error) {
+    logger.error("Error getting trial stats:", error);
+    throw error;
+  }
+};
+
 /**
  * Admin: Get subscriptions by user
  */
@@ -1482,14 +3240,31 @@ const updateSubscriptionStatusFromPod = async (
     let newStatus = subscription.status;
     let shouldSendNotification = false;
 
+    // Notify user webhooks about pod readiness or failure
+    const webhookEvent =
+      podStatus === "RUNNING"
+        ? WEBHOOK_EVENTS.POD_READY
+        : podStatus === "FAILED"
+        ? WEBHOOK_EVENTS.POD_FAILED
+        : null;
+
+    if (webhookEvent) {
+      await dispatchEvent(subscription.userId, webhookEvent, {
+        subscriptionId,
+        serviceName: subscription.service.displayName,
+        podStatus,
+        ...podDetails,
+      });
+    }
+
     // Determine new subscription status based on pod status
     switch (podStatus) {
       case "RUNNING":
         if (subscription.status === "PENDING_DEPLOYMENT") {
-          newStatus = "ACTIVE";
+          newStatus = getDeployedStatus(subscription);
           shouldSendNotification = true;
           logger.info(
-            `Pod is running, updating subscription ${subscriptionId} from PENDING_DEPLOYMENT to ACTIVE`
+            `Pod is running, updating subscription ${subscriptionId} from PENDING_DEPLOYMENT to ${newStatus}`
           );
         }
         break;
@@ -1528,7 +3303,7 @@ const updateSubscriptionStatusFromPod = async (
       );
 
       // Send service ready notification when subscription becomes active
-      if (shouldSendNotification && newStatus === "ACTIVE") {
+      if (shouldSendNotification && LIVE_STATUSES.includes(newStatus)) {
         try {
           await notificationJobs.queueServiceReadyNotification(subscriptionId);
           logger.info(
@@ -1558,11 +3333,24 @@ const updateSubscriptionStatusFromPod = async (
 export {
   createSubscription,
   renewSubscription,
+  updateSubscriptionSettings,
+  processAutoRenewals,
+  processTrialConversions,
+  processTrialReminders,
+  getDeployedStatus,
   cancelSubscription,
+  scheduleCancellation,
+  undoScheduledCancellation,
+  processScheduledCancellations,
   getUserSubscriptions,
   getSubscriptionDetails,
   checkSubscriptionEligibility,
   expireSubscriptions,
+  processSubscriptionLifecycle,
+  getLifecycleState,
+  pauseSubscription,
+  resumeSubscription,
+  processPauseExpirations,
   getSubscriptionStats,
   // Admin functions
   getAllSubscriptions,
@@ -1571,6 +3359,7 @@ export {
   extendSubscription,
   forceCancel,
   getAdminSubscriptionStats,
+  getTrialStats,
   getSubscriptionsByUser,
   // Pod integration function
   updateSubscriptionStatusFromPod,
@@ -0,0 +1,235 @@
+import { prisma } from "../config/database.js";
+import { getTaxSettings } from "./settings.service.js";
+import { calculateTax } from "../utils/tax.util.js";
+import logger from "../utils/logger.util.js";
+
+const PROFILE_FIELDS = {
+  npwp: true,
+  companyName: true,
+  billingAddress: true,
+  updatedAt: true,
+};
+
+/**
+ * Where clause for the owner's tax profile (both columns are unique)
+ * @param {string} userId - Acting user ID
+ * @param {string|null} organizationId - Organization ID, or null for the personal account
+ * @returns {Object} Prisma unique where clause
+ */
+const profileWhere = (userId, organizationId = null) =>
+  organizationId ? { organizationId } : { userId };
+
+/**
+ * NPWP digits without the usual dots and dashes (01.234.567.8-901.000)
+ * @param {string} [npwp] - NPWP as entered
+ * @returns {string|null} Digits only, null if empty
+ */
+const normalizeNpwp = (npwp) => (npwp ? npwp.replace(/[.\-\s]/g, "") : null);
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Add an invoice to net/tax/gross totals
+ */
+const addToTotals = (totals, invoice) => {
+  const gross = parseFloat(invoice.amount);
+  const tax = parseFloat(invoice.taxAmount || 0);
+
+  totals.count += 1;
+  totals.netAmount = roundAmount(
+    totals.netAmount + parseFloat(invoice.netAmount ?? gross)
+  );
+  totals.taxAmount = roundAmount(totals.taxAmount + tax);
+  totals.grossAmount = roundAmount(totals.grossAmount + gross);
+};
+
+const emptyTotals = () => ({
+  count: 0,
+  netAmount: 0,
+  taxAmount: 0,
+  grossAmount: 0,
+});
+
+/**
+ * Tax Service - PPN on subscription invoices and customer tax profiles
+ */
+export const taxService = {
+  /**
+   * PPN for a subscription charge under the current tax settings
+   * @param {number} amount - Price after discounts
+   * @returns {Promise<Object>} { netAmount, taxAmount, grossAmount, taxRate, taxInclusive }; grossAmount is what gets charged
+   */
+  async quoteTax(amount) {
+    return calculateTax(amount, await getTaxSettings());
+  },
+
+  /**
+   * Get the tax profile of a personal account or organization
+   * @param {string} userId - Acting user ID
+   * @param {string|null} organizationId - Organization ID
+   * @returns {Promise<Object|null>} Tax profile, null if none was saved
+   */
+  async getTaxProfile(userId, organizationId = null) {
+    return prisma.taxProfile.findUnique({
+      where: profileWhere(userId, organizationId),
+      select: PROFILE_FIELDS,
+    });
+  },
+
+  /**
+   * Create or replace the tax profile printed on future invoices
+   * @param {string} userId - Acting user ID
+   * @param {string|null} organizationId - Organization ID
+   * @param {Object} profile - { npwp, companyName, billingAddress }
+   * @returns {Promise<Object>} Saved tax profile
+   */
+  async saveTaxProfile(userId, organizationId, profile) {
+    try {
+      const data = {
+        npwp: normalizeNpwp(profile.npwp),
+        companyName: profile.companyName,
+        billingAddress: profile.billingAddress,
+      };
+
+      const taxProfile = await prisma.taxProfile.upsert({
+        where: profileWhere(userId, organizationId),
+        create: { ...profileWhere(userId, organizationId), ...data },
+        update: data,
+        select: PROFILE_FIELDS,
+      });
+
+      logger.info(
+        `Saved tax profile for ${
+          organizationId ? `organization ${organizationId}` : `user ${userId}`
+        }`
+      );
+
+      return taxProfile;
+    } catch (error) {
+      logger.error(`Error saving tax profile for user ${userId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a tax profile; invoices already issued keep their details
+   * @param {string} userId - Acting user ID
+   * @param {string|null} organizationId - Organization ID
+   */
+  async deleteTaxProfile(userId, organizationId = null) {
+    const { count } = await prisma.taxProfile.deleteMany({
+      where: profileWhere(userId, organizationId),
+    });
+
+    if (count === 0) {
+      throw new Error("Tax profile not found");
+    }
+  },
+
+  /**
+   * Customer details copied onto an invoice when it is issued
+   * @param {string} userId - Invoice user ID
+   * @param {string|null} organizationId - Invoice organization ID
+   * @returns {Promise<Object>} Invoice customer tax columns (empty without a profile)
+   */
+  async getInvoiceCustomerFields(userId, organizationId = null) {
+    const profile = await this.getTaxProfile(userId, organizationId);
+
+    return profile
+      ? {
+          customerTaxId: profile.npwp,
+          customerCompanyName: profile.companyName,
+          customerBillingAddress: profile.billingAddress,
+        }
+      : {};
+  },
+
+  /**
+   * PPN summary for the accountant (Admin)
+   * Output tax from paid subscription invoices, less PPN reversed by credit
+   * notes, in total, per month and per rate.
+   * @param {Object} range - { startDate, endDate } on paidAt, both optional
+   * @returns {Promise<Object>} { period, settings, totals, months, rates }
+   */
+  async getTaxSummary({ startDate = null, endDate = null }) {
+    try {
+      const invoices = await prisma.invoice.findMany({
+        where: {
+          status: "PAID",
+          taxRate: { not: null },
+          amount: { gt: 0 }, // Free services are invoiced too
+          type: { in: ["SUBSCRIPTION", "CREDIT_NOTE"] },
+          ...((startDate || endDate) && {
+            paidAt: {
+              ...(startDate && { gte: new Date(startDate) }),
+              ...(endDate && { lte: new Date(endDate) }),
+            },
+          }),
+        },
+        select: {
+          type: true,
+          amount: true,
+          netAmount: true,
+          taxAmount: true,
+          taxRate: true,
+          customerTaxId: true,
+          paidAt: true,
+        },
+        orderBy: { paidAt: "asc" },
+      });
+
+      const totals = {
+        sales: { ...emptyTotals(), withTaxId: 0 },
+        creditNotes: emptyTotals(),
+      };
+      const months = new Map();
+      const rates = new Map();
+
+      for (const invoice of invoices) {
+        const side = invoice.type === "CREDIT_NOTE" ? "creditNotes" : "sales";
+        const month = invoice.paidAt.toISOString().slice(0, 7); // YYYY-MM
+        const rate = parseFloat(invoice.taxRate);
+
+        if (!months.has(month)) {
+          months.set(month, {
+            month,
+            sales: emptyTotals(),
+            creditNotes: emptyTotals(),
+          });
+        }
+        if (!rates.has(rate)) {
+          rates.set(rate, {
+            rate,
+            sales: emptyTotals(),
+            creditNotes: emptyTotals(),
+          });
+        }
+
+        addToTotals(totals[side], invoice);
+        addToTotals(months.get(month)[side], invoice);
+        addToTotals(rates.get(rate)[side], invoice);
+
+        // Business customers with an NPWP can credit the PPN they paid
+        if (side === "sales" && invoice.customerTaxId) {
+          totals.sales.withTaxId += 1;
+        }
+      }
+
+      const withNetTax = (row) => ({
+        ...row,
+        netTax: roundAmount(row.sales.taxAmount - row.creditNotes.taxAmount),
+      });
+
+      return {
+        period: { startDate, endDate },
+        settings: await getTaxSettings(),
+        totals: withNetTax(totals),
+        months: [...months.values()].map(withNetTax),
+        rates: [...rates.values()].map(withNetTax),
+      };
+    } catch (error) {
+      logger.error("Error generating tax summary:", error);
+      throw error;
+    }
+  },
+};
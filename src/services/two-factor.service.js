@@ -0,0 +1,345 @@
+import {
+  comparePassword,
+  generateRandomString,
+  hashToken,
+} from "../utils/crypto.util.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+} from "../utils/totp.util.js";
+import logger from "../utils/logger.util.js";
+import { prisma } from "../config/database.js";
+import { USER_ROLES } from "../utils/user-roles.util.js";
+import { getSecuritySettings } from "./settings.service.js";
+
+/**
+ * Two-factor authentication service
+ * TOTP enrollment, verification and one-time recovery codes.
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "PaaS Platform";
+
+const twoFactorError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Recovery codes are compared without dashes, spaces or case
+ * @param {string} code - Recovery code as entered
+ * @returns {string} Canonical form
+ */
+const normalizeRecoveryCode = (code) =>
+  code.replace(/[^a-z0-9]/gi, "").toLowerCase();
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} userId - User ID
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Promise<Array<string>>} Raw recovery codes (shown once)
+ */
+const createRecoveryCodes = async (userId, client = prisma) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateRandomString(5); // 10 hex characters
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await client.twoFactorRecoveryCode.createMany({
+    data: codes.map((code) => ({
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+    })),
+  });
+
+  return codes;
+};
+
+/**
+ * Load a user for a two-factor operation
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User record
+ */
+const findUser = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  if (!user) {
+    throw twoFactorError("User not found", "USER_NOT_FOUND");
+  }
+
+  return user;
+};
+
+/**
+ * Verify a TOTP code or an unused recovery code for a user with 2FA enabled
+ * Accepted TOTP steps and recovery codes cannot be used again
+ * @param {Object} user - User record (with twoFactorSecret and twoFactorLastStep)
+ * @param {string} code - 6-digit TOTP code or recovery code
+ * @returns {Promise<boolean>} True if the code was accepted
+ */
+export const verifyTwoFactorCode = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret || !code) {
+    return false;
+  }
+
+  const trimmed = code.trim();
+
+  if (/^\d{6}$/.test(trimmed)) {
+    const step = verifyTotp(trimmed, user.twoFactorSecret, {
+      lastUsedStep: user.twoFactorLastStep,
+    });
+
+    if (step === null) {
+      return false;
+    }
+
+    // Conditional update so a code cannot be accepted twice concurrently
+    const updated = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+
+    return updated.count > 0;
+  }
+
+  const used = await prisma.twoFactorRecoveryCode.updateMany({
+    where: {
+      userId: user.id,
+      codeHash: hashToken(normalizeRecoveryCode(trimmed)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  if (used.count > 0) {
+    logger.warn(`Recovery code used for user: ${user.email}`);
+  }
+
+  return used.count > 0;
+};
+
+/**
+ * Get two-factor status of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Two-factor status
+ */
+export const getTwoFactorStatus = async (userId) => {
+  try {
+    const user = await findUser(userId);
+    const { requireAdminTwoFactor } = await getSecuritySettings();
+
+    const recoveryCodesRemaining = user.twoFactorEnabled
+      ? await prisma.twoFactorRecoveryCode.count({
+          where: { userId, usedAt: null },
+        })
+      : 0;
+
+    return {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      recoveryCodesRemaining,
+      required: user.role === USER_ROLES.ADMINISTRATOR && requireAdminTwoFactor,
+    };
+  } catch (error) {
+    logger.error("Error getting two-factor status:", error);
+    throw error;
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * Stores a pending secret; it only takes effect after enableTwoFactor
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Secret and otpauth URI for the authenticator app
+ */
+export const setupTwoFactor = async (userId) => {
+  try {
+    const user = await findUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw twoFactorError(
+        "Two-factor authentication is already enabled",
+        "TWO_FACTOR_ALREADY_ENABLED"
+      );
+    }
+
+    const secret = generateTotpSecret();
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorSecret: secret, twoFactorLastStep: null },
+    });
+
+    logger.info(`Two-factor setup started for user: ${user.email}`);
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUrl({
+        secret,
+        accountName: user.email,
+        issuer: TWO_FACTOR_ISSUER,
+      }),
+    };
+  } catch (error) {
+    logger.error("Error setting up two-factor authentication:", error);
+    throw error;
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Object>} Recovery codes (shown once)
+ */
+export const enableTwoFactor = async (userId, code) => {
+  try {
+    const user = await findUser(userId);
+
+    if (user.twoFactorEnabled) {
+      throw twoFactorError(
+        "Two-factor authentication is already enabled",
+        "TWO_FACTOR_ALREADY_ENABLED"
+      );
+    }
+
+    if (!user.twoFactorSecret) {
+      throw twoFactorError(
+        "Start two-factor setup before enabling it",
+        "TWO_FACTOR_SETUP_REQUIRED"
+      );
+    }
+
+    const step = verifyTotp(code, user.twoFactorSecret);
+    if (step === null) {
+      throw twoFactorError(
+        "Invalid two-factor code",
+        "INVALID_TWO_FACTOR_CODE"
+      );
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: true,
+          twoFactorEnabledAt: new Date(),
+          twoFactorLastStep: step,
+        },
+      });
+
+      return createRecoveryCodes(userId, tx);
+    });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    return { recoveryCodes };
+  } catch (error) {
+    logger.error("Error enabling two-factor authentication:", error);
+    throw error;
+  }
+};
+
+/**
+ * Turn off two-factor authentication
+ * @param {string} userId - User ID
+ * @param {Object} data - Confirmation data
+ * @param {string} data.password - Current password (not needed for OAuth-only accounts)
+ * @param {string} data.code - TOTP or recovery code
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (userId, { password, code }) => {
+  try {
+    const user = await findUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw twoFactorError(
+        "Two-factor authentication is not enabled",
+        "TWO_FACTOR_NOT_ENABLED"
+      );
+    }
+
+    const { requireAdminTwoFactor } = await getSecuritySettings();
+    if (user.role === USER_ROLES.ADMINISTRATOR && requireAdminTwoFactor) {
+      throw twoFactorError(
+        "Two-factor authentication is required for administrators",
+        "TWO_FACTOR_REQUIRED"
+      );
+    }
+
+    if (
+      user.password &&
+      !(await comparePassword(password || "", user.password))
+    ) {
+      throw twoFactorError("Password is incorrect", "INVALID_PASSWORD");
+    }
+
+    if (!(await verifyTwoFactorCode(user, code))) {
+      throw twoFactorError(
+        "Invalid two-factor code",
+        "INVALID_TWO_FACTOR_CODE"
+      );
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorEnabledAt: null,
+          twoFactorLastStep: null,
+        },
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    ]);
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+  } catch (error) {
+    logger.error("Error disabling two-factor authentication:", error);
+    throw error;
+  }
+};
+
+/**
+ * Replace recovery codes (invalidates the old ones)
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<Object>} New recovery codes (shown once)
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  try {
+    const user = await findUser(userId);
+
+    if (!user.twoFactorEnabled) {
+      throw twoFactorError(
+        "Two-factor authentication is not enabled",
+        "TWO_FACTOR_NOT_ENABLED"
+      );
+    }
+
+    if (!(await verifyTwoFactorCode(user, code))) {
+      throw twoFactorError(
+        "Invalid two-factor code",
+        "INVALID_TWO_FACTOR_CODE"
+      );
+    }
+
+    const recoveryCodes = await prisma.$transaction((tx) =>
+      createRecoveryCodes(userId, tx)
+    );
+
+    logger.info(`Recovery codes regenerated for user: ${user.email}`);
+
+    return { recoveryCodes };
+  } catch (error) {
+    logger.error("Error regenerating recovery codes:", error);
+    throw error;
+  }
+};
@@ -2,6 +2,14 @@ import { PrismaClient } from "@prisma/client";
 import logger from "../utils/logger.util.js";
 import { createResponse } from "../utils/response.util.js";
 import HTTP_STATUS from "../utils/http-status.util.js";
+import { balanceWhere } from "../utils/ownership.util.js";
+import { creditNoteService } from "./billing.service.js";
+import {
+  getBillingPeriod,
+  getCycleLabel,
+  getCyclePrice,
+  prorateAmount,
+} from "../utils/billing-cycle.util.js";
 
 const prisma = new PrismaClient();
 
@@ -26,6 +34,11 @@ export const calculateProratedUpgrade = async (
             balance: true,
           },
         },
+        organization: {
+          include: {
+            balance: true,
+          },
+        },
       },
     });
 
@@ -33,6 +46,11 @@ export const calculateProratedUpgrade = async (
       throw new Error("Subscription not found");
     }
 
+    // Organization subscriptions are paid from the organization's wallet
+    const ownerBalance = subscription.organizationId
+      ? subscription.organization.balance
+      : subscription.user.balance;
+
     // Get target service details
     const newService = await prisma.serviceCatalog.findUnique({
       where: { id: newServiceId },
@@ -42,31 +60,25 @@ export const calculateProratedUpgrade = async (
       throw new Error("Target service not found");
     }
 
-    // Calculate billing cycle details
-    const now = new Date();
-    const billingCycleStart = subscription.startDate;
-    const billingCycleEnd = subscription.expiresAt;
-
-    // Calculate remaining days in current billing cycle
-    const totalDays = Math.ceil(
-      (billingCycleEnd - billingCycleStart) / (1000 * 60 * 60 * 24)
-    );
-    const remainingDays = Math.ceil(
-      (billingCycleEnd - now) / (1000 * 60 * 60 * 24)
-    );
+    // Both plans are priced for the subscription's billing cycle
+    const cycle = subscription.billingCycle;
+    const oldPlanPrice = getCyclePrice(subscription.service, cycle) ?? 0;
+    const newPlanPrice = getCyclePrice(newService, cycle);
 
-    // Ensure remaining days is not negative
-    const validRemainingDays = Math.max(0, remainingDays);
+    if (newPlanPrice === null) {
+      throw new Error(
+        `Billing cycle ${getCycleLabel(cycle)} not offered by target service`
+      );
+    }
 
-    // Calculate financial amounts
-    const oldPlanPrice = parseFloat(subscription.service.monthlyPrice);
-    const newPlanPrice = parseFloat(newService.monthlyPrice);
+    // Current period is one cycle ending at expiry (startDate is the first period only)
+    const period = getBillingPeriod(subscription.expiresAt, cycle);
 
     // Calculate unused amount from current plan (prorated refund)
-    const unusedAmount = (oldPlanPrice * validRemainingDays) / totalDays;
+    const unusedAmount = prorateAmount(oldPlanPrice, period);
 
     // Calculate prorated amount for new plan
-    const proratedNewAmount = (newPlanPrice * validRemainingDays) / totalDays;
+    const proratedNewAmount = prorateAmount(newPlanPrice, period);
 
     // Calculate net amount (positive = charge, negative = refund)
     const netAmount = proratedNewAmount - unusedAmount;
@@ -94,10 +106,11 @@ export const calculateProratedUpgrade = async (
         price: newPlanPrice,
       },
       billingCycle: {
-        start: billingCycleStart,
-        end: billingCycleEnd,
-        totalDays,
-        remainingDays: validRemainingDays,
+        cycle,
+        start: period.start,
+        end: period.end,
+        totalDays: period.totalDays,
+        remainingDays: period.remainingDays,
       },
       financial: {
         oldPlanPrice,
@@ -110,9 +123,7 @@ export const calculateProratedUpgrade = async (
           netAmount < 0 ? Math.round(Math.abs(netAmount) * 100) / 100 : 0,
       },
       changeType,
-      userBalance: subscription.user.balance
-        ? parseFloat(subscription.user.balance.balance)
-        : 0,
+      userBalance: ownerBalance ? parseFloat(ownerBalance.balance) : 0,
     };
 
     logger.info("Prorated calculation completed", {
@@ -264,6 +275,8 @@ export const getUpgradeOptions = async (subscriptionId, options = {}) => {
             variant: service.variant,
             variantDisplayName: service.variantDisplayName,
             monthlyPrice: parseFloat(service.monthlyPrice),
+            price: calculation.financial.newPlanPrice,
+            billingCycle: calculation.billingCycle.cycle,
             features: service.features,
             resources: {
               cpu: service.cpuLimit,
@@ -300,7 +313,7 @@ export const getUpgradeOptions = async (subscriptionId, options = {}) => {
     }
 
     // Sort by price
-    validOptions = validOptions.sort((a, b) => a.monthlyPrice - b.monthlyPrice);
+    validOptions = validOptions.sort((a, b) => a.price - b.price);
 
     logger.info("Upgrade options retrieved", {
       subscriptionId,
@@ -314,6 +327,8 @@ export const getUpgradeOptions = async (subscriptionId, options = {}) => {
         name: subscription.service.displayName,
         variant: subscription.service.variant,
         monthlyPrice: parseFloat(subscription.service.monthlyPrice),
+        price: getCyclePrice(subscription.service, subscription.billingCycle),
+        billingCycle: subscription.billingCycle,
       },
       availableOptions: validOptions,
     };
@@ -400,6 +415,11 @@ export const executeSubscriptionUpgrade = async (
               balance: true,
             },
           },
+          organization: {
+            include: {
+              balance: true,
+            },
+          },
         },
       });
 
@@ -407,6 +427,10 @@ export const executeSubscriptionUpgrade = async (
         throw new Error("Subscription not found");
       }
 
+      const ownerBalance = subscription.organizationId
+        ? subscription.organization.balance
+        : subscription.user.balance;
+
       // 3. Get target service
       const newService = await tx.serviceCatalog.findUnique({
         where: { id: newServiceId },
@@ -467,11 +491,14 @@ export const executeSubscriptionUpgrade = async (
 
         // Deduct from user balance
         if (
-          subscription.user.balance &&
-          subscription.user.balance.balance >= calculation.financial.netAmount
+          ownerBalance &&
+          ownerBalance.balance >= calculation.financial.netAmount
         ) {
           await tx.userBalance.update({
-            where: { userId: subscription.userId },
+            where: balanceWhere(
+              subscription.userId,
+              subscription.organizationId
+            ),
             data: {
               balance: {
                 decrement: calculation.financial.netAmount,
@@ -483,6 +510,7 @@ export const executeSubscriptionUpgrade = async (
           await tx.transaction.create({
             data: {
               userId: subscription.userId,
+              organizationId: subscription.organizationId,
               type: "SERVICE_PURCHASE",
               status: "SUCCESS",
               description: `Upgrade to ${newService.displayName} - Prorated charge`,
@@ -496,34 +524,20 @@ export const executeSubscriptionUpgrade = async (
           throw new Error("Insufficient balance for upgrade");
         }
       } else if (calculation.financial.netAmount < 0) {
-        // Process refund for downgrade
-        await tx.userBalance.upsert({
-          where: { userId: subscription.userId },
-          create: {
+        // Process refund for downgrade, documented by a credit note
+        await creditNoteService.issueRefund(
+          {
             userId: subscription.userId,
-            balance: Math.abs(calculation.financial.netAmount),
-            currency: "IDR",
-          },
-          update: {
-            balance: {
-              increment: Math.abs(calculation.financial.netAmount),
-            },
-          },
-        });
-
-        // Create refund transaction record
-        await tx.transaction.create({
-          data: {
-            userId: subscription.userId,
-            type: "REFUND",
-            status: "SUCCESS",
-            description: `Downgrade refund from ${subscription.service.displayName} to ${newService.displayName}`,
+            organizationId: subscription.organizationId,
             amount: Math.abs(calculation.financial.netAmount),
+            description: `Downgrade refund from ${subscription.service.displayName} to ${newService.displayName}`,
+            reason: reason || "Prorated refund for plan downgrade",
+            subscriptionId,
             referenceId: planChange.id,
             referenceType: "PLAN_CHANGE",
-            subscriptionId: subscriptionId,
           },
-        });
+          tx
+        );
       }
 
       // 8. Update subscription service
@@ -2,6 +2,10 @@ import { prisma } from "../config/database.js";
 import { hashPassword } from "../utils/crypto.util.js";
 import logger from "../utils/logger.util.js";
 import { USER_ROLES } from "../utils/user-roles.util.js";
+import { revokeAllUserTokens } from "./refresh-token.service.js";
+import * as sessionService from "./session.service.js";
+import { unlockAccount } from "./login-protection.service.js";
+import { deleteAccount } from "./account-deletion.service.js";
 
 /**
  * User service functions for admin operations
@@ -23,8 +27,8 @@ const getAllUsers = async (options = {}) => {
 
     const skip = (page - 1) * limit;
 
-    // Build where clause
-    const where = {};
+    // Build where clause (deleted accounts are anonymised placeholders)
+    const where = { deletedAt: null };
 
     if (role) {
       where.role = role;
@@ -179,6 +183,9 @@ const createUser = async (userData) => {
         password: hashedPassword,
         role,
         isActive,
+        // Accounts created by an administrator skip email verification
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
       },
       select: {
         id: true,
@@ -247,6 +254,10 @@ const updateUser = async (userId, updateData) => {
       },
     });
 
+    if (existingUser.isActive && !updatedUser.isActive) {
+      await revokeAllUserTokens(userId, "USER_DEACTIVATED");
+    }
+
     logger.info(`Updated user: ${updatedUser.email}`);
 
     return updatedUser;
@@ -292,6 +303,8 @@ const changeUserPassword = async (userId, newPassword) => {
       },
     });
 
+    await revokeAllUserTokens(userId, "PASSWORD_CHANGED");
+
     logger.info(`Changed password for user: ${updatedUser.email}`);
 
     return updatedUser;
@@ -316,15 +329,15 @@ const deleteUser = async (userId) => {
       },
     });
 
-    if (!existingUser) {
+    if (!existingUser || existingUser.deletedAt) {
       const error = new Error("User not found");
       error.code = "USER_NOT_FOUND";
       throw error;
     }
 
     // Check if user has active subscriptions
-    const activeSubscriptions = existingUser.subscriptions.filter(
-      (sub) => sub.status === "ACTIVE"
+    const activeSubscriptions = existingUser.subscriptions.filter((sub) =>
+      ["ACTIVE", "TRIALING", "PAUSED"].includes(sub.status)
     );
 
     if (activeSubscriptions.length > 0) {
@@ -333,20 +346,18 @@ const deleteUser = async (userId) => {
       throw error;
     }
 
-    // Delete user (this will cascade delete subscriptions due to foreign key)
-    const deletedUser = await prisma.user.delete({
-      where: { id: userId },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-      },
-    });
+    // Tears down pods first; invoices and transactions are kept anonymised
+    const summary = await deleteAccount(userId);
 
-    logger.info(`Deleted user: ${deletedUser.email}`);
+    logger.info(`Deleted user: ${existingUser.email}`);
 
-    return deletedUser;
+    return {
+      id: existingUser.id,
+      name: existingUser.name,
+      email: existingUser.email,
+      role: existingUser.role,
+      ...summary,
+    };
   } catch (error) {
     logger.error("Error deleting user:", error);
     throw error;
@@ -385,6 +396,11 @@ const toggleUserStatus = async (userId) => {
       },
     });
 
+    // Deactivated users lose every session immediately
+    if (!updatedUser.isActive) {
+      await revokeAllUserTokens(userId, "USER_DEACTIVATED");
+    }
+
     logger.info(
       `Toggled user status: ${updatedUser.email} - Active: ${updatedUser.isActive}`
     );
@@ -396,6 +412,102 @@ const toggleUserStatus = async (userId) => {
   }
 };
 
+/**
+ * Ensure a user exists before operating on their sessions
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User email
+ */
+const findUserOrThrow = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { email: true },
+  });
+
+  if (!user) {
+    const error = new Error("User not found");
+    error.code = "USER_NOT_FOUND";
+    throw error;
+  }
+
+  return user;
+};
+
+/**
+ * Get active sessions of a user (admin only)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Active sessions
+ */
+const getUserSessions = async (userId) => {
+  try {
+    await findUserOrThrow(userId);
+
+    return await sessionService.getUserSessions(userId);
+  } catch (error) {
+    logger.error("Error getting user sessions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke one session of a user (admin only)
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+const revokeUserSession = async (userId, sessionId) => {
+  try {
+    const user = await findUserOrThrow(userId);
+
+    await sessionService.revokeSession(userId, sessionId, "ADMIN_REVOKED");
+
+    logger.info(`Revoked session ${sessionId} for user: ${user.email}`);
+  } catch (error) {
+    logger.error("Error revoking user session:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke every session of a user without deactivating the account (admin only)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Number of sessions revoked
+ */
+const revokeAllUserSessions = async (userId) => {
+  try {
+    const user = await findUserOrThrow(userId);
+
+    const revokedCount = await sessionService.revokeOtherSessions(
+      userId,
+      null,
+      "ADMIN_REVOKED"
+    );
+
+    logger.info(`Revoked all sessions for user: ${user.email}`);
+
+    return { revokedCount };
+  } catch (error) {
+    logger.error("Error revoking user sessions:", error);
+    throw error;
+  }
+};
+
+/**
+ * Lift a sign-in lockout and clear failed-attempt counters (admin only)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { email, wasLocked }
+ */
+const unlockUser = async (userId) => {
+  try {
+    const user = await findUserOrThrow(userId);
+    const wasLocked = await unlockAccount(user.email);
+
+    return { email: user.email, wasLocked };
+  } catch (error) {
+    logger.error("Error unlocking user:", error);
+    throw error;
+  }
+};
+
 /**
  * Get user statistics (admin only)
  * @returns {Promise<Object>} User statistics
@@ -451,5 +563,9 @@ export {
   changeUserPassword,
   deleteUser,
   toggleUserStatus,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+  unlockUser,
   getUserStats,
 };
@@ -0,0 +1,122 @@
+import crypto from "crypto";
+import {
+  generateEmailToken,
+  verifyEmailToken,
+  hashToken,
+} from "../utils/crypto.util.js";
+import { prisma } from "../config/database.js";
+
+/**
+ * Verification token service
+ * Signed, expiring, single-use tokens for links sent by email. The JWT
+ * signature and expiry are checked first, then the stored hash makes sure
+ * the token is the newest of its type and has not been used.
+ */
+
+const TOKEN_CONFIG = {
+  EMAIL_VERIFICATION: {
+    purpose: "email-verification",
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || "24h",
+  },
+  PASSWORD_RESET: {
+    purpose: "password-reset",
+    expiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || "1h",
+  },
+};
+
+const invalidTokenError = () => {
+  const error = new Error("Invalid or expired token");
+  error.code = "INVALID_TOKEN";
+  return error;
+};
+
+/**
+ * Issue a token, replacing any unused token of the same type
+ * @param {Object} user - User with id and email
+ * @param {string} type - VerificationTokenType
+ * @returns {Promise<Object>} Raw token, its expiry and configured lifetime
+ */
+export const issueVerificationToken = async (user, type) => {
+  const { purpose, expiresIn } = TOKEN_CONFIG[type];
+
+  const token = generateEmailToken(
+    { userId: user.id, email: user.email, jti: crypto.randomUUID() },
+    purpose,
+    expiresIn
+  );
+  const { exp } = verifyEmailToken(token, purpose);
+  const expiresAt = new Date(exp * 1000);
+
+  await prisma.$transaction([
+    // Only the most recently sent link stays valid
+    prisma.verificationToken.deleteMany({
+      where: { userId: user.id, type, usedAt: null },
+    }),
+    prisma.verificationToken.create({
+      data: {
+        userId: user.id,
+        type,
+        email: user.email,
+        tokenHash: hashToken(token),
+        expiresAt,
+      },
+    }),
+  ]);
+
+  return { token, expiresAt, expiresIn };
+};
+
+/**
+ * Validate a token and mark it used
+ * @param {string} token - Raw token from the emailed link
+ * @param {string} type - Expected VerificationTokenType
+ * @returns {Promise<Object>} The consumed token record
+ */
+export const consumeVerificationToken = async (token, type) => {
+  let decoded;
+  try {
+    decoded = verifyEmailToken(token, TOKEN_CONFIG[type].purpose);
+  } catch (error) {
+    throw invalidTokenError();
+  }
+
+  const record = await prisma.verificationToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (
+    !record ||
+    record.type !== type ||
+    record.userId !== decoded.userId ||
+    record.usedAt ||
+    record.expiresAt < new Date()
+  ) {
+    throw invalidTokenError();
+  }
+
+  // Conditional update so the same link cannot be used twice concurrently
+  const claimed = await prisma.verificationToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (claimed.count === 0) {
+    throw invalidTokenError();
+  }
+
+  return record;
+};
+
+/**
+ * Delete used and expired tokens
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+export const cleanupVerificationTokens = async () => {
+  const result = await prisma.verificationToken.deleteMany({
+    where: {
+      OR: [{ expiresAt: { lt: new Date() } }, { usedAt: { not: null } }],
+    },
+  });
+
+  return result.count;
+};
@@ -0,0 +1,416 @@
+import { prisma } from "../config/database.js";
+import { generateRandomString } from "../utils/crypto.util.js";
+import { WEBHOOK_TEST_EVENT } from "../utils/webhook-events.util.js";
+import { assertPublicUrl } from "../utils/url-safety.util.js";
+import { webhookJobs } from "../jobs/webhook.jobs.js";
+import logger from "../utils/logger.util.js";
+
+/**
+ * Outbound webhook service functions
+ */
+
+const MAX_WEBHOOKS_PER_USER = parseInt(process.env.WEBHOOK_MAX_PER_USER) || 10;
+
+const webhookSelect = {
+  id: true,
+  url: true,
+  events: true,
+  isActive: true,
+  secret: true,
+  createdAt: true,
+  updatedAt: true,
+  _count: {
+    select: { deliveries: true },
+  },
+};
+
+// Delivery fields shown to the webhook owner; the stored response excerpt
+// stays internal so deliveries cannot be used to read internal services
+const deliverySelect = {
+  id: true,
+  eventType: true,
+  payload: true,
+  status: true,
+  attempts: true,
+  lastAttempt: true,
+  responseCode: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Generate a signing secret for a webhook
+ * @returns {string} Webhook secret
+ */
+const generateWebhookSecret = () => `whsec_${generateRandomString(24)}`;
+
+/**
+ * Hide the signing secret except for its last characters
+ * @param {Object} webhook - Webhook record
+ * @returns {Object} Webhook with masked secret
+ */
+const maskSecret = (webhook) => ({
+  ...webhook,
+  secret: `whsec_****${webhook.secret.slice(-4)}`,
+});
+
+/**
+ * Find a webhook owned by the user or throw
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object>} Webhook record
+ */
+const findOwnedWebhook = async (webhookId, userId) => {
+  const webhook = await prisma.webhook.findFirst({
+    where: { id: webhookId, userId },
+    select: webhookSelect,
+  });
+
+  if (!webhook) {
+    const error = new Error("Webhook not found");
+    error.code = "WEBHOOK_NOT_FOUND";
+    throw error;
+  }
+
+  return webhook;
+};
+
+/**
+ * Build the payload envelope stored with each delivery
+ * @param {string} eventType - Event type
+ * @param {Object} data - Event data
+ * @returns {Object} Payload envelope
+ */
+const buildPayload = (eventType, data) => ({
+  event: eventType,
+  createdAt: new Date().toISOString(),
+  data,
+});
+
+/**
+ * Create a delivery record and queue it for sending
+ * @param {Object} webhook - Target webhook
+ * @param {string} eventType - Event type
+ * @param {Object} data - Event data
+ * @returns {Promise<Object>} Delivery record
+ */
+const createDelivery = async (webhook, eventType, data) => {
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      webhookId: webhook.id,
+      eventType,
+      payload: buildPayload(eventType, data),
+      status: "PENDING",
+    },
+    select: deliverySelect,
+  });
+
+  await webhookJobs.queueDelivery(delivery.id);
+
+  return delivery;
+};
+
+/**
+ * Get all webhooks for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Webhooks with masked secrets
+ */
+const getUserWebhooks = async (userId) => {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      where: { userId },
+      select: webhookSelect,
+      orderBy: { createdAt: "desc" },
+    });
+
+    return webhooks.map(maskSecret);
+  } catch (error) {
+    logger.error(`Error getting webhooks for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get webhook details with recent deliveries
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Webhook with masked secret
+ */
+const getWebhookById = async (webhookId, userId) => {
+  try {
+    const webhook = await findOwnedWebhook(webhookId, userId);
+
+    const recentDeliveries = await prisma.webhookDelivery.findMany({
+      where: { webhookId },
+      orderBy: { createdAt: "desc" },
+      take: 5,
+      select: {
+        id: true,
+        eventType: true,
+        status: true,
+        attempts: true,
+        responseCode: true,
+        lastAttempt: true,
+        createdAt: true,
+      },
+    });
+
+    return { ...maskSecret(webhook), recentDeliveries };
+  } catch (error) {
+    logger.error(`Error getting webhook ${webhookId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Register a new webhook
+ * @param {string} userId - User ID
+ * @param {Object} webhookData - { url, events, isActive }
+ * @returns {Promise<Object>} Created webhook including its secret (only shown once)
+ */
+const createWebhook = async (userId, webhookData) => {
+  try {
+    const { url, events, isActive = true } = webhookData;
+
+    await assertPublicUrl(url);
+
+    const existingCount = await prisma.webhook.count({ where: { userId } });
+    if (existingCount >= MAX_WEBHOOKS_PER_USER) {
+      const error = new Error(
+        `Webhook limit reached. Maximum ${MAX_WEBHOOKS_PER_USER} webhooks per user`
+      );
+      error.code = "WEBHOOK_LIMIT_REACHED";
+      throw error;
+    }
+
+    const webhook = await prisma.webhook.create({
+      data: {
+        userId,
+        url,
+        events,
+        isActive,
+        secret: generateWebhookSecret(),
+      },
+      select: webhookSelect,
+    });
+
+    logger.info(`Created webhook ${webhook.id} for user ${userId}`);
+    return webhook;
+  } catch (error) {
+    logger.error(`Error creating webhook for user ${userId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update a webhook
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - User ID
+ * @param {Object} updateData - { url, events, isActive, rotateSecret }
+ * @returns {Promise<Object>} Updated webhook (secret shown only when rotated)
+ */
+const updateWebhook = async (webhookId, userId, updateData) => {
+  try {
+    const { rotateSecret = false, ...fields } = updateData;
+
+    await findOwnedWebhook(webhookId, userId);
+
+    if (fields.url) {
+      await assertPublicUrl(fields.url);
+    }
+
+    const webhook = await prisma.webhook.update({
+      where: { id: webhookId },
+      data: {
+        ...fields,
+        ...(rotateSecret && { secret: generateWebhookSecret() }),
+      },
+      select: webhookSelect,
+    });
+
+    logger.info(
+      `Updated webhook ${webhookId} for user ${userId}${
+        rotateSecret ? " (secret rotated)" : ""
+      }`
+    );
+    return rotateSecret ? webhook : maskSecret(webhook);
+  } catch (error) {
+    logger.error(`Error updating webhook ${webhookId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a webhook and its delivery history
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - User ID
+ */
+const deleteWebhook = async (webhookId, userId) => {
+  try {
+    await findOwnedWebhook(webhookId, userId);
+
+    await prisma.webhook.delete({ where: { id: webhookId } });
+
+    logger.info(`Deleted webhook ${webhookId} for user ${userId}`);
+  } catch (error) {
+    logger.error(`Error deleting webhook ${webhookId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get delivery history for a webhook
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit, status, eventType }
+ * @returns {Promise<Object>} Deliveries with pagination info
+ */
+const getWebhookDeliveries = async (webhookId, userId, options = {}) => {
+  try {
+    const { page = 1, limit = 20, status, eventType } = options;
+
+    await findOwnedWebhook(webhookId, userId);
+
+    const where = { webhookId };
+    if (status) where.status = status;
+    if (eventType) where.eventType = eventType;
+
+    const [deliveries, total] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where,
+        select: deliverySelect,
+        orderBy: { createdAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.webhookDelivery.count({ where }),
+    ]);
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  } catch (error) {
+    logger.error(`Error getting deliveries for webhook ${webhookId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Queue a past delivery to be sent again with its original payload
+ * @param {string} webhookId - Webhook ID
+ * @param {string} deliveryId - Delivery ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Updated delivery
+ */
+const redeliverWebhook = async (webhookId, deliveryId, userId) => {
+  try {
+    await findOwnedWebhook(webhookId, userId);
+
+    const delivery = await prisma.webhookDelivery.findFirst({
+      where: { id: deliveryId, webhookId },
+    });
+
+    if (!delivery) {
+      const error = new Error("Webhook delivery not found");
+      error.code = "DELIVERY_NOT_FOUND";
+      throw error;
+    }
+
+    if (["PENDING", "RETRYING"].includes(delivery.status)) {
+      const error = new Error("Delivery is already queued");
+      error.code = "DELIVERY_IN_PROGRESS";
+      throw error;
+    }
+
+    const updatedDelivery = await prisma.webhookDelivery.update({
+      where: { id: deliveryId },
+      data: { status: "PENDING" },
+      select: deliverySelect,
+    });
+
+    await webhookJobs.queueDelivery(deliveryId);
+
+    logger.info(`Queued redelivery of ${deliveryId} for webhook ${webhookId}`);
+    return updatedDelivery;
+  } catch (error) {
+    logger.error(`Error redelivering ${deliveryId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Send a test event to a webhook, regardless of its subscribed events
+ * @param {string} webhookId - Webhook ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Created delivery
+ */
+const sendTestEvent = async (webhookId, userId) => {
+  try {
+    const webhook = await findOwnedWebhook(webhookId, userId);
+
+    const delivery = await createDelivery(webhook, WEBHOOK_TEST_EVENT, {
+      message: "This is a test event from the PaaS platform",
+      webhookId,
+    });
+
+    logger.info(`Queued test event ${delivery.id} for webhook ${webhookId}`);
+    return delivery;
+  } catch (error) {
+    logger.error(`Error sending test event to webhook ${webhookId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Dispatch an event to all of a user's active webhooks subscribed to it
+ * Never throws - webhook failures must not break the calling flow
+ * @param {string} userId - User the event belongs to
+ * @param {string} eventType - Event type (see WEBHOOK_EVENTS)
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const dispatchEvent = async (userId, eventType, data) => {
+  try {
+    const webhooks = await prisma.webhook.findMany({
+      where: {
+        userId,
+        isActive: true,
+        events: { has: eventType },
+      },
+      select: { id: true },
+    });
+
+    for (const webhook of webhooks) {
+      await createDelivery(webhook, eventType, data);
+    }
+
+    if (webhooks.length > 0) {
+      logger.info(
+        `Dispatched ${eventType} to ${webhooks.length} webhook(s) for user ${userId}`
+      );
+    }
+
+    return webhooks.length;
+  } catch (error) {
+    logger.error(`Failed to dispatch ${eventType} for user ${userId}:`, error);
+    return 0;
+  }
+};
+
+export {
+  getUserWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook,
+  sendTestEvent,
+  dispatchEvent,
+};
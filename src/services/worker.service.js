@@ -1,5 +1,6 @@
 import { getKubernetesConfig } from "../config/kubernetes.js";
 import { prisma } from "../config/database.js";
+import { generateRandomString, hashToken } from "../utils/crypto.util.js";
 import logger from "../utils/logger.util.js";
 
 /**
@@ -963,11 +964,11 @@ const syncNodesWithDatabase = async (liveNodes) => {
 
       if (!dbNode) {
         // Create new database record
+        // lastHeartbeat is only set by the worker agent's heartbeat endpoint
         dbNode = await prisma.workerNode.create({
           data: {
             ...nodeData,
             status: "ACTIVE",
-            lastHeartbeat: new Date(),
             lastHealthCheck: new Date(),
           },
         });
@@ -978,7 +979,7 @@ const syncNodesWithDatabase = async (liveNodes) => {
           where: { id: dbNode.id },
           data: {
             ...nodeData,
-            lastHeartbeat: new Date(),
+            lastHealthCheck: new Date(),
             updatedAt: new Date(),
           },
         });
@@ -1161,6 +1162,254 @@ const enrichNodeWithLiveData = async (dbNode, liveNode, nodeMetrics = null) => {
   }
 };
 
+/**
+ * Issue a bootstrap token bound to a single worker node name
+ * @param {string} nodeName - Worker node name the token is valid for
+ * @param {Object} options - Token options
+ * @param {string} options.description - Optional description
+ * @param {number} options.expiresInDays - Optional lifetime in days
+ * @param {string} adminId - Issuing administrator ID
+ * @returns {Promise<Object>} Token record including the raw token (shown once)
+ */
+const issueBootstrapToken = async (nodeName, options = {}, adminId = null) => {
+  try {
+    const { description, expiresInDays } = options;
+
+    const token = `wbt_${generateRandomString(24)}`;
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const tokenRecord = await prisma.workerBootstrapToken.create({
+      data: {
+        nodeName,
+        description,
+        tokenHash: hashToken(token),
+        tokenPrefix: token.substring(0, 12),
+        expiresAt,
+        createdById: adminId,
+      },
+    });
+
+    logger.info(
+      `Issued bootstrap token ${tokenRecord.id} for worker node ${nodeName}`
+    );
+
+    const { tokenHash, ...safeRecord } = tokenRecord;
+    return { ...safeRecord, token };
+  } catch (error) {
+    logger.error("Error issuing worker bootstrap token:", error);
+    throw error;
+  }
+};
+
+/**
+ * List bootstrap tokens (hashes are never returned)
+ * @param {Object} options - Filter options
+ * @param {string} options.nodeName - Filter by node name
+ * @param {boolean} options.includeRevoked - Include revoked tokens
+ * @returns {Promise<Array>} Token records
+ */
+const getBootstrapTokens = async (options = {}) => {
+  try {
+    const { nodeName, includeRevoked = false } = options;
+
+    const where = {};
+    if (nodeName) where.nodeName = nodeName;
+    if (!includeRevoked) where.revokedAt = null;
+
+    return await prisma.workerBootstrapToken.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      select: {
+        id: true,
+        nodeName: true,
+        description: true,
+        tokenPrefix: true,
+        expiresAt: true,
+        lastUsedAt: true,
+        revokedAt: true,
+        createdAt: true,
+        createdBy: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Error getting worker bootstrap tokens:", error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a bootstrap token
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<Object>} Revoked token record
+ */
+const revokeBootstrapToken = async (tokenId) => {
+  try {
+    const tokenRecord = await prisma.workerBootstrapToken.findUnique({
+      where: { id: tokenId },
+    });
+
+    if (!tokenRecord) {
+      throw new Error(`Bootstrap token not found: ${tokenId}`);
+    }
+
+    if (tokenRecord.revokedAt) {
+      throw new Error("Bootstrap token is already revoked");
+    }
+
+    const { tokenHash, ...revokedToken } =
+      await prisma.workerBootstrapToken.update({
+        where: { id: tokenId },
+        data: { revokedAt: new Date() },
+      });
+
+    logger.info(
+      `Revoked bootstrap token ${tokenId} for worker node ${tokenRecord.nodeName}`
+    );
+
+    return revokedToken;
+  } catch (error) {
+    logger.error("Error revoking worker bootstrap token:", error);
+    throw error;
+  }
+};
+
+/**
+ * Ensure a bootstrap token is bound to the node it is acting for
+ * @param {Object} workerToken - Authenticated token record
+ * @param {string} nodeName - Node name from the request
+ */
+const assertTokenForNode = (workerToken, nodeName) => {
+  if (workerToken.nodeName !== nodeName) {
+    throw new Error(
+      `Bootstrap token is not valid for worker node: ${nodeName}`
+    );
+  }
+};
+
+/**
+ * Register (or re-register) a worker node using its bootstrap token
+ * @param {Object} workerToken - Authenticated token record
+ * @param {Object} nodeData - Registration payload
+ * @returns {Promise<Object>} { node, created }
+ */
+const registerWorkerNode = async (workerToken, nodeData) => {
+  try {
+    assertTokenForNode(workerToken, nodeData.name);
+
+    const hostnameOwner = await prisma.workerNode.findUnique({
+      where: { hostname: nodeData.hostname },
+      select: { name: true },
+    });
+
+    if (hostnameOwner && hostnameOwner.name !== nodeData.name) {
+      throw new Error(
+        `Hostname ${nodeData.hostname} is already registered to worker node ${hostnameOwner.name}`
+      );
+    }
+
+    const now = new Date();
+    const existingNode = await prisma.workerNode.findUnique({
+      where: { name: nodeData.name },
+    });
+
+    const node = await prisma.workerNode.upsert({
+      where: { name: nodeData.name },
+      create: {
+        ...nodeData,
+        status: "PENDING", // Promoted to ACTIVE by the health monitor
+        lastHeartbeat: now,
+      },
+      update: {
+        ...nodeData,
+        lastHeartbeat: now,
+      },
+    });
+
+    await prisma.workerBootstrapToken.update({
+      where: { id: workerToken.id },
+      data: { lastUsedAt: now },
+    });
+
+    logger.info(
+      `${existingNode ? "Re-registered" : "Registered"} worker node: ${
+        node.name
+      }`
+    );
+
+    return { node, created: !existingNode };
+  } catch (error) {
+    logger.error("Error registering worker node:", error);
+    throw error;
+  }
+};
+
+/**
+ * Record a worker node heartbeat
+ * @param {Object} workerToken - Authenticated token record
+ * @param {string} nodeName - Worker node name
+ * @param {Object} heartbeat - Heartbeat payload
+ * @returns {Promise<Object>} Updated node
+ */
+const recordHeartbeat = async (workerToken, nodeName, heartbeat) => {
+  try {
+    assertTokenForNode(workerToken, nodeName);
+
+    const node = await prisma.workerNode.findUnique({
+      where: { name: nodeName },
+    });
+
+    if (!node) {
+      throw new Error(`Worker node not found: ${nodeName}`);
+    }
+
+    const now = new Date();
+    const data = { lastHeartbeat: now };
+
+    // Heartbeat units: CPU in cores, memory in MB, storage in GB
+    if (heartbeat.allocatedCPU !== undefined) {
+      data.allocatedCPU = String(heartbeat.allocatedCPU);
+    }
+    if (heartbeat.allocatedMemory !== undefined) {
+      data.allocatedMemory = `${heartbeat.allocatedMemory}Mi`;
+    }
+    if (heartbeat.allocatedStorage !== undefined) {
+      data.allocatedStorage = `${heartbeat.allocatedStorage}Gi`;
+    }
+    if (heartbeat.currentPods !== undefined) {
+      data.currentPods = heartbeat.currentPods;
+    }
+    if (heartbeat.isReady !== undefined) {
+      data.isReady = heartbeat.isReady;
+    }
+
+    // Agents cannot take a node out of admin-set maintenance
+    if (heartbeat.status && node.status !== "MAINTENANCE") {
+      data.status = heartbeat.status;
+    }
+
+    const updatedNode = await prisma.workerNode.update({
+      where: { id: node.id },
+      data,
+    });
+
+    await prisma.workerBootstrapToken.update({
+      where: { id: workerToken.id },
+      data: { lastUsedAt: now },
+    });
+
+    logger.debug(`Heartbeat received from worker node: ${nodeName}`);
+
+    return updatedNode;
+  } catch (error) {
+    logger.error("Error recording worker node heartbeat:", error);
+    throw error;
+  }
+};
+
 export {
   getAllWorkerNodes,
   getWorkerNodeById,
@@ -1172,4 +1421,9 @@ export {
   cordonNode,
   uncordonNode,
   drainNode,
+  issueBootstrapToken,
+  getBootstrapTokens,
+  revokeBootstrapToken,
+  registerWorkerNode,
+  recordHeartbeat,
 };
@@ -0,0 +1,28 @@
+/**
+ * API Key Scope Constants
+ *
+ * Permissions that can be granted to personal API keys. Routes opt in to
+ * API key access by naming the scope they require; everything else only
+ * accepts login sessions.
+ */
+
+export const API_KEY_SCOPES = {
+  SUBSCRIPTIONS_READ: "read:subscriptions",
+  SUBSCRIPTIONS_WRITE: "write:subscriptions",
+  BILLING_READ: "billing:read",
+  PODS_RESTART: "pods:restart",
+};
+
+/**
+ * Array of all grantable scopes
+ */
+export const VALID_API_KEY_SCOPES = Object.values(API_KEY_SCOPES);
+
+/**
+ * Check if a scope is valid
+ * @param {string} scope - Scope to validate
+ * @returns {boolean} - True if scope is valid
+ */
+export const isValidApiKeyScope = (scope) => {
+  return VALID_API_KEY_SCOPES.includes(scope);
+};
@@ -0,0 +1,51 @@
+/**
+ * Audit Log Constants
+ *
+ * Actions and target types recorded in the append-only audit log.
+ */
+
+export const AUDIT_ACTIONS = {
+  BALANCE_ADJUSTED: "BALANCE_ADJUSTED",
+  REFUND_ISSUED: "REFUND_ISSUED",
+  REFUND_APPROVED: "REFUND_APPROVED",
+  REFUND_REJECTED: "REFUND_REJECTED",
+  COUPON_CREATED: "COUPON_CREATED",
+  COUPON_UPDATED: "COUPON_UPDATED",
+  REFERRAL_APPROVED: "REFERRAL_APPROVED",
+  REFERRAL_REJECTED: "REFERRAL_REJECTED",
+  SUBSCRIPTION_FORCE_CANCELLED: "SUBSCRIPTION_FORCE_CANCELLED",
+  SUBSCRIPTIONS_BULK_UPDATED: "SUBSCRIPTIONS_BULK_UPDATED",
+  WORKER_NODE_DRAINED: "WORKER_NODE_DRAINED",
+  ORPHANED_PODS_CLEANED: "ORPHANED_PODS_CLEANED",
+  USER_STATUS_TOGGLED: "USER_STATUS_TOGGLED",
+  USER_IMPERSONATED: "USER_IMPERSONATED",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  ACCOUNT_UNLOCKED: "ACCOUNT_UNLOCKED",
+  ACCOUNT_DELETION_SCHEDULED: "ACCOUNT_DELETION_SCHEDULED",
+  ACCOUNT_DELETION_CANCELLED: "ACCOUNT_DELETION_CANCELLED",
+  ACCOUNT_DELETED: "ACCOUNT_DELETED",
+  USER_ROLE_CHANGED: "USER_ROLE_CHANGED",
+  IDENTITY_LINKED: "IDENTITY_LINKED",
+  IDENTITY_UNLINKED: "IDENTITY_UNLINKED",
+  SERVICE_CREATED: "SERVICE_CREATED",
+  SERVICE_UPDATED: "SERVICE_UPDATED",
+  SERVICE_DELETED: "SERVICE_DELETED",
+  SERVICE_STATUS_TOGGLED: "SERVICE_STATUS_TOGGLED",
+};
+
+export const AUDIT_TARGET_TYPES = {
+  USER: "USER",
+  SUBSCRIPTION: "SUBSCRIPTION",
+  SERVICE: "SERVICE",
+  WORKER_NODE: "WORKER_NODE",
+  POD: "POD",
+  INVOICE: "INVOICE",
+  COUPON: "COUPON",
+  REFERRAL: "REFERRAL",
+};
+
+/**
+ * Arrays of all actions and target types (for query validation)
+ */
+export const VALID_AUDIT_ACTIONS = Object.values(AUDIT_ACTIONS);
+export const VALID_AUDIT_TARGET_TYPES = Object.values(AUDIT_TARGET_TYPES);
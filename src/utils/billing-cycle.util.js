@@ -0,0 +1,174 @@
+/**
+ * Billing Cycle Helpers
+ *
+ * Subscriptions are billed monthly, quarterly or yearly. Each catalog variant
+ * has a monthly price and optional quarterly / yearly prices; a variant
+ * without a price for a cycle does not offer that cycle. The API accepts
+ * cycles in lowercase ("quarterly"), the database stores the enum value.
+ */
+
+export const BILLING_CYCLES = {
+  MONTHLY: "MONTHLY",
+  QUARTERLY: "QUARTERLY",
+  YEARLY: "YEARLY",
+};
+
+const CYCLE_MONTHS = {
+  [BILLING_CYCLES.MONTHLY]: 1,
+  [BILLING_CYCLES.QUARTERLY]: 3,
+  [BILLING_CYCLES.YEARLY]: 12,
+};
+
+const CYCLE_LABELS = {
+  [BILLING_CYCLES.MONTHLY]: "Monthly",
+  [BILLING_CYCLES.QUARTERLY]: "Quarterly",
+  [BILLING_CYCLES.YEARLY]: "Yearly",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CYCLE_PRICE_FIELDS = {
+  [BILLING_CYCLES.MONTHLY]: "monthlyPrice",
+  [BILLING_CYCLES.QUARTERLY]: "quarterlyPrice",
+  [BILLING_CYCLES.YEARLY]: "yearlyPrice",
+};
+
+/**
+ * Normalize an API billing cycle ("monthly", "QUARTERLY") to the enum value
+ * @param {string} [billingCycle] - Billing cycle, defaults to monthly
+ * @returns {string} BILLING_CYCLES value
+ */
+export const toBillingCycle = (billingCycle) => {
+  const cycle = (billingCycle || BILLING_CYCLES.MONTHLY).toUpperCase();
+
+  if (!CYCLE_MONTHS[cycle]) {
+    throw new Error(`Invalid billing cycle: ${billingCycle}`);
+  }
+
+  return cycle;
+};
+
+/**
+ * Number of months covered by one billing cycle
+ * @param {string} billingCycle - BILLING_CYCLES value
+ * @returns {number} Months
+ */
+export const getCycleMonths = (billingCycle) =>
+  CYCLE_MONTHS[toBillingCycle(billingCycle)];
+
+/**
+ * Human readable cycle name ("Quarterly")
+ * @param {string} billingCycle - BILLING_CYCLES value
+ * @returns {string} Label
+ */
+export const getCycleLabel = (billingCycle) =>
+  CYCLE_LABELS[toBillingCycle(billingCycle)];
+
+/**
+ * Date one billing cycle after the given date
+ * @param {Date} date - Period start
+ * @param {string} billingCycle - BILLING_CYCLES value
+ * @returns {Date} Period end
+ */
+export const addBillingCycle = (date, billingCycle) => {
+  const periodEnd = new Date(date);
+  periodEnd.setMonth(periodEnd.getMonth() + getCycleMonths(billingCycle));
+  return periodEnd;
+};
+
+/**
+ * Date one billing cycle before the given date
+ * @param {Date} date - Period end
+ * @param {string} billingCycle - BILLING_CYCLES value
+ * @returns {Date} Period start
+ */
+export const subtractBillingCycle = (date, billingCycle) => {
+  const periodStart = new Date(date);
+  periodStart.setMonth(periodStart.getMonth() - getCycleMonths(billingCycle));
+  return periodStart;
+};
+
+/**
+ * The current billing period, which is one cycle ending at expiry, and how
+ * much of it is left
+ * @param {Date} expiresAt - End of the current period
+ * @param {string} billingCycle - BILLING_CYCLES value
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { start, end, totalDays, remainingDays }
+ */
+export const getBillingPeriod = (expiresAt, billingCycle, now = new Date()) => {
+  const end = new Date(expiresAt);
+  const start = subtractBillingCycle(end, billingCycle);
+
+  return {
+    start,
+    end,
+    totalDays: Math.ceil((end - start) / DAY_MS),
+    remainingDays: Math.max(0, Math.ceil((end - now) / DAY_MS)),
+  };
+};
+
+/**
+ * Share of a period price covering the remaining days of the period
+ * @param {number} amount - Price of the full period
+ * @param {Object} period - Result of getBillingPeriod
+ * @returns {number} Unrounded prorated amount
+ */
+export const prorateAmount = (amount, period) =>
+  (amount * period.remainingDays) / period.totalDays;
+
+/**
+ * Price of one billing cycle of a catalog variant
+ * @param {Object} service - ServiceCatalog record
+ * @param {string} billingCycle - BILLING_CYCLES value
+ * @returns {number|null} Price, or null if the variant does not offer the cycle
+ */
+export const getCyclePrice = (service, billingCycle) => {
+  const price = service[CYCLE_PRICE_FIELDS[toBillingCycle(billingCycle)]];
+  return price === null || price === undefined ? null : parseFloat(price);
+};
+
+/**
+ * Billing cycles offered by a catalog variant with their discount against
+ * paying monthly for the same period
+ * @param {Object} service - ServiceCatalog record
+ * @returns {Array<Object>} { billingCycle, months, price, monthlyEquivalent, discountPercent }
+ */
+export const getCyclePricing = (service) => {
+  const monthlyPrice = parseFloat(service.monthlyPrice);
+
+  return Object.values(BILLING_CYCLES)
+    .map((billingCycle) => ({
+      billingCycle,
+      months: CYCLE_MONTHS[billingCycle],
+      price: getCyclePrice(service, billingCycle),
+    }))
+    .filter(({ price }) => price !== null)
+    .map(({ billingCycle, months, price }) => {
+      const fullPrice = monthlyPrice * months;
+
+      return {
+        billingCycle,
+        months,
+        price,
+        monthlyEquivalent: Math.round((price / months) * 100) / 100,
+        discountPercent:
+          fullPrice > 0
+            ? Math.round((1 - price / fullPrice) * 1000) / 10 // 1 decimal
+            : 0,
+      };
+    });
+};
+
+export default {
+  BILLING_CYCLES,
+  toBillingCycle,
+  getCycleMonths,
+  getCycleLabel,
+  addBillingCycle,
+  subtractBillingCycle,
+  getBillingPeriod,
+  prorateAmount,
+  getCyclePrice,
+  getCyclePricing,
+};
@@ -39,6 +39,25 @@ const generateAccessToken = (payload) => {
   );
 };
 
+/**
+ * Generate JWT access token for an impersonation session
+ * Accepted wherever access tokens are; the lifetime is the session's own
+ * @param {Object} payload - Token payload (includes impersonatorId and impersonationId)
+ * @param {number} expiresInSeconds - Token lifetime in seconds
+ * @returns {string} JWT token
+ */
+const generateImpersonationToken = (payload, expiresInSeconds) => {
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    {
+      expiresIn: expiresInSeconds,
+      issuer: 'paas-backend',
+      audience: 'paas-frontend'
+    }
+  );
+};
+
 /**
  * Generate JWT refresh token
  * @param {Object} payload - Token payload
@@ -56,6 +75,24 @@ const generateRefreshToken = (payload) => {
   );
 };
 
+/**
+ * Generate short-lived two-factor login challenge token
+ * Uses a separate audience so it can never be accepted as an access token
+ * @param {Object} payload - Token payload
+ * @returns {string} JWT challenge token
+ */
+const generateTwoFactorChallengeToken = (payload) => {
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+      issuer: 'paas-backend',
+      audience: 'paas-2fa-challenge'
+    }
+  );
+};
+
 /**
  * Verify JWT access token
  * @param {string} token - JWT token
@@ -80,6 +117,50 @@ const verifyRefreshToken = (token) => {
   });
 };
 
+/**
+ * Verify two-factor login challenge token
+ * @param {string} token - JWT challenge token
+ * @returns {Object} Decoded token payload
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: 'paas-backend',
+    audience: 'paas-2fa-challenge'
+  });
+};
+
+/**
+ * Generate signed token for emailed links (email verification, password reset)
+ * @param {Object} payload - Token payload
+ * @param {string} purpose - Token purpose, bound to the audience
+ * @param {string} expiresIn - Token lifetime
+ * @returns {string} JWT token
+ */
+const generateEmailToken = (payload, purpose, expiresIn) => {
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET,
+    {
+      expiresIn,
+      issuer: 'paas-backend',
+      audience: `paas-${purpose}`
+    }
+  );
+};
+
+/**
+ * Verify signed emailed-link token
+ * @param {string} token - JWT token
+ * @param {string} purpose - Expected token purpose
+ * @returns {Object} Decoded token payload
+ */
+const verifyEmailToken = (token, purpose) => {
+  return jwt.verify(token, process.env.JWT_SECRET, {
+    issuer: 'paas-backend',
+    audience: `paas-${purpose}`
+  });
+};
+
 /**
  * Generate random string for secrets
  * @param {number} length - Length of random string
@@ -102,6 +183,15 @@ const generateHmacSignature = (payload, secret) => {
     .digest('hex');
 };
 
+/**
+ * Hash an opaque token for storage (tokens are compared by hash, never stored raw)
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+};
+
 /**
  * Verify HMAC signature
  * @param {string} payload - Original payload
@@ -155,12 +245,18 @@ export {
   hashPassword,
   comparePassword,
   generateAccessToken,
+  generateImpersonationToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  generateEmailToken,
+  verifyEmailToken,
   generateRandomString,
   generateHmacSignature,
   verifyHmacSignature,
+  hashToken,
   generateSubdomain,
   generateServiceCredentials
 };
\ No newline at end of file
@@ -0,0 +1,214 @@
+import client from "prom-client";
+import { prisma } from "../config/database.js";
+import queueManager from "../jobs/queue.manager.js";
+import logger from "./logger.util.js";
+
+/**
+ * Prometheus Metrics
+ *
+ * Central registry for platform business and runtime metrics.
+ * Database and queue gauges are refreshed on each scrape.
+ */
+
+const register = new client.Registry();
+
+register.setDefaultLabels({ app: "paas-backend" });
+
+// Node.js runtime metrics (event loop lag, heap, GC, CPU)
+client.collectDefaultMetrics({ register, prefix: "paas_" });
+
+/**
+ * HTTP request duration by method, route pattern and status code
+ */
+export const httpRequestDuration = new client.Histogram({
+  name: "paas_http_request_duration_seconds",
+  help: "HTTP request duration in seconds",
+  labelNames: ["method", "route", "status_code"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+/**
+ * Kubernetes API call latency by API group and operation
+ */
+export const kubernetesApiDuration = new client.Histogram({
+  name: "paas_kubernetes_api_duration_seconds",
+  help: "Kubernetes API call duration in seconds",
+  labelNames: ["api", "operation", "result"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+/**
+ * Top-up payments reaching a final status (PAID, FAILED, EXPIRED, CANCELLED)
+ */
+export const topUpCounter = new client.Counter({
+  name: "paas_topups_total",
+  help: "Top-up transactions by final status",
+  labelNames: ["status"],
+  registers: [register],
+});
+
+/**
+ * Run a gauge refresh without failing the whole scrape
+ */
+const safeCollect = async (name, collectFn) => {
+  try {
+    await collectFn();
+  } catch (error) {
+    logger.warn(`Failed to collect ${name} metrics: ${error.message}`);
+  }
+};
+
+new client.Gauge({
+  name: "paas_subscriptions",
+  help: "Subscriptions by status",
+  labelNames: ["status"],
+  registers: [register],
+  async collect() {
+    await safeCollect("subscription", async () => {
+      const counts = await prisma.subscription.groupBy({
+        by: ["status"],
+        _count: { status: true },
+      });
+
+      this.reset();
+      counts.forEach((row) =>
+        this.set({ status: row.status }, row._count.status)
+      );
+    });
+  },
+});
+
+new client.Gauge({
+  name: "paas_pods",
+  help: "Service instance pods by status",
+  labelNames: ["status"],
+  registers: [register],
+  async collect() {
+    await safeCollect("pod", async () => {
+      const counts = await prisma.serviceInstance.groupBy({
+        by: ["status"],
+        _count: { status: true },
+      });
+
+      this.reset();
+      counts.forEach((row) =>
+        this.set({ status: row.status }, row._count.status)
+      );
+    });
+  },
+});
+
+new client.Gauge({
+  name: "paas_worker_nodes",
+  help: "Worker nodes by status and readiness",
+  labelNames: ["status", "ready"],
+  registers: [register],
+  async collect() {
+    await safeCollect("worker node", async () => {
+      const counts = await prisma.workerNode.groupBy({
+        by: ["status", "isReady"],
+        _count: { status: true },
+      });
+
+      this.reset();
+      counts.forEach((row) =>
+        this.set(
+          { status: row.status, ready: String(row.isReady) },
+          row._count.status
+        )
+      );
+    });
+  },
+});
+
+new client.Gauge({
+  name: "paas_queue_jobs",
+  help: "Bull queue jobs by queue and state",
+  labelNames: ["queue", "state"],
+  registers: [register],
+  async collect() {
+    if (!queueManager.isReady() || queueManager.mockMode) {
+      return;
+    }
+
+    await safeCollect("queue", async () => {
+      const stats = await queueManager.getAllQueueStats();
+
+      this.reset();
+      Object.values(stats).forEach((queueStats) => {
+        ["waiting", "active", "completed", "failed", "delayed"].forEach(
+          (state) =>
+            this.set({ queue: queueStats.name, state }, queueStats[state])
+        );
+      });
+    });
+  },
+});
+
+/**
+ * Wrap a Kubernetes API client so every call is timed
+ * @param {Object} apiClient - Client created by KubeConfig.makeApiClient
+ * @param {string} apiName - Label for the API group (e.g. "core_v1")
+ * @returns {Object} Proxied client with the same interface
+ */
+export const instrumentKubernetesApi = (apiClient, apiName) => {
+  return new Proxy(apiClient, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+
+      if (typeof value !== "function" || typeof property !== "string") {
+        return value;
+      }
+
+      return (...args) => {
+        const result = value.apply(target, args);
+
+        // Only API calls return promises; setters and helpers pass through
+        if (!result || typeof result.then !== "function") {
+          return result;
+        }
+
+        const endTimer = kubernetesApiDuration.startTimer({
+          api: apiName,
+          operation: property,
+        });
+
+        return result.then(
+          (response) => {
+            endTimer({ result: "success" });
+            return response;
+          },
+          (error) => {
+            endTimer({ result: "error" });
+            throw error;
+          }
+        );
+      };
+    },
+  });
+};
+
+/**
+ * Record a top-up reaching a final status
+ * @param {string} status - Top-up status
+ * @param {number} count - Number of top-ups
+ */
+export const recordTopUpStatus = (status, count = 1) => {
+  if (status !== "PENDING" && count > 0) {
+    topUpCounter.inc({ status }, count);
+  }
+};
+
+/**
+ * Get metrics in Prometheus exposition format
+ * @returns {Promise<string>} Metrics text
+ */
+export const getMetrics = async () => {
+  return await register.metrics();
+};
+
+export const metricsContentType = register.contentType;
+
+export default register;
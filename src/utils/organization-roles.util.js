@@ -0,0 +1,60 @@
+/**
+ * Organization Role Constants
+ *
+ * Member roles inside an organization and the permissions each one grants.
+ * These are separate from platform roles (USER / ADMINISTRATOR).
+ */
+
+export const ORGANIZATION_ROLES = {
+  OWNER: "OWNER",
+  BILLING: "BILLING",
+  DEVELOPER: "DEVELOPER",
+  VIEWER: "VIEWER",
+};
+
+export const ORGANIZATION_PERMISSIONS = {
+  ORGANIZATION_READ: "organization:read",
+  SUBSCRIPTIONS_READ: "subscriptions:read",
+  SUBSCRIPTIONS_WRITE: "subscriptions:write",
+  BILLING_READ: "billing:read",
+  BILLING_WRITE: "billing:write",
+  MEMBERS_MANAGE: "members:manage",
+  ORGANIZATION_MANAGE: "organization:manage",
+};
+
+const { OWNER, BILLING, DEVELOPER, VIEWER } = ORGANIZATION_ROLES;
+
+const ROLE_PERMISSIONS = {
+  [ORGANIZATION_PERMISSIONS.ORGANIZATION_READ]: [
+    OWNER,
+    BILLING,
+    DEVELOPER,
+    VIEWER,
+  ],
+  [ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_READ]: [
+    OWNER,
+    BILLING,
+    DEVELOPER,
+    VIEWER,
+  ],
+  [ORGANIZATION_PERMISSIONS.SUBSCRIPTIONS_WRITE]: [OWNER, DEVELOPER],
+  [ORGANIZATION_PERMISSIONS.BILLING_READ]: [OWNER, BILLING],
+  [ORGANIZATION_PERMISSIONS.BILLING_WRITE]: [OWNER, BILLING],
+  [ORGANIZATION_PERMISSIONS.MEMBERS_MANAGE]: [OWNER],
+  [ORGANIZATION_PERMISSIONS.ORGANIZATION_MANAGE]: [OWNER],
+};
+
+/**
+ * Array of all valid organization roles
+ */
+export const VALID_ORGANIZATION_ROLES = Object.values(ORGANIZATION_ROLES);
+
+/**
+ * Check if a member role grants a permission
+ * @param {string} role - Organization role
+ * @param {string} permission - Permission to check
+ * @returns {boolean} - True if the role has the permission
+ */
+export const hasOrganizationPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[permission] || []).includes(role);
+};
@@ -0,0 +1,27 @@
+/**
+ * Ownership helpers
+ *
+ * Subscriptions, balances, top-ups, invoices and transactions belong either
+ * to a user's personal account or to an organization. Organization records
+ * still carry the userId of the member who created them.
+ */
+
+/**
+ * Prisma where clause for records owned by a personal account or organization
+ * @param {string} userId - Acting user ID
+ * @param {string|null} organizationId - Organization ID, or null for the personal account
+ * @returns {Object} Prisma where clause
+ */
+export const ownerWhere = (userId, organizationId = null) => {
+  return organizationId ? { organizationId } : { userId, organizationId: null };
+};
+
+/**
+ * Where clause for the owner's balance record (both columns are unique)
+ * @param {string} userId - Acting user ID
+ * @param {string|null} organizationId - Organization ID, or null for the personal account
+ * @returns {Object} Prisma unique where clause
+ */
+export const balanceWhere = (userId, organizationId = null) => {
+  return organizationId ? { organizationId } : { userId };
+};
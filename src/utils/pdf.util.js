@@ -2,26 +2,37 @@ import PDFDocument from "pdfkit";
 import fs from "fs/promises";
 import path from "path";
 import logger from "./logger.util.js";
+import { getCycleLabel } from "./billing-cycle.util.js";
 
 /**
  * PDF Generation Utility using PDFKit
  */
 
+// Credit note statuses as shown on the document
+const CREDIT_NOTE_STATUS_LABELS = {
+  DRAFT: "PENDING",
+  PAID: "CREDITED",
+  CANCELLED: "REJECTED",
+};
+
 /**
- * Generate invoice PDF using PDFKit
- * @param {Object} invoiceData - Invoice data
+ * Generate invoice or credit note PDF using PDFKit
+ * @param {Object} invoiceData - Invoice data (credit notes include originalInvoice)
  * @returns {Promise<Buffer>} PDF buffer
  */
 export const generateInvoicePDF = async (invoiceData) => {
   try {
+    const documentName =
+      invoiceData.type === "CREDIT_NOTE" ? "Credit Note" : "Invoice";
+
     // Create a new PDF document
     const doc = new PDFDocument({
       size: "A4",
       margin: 50,
       info: {
-        Title: `Invoice ${invoiceData.invoiceNumber}`,
+        Title: `${documentName} ${invoiceData.invoiceNumber}`,
         Author: "MinisPod",
-        Subject: "Invoice",
+        Subject: documentName,
         Creator: "MinisPod PaaS Platform",
       },
     });
@@ -66,6 +77,19 @@ const generateInvoiceContent = async (doc, invoice) => {
   const pageHeight = doc.page.height;
   const margin = 50;
   const contentWidth = pageWidth - margin * 2;
+  const isCreditNote = invoice.type === "CREDIT_NOTE";
+  const documentName = isCreditNote ? "credit note" : "invoice";
+
+  // Promo code discount, already taken off the invoice amount
+  const discountAmount = parseFloat(invoice.discountAmount || 0);
+  // PPN invoices: amount is the gross total; an exclusive price is the net amount
+  const taxed = invoice.taxRate !== null && invoice.taxRate !== undefined;
+  const subtotal =
+    parseFloat(
+      taxed && invoice.taxInclusive === false
+        ? invoice.netAmount
+        : invoice.amount
+    ) + discountAmount;
 
   // Helper functions
   const formatCurrency = (amount) => {
@@ -99,18 +123,30 @@ const generateInvoiceContent = async (doc, invoice) => {
     .text("Email: support@minispod.com", margin, margin + 50)
     .text("Website: www.minispod.com", margin, margin + 65);
 
+  if (process.env.COMPANY_NPWP) {
+    doc.text(`NPWP: ${process.env.COMPANY_NPWP}`, margin, margin + 80);
+  }
+
   // Invoice Title and Info (Right side)
   const invoiceInfoX = pageWidth - margin - 200;
   doc
     .fontSize(24)
     .fillColor("#333333")
-    .text("INVOICE", invoiceInfoX, margin)
+    .text(isCreditNote ? "CREDIT NOTE" : "INVOICE", invoiceInfoX, margin)
     .fontSize(12)
     .fillColor("#333333")
-    .text(`Invoice Number: ${invoice.invoiceNumber}`, invoiceInfoX, margin + 35)
+    .text(
+      `${isCreditNote ? "Credit Note" : "Invoice"} Number: ${
+        invoice.invoiceNumber
+      }`,
+      invoiceInfoX,
+      margin + 35
+    )
     .text(`Date: ${formatDate(invoice.createdAt)}`, invoiceInfoX, margin + 50)
     .text(
-      `Due Date: ${formatDate(invoice.dueDate)}`,
+      isCreditNote
+        ? `Original Invoice: ${invoice.originalInvoice?.invoiceNumber || "-"}`
+        : `Due Date: ${formatDate(invoice.dueDate)}`,
       invoiceInfoX,
       margin + 65
     );
@@ -122,7 +158,13 @@ const generateInvoiceContent = async (doc, invoice) => {
     .fillAndStroke(statusColor, statusColor)
     .fontSize(10)
     .fillColor("white")
-    .text(invoice.status, invoiceInfoX + 5, margin + 85);
+    .text(
+      isCreditNote
+        ? CREDIT_NOTE_STATUS_LABELS[invoice.status] || invoice.status
+        : invoice.status,
+      invoiceInfoX + 5,
+      margin + 85
+    );
 
   // Horizontal line
   const lineY = margin + 120;
@@ -133,37 +175,85 @@ const generateInvoiceContent = async (doc, invoice) => {
     .lineTo(pageWidth - margin, lineY)
     .stroke();
 
-  // Bill To Section
+  // Bill To Section, with the customer's tax profile when they have one
   const billToY = lineY + 30;
+  const billToLines = [invoice.user.name, invoice.user.email];
+
+  if (invoice.customerCompanyName) {
+    billToLines.push(invoice.customerCompanyName);
+  }
+  if (invoice.customerTaxId) {
+    billToLines.push(`NPWP: ${invoice.customerTaxId}`);
+  }
+  if (invoice.customerBillingAddress) {
+    billToLines.push(...invoice.customerBillingAddress.split("\n"));
+  }
+
   doc
     .fontSize(14)
     .fillColor(primaryColor)
-    .text("Bill To:", margin, billToY)
+    .text(isCreditNote ? "Credit To:" : "Bill To:", margin, billToY)
     .fontSize(12)
-    .fillColor("#333333")
-    .text(invoice.user.name, margin, billToY + 20)
-    .text(invoice.user.email, margin, billToY + 35);
+    .fillColor("#333333");
+
+  billToLines.forEach((line, index) => {
+    doc.text(line, margin, billToY + 20 + index * 15, {
+      width: invoiceInfoX - margin - 20,
+      height: 15,
+      ellipsis: true,
+    });
+  });
 
   // Invoice Details Section (Right side)
+  const detailLines = [
+    `Type: ${invoice.type}`,
+    `Currency: ${invoice.currency}`,
+  ];
+
+  // Subscription invoices state the billing cycle and the period they cover
+  if (invoice.billingCycle) {
+    detailLines.push(`Billing Cycle: ${getCycleLabel(invoice.billingCycle)}`);
+  }
+  if (invoice.periodStart && invoice.periodEnd) {
+    detailLines.push(
+      `Period From: ${formatDate(invoice.periodStart)}`,
+      `Period To: ${formatDate(invoice.periodEnd)}`
+    );
+  }
+  // Top-up promo codes credit a bonus instead of discounting the payment
+  if (invoice.bonusAmount) {
+    detailLines.push(
+      `Promo Code: ${invoice.couponCode}`,
+      `Bonus Credit: ${formatCurrency(invoice.bonusAmount)}`
+    );
+  }
+  if (invoice.paidAt) {
+    detailLines.push(
+      `${isCreditNote ? "Credited" : "Paid"} Date: ${formatDate(
+        invoice.paidAt
+      )}`
+    );
+  }
+
   doc
     .fontSize(14)
     .fillColor(primaryColor)
-    .text("Invoice Details:", invoiceInfoX, billToY)
+    .text(
+      isCreditNote ? "Credit Note Details:" : "Invoice Details:",
+      invoiceInfoX,
+      billToY
+    )
     .fontSize(12)
-    .fillColor("#333333")
-    .text(`Type: ${invoice.type}`, invoiceInfoX, billToY + 20)
-    .text(`Currency: ${invoice.currency}`, invoiceInfoX, billToY + 35);
+    .fillColor("#333333");
 
-  if (invoice.paidAt) {
-    doc.text(
-      `Paid Date: ${formatDate(invoice.paidAt)}`,
-      invoiceInfoX,
-      billToY + 50
-    );
-  }
+  detailLines.forEach((line, index) => {
+    doc.text(line, invoiceInfoX, billToY + 20 + index * 15);
+  });
 
   // Invoice Items Table
-  const tableY = billToY + 80;
+  const tableY =
+    billToY +
+    Math.max(80, 35 + Math.max(billToLines.length, detailLines.length) * 15);
   const tableHeaders = ["Description", "Type", "Amount"];
   const colWidths = [
     contentWidth * 0.5,
@@ -193,11 +283,7 @@ const generateInvoiceContent = async (doc, invoice) => {
   doc.rect(margin, rowY, contentWidth, 30).stroke("#dddddd");
 
   currentX = margin;
-  const rowData = [
-    invoice.description,
-    invoice.type,
-    formatCurrency(invoice.amount),
-  ];
+  const rowData = [invoice.description, invoice.type, formatCurrency(subtotal)];
 
   rowData.forEach((data, index) => {
     doc.text(data, currentX + 10, rowY + 10, {
@@ -210,45 +296,66 @@ const generateInvoiceContent = async (doc, invoice) => {
   // Total Section
   const totalY = rowY + 60;
   const totalX = pageWidth - margin - 300;
+  const taxRateLabel = `${taxed ? parseFloat(invoice.taxRate) : 0}%`;
+  const totalLines = [["Subtotal:", formatCurrency(subtotal)]];
+
+  if (discountAmount > 0) {
+    totalLines.push([
+      `Discount (${invoice.couponCode}):`,
+      `-${formatCurrency(discountAmount)}`,
+    ]);
+  }
 
-  // Subtotal
-  doc
-    .fontSize(12)
-    .fillColor("#333333")
-    .text("Subtotal:", totalX, totalY)
-    .text(formatCurrency(invoice.amount), totalX + 150, totalY, {
-      align: "right",
-      width: 100,
-    });
+  if (taxed) {
+    totalLines.push(
+      ["Net Amount (DPP):", formatCurrency(invoice.netAmount)],
+      [
+        invoice.taxInclusive
+          ? `PPN ${taxRateLabel} (included):`
+          : `PPN (${taxRateLabel}):`,
+        formatCurrency(invoice.taxAmount),
+      ]
+    );
+  } else {
+    totalLines.push([`Tax (${taxRateLabel}):`, formatCurrency(0)]);
+  }
 
-  // Tax
-  doc
-    .text("Tax (0%):", totalX, totalY + 20)
-    .text(formatCurrency(0), totalX + 150, totalY + 20, {
-      align: "right",
-      width: 100,
-    });
+  doc.fontSize(12).fillColor("#333333");
+
+  totalLines.forEach(([label, value], index) => {
+    doc
+      .text(label, totalX, totalY + index * 20, {
+        width: 150,
+        height: 15,
+        ellipsis: true,
+      })
+      .text(value, totalX + 150, totalY + index * 20, {
+        align: "right",
+        width: 100,
+      });
+  });
 
   // Total line
+  const totalLineY = totalY + totalLines.length * 20;
   doc
     .strokeColor("#dddddd")
     .lineWidth(1)
-    .moveTo(totalX, totalY + 40)
-    .lineTo(totalX + 250, totalY + 40)
+    .moveTo(totalX, totalLineY)
+    .lineTo(totalX + 250, totalLineY)
     .stroke();
 
   // Final Total
   doc
     .fontSize(14)
     .fillColor(primaryColor)
-    .text("Total:", totalX, totalY + 50)
-    .text(formatCurrency(invoice.amount), totalX + 150, totalY + 50, {
+    .text("Total:", totalX, totalLineY + 10)
+    .text(formatCurrency(invoice.amount), totalX + 150, totalLineY + 10, {
       align: "right",
       width: 100,
     });
 
   // Payment Information Box
-  const paymentBoxY = totalY + 100;
+  const paymentBoxY = totalLineY + 60;
   doc
     .rect(margin, paymentBoxY, contentWidth, 80)
     .fillAndStroke(lightGrayColor, "#dddddd");
@@ -256,9 +363,40 @@ const generateInvoiceContent = async (doc, invoice) => {
   doc
     .fontSize(14)
     .fillColor(primaryColor)
-    .text("Payment Information", margin + 20, paymentBoxY + 15);
+    .text(
+      isCreditNote ? "Refund Information" : "Payment Information",
+      margin + 20,
+      paymentBoxY + 15
+    );
+
+  if (isCreditNote) {
+    const refundStatus = {
+      PAID: `Credited to your MinisPod balance on ${
+        invoice.paidAt ? formatDate(invoice.paidAt) : "-"
+      }`,
+      DRAFT: "This refund is awaiting approval.",
+      CANCELLED: "This refund has been rejected.",
+    };
 
-  if (invoice.status === "PAID") {
+    doc
+      .fontSize(12)
+      .fillColor("#333333")
+      .text(
+        refundStatus[invoice.status] || invoice.status,
+        margin + 20,
+        paymentBoxY + 35
+      )
+      .text(
+        `Reason: ${invoice.creditReason || "-"}`,
+        margin + 20,
+        paymentBoxY + 50,
+        {
+          width: contentWidth - 40,
+          height: 15,
+          ellipsis: true,
+        }
+      );
+  } else if (invoice.status === "PAID") {
     doc
       .fontSize(12)
       .fillColor("#333333")
@@ -291,7 +429,7 @@ const generateInvoiceContent = async (doc, invoice) => {
     .fontSize(10)
     .fillColor(grayColor)
     .text(
-      "This is a computer-generated invoice. No signature required.",
+      `This is a computer-generated ${documentName}. No signature required.`,
       margin,
       footerY,
       {
@@ -300,7 +438,7 @@ const generateInvoiceContent = async (doc, invoice) => {
       }
     )
     .text(
-      "For questions about this invoice, please contact support@minispod.com",
+      `For questions about this ${documentName}, please contact support@minispod.com`,
       margin,
       footerY + 15,
       {
@@ -0,0 +1,60 @@
+/**
+ * Tax Helpers
+ *
+ * Indonesian VAT (PPN) on subscription invoices. A price either includes PPN,
+ * in which case the charged amount is split into the taxable base (DPP) and
+ * the tax, or excludes it, in which case PPN is charged on top. Amounts are
+ * kept to two decimals like every other billing amount.
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split an amount into net, tax and gross
+ * @param {number} amount - Price after discounts
+ * @param {Object} settings - { rate, inclusive } with rate in percent
+ * @returns {Object} { netAmount, taxAmount, grossAmount, taxRate, taxInclusive }
+ */
+export const calculateTax = (amount, { rate, inclusive }) => {
+  const price = roundAmount(Math.max(0, parseFloat(amount) || 0));
+  const taxRate = Math.max(0, Number(rate) || 0);
+
+  if (inclusive) {
+    const netAmount = roundAmount((price * 100) / (100 + taxRate));
+
+    return {
+      netAmount,
+      taxAmount: roundAmount(price - netAmount),
+      grossAmount: price,
+      taxRate,
+      taxInclusive: true,
+    };
+  }
+
+  const taxAmount = roundAmount((price * taxRate) / 100);
+
+  return {
+    netAmount: price,
+    taxAmount,
+    grossAmount: roundAmount(price + taxAmount),
+    taxRate,
+    taxInclusive: false,
+  };
+};
+
+/**
+ * Invoice columns for a tax calculation
+ * @param {Object} tax - Result of calculateTax
+ * @returns {Object} { netAmount, taxAmount, taxRate, taxInclusive }
+ */
+export const toInvoiceTaxFields = (tax) => ({
+  netAmount: tax.netAmount,
+  taxAmount: tax.taxAmount,
+  taxRate: tax.taxRate,
+  taxInclusive: tax.taxInclusive,
+});
+
+export default {
+  calculateTax,
+  toInvoiceTaxFields,
+};
@@ -0,0 +1,170 @@
+import crypto from "crypto";
+
+/**
+ * TOTP (RFC 6238) helpers
+ * SHA-1, 6 digits, 30 second steps - the defaults every authenticator app supports.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @param {number} size - Secret size in bytes
+ * @returns {string} Base32 encoded secret
+ */
+const generateTotpSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+/**
+ * Get the current TOTP time step
+ * @param {number} timestamp - Unix time in milliseconds
+ * @returns {number} Time step counter
+ */
+const getTotpStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+};
+
+/**
+ * Generate the TOTP code for a time step (RFC 4226 HOTP over the step counter)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const generateTotp = (secret, step = getTotpStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} code - Code entered by the user
+ * @param {string} secret - Base32 encoded secret
+ * @param {Object} options - Verification options
+ * @param {number} options.window - Steps accepted before/after the current one
+ * @param {number} options.lastUsedStep - Last accepted step; it and older steps are rejected (replay protection)
+ * @returns {number|null} Matched time step, or null when the code is invalid
+ */
+const verifyTotp = (code, secret, options = {}) => {
+  const { window = 1, lastUsedStep = null } = options;
+
+  if (!/^\d{6}$/.test(code || "")) {
+    return null;
+  }
+
+  const currentStep = getTotpStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI used by authenticator apps (usually shown as a QR code)
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 encoded secret
+ * @param {string} params.accountName - Account label, usually the email
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export {
+  generateTotpSecret,
+  generateTotp,
+  getTotpStep,
+  verifyTotp,
+  buildOtpauthUrl,
+};
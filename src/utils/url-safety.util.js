@@ -0,0 +1,170 @@
+import dns from "dns";
+import net from "net";
+
+/**
+ * Outbound URL Safety
+ *
+ * URLs supplied by users (webhooks) are requested from inside the cluster, so
+ * they must not reach private networks, the cloud metadata endpoint
+ * (169.254.169.254) or in-cluster services. The URL is checked when it is
+ * saved, and the addresses it resolves to are checked again when connecting,
+ * so a DNS record changed after registration (DNS rebinding) cannot point a
+ * request at an internal address.
+ */
+
+const blockedAddresses = new net.BlockList();
+
+[
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, cloud metadata
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 3], // Multicast, reserved and broadcast
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv4")
+);
+
+// IPv4-mapped addresses (::ffff:10.0.0.1) are matched by the IPv4 ranges.
+// Other ranges embedding an IPv4 address are blocked whole, since a relay or
+// translator may forward them to a private IPv4 address.
+[
+  ["::", 96], // Unspecified, loopback and IPv4-compatible
+  ["64:ff9b::", 96], // NAT64
+  ["64:ff9b:1::", 48], // Local-use NAT64
+  ["2001::", 32], // Teredo
+  ["2002::", 16], // 6to4
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+// Names only meaningful inside the cluster or the host's network
+const INTERNAL_HOST_SUFFIXES = [
+  ".localhost",
+  ".local", // Includes .cluster.local
+  ".internal",
+  ".svc",
+  ".lan",
+  ".home.arpa",
+];
+
+/**
+ * Error for a URL that must not be requested
+ * @param {string} message - Reason shown to the user
+ * @returns {Error} Error with code UNSAFE_URL
+ */
+const unsafeUrlError = (message) => {
+  const error = new Error(message);
+  error.code = "UNSAFE_URL";
+  return error;
+};
+
+/**
+ * Whether an IP address is private, loopback, link-local or otherwise not
+ * publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if requests to it must be refused
+ */
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+
+  if (family === 0) {
+    return true;
+  }
+
+  return blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Whether a hostname points inside the cluster or the local network without
+ * resolving it: blocked IP literals, localhost, single-label names (resolved
+ * through the cluster's search domains, e.g. "redis") and internal suffixes
+ * @param {string} hostname - URL hostname (IPv6 literals may keep brackets)
+ * @returns {boolean} True if the host is internal
+ */
+export const isInternalHostname = (hostname) => {
+  const host = hostname
+    .toLowerCase()
+    .replace(/^\[|\]$/g, "")
+    .replace(/\.$/, "");
+
+  if (net.isIP(host)) {
+    return isBlockedAddress(host);
+  }
+
+  return (
+    host === "localhost" ||
+    !host.includes(".") ||
+    INTERNAL_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix))
+  );
+};
+
+/**
+ * Check that a URL only reaches public addresses
+ * @param {string} url - http(s) URL
+ * @throws {Error} UNSAFE_URL if the host is internal, does not resolve or resolves to a blocked address
+ */
+export const assertPublicUrl = async (url) => {
+  const { hostname } = new URL(url);
+
+  if (isInternalHostname(hostname)) {
+    throw unsafeUrlError("URL must not point to a private or internal host");
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw unsafeUrlError(`URL host ${host} could not be resolved`);
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw unsafeUrlError("URL must not point to a private or internal host");
+  }
+};
+
+/**
+ * dns.lookup replacement for outbound HTTP clients (axios `lookup` option,
+ * http.Agent) that refuses blocked addresses at connection time
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (err, address, family) or (err, addresses) with options.all
+ */
+export const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(
+        unsafeUrlError(`${hostname} resolves to a private or internal address`)
+      );
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export default {
+  isBlockedAddress,
+  isInternalHostname,
+  assertPublicUrl,
+  safeLookup,
+};
@@ -0,0 +1,62 @@
+/**
+ * User agent helpers
+ * Lightweight parsing used to label login sessions; not a full UA parser.
+ */
+
+// Order matters: Edge and Opera also report Chrome, Chrome also reports Safari
+const BROWSERS = [
+  { name: "Edge", pattern: /Edg(e|A|iOS)?\// },
+  { name: "Opera", pattern: /OPR\/|Opera/ },
+  { name: "Firefox", pattern: /Firefox\/|FxiOS\// },
+  { name: "Chrome", pattern: /Chrome\/|CriOS\// },
+  { name: "Safari", pattern: /Safari\// },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: "iOS", pattern: /iPhone|iPad|iPod/ },
+  { name: "Android", pattern: /Android/ },
+  { name: "Windows", pattern: /Windows/ },
+  { name: "macOS", pattern: /Macintosh|Mac OS X/ },
+  { name: "Linux", pattern: /Linux/ },
+];
+
+// Non-browser clients (API tools, scripts)
+const CLIENTS = [
+  { name: "curl", pattern: /^curl\// },
+  { name: "Postman", pattern: /PostmanRuntime\// },
+  { name: "Insomnia", pattern: /^insomnia\// },
+  {
+    name: "HTTP client",
+    pattern: /axios\/|node-fetch|python-requests|Go-http/,
+  },
+];
+
+const findMatch = (list, userAgent) =>
+  list.find((entry) => entry.pattern.test(userAgent))?.name;
+
+/**
+ * Describe the device behind a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} Device description, or null when unknown
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+
+  const client = findMatch(CLIENTS, userAgent);
+  if (client) {
+    return client;
+  }
+
+  const browser = findMatch(BROWSERS, userAgent);
+  const os = findMatch(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) {
+    return `${browser} on ${os}`;
+  }
+
+  return browser || os || "Unknown device";
+};
+
+export { describeDevice };
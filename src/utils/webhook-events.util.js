@@ -0,0 +1,32 @@
+/**
+ * Webhook Event Constants
+ *
+ * Event types users can subscribe to with outbound webhooks.
+ */
+
+export const WEBHOOK_EVENTS = {
+  SUBSCRIPTION_CREATED: "subscription.created",
+  POD_READY: "pod.ready",
+  POD_FAILED: "pod.failed",
+  BALANCE_LOW: "balance.low",
+  INVOICE_PAID: "invoice.paid",
+};
+
+/**
+ * Event sent by the "send test event" action, regardless of subscribed events
+ */
+export const WEBHOOK_TEST_EVENT = "webhook.test";
+
+/**
+ * Array of all subscribable webhook events
+ */
+export const VALID_WEBHOOK_EVENTS = Object.values(WEBHOOK_EVENTS);
+
+/**
+ * Check if an event type is valid
+ * @param {string} event - Event type to validate
+ * @returns {boolean} - True if event is valid
+ */
+export const isValidWebhookEvent = (event) => {
+  return VALID_WEBHOOK_EVENTS.includes(event);
+};
@@ -0,0 +1,113 @@
+import zlib from "zlib";
+
+/**
+ * ZIP archive utility
+ *
+ * Builds small ZIP files in memory (deflate, no ZIP64), enough for
+ * personal data exports.
+ */
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned checksum
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Date and time in MS-DOS format
+ * @param {Date} date - Date
+ * @returns {Object} { time, date }
+ */
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * Create a ZIP archive
+ * @param {Array<Object>} entries - Files as { name, data } (data is a Buffer or string)
+ * @param {Date} modifiedAt - Modification time stored for every file
+ * @returns {Buffer} ZIP archive
+ */
+export const createZip = (entries, modifiedAt = new Date()) => {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf-8");
+    const data = Buffer.isBuffer(entry.data)
+      ? entry.data
+      : Buffer.from(entry.data, "utf-8");
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    localHeader.writeUInt16LE(20, 4); // Version needed (2.0)
+    localHeader.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    localHeader.writeUInt16LE(8, 8); // Deflate
+    localHeader.writeUInt16LE(time, 10);
+    localHeader.writeUInt16LE(date, 12);
+    localHeader.writeUInt32LE(checksum, 14);
+    localHeader.writeUInt32LE(compressed.length, 18);
+    localHeader.writeUInt32LE(data.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28); // Extra field length
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0); // Central directory signature
+    centralHeader.writeUInt16LE(20, 4); // Version made by
+    centralHeader.writeUInt16LE(20, 6); // Version needed
+    centralHeader.writeUInt16LE(0x0800, 8);
+    centralHeader.writeUInt16LE(8, 10);
+    centralHeader.writeUInt16LE(time, 12);
+    centralHeader.writeUInt16LE(date, 14);
+    centralHeader.writeUInt32LE(checksum, 16);
+    centralHeader.writeUInt32LE(compressed.length, 20);
+    centralHeader.writeUInt32LE(data.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    centralHeader.writeUInt32LE(offset, 42); // Local header offset
+
+    localParts.push(localHeader, name, compressed);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+export default {
+  createZip,
+};
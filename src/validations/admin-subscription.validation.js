@@ -95,10 +95,13 @@ const getAllSubscriptionsQueryValidation = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
   status: Joi.string().valid(
     "ACTIVE",
+    "TRIALING",
+    "PAUSED",
     "EXPIRED",
     "CANCELLED",
     "PENDING_DEPLOYMENT",
-    "SUSPENDED"
+    "SUSPENDED",
+    "DELETED"
   ),
   userId: Joi.string().pattern(/^[a-z0-9]+$/),
   serviceId: Joi.string().pattern(/^[a-z0-9]+$/),
@@ -143,6 +146,57 @@ const userIdValidation = Joi.object({
     }),
 });
 
+/**
+ * Validation for updating the expiry lifecycle settings
+ */
+const updateLifecycleSettingsValidation = Joi.object({
+  gracePeriodDays: Joi.number().integer().min(0).max(90).messages({
+    "number.base": "Grace period days must be a number",
+    "number.integer": "Grace period days must be an integer",
+    "number.min": "Grace period days must be 0 (no grace period) or greater",
+    "number.max": "Grace period days cannot exceed 90",
+  }),
+  dataRetentionDays: Joi.number().integer().min(1).max(365).messages({
+    "number.base": "Data retention days must be a number",
+    "number.integer": "Data retention days must be an integer",
+    "number.min": "Data retention days must be at least 1",
+    "number.max": "Data retention days cannot exceed 365",
+  }),
+  deletionWarningDays: Joi.number().integer().min(0).max(30).messages({
+    "number.base": "Deletion warning days must be a number",
+    "number.integer": "Deletion warning days must be an integer",
+    "number.min": "Deletion warning days must be 0 (no warning) or greater",
+    "number.max": "Deletion warning days cannot exceed 30",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one setting must be provided",
+  });
+
+/**
+ * Validation for updating the pause limits
+ */
+const updatePauseSettingsValidation = Joi.object({
+  maxPauseDays: Joi.number().integer().min(1).max(365).messages({
+    "number.base": "Maximum pause days must be a number",
+    "number.integer": "Maximum pause days must be an integer",
+    "number.min": "Maximum pause days must be at least 1",
+    "number.max": "Maximum pause days cannot exceed 365",
+  }),
+  maxPausesPerYear: Joi.number().integer().min(0).max(52).messages({
+    "number.base": "Maximum pauses per year must be a number",
+    "number.integer": "Maximum pauses per year must be an integer",
+    "number.min":
+      "Maximum pauses per year must be 0 (pausing disabled) or greater",
+    "number.max": "Maximum pauses per year cannot exceed 52",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one setting must be provided",
+  });
+
 export {
   updateSubscriptionStatusValidation,
   extendSubscriptionValidation,
@@ -152,4 +206,6 @@ export {
   getUserSubscriptionsQueryValidation,
   subscriptionIdValidation,
   userIdValidation,
+  updateLifecycleSettingsValidation,
+  updatePauseSettingsValidation,
 };
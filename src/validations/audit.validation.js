@@ -0,0 +1,86 @@
+import Joi from "joi";
+import {
+  VALID_AUDIT_ACTIONS,
+  VALID_AUDIT_TARGET_TYPES,
+} from "../utils/audit-actions.util.js";
+
+/**
+ * Audit log validation schemas (admin)
+ */
+
+// Validation middleware function
+const validate = (schema, source = "body") => {
+  return async (req, res, next) => {
+    const data =
+      source === "params"
+        ? req.params
+        : source === "query"
+        ? req.query
+        : req.body;
+
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      }));
+
+      const { validationError } = await import("../utils/response.util.js");
+      return res.status(400).json(validationError(errors));
+    }
+
+    // Replace the original data with validated data
+    if (source === "params") {
+      req.params = value;
+    } else if (source === "query") {
+      req.query = value;
+    } else {
+      req.body = value;
+    }
+
+    next();
+  };
+};
+
+// Audit log filters shared by the list and CSV export endpoints
+const auditFilterFields = {
+  actorId: Joi.string(),
+  action: Joi.string()
+    .valid(...VALID_AUDIT_ACTIONS)
+    .messages({
+      "any.only": `Action must be one of: ${VALID_AUDIT_ACTIONS.join(", ")}`,
+    }),
+  targetType: Joi.string()
+    .valid(...VALID_AUDIT_TARGET_TYPES)
+    .messages({
+      "any.only": `Target type must be one of: ${VALID_AUDIT_TARGET_TYPES.join(
+        ", "
+      )}`,
+    }),
+  targetId: Joi.string(),
+  targetUserId: Joi.string(),
+  requestId: Joi.string(),
+  from: Joi.date().iso().messages({
+    "date.format": "from must be an ISO 8601 date",
+  }),
+  to: Joi.date().iso().min(Joi.ref("from")).messages({
+    "date.format": "to must be an ISO 8601 date",
+    "date.min": "to must not be before from",
+  }),
+};
+
+// Audit log list query validation (admin)
+const auditQuerySchema = Joi.object({
+  ...auditFilterFields,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+// Audit log CSV export query validation (admin)
+const auditExportQuerySchema = Joi.object(auditFilterFields);
+
+export { validate, auditQuerySchema, auditExportQuerySchema };
@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { VALID_API_KEY_SCOPES } from "../utils/api-key-scopes.util.js";
 
 /**
  * User registration validation schema
@@ -36,6 +37,14 @@ const registerSchema = Joi.object({
     "any.only": "Passwords do not match",
     "any.required": "Password confirmation is required",
   }),
+
+  // Code from a referral link (?ref=CODE)
+  referralCode: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9]{4,16}$/)
+    .messages({
+      "string.pattern.base": "Invalid referral code",
+    }),
 });
 
 /**
@@ -131,6 +140,215 @@ const googleOAuthSchema = Joi.object({
   }),
 });
 
+/**
+ * Two-factor login validation schema
+ */
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required().messages({
+    "any.required": "Challenge token is required",
+  }),
+
+  code: Joi.string().trim().min(6).max(32).required().messages({
+    "string.min": "Code must be at least 6 characters long",
+    "any.required": "Two-factor or recovery code is required",
+  }),
+});
+
+/**
+ * Two-factor enrollment confirmation schema (authenticator code only)
+ */
+const twoFactorEnableSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Code must be 6 digits",
+      "any.required": "Two-factor code is required",
+    }),
+});
+
+/**
+ * Two-factor code validation schema (authenticator or recovery code)
+ */
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().min(6).max(32).required().messages({
+    "string.min": "Code must be at least 6 characters long",
+    "any.required": "Two-factor or recovery code is required",
+  }),
+});
+
+/**
+ * Two-factor disable validation schema
+ */
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().optional(),
+
+  code: Joi.string().trim().min(6).max(32).required().messages({
+    "string.min": "Code must be at least 6 characters long",
+    "any.required": "Two-factor or recovery code is required",
+  }),
+});
+
+/**
+ * Session ID parameter validation schema
+ */
+const sessionIdSchema = Joi.object({
+  sessionId: Joi.string().required().messages({
+    "any.required": "Session ID is required",
+  }),
+});
+
+/**
+ * Email verification validation schema
+ */
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Verification token is required",
+  }),
+});
+
+/**
+ * Forgot password validation schema
+ */
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+});
+
+/**
+ * Password reset validation schema
+ */
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Reset token is required",
+  }),
+
+  newPassword: Joi.string()
+    .min(8)
+    .max(128)
+    .pattern(
+      new RegExp(
+        "^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]"
+      )
+    )
+    .required()
+    .messages({
+      "string.min": "New password must be at least 8 characters long",
+      "string.max": "New password cannot exceed 128 characters",
+      "string.pattern.base":
+        "New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character",
+      "any.required": "New password is required",
+    }),
+
+  confirmNewPassword: Joi.string()
+    .valid(Joi.ref("newPassword"))
+    .required()
+    .messages({
+      "any.only": "New passwords do not match",
+      "any.required": "New password confirmation is required",
+    }),
+});
+
+/**
+ * API key creation validation schema
+ */
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    "string.empty": "API key name is required",
+    "string.max": "API key name cannot exceed 100 characters",
+    "any.required": "API key name is required",
+  }),
+
+  scopes: Joi.array()
+    .items(Joi.string().valid(...VALID_API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "At least one scope is required",
+      "array.unique": "Scopes must not contain duplicates",
+      "any.only": `Scope must be one of: ${VALID_API_KEY_SCOPES.join(", ")}`,
+      "any.required": "Scopes are required",
+    }),
+
+  expiresInDays: Joi.number().integer().min(1).max(3650).optional().messages({
+    "number.base": "Expiry must be a number of days",
+    "number.integer": "Expiry must be an integer",
+    "number.min": "Expiry must be at least 1 day",
+    "number.max": "Expiry must not exceed 3650 days",
+  }),
+});
+
+/**
+ * API key query validation schema
+ */
+const apiKeyQuerySchema = Joi.object({
+  includeRevoked: Joi.boolean().default(false),
+});
+
+/**
+ * API key ID parameter validation schema
+ */
+const apiKeyIdSchema = Joi.object({
+  keyId: Joi.string().required().messages({
+    "any.required": "API key ID is required",
+  }),
+});
+
+/**
+ * Account activity query validation schema
+ */
+const activityQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/**
+ * Single sign-on provider parameter validation schema
+ */
+const oidcProviderSchema = Joi.object({
+  provider: Joi.string()
+    .pattern(/^[a-z0-9-]{1,32}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "Invalid provider",
+      "any.required": "Provider is required",
+    }),
+});
+
+/**
+ * Single sign-on callback validation schema
+ */
+const oidcCallbackSchema = Joi.object({
+  code: Joi.string().max(2048).required().messages({
+    "any.required": "Authorization code is required",
+  }),
+
+  state: Joi.string().max(128).required().messages({
+    "any.required": "State is required",
+  }),
+});
+
+/**
+ * Data export ID parameter validation schema
+ */
+const dataExportIdSchema = Joi.object({
+  exportId: Joi.string().required().messages({
+    "any.required": "Data export ID is required",
+  }),
+});
+
+/**
+ * Account deletion request validation schema
+ * Password is required for accounts that have one (checked by the service)
+ */
+const accountDeletionSchema = Joi.object({
+  password: Joi.string().max(128).optional(),
+});
+
 /**
  * Generic validation middleware
  * @param {Joi.Schema} schema - Joi validation schema
@@ -166,5 +384,21 @@ export {
   updateProfileSchema,
   refreshTokenSchema,
   googleOAuthSchema,
+  twoFactorLoginSchema,
+  twoFactorEnableSchema,
+  twoFactorCodeSchema,
+  twoFactorDisableSchema,
+  sessionIdSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  createApiKeySchema,
+  apiKeyQuerySchema,
+  apiKeyIdSchema,
+  activityQuerySchema,
+  oidcProviderSchema,
+  oidcCallbackSchema,
+  dataExportIdSchema,
+  accountDeletionSchema,
   validate,
 };
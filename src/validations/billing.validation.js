@@ -3,6 +3,16 @@ import Joi from "joi";
 // Helper function to validate CUID format
 const cuidPattern = /^c[a-z0-9]{24}$/;
 
+// Promo code as entered by the user (matched case-insensitively)
+export const couponCodeField = Joi.string()
+  .trim()
+  .pattern(/^[A-Za-z0-9_-]{3,32}$/)
+  .optional()
+  .messages({
+    "string.pattern.base":
+      "Coupon code must be 3-32 letters, digits, dashes or underscores",
+  });
+
 // Top-up validation
 export const createTopUpValidation = Joi.object({
   amount: Joi.number()
@@ -16,13 +26,14 @@ export const createTopUpValidation = Joi.object({
       "any.required": "Amount is required",
     }),
   currency: Joi.string().valid("IDR").default("IDR"),
+  couponCode: couponCodeField,
 });
 
 // Invoice list validation
 export const invoiceListValidation = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(10),
-  type: Joi.string().valid("TOPUP", "SUBSCRIPTION").optional(),
+  type: Joi.string().valid("TOPUP", "SUBSCRIPTION", "CREDIT_NOTE").optional(),
   status: Joi.string()
     .valid("DRAFT", "SENT", "PAID", "OVERDUE", "CANCELLED")
     .optional(),
@@ -76,7 +87,13 @@ export const transactionListValidation = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
   type: Joi.string()
-    .valid("TOPUP", "SERVICE_PURCHASE", "REFUND", "ADJUSTMENT")
+    .valid(
+      "TOPUP",
+      "SERVICE_PURCHASE",
+      "REFUND",
+      "ADJUSTMENT",
+      "REFERRAL_REWARD"
+    )
     .optional(),
   status: Joi.string()
     .valid("PENDING", "SUCCESS", "FAILED", "CANCELLED")
@@ -129,3 +146,170 @@ export const balanceAdjustmentValidation = Joi.object({
     "any.required": "Description is required for balance adjustments",
   }),
 });
+
+// Manual refund validation for admin operations
+export const manualRefundValidation = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .min(1000) // Minimum IDR 1,000
+    .max(100000000) // Maximum IDR 100,000,000
+    .required()
+    .messages({
+      "number.positive": "Amount must be a positive number",
+      "number.min": "Minimum refund amount is IDR 1,000",
+      "number.max": "Maximum refund amount is IDR 100,000,000",
+      "any.required": "Amount is required",
+    }),
+  reason: Joi.string().min(5).max(500).required().messages({
+    "string.min": "Reason must be at least 5 characters long",
+    "string.max": "Reason cannot exceed 500 characters",
+    "any.required": "Reason is required for refunds",
+  }),
+  invoiceId: Joi.string().min(20).max(30).optional().messages({
+    "string.min": "Invoice ID must be at least 20 characters",
+    "string.max": "Invoice ID must be at most 30 characters",
+  }),
+});
+
+// Refund rejection validation for admin operations
+export const refundRejectionValidation = Joi.object({
+  reason: Joi.string().min(5).max(500).required().messages({
+    "string.min": "Reason must be at least 5 characters long",
+    "string.max": "Reason cannot exceed 500 characters",
+    "any.required": "Reason is required when rejecting a refund",
+  }),
+});
+
+// Referral ID validation (accepts CUID format)
+export const referralIdValidation = Joi.object({
+  id: Joi.string().pattern(cuidPattern).required().messages({
+    "string.pattern.base": "Referral ID must be a valid CUID format",
+    "any.required": "Referral ID is required",
+  }),
+});
+
+// Approving a referral held for review
+export const referralApprovalValidation = Joi.object({
+  note: Joi.string().max(500).optional(),
+});
+
+// Rejecting a referral held for review
+export const referralRejectionValidation = Joi.object({
+  note: Joi.string().min(5).max(500).required().messages({
+    "string.min": "Note must be at least 5 characters long",
+    "string.max": "Note cannot exceed 500 characters",
+    "any.required": "Note is required when rejecting a referral",
+  }),
+});
+
+// Coupon ID validation (accepts CUID format)
+export const couponIdValidation = Joi.object({
+  id: Joi.string().pattern(cuidPattern).required().messages({
+    "string.pattern.base": "Coupon ID must be a valid CUID format",
+    "any.required": "Coupon ID is required",
+  }),
+});
+
+// Coupon creation validation for admin operations
+export const createCouponValidation = Joi.object({
+  code: couponCodeField.required().messages({
+    "any.required": "Coupon code is required",
+  }),
+  description: Joi.string().max(200).optional(),
+  target: Joi.string().valid("SUBSCRIPTION", "TOPUP").required().messages({
+    "any.only": "Target must be either SUBSCRIPTION or TOPUP",
+    "any.required": "Target is required",
+  }),
+  discountType: Joi.string().valid("PERCENT", "FIXED").required().messages({
+    "any.only": "Discount type must be either PERCENT or FIXED",
+    "any.required": "Discount type is required",
+  }),
+  discountValue: Joi.when("discountType", {
+    is: "PERCENT",
+    then: Joi.number().positive().max(100).messages({
+      "number.max": "Percentage discount cannot exceed 100",
+    }),
+    otherwise: Joi.number().positive().max(100000000), // IDR
+  })
+    .required()
+    .messages({
+      "number.positive": "Discount value must be a positive number",
+      "any.required": "Discount value is required",
+    }),
+  // Subscription coupons only: limit to base services and/or variants
+  serviceNames: Joi.when("target", {
+    is: "SUBSCRIPTION",
+    then: Joi.array().items(Joi.string().max(50)).unique().default([]),
+    otherwise: Joi.forbidden(),
+  }),
+  serviceIds: Joi.when("target", {
+    is: "SUBSCRIPTION",
+    then: Joi.array()
+      .items(Joi.string().pattern(cuidPattern))
+      .unique()
+      .default([]),
+    otherwise: Joi.forbidden(),
+  }),
+  maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+  perUserLimit: Joi.number().integer().min(1).default(1),
+  expiresAt: Joi.date().iso().greater("now").optional().messages({
+    "date.greater": "Expiry must be in the future",
+  }),
+  // Subscription coupons only: renewals in the first N months are discounted too
+  durationMonths: Joi.when("target", {
+    is: "SUBSCRIPTION",
+    then: Joi.number().integer().min(1).max(36).allow(null).optional(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+// Coupon update validation for admin operations (discount terms are fixed)
+export const updateCouponValidation = Joi.object({
+  description: Joi.string().max(200).allow(null).optional(),
+  maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+  perUserLimit: Joi.number().integer().min(1).optional(),
+  expiresAt: Joi.date().iso().allow(null).optional(),
+  isActive: Joi.boolean().optional(),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided",
+  });
+
+// Customer tax profile printed on invoices
+export const taxProfileValidation = Joi.object({
+  npwp: Joi.string()
+    .replace(/[.\-\s]/g, "")
+    .pattern(/^\d{15,16}$/)
+    .allow(null, "")
+    .optional()
+    .messages({
+      "string.pattern.base": "NPWP must have 15 or 16 digits",
+    }),
+  companyName: Joi.string().trim().min(2).max(150).required().messages({
+    "string.min": "Company name must be at least 2 characters long",
+    "string.max": "Company name cannot exceed 150 characters",
+    "any.required": "Company name is required",
+  }),
+  billingAddress: Joi.string().trim().min(10).max(500).required().messages({
+    "string.min": "Billing address must be at least 10 characters long",
+    "string.max": "Billing address cannot exceed 500 characters",
+    "any.required": "Billing address is required",
+  }),
+});
+
+// PPN settings for admin operations
+export const updateTaxSettingsValidation = Joi.object({
+  rate: Joi.number().min(0).max(100).precision(2).messages({
+    "number.base": "Tax rate must be a number",
+    "number.min": "Tax rate must be 0 (no PPN) or greater",
+    "number.max": "Tax rate cannot exceed 100",
+  }),
+  inclusive: Joi.boolean().messages({
+    "boolean.base": "Inclusive must be true or false",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one setting must be provided",
+  });
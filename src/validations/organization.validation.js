@@ -0,0 +1,131 @@
+import Joi from "joi";
+import {
+  ORGANIZATION_ROLES,
+  VALID_ORGANIZATION_ROLES,
+} from "../utils/organization-roles.util.js";
+
+/**
+ * Organization validation schemas
+ */
+
+// Validation middleware function
+const validate = (schema, source = "body") => {
+  return async (req, res, next) => {
+    const data =
+      source === "params"
+        ? req.params
+        : source === "query"
+        ? req.query
+        : req.body;
+
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      }));
+
+      const { validationError } = await import("../utils/response.util.js");
+      return res.status(400).json(validationError(errors));
+    }
+
+    // Replace the original data with validated data
+    if (source === "params") {
+      req.params = value;
+    } else if (source === "query") {
+      req.query = value;
+    } else {
+      req.body = value;
+    }
+
+    next();
+  };
+};
+
+const organizationName = Joi.string().trim().min(2).max(100).messages({
+  "string.empty": "Organization name is required",
+  "string.min": "Organization name must be at least 2 characters long",
+  "string.max": "Organization name cannot exceed 100 characters",
+  "any.required": "Organization name is required",
+});
+
+const organizationRole = Joi.string()
+  .valid(...VALID_ORGANIZATION_ROLES)
+  .messages({
+    "any.only": `Role must be one of: ${VALID_ORGANIZATION_ROLES.join(", ")}`,
+    "any.required": "Role is required",
+  });
+
+// Create organization validation
+const createOrganizationSchema = Joi.object({
+  name: organizationName.required(),
+});
+
+// Update organization validation
+const updateOrganizationSchema = Joi.object({
+  name: organizationName.required(),
+});
+
+// Organization ID parameter validation
+const organizationIdSchema = Joi.object({
+  organizationId: Joi.string().required().messages({
+    "any.required": "Organization ID is required",
+  }),
+});
+
+// Member parameter validation
+const memberParamsSchema = Joi.object({
+  organizationId: Joi.string().required().messages({
+    "any.required": "Organization ID is required",
+  }),
+  userId: Joi.string().required().messages({
+    "any.required": "User ID is required",
+  }),
+});
+
+// Member role update validation
+const updateMemberRoleSchema = Joi.object({
+  role: organizationRole.required(),
+});
+
+// Invitation validation
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Email is required",
+  }),
+  role: organizationRole.default(ORGANIZATION_ROLES.VIEWER),
+});
+
+// Invitation parameter validation
+const invitationParamsSchema = Joi.object({
+  organizationId: Joi.string().required().messages({
+    "any.required": "Organization ID is required",
+  }),
+  invitationId: Joi.string().required().messages({
+    "any.required": "Invitation ID is required",
+  }),
+});
+
+// Invitation acceptance validation
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "any.required": "Invitation token is required",
+  }),
+});
+
+export {
+  validate,
+  createOrganizationSchema,
+  updateOrganizationSchema,
+  organizationIdSchema,
+  memberParamsSchema,
+  updateMemberRoleSchema,
+  createInvitationSchema,
+  invitationParamsSchema,
+  acceptInvitationSchema,
+};
@@ -0,0 +1,60 @@
+import Joi from "joi";
+
+/**
+ * Security settings validation schemas (admin)
+ */
+
+// Validation middleware function
+const validate = (schema, source = "body") => {
+  return async (req, res, next) => {
+    const data =
+      source === "params"
+        ? req.params
+        : source === "query"
+        ? req.query
+        : req.body;
+
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      }));
+
+      const { validationError } = await import("../utils/response.util.js");
+      return res.status(400).json(validationError(errors));
+    }
+
+    // Replace the original data with validated data
+    if (source === "params") {
+      req.params = value;
+    } else if (source === "query") {
+      req.query = value;
+    } else {
+      req.body = value;
+    }
+
+    next();
+  };
+};
+
+// Update security settings validation
+const updateSecuritySettingsSchema = Joi.object({
+  requireAdminTwoFactor: Joi.boolean().messages({
+    "boolean.base": "requireAdminTwoFactor must be a boolean",
+  }),
+
+  requireVerifiedEmailForPurchases: Joi.boolean().messages({
+    "boolean.base": "requireVerifiedEmailForPurchases must be a boolean",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one setting must be provided",
+  });
+
+export { validate, updateSecuritySettingsSchema };
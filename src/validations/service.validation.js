@@ -130,6 +130,23 @@ const createServiceSchema = Joi.object({
   monthlyPrice: Joi.number().min(0).default(0).messages({
     "number.min": "Monthly price cannot be negative",
   }),
+  // Price for 3 / 12 months, null = billing cycle not offered
+  quarterlyPrice: Joi.number().min(0).allow(null).default(null).messages({
+    "number.min": "Quarterly price cannot be negative",
+  }),
+  yearlyPrice: Joi.number().min(0).allow(null).default(null).messages({
+    "number.min": "Yearly price cannot be negative",
+  }),
+  // Monthly storage-only rate while paused, 0 = paused time fully credited
+  pausedMonthlyPrice: Joi.number().min(0).default(0).messages({
+    "number.min": "Paused monthly price cannot be negative",
+  }),
+  trialDays: Joi.number().integer().min(0).max(90).default(0).messages({
+    "number.base": "Trial days must be a number",
+    "number.integer": "Trial days must be an integer",
+    "number.min": "Trial days must be 0 (no trial) or greater",
+    "number.max": "Trial days cannot exceed 90",
+  }),
 
   // Quota management
   availableQuota: Joi.number().integer().min(-1).default(-1).messages({
@@ -259,6 +276,21 @@ const updateServiceSchema = Joi.object({
   monthlyPrice: Joi.number().min(0).messages({
     "number.min": "Monthly price cannot be negative",
   }),
+  quarterlyPrice: Joi.number().min(0).allow(null).messages({
+    "number.min": "Quarterly price cannot be negative",
+  }),
+  yearlyPrice: Joi.number().min(0).allow(null).messages({
+    "number.min": "Yearly price cannot be negative",
+  }),
+  pausedMonthlyPrice: Joi.number().min(0).messages({
+    "number.min": "Paused monthly price cannot be negative",
+  }),
+  trialDays: Joi.number().integer().min(0).max(90).messages({
+    "number.base": "Trial days must be a number",
+    "number.integer": "Trial days must be an integer",
+    "number.min": "Trial days must be 0 (no trial) or greater",
+    "number.max": "Trial days cannot exceed 90",
+  }),
 
   // Quota management
   availableQuota: Joi.number().integer().min(-1).messages({
@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { couponCodeField } from "./billing.validation.js";
 
 /**
  * Validation schema for creating a new subscription
@@ -10,10 +11,10 @@ export const createSubscriptionSchema = Joi.object({
   }),
 
   billingCycle: Joi.string()
-    .valid("monthly", "yearly")
+    .valid("monthly", "quarterly", "yearly")
     .default("monthly")
     .messages({
-      "any.only": "Billing cycle must be either monthly or yearly",
+      "any.only": "Billing cycle must be monthly, quarterly or yearly",
     }),
 
   subdomain: Joi.string().alphanum().min(3).max(20).optional().messages({
@@ -25,22 +26,42 @@ export const createSubscriptionSchema = Joi.object({
   customConfig: Joi.object().optional().messages({
     "object.base": "Custom configuration must be a valid object",
   }),
+
+  autoRenew: Joi.boolean().default(false).messages({
+    "boolean.base": "Auto renew must be a boolean value",
+  }),
+
+  trial: Joi.boolean().default(false).messages({
+    "boolean.base": "Trial must be a boolean value",
+  }),
+
+  // Coupons discount paid periods, so they cannot be combined with a trial
+  couponCode: Joi.when("trial", {
+    is: true,
+    then: Joi.forbidden().messages({
+      "any.unknown": "Coupons cannot be applied to a free trial",
+    }),
+    otherwise: couponCodeField,
+  }),
 });
 
 /**
  * Validation schema for renewing a subscription
  */
 export const renewSubscriptionSchema = Joi.object({
+  // Omit to keep the subscription's current billing cycle
   billingCycle: Joi.string()
-    .valid("monthly", "yearly")
-    .default("monthly")
+    .valid("monthly", "quarterly", "yearly")
+    .optional()
     .messages({
-      "any.only": "Billing cycle must be either monthly or yearly",
+      "any.only": "Billing cycle must be monthly, quarterly or yearly",
     }),
 
-  autoRenew: Joi.boolean().default(false).messages({
+  autoRenew: Joi.boolean().optional().messages({
     "boolean.base": "Auto renew must be a boolean value",
   }),
+
+  couponCode: couponCodeField,
 });
 
 /**
@@ -72,11 +93,19 @@ export const subscriptionIdSchema = Joi.object({
  */
 export const subscriptionQuerySchema = Joi.object({
   status: Joi.string()
-    .valid("ACTIVE", "EXPIRED", "CANCELLED", "SUSPENDED")
+    .valid(
+      "ACTIVE",
+      "TRIALING",
+      "PAUSED",
+      "EXPIRED",
+      "CANCELLED",
+      "SUSPENDED",
+      "DELETED"
+    )
     .optional()
     .messages({
       "any.only":
-        "Status must be one of: ACTIVE, EXPIRED, CANCELLED, SUSPENDED",
+        "Status must be one of: ACTIVE, TRIALING, PAUSED, EXPIRED, CANCELLED, SUSPENDED, DELETED",
     }),
 
   serviceId: Joi.string().optional().messages({
@@ -137,9 +166,32 @@ export const cancelSubscriptionSchema = Joi.object({
     "string.max": "Cancellation reason must not exceed 500 characters",
   }),
 
-  immediate: Joi.boolean().default(false).messages({
+  // false keeps the subscription until the end of the paid period
+  immediate: Joi.boolean().default(true).messages({
     "boolean.base": "Immediate must be a boolean value",
   }),
+
+  refund: Joi.boolean()
+    .default(false)
+    .when("immediate", {
+      is: false,
+      then: Joi.valid(false),
+    })
+    .messages({
+      "boolean.base": "Refund must be a boolean value",
+      "any.only": "Refund is only available for immediate cancellation",
+    }),
+});
+
+/**
+ * Validation schema for pausing a subscription
+ */
+export const pauseSubscriptionSchema = Joi.object({
+  days: Joi.number().integer().min(1).optional().messages({
+    "number.base": "Pause days must be a number",
+    "number.integer": "Pause days must be an integer",
+    "number.min": "Pause days must be at least 1",
+  }),
 });
 
 /**
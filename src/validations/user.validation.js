@@ -122,6 +122,39 @@ const userIdSchema = Joi.object({
   }),
 });
 
+// User session params validation
+const userSessionParamsSchema = Joi.object({
+  id: Joi.string().required().messages({
+    "any.required": "User ID is required",
+  }),
+  sessionId: Joi.string().required().messages({
+    "any.required": "Session ID is required",
+  }),
+});
+
+// Start impersonation validation (admin only)
+// Durations above IMPERSONATION_MAX_MINUTES are capped by the service
+const impersonateUserSchema = Joi.object({
+  reason: Joi.string().trim().min(5).max(500).required().messages({
+    "string.min": "Reason must be at least 5 characters long",
+    "string.max": "Reason cannot exceed 500 characters",
+    "any.required": "A reason for accessing the account is required",
+  }),
+
+  durationMinutes: Joi.number().integer().min(5).max(1440).messages({
+    "number.base": "Duration must be a number",
+    "number.integer": "Duration must be an integer",
+    "number.min": "Duration must be at least 5 minutes",
+    "number.max": "Duration cannot exceed 1440 minutes",
+  }),
+});
+
+// Impersonation history query validation
+const impersonationQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
 // User list query validation
 const getUsersQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1).messages({
@@ -159,5 +192,8 @@ export {
   updateUserSchema,
   changeUserPasswordSchema,
   userIdSchema,
+  userSessionParamsSchema,
+  impersonateUserSchema,
+  impersonationQuerySchema,
   getUsersQuerySchema,
 };
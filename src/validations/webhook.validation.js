@@ -0,0 +1,150 @@
+import Joi from "joi";
+import { VALID_WEBHOOK_EVENTS } from "../utils/webhook-events.util.js";
+import { isInternalHostname } from "../utils/url-safety.util.js";
+
+/**
+ * Webhook validation schemas
+ */
+
+// Validation middleware function
+const validate = (schema, source = "body") => {
+  return async (req, res, next) => {
+    const data =
+      source === "params"
+        ? req.params
+        : source === "query"
+        ? req.query
+        : req.body;
+
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errors = error.details.map((detail) => ({
+        field: detail.path.join("."),
+        message: detail.message,
+      }));
+
+      const { validationError } = await import("../utils/response.util.js");
+      return res.status(400).json(validationError(errors));
+    }
+
+    // Replace the original data with validated data
+    if (source === "params") {
+      req.params = value;
+    } else if (source === "query") {
+      req.query = value;
+    } else {
+      req.body = value;
+    }
+
+    next();
+  };
+};
+
+// Resolved addresses are checked by the service and again on delivery
+const webhookUrl = Joi.string()
+  .uri({ scheme: ["http", "https"] })
+  .max(2048)
+  .custom((value, helpers) =>
+    isInternalHostname(new URL(value).hostname)
+      ? helpers.error("string.internalHost")
+      : value
+  )
+  .messages({
+    "string.uri": "Webhook URL must be a valid http or https URL",
+    "string.max": "Webhook URL cannot exceed 2048 characters",
+    "string.internalHost":
+      "Webhook URL must not point to a private or internal host",
+    "any.required": "Webhook URL is required",
+  });
+
+const webhookEvents = Joi.array()
+  .items(Joi.string().valid(...VALID_WEBHOOK_EVENTS))
+  .min(1)
+  .unique()
+  .messages({
+    "array.min": "At least one event is required",
+    "array.unique": "Events must not contain duplicates",
+    "any.only": `Event must be one of: ${VALID_WEBHOOK_EVENTS.join(", ")}`,
+    "any.required": "Events are required",
+  });
+
+// Create webhook validation
+const createWebhookSchema = Joi.object({
+  url: webhookUrl.required(),
+  events: webhookEvents.required(),
+  isActive: Joi.boolean().default(true).messages({
+    "boolean.base": "isActive must be a boolean value",
+  }),
+});
+
+// Update webhook validation
+const updateWebhookSchema = Joi.object({
+  url: webhookUrl,
+  events: webhookEvents,
+  isActive: Joi.boolean().messages({
+    "boolean.base": "isActive must be a boolean value",
+  }),
+  rotateSecret: Joi.boolean().default(false).messages({
+    "boolean.base": "rotateSecret must be a boolean value",
+  }),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one field must be provided for update",
+  });
+
+// Webhook ID parameter validation
+const webhookIdSchema = Joi.object({
+  id: Joi.string().required().messages({
+    "any.required": "Webhook ID is required",
+  }),
+});
+
+// Delivery parameter validation
+const deliveryParamsSchema = Joi.object({
+  id: Joi.string().required().messages({
+    "any.required": "Webhook ID is required",
+  }),
+  deliveryId: Joi.string().required().messages({
+    "any.required": "Delivery ID is required",
+  }),
+});
+
+// Delivery history query validation
+const deliveryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1).messages({
+    "number.base": "Page must be a number",
+    "number.integer": "Page must be an integer",
+    "number.min": "Page must be at least 1",
+  }),
+
+  limit: Joi.number().integer().min(1).max(100).default(20).messages({
+    "number.base": "Limit must be a number",
+    "number.integer": "Limit must be an integer",
+    "number.min": "Limit must be at least 1",
+    "number.max": "Limit cannot exceed 100",
+  }),
+
+  status: Joi.string()
+    .valid("PENDING", "DELIVERED", "FAILED", "RETRYING")
+    .messages({
+      "any.only": "Status must be one of: PENDING, DELIVERED, FAILED, RETRYING",
+    }),
+
+  eventType: Joi.string().max(100).messages({
+    "string.max": "Event type cannot exceed 100 characters",
+  }),
+});
+
+export {
+  validate,
+  createWebhookSchema,
+  updateWebhookSchema,
+  webhookIdSchema,
+  deliveryParamsSchema,
+  deliveryQuerySchema,
+};
@@ -514,6 +514,52 @@ const workerHeartbeatSchema = Joi.object({
   }),
 });
 
+/**
+ * Worker bootstrap token issue validation schema
+ */
+const issueBootstrapTokenSchema = Joi.object({
+  nodeName: Joi.string().min(2).max(100).required().messages({
+    "string.empty": "Worker node name is required",
+    "string.min": "Worker node name must be at least 2 characters long",
+    "string.max": "Worker node name must not exceed 100 characters",
+    "any.required": "Worker node name is required",
+  }),
+
+  description: Joi.string().max(255).optional().messages({
+    "string.max": "Description must not exceed 255 characters",
+  }),
+
+  expiresInDays: Joi.number().integer().min(1).max(3650).optional().messages({
+    "number.base": "Expiry must be a number of days",
+    "number.integer": "Expiry must be an integer",
+    "number.min": "Expiry must be at least 1 day",
+    "number.max": "Expiry must not exceed 3650 days",
+  }),
+});
+
+/**
+ * Worker bootstrap token list query validation schema
+ */
+const bootstrapTokenQuerySchema = Joi.object({
+  nodeName: Joi.string().max(100).messages({
+    "string.max": "Worker node name must not exceed 100 characters",
+  }),
+
+  includeRevoked: Joi.boolean().default(false).messages({
+    "boolean.base": "includeRevoked must be a boolean",
+  }),
+});
+
+/**
+ * Worker bootstrap token ID parameter validation schema
+ */
+const bootstrapTokenIdSchema = Joi.object({
+  tokenId: Joi.string().required().messages({
+    "string.empty": "Token ID is required",
+    "any.required": "Token ID is required",
+  }),
+});
+
 /**
  * Generic validation middleware
  * @param {Joi.Schema} schema - Joi validation schema
@@ -565,6 +611,9 @@ export {
   workerNodeIdOrNameSchema,
   workerRegistrationSchema,
   workerHeartbeatSchema,
+  issueBootstrapTokenSchema,
+  bootstrapTokenQuerySchema,
+  bootstrapTokenIdSchema,
   validate,
   validateCreateWorkerNode,
   validateUpdateWorkerNode,
@@ -0,0 +1,140 @@
+import { jest } from "@jest/globals";
+
+// Batch transaction operations are recorded as { model, method, args }
+const operation = (model, method) => (args) => ({ model, method, args });
+
+const models = [
+  "subscription",
+  "usageMetric",
+  "serviceInstance",
+  "refreshToken",
+  "userSession",
+  "twoFactorRecoveryCode",
+  "verificationToken",
+  "apiKey",
+  "userIdentity",
+  "webhook",
+  "organizationMember",
+  "organizationInvitation",
+  "topUpTransaction",
+  "referral",
+  "taxProfile",
+  "serviceCatalog",
+  "user",
+];
+
+const prisma = Object.fromEntries(
+  models.map((model) => [
+    model,
+    {
+      updateMany: jest.fn(operation(model, "updateMany")),
+      deleteMany: jest.fn(operation(model, "deleteMany")),
+      update: jest.fn(operation(model, "update")),
+    },
+  ])
+);
+prisma.user.findUnique = jest.fn();
+prisma.organizationMember.findMany = jest.fn(async () => []);
+prisma.serviceInstance.findMany = jest.fn(async () => []);
+prisma.subscription.findMany = jest.fn(async () => []);
+prisma.$transaction = jest.fn(async (operations) =>
+  operations.map(() => ({ count: 0 }))
+);
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("@prisma/client", () => ({
+  Prisma: { DbNull: "DbNull" },
+}));
+jest.unstable_mockModule("../src/services/pod.service.js", () => ({
+  deletePod: jest.fn(),
+}));
+jest.unstable_mockModule("../src/services/audit.service.js", () => ({
+  recordAudit: jest.fn(),
+}));
+jest.unstable_mockModule("../src/services/data-export.service.js", () => ({
+  deleteUserDataExports: jest.fn(),
+}));
+jest.unstable_mockModule("../src/services/notification.service.js", () => ({
+  notificationService: { sendAccountDeleted: jest.fn() },
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { deleteAccount } = await import(
+  "../src/services/account-deletion.service.js"
+);
+
+// Operations of the erasure transaction for a model
+const erased = (model) =>
+  prisma.$transaction.mock.calls[0][0].filter((entry) => entry.model === model);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.user.findUnique.mockResolvedValue({
+    id: "user-1",
+    name: "Budi",
+    email: "budi@example.com",
+    deletedAt: null,
+  });
+});
+
+describe("deleteAccount", () => {
+  it("clears the referral sign-up IP and user agent", async () => {
+    await deleteAccount("user-1");
+
+    expect(erased("referral")).toEqual([
+      {
+        model: "referral",
+        method: "updateMany",
+        args: {
+          where: { referredUserId: "user-1" },
+          data: { signupIp: null, signupUserAgent: null },
+        },
+      },
+    ]);
+  });
+
+  it("erases the personal tax profile", async () => {
+    await deleteAccount("user-1");
+
+    expect(erased("taxProfile")).toEqual([
+      {
+        model: "taxProfile",
+        method: "deleteMany",
+        args: { where: { userId: "user-1" } },
+      },
+    ]);
+  });
+
+  it("gives the quota of held subscriptions back to their services", async () => {
+    prisma.subscription.findMany.mockResolvedValueOnce([
+      { serviceId: "n8n", service: { availableQuota: 3 } },
+      { serviceId: "n8n", service: { availableQuota: 3 } },
+      { serviceId: "ghost", service: { availableQuota: 0 } },
+      { serviceId: "unlimited", service: { availableQuota: -1 } },
+      { serviceId: "untracked", service: { availableQuota: null } },
+    ]);
+
+    await deleteAccount("user-1");
+
+    expect(prisma.subscription.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: {
+          userId: "user-1",
+          organizationId: null,
+          status: { in: ["ACTIVE", "TRIALING", "PAUSED"] },
+        },
+      })
+    );
+    expect(erased("serviceCatalog").map(({ args }) => args)).toEqual([
+      { where: { id: "n8n" }, data: { availableQuota: { increment: 2 } } },
+      { where: { id: "ghost" }, data: { availableQuota: { increment: 1 } } },
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+
+const prisma = {
+  apiKey: { findUnique: jest.fn(), updateMany: jest.fn() },
+  user: { findUnique: jest.fn() },
+};
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/services/session.service.js", () => ({
+  isSessionActive: jest.fn(),
+  touchSession: jest.fn(),
+}));
+jest.unstable_mockModule("../src/services/settings.service.js", () => ({
+  getSecuritySettings: jest.fn(async () => ({ requireAdminTwoFactor: false })),
+}));
+jest.unstable_mockModule("../src/services/impersonation.service.js", () => ({
+  findActiveImpersonation: jest.fn(),
+  recordImpersonatedRequest: jest.fn(),
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { authenticate, authenticateWithScope } = await import(
+  "../src/middleware/auth.middleware.js"
+);
+const { API_KEY_SCOPES } = await import("../src/utils/api-key-scopes.util.js");
+
+const KEY = "mpk_0123456789abcdef";
+
+const storedKey = {
+  id: "key-1",
+  name: "Deploy script",
+  keyHash: crypto.createHash("sha256").update(KEY).digest("hex"),
+  scopes: [API_KEY_SCOPES.SUBSCRIPTIONS_READ],
+  expiresAt: null,
+  revokedAt: null,
+  user: { id: "user-1", email: "user@example.com", isActive: true },
+};
+
+const request = () => ({
+  headers: { authorization: `Bearer ${KEY}` },
+  ip: "203.0.113.5",
+});
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const run = async (middleware) => {
+  const req = request();
+  const res = response();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.apiKey.findUnique.mockResolvedValue(storedKey);
+  prisma.apiKey.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe("API key authentication", () => {
+  it("accepts a key on a route that takes one of its scopes", async () => {
+    const { req, res, next } = await run(
+      authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ)
+    );
+
+    expect(prisma.apiKey.findUnique).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { keyHash: storedKey.keyHash } })
+    );
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.userId).toBe("user-1");
+    expect(req.apiKey).toEqual({
+      id: "key-1",
+      name: "Deploy script",
+      scopes: [API_KEY_SCOPES.SUBSCRIPTIONS_READ],
+    });
+  });
+
+  it("refuses a key without the route's scope", async () => {
+    const { res, next } = await run(
+      authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_WRITE)
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].code).toBe("INSUFFICIENT_SCOPE");
+  });
+
+  it("refuses keys on routes that take no scope", async () => {
+    const { res, next } = await run(authenticate);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].code).toBe("API_KEY_NOT_ALLOWED");
+    expect(prisma.apiKey.findUnique).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["unknown", null],
+    ["revoked", { ...storedKey, revokedAt: new Date() }],
+    ["expired", { ...storedKey, expiresAt: new Date(Date.now() - 1000) }],
+  ])("refuses a key that is %s", async (_, found) => {
+    prisma.apiKey.findUnique.mockResolvedValue(found);
+
+    const { res, next } = await run(
+      authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ)
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("refuses a key whose owner was deactivated", async () => {
+    prisma.apiKey.findUnique.mockResolvedValue({
+      ...storedKey,
+      user: { ...storedKey.user, isActive: false },
+    });
+
+    const { res, next } = await run(
+      authenticateWithScope(API_KEY_SCOPES.SUBSCRIPTIONS_READ)
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
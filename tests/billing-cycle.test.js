@@ -0,0 +1,161 @@
+import { jest } from "@jest/globals";
+
+const prisma = {
+  subscription: { findUnique: jest.fn() },
+  serviceCatalog: { findUnique: jest.fn() },
+};
+
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => prisma),
+}));
+jest.unstable_mockModule("../src/services/billing.service.js", () => ({
+  creditNoteService: {},
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const {
+  toBillingCycle,
+  addBillingCycle,
+  getBillingPeriod,
+  getCyclePrice,
+  getCyclePricing,
+} = await import("../src/utils/billing-cycle.util.js");
+const { calculateProratedUpgrade } = await import(
+  "../src/services/upgrade.service.js"
+);
+
+const service = {
+  id: "service-basic",
+  displayName: "n8n",
+  variant: "basic",
+  monthlyPrice: "100000",
+  quarterlyPrice: "270000",
+  yearlyPrice: null,
+};
+
+describe("billing cycle helpers", () => {
+  it("accepts API cycles in any case and defaults to monthly", () => {
+    expect(toBillingCycle("quarterly")).toBe("QUARTERLY");
+    expect(toBillingCycle(undefined)).toBe("MONTHLY");
+    expect(() => toBillingCycle("weekly")).toThrow(
+      "Invalid billing cycle: weekly"
+    );
+  });
+
+  it("extends a period by the cycle length", () => {
+    const start = new Date(2026, 0, 15);
+
+    expect(addBillingCycle(start, "MONTHLY")).toEqual(new Date(2026, 1, 15));
+    expect(addBillingCycle(start, "QUARTERLY")).toEqual(new Date(2026, 3, 15));
+    expect(addBillingCycle(start, "YEARLY")).toEqual(new Date(2027, 0, 15));
+  });
+
+  it("measures the current period back from expiry", () => {
+    const period = getBillingPeriod(
+      new Date(2026, 3, 1),
+      "QUARTERLY",
+      new Date(2026, 2, 1)
+    );
+
+    expect(period.start).toEqual(new Date(2026, 0, 1));
+    expect(period.totalDays).toBe(90);
+    expect(period.remainingDays).toBe(31);
+  });
+
+  it("prices only the cycles a variant offers", () => {
+    expect(getCyclePrice(service, "QUARTERLY")).toBe(270000);
+    expect(getCyclePrice(service, "YEARLY")).toBe(null);
+  });
+
+  it("reports each cycle's discount against paying monthly", () => {
+    expect(getCyclePricing({ ...service, yearlyPrice: "960000" })).toEqual([
+      {
+        billingCycle: "MONTHLY",
+        months: 1,
+        price: 100000,
+        monthlyEquivalent: 100000,
+        discountPercent: 0,
+      },
+      {
+        billingCycle: "QUARTERLY",
+        months: 3,
+        price: 270000,
+        monthlyEquivalent: 90000,
+        discountPercent: 10,
+      },
+      {
+        billingCycle: "YEARLY",
+        months: 12,
+        price: 960000,
+        monthlyEquivalent: 80000,
+        discountPercent: 20,
+      },
+    ]);
+  });
+});
+
+describe("calculateProratedUpgrade", () => {
+  const targetService = {
+    id: "service-pro",
+    displayName: "n8n",
+    variant: "pro",
+    monthlyPrice: "250000",
+    quarterlyPrice: "540000",
+    yearlyPrice: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date(2026, 2, 1) });
+    prisma.subscription.findUnique.mockResolvedValue({
+      id: "sub-1",
+      billingCycle: "QUARTERLY",
+      expiresAt: new Date(2026, 3, 1),
+      service,
+      user: { balance: { balance: "500000" } },
+      organizationId: null,
+    });
+    prisma.serviceCatalog.findUnique.mockResolvedValue(targetService);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("prorates both plans at their price for the subscription's cycle", async () => {
+    const calculation = await calculateProratedUpgrade("sub-1", "service-pro");
+
+    expect(calculation.billingCycle).toMatchObject({
+      cycle: "QUARTERLY",
+      totalDays: 90,
+      remainingDays: 31,
+    });
+    expect(calculation.financial).toMatchObject({
+      oldPlanPrice: 270000,
+      newPlanPrice: 540000,
+      unusedAmount: 93000,
+      proratedNewAmount: 186000,
+      chargeAmount: 93000,
+      refundAmount: 0,
+    });
+    expect(calculation.changeType).toBe("UPGRADE");
+  });
+
+  it("refuses a target variant that does not offer the cycle", async () => {
+    prisma.serviceCatalog.findUnique.mockResolvedValue({
+      ...targetService,
+      quarterlyPrice: null,
+    });
+
+    await expect(
+      calculateProratedUpgrade("sub-1", "service-pro")
+    ).rejects.toThrow("Billing cycle Quarterly not offered by target service");
+  });
+});
@@ -0,0 +1,226 @@
+import { jest } from "@jest/globals";
+
+const tx = {
+  coupon: { updateMany: jest.fn() },
+  couponRedemption: { aggregate: jest.fn(), create: jest.fn() },
+};
+
+const prisma = {
+  coupon: { findUnique: jest.fn() },
+  couponRedemption: { count: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { couponService } = await import("../src/services/coupon.service.js");
+
+const coupon = {
+  id: "coupon-1",
+  code: "HEMAT",
+  target: "SUBSCRIPTION",
+  discountType: "PERCENT",
+  discountValue: "10",
+  isActive: true,
+  expiresAt: null,
+  maxRedemptions: 100,
+  redemptionCount: 0,
+  perUserLimit: 2,
+  serviceNames: [],
+  serviceIds: [],
+  durationMonths: null,
+};
+
+const userRedemptions = (count, lastSeq = count) =>
+  tx.couponRedemption.aggregate.mockResolvedValue({
+    _count: { _all: count },
+    _max: { seq: count ? lastSeq : null },
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  tx.coupon.updateMany.mockResolvedValue({ count: 1 });
+  tx.couponRedemption.create.mockImplementation(async ({ data }) => ({
+    id: "redemption-1",
+    ...data,
+  }));
+  userRedemptions(0);
+});
+
+describe("couponService.redeem", () => {
+  const redemption = { userId: "user-1", amount: 10000 };
+
+  it("numbers the user's redemptions after the last one", async () => {
+    // A released redemption left a gap: 1 and 3 remain
+    userRedemptions(1, 3);
+
+    const created = await couponService.redeem(coupon, redemption);
+
+    expect(created).toMatchObject({
+      couponId: "coupon-1",
+      userId: "user-1",
+      seq: 4,
+    });
+  });
+
+  it("refuses a redemption over the per-user limit", async () => {
+    userRedemptions(2);
+
+    await expect(couponService.redeem(coupon, redemption)).rejects.toThrow(
+      "Coupon usage limit reached for this user"
+    );
+    expect(tx.couponRedemption.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses a concurrent redemption that took the same number", async () => {
+    tx.couponRedemption.create.mockRejectedValue(
+      Object.assign(new Error("Unique constraint failed"), { code: "P2002" })
+    );
+
+    await expect(couponService.redeem(coupon, redemption)).rejects.toThrow(
+      "Coupon is already being redeemed by another request"
+    );
+  });
+
+  it("refuses once the coupon reached maxRedemptions", async () => {
+    tx.coupon.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(couponService.redeem(coupon, redemption)).rejects.toThrow(
+      "Coupon redemption limit reached"
+    );
+  });
+});
+
+describe("couponService.quoteSubscriptionDiscount", () => {
+  const service = { id: "service-1", name: "n8n", monthlyPrice: "100000" };
+  const quote = (code = "hemat", price = 100000) =>
+    couponService.quoteSubscriptionDiscount(code, {
+      userId: "user-1",
+      service,
+      price,
+    });
+
+  beforeEach(() => {
+    prisma.coupon.findUnique.mockResolvedValue(coupon);
+    prisma.couponRedemption.count.mockResolvedValue(0);
+  });
+
+  it("takes a percentage off the price, matching the code in any case", async () => {
+    await expect(quote(" hemat ", 270000)).resolves.toMatchObject({
+      discountAmount: 27000,
+      amount: 243000,
+    });
+    expect(prisma.coupon.findUnique).toHaveBeenCalledWith({
+      where: { code: "HEMAT" },
+    });
+  });
+
+  it("takes a fixed amount off, never more than the price", async () => {
+    prisma.coupon.findUnique.mockResolvedValue({
+      ...coupon,
+      discountType: "FIXED",
+      discountValue: "150000",
+    });
+
+    await expect(quote("hemat", 100000)).resolves.toMatchObject({
+      discountAmount: 100000,
+      amount: 0,
+    });
+  });
+
+  it("applies only to the services or variants it lists", async () => {
+    prisma.coupon.findUnique.mockResolvedValue({
+      ...coupon,
+      serviceNames: ["ghost"],
+    });
+    await expect(quote()).rejects.toThrow(
+      "Coupon does not apply to this service"
+    );
+
+    prisma.coupon.findUnique.mockResolvedValue({
+      ...coupon,
+      serviceIds: ["service-1"],
+    });
+    await expect(quote()).resolves.toMatchObject({ discountAmount: 10000 });
+  });
+
+  it.each([
+    ["inactive", { isActive: false }, "Coupon not found or inactive"],
+    [
+      "expired",
+      { expiresAt: new Date(Date.now() - 1000) },
+      "Coupon has expired",
+    ],
+    ["for top-ups", { target: "TOPUP" }, "Coupon cannot be used for"],
+    ["used up", { redemptionCount: 100 }, "Coupon redemption limit reached"],
+  ])("refuses a coupon that is %s", async (_, changes, message) => {
+    prisma.coupon.findUnique.mockResolvedValue({ ...coupon, ...changes });
+
+    await expect(quote()).rejects.toThrow(message);
+  });
+
+  it("refuses a user who reached the per-user limit", async () => {
+    prisma.couponRedemption.count.mockResolvedValue(2);
+
+    await expect(quote()).rejects.toThrow(
+      "Coupon usage limit reached for this user"
+    );
+    expect(prisma.couponRedemption.count).toHaveBeenCalledWith({
+      where: { couponId: "coupon-1", userId: "user-1" },
+    });
+  });
+});
+
+describe("coupon discounts on renewal", () => {
+  const threeMonths = { ...coupon, durationMonths: 3 };
+  const redeemedOn = new Date(2026, 0, 15);
+  const subscription = {
+    service: { id: "service-1", name: "n8n" },
+    coupon: threeMonths,
+    couponEndsAt: couponService.getCouponEndsAt(threeMonths, redeemedOn),
+  };
+
+  it("ends the discounted months the given number of months after redemption", () => {
+    expect(subscription.couponEndsAt).toEqual(new Date(2026, 3, 15));
+    expect(couponService.getCouponEndsAt(coupon, redeemedOn)).toBe(null);
+  });
+
+  it("discounts renewals that start within the discounted months", () => {
+    expect(
+      couponService.getRenewalDiscount(
+        subscription,
+        100000,
+        new Date(2026, 2, 15)
+      )
+    ).toMatchObject({ discountAmount: 10000, amount: 90000 });
+    expect(
+      couponService.getRenewalDiscount(
+        subscription,
+        100000,
+        new Date(2026, 3, 15)
+      )
+    ).toBe(null);
+  });
+
+  it("stops discounting after a change to a variant the coupon does not cover", () => {
+    expect(
+      couponService.getRenewalDiscount(
+        {
+          ...subscription,
+          coupon: { ...threeMonths, serviceIds: ["service-1"] },
+          service: { id: "service-2", name: "n8n" },
+        },
+        100000,
+        new Date(2026, 1, 15)
+      )
+    ).toBe(null);
+  });
+});
@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OIDC Issuer
+ *
+ * A minimal OpenID Connect provider for trying single sign-on locally without
+ * Keycloak or Authentik, also used by the OIDC tests. It supports discovery,
+ * the authorization code flow with PKCE (S256), RS256-signed ID tokens, JWKS
+ * and userinfo. Every authorization request is approved immediately for the
+ * configured user.
+ *
+ * Setup:
+ *   OIDC_PROVIDERS='[{"id":"mock","name":"Mock SSO",
+ *     "issuer":"http://localhost:9400","clientId":"minispod",
+ *     "roleMapping":{"admins":"ADMINISTRATOR"}}]'
+ *
+ * Flow (see rest/auth.rest):
+ *   1. POST /api/v1/auth/oidc/mock/authorize and open the authorizationUrl
+ *   2. The issuer redirects to redirect_uri?code=...&state=...
+ *   3. POST the code and state to /api/v1/auth/oidc/mock/callback
+ *
+ * The signed-in user can be changed per request by adding mock_sub,
+ * mock_email, mock_name or mock_groups (comma separated) to the
+ * authorizationUrl.
+ *
+ * Usage:
+ *   node tests/helpers/mock-oidc-issuer.js
+ *   node tests/helpers/mock-oidc-issuer.js --port 9400 --email alice@example.com --groups admins
+ *
+ * In tests:
+ *   const mockIssuer = await startMockOidcIssuer({ port: 0, log: () => {} });
+ *   ... mockIssuer.issuer ...
+ *   await mockIssuer.close();
+ */
+
+import http from "http";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import jwt from "jsonwebtoken";
+
+const KEY_ID = "mock-key-1";
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 300;
+
+/**
+ * Send a JSON response
+ */
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Read a form-encoded request body
+ */
+const readForm = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => resolve(new URLSearchParams(body)));
+    req.on("error", reject);
+  });
+
+/**
+ * Start a mock issuer
+ * @param {Object} [options] - { port (0 picks a free one), sub, email, name, groups (comma separated), log }
+ * @returns {Promise<Object>} { issuer, server, close }
+ */
+export const startMockOidcIssuer = async ({
+  port = 9400,
+  sub = "mock-user-1",
+  email = "sso.user@example.com",
+  name = "SSO User",
+  groups = "",
+  log = console.log,
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+
+  // Issued authorization codes and access tokens
+  const codes = new Map();
+  const accessTokens = new Map();
+
+  let issuer = null;
+
+  /**
+   * Claims for the user of an authorization request
+   */
+  const buildUserClaims = (params) => {
+    const userGroups = params.get("mock_groups") ?? groups;
+
+    return {
+      sub: params.get("mock_sub") || sub,
+      email: params.get("mock_email") || email,
+      email_verified: true,
+      name: params.get("mock_name") || name,
+      groups: userGroups
+        ? userGroups.split(",").map((group) => group.trim())
+        : [],
+    };
+  };
+
+  const discovery = () => ({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "none"],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+
+  /**
+   * GET /authorize - approve the request and redirect back with a code
+   */
+  const authorize = (res, params) => {
+    const redirectUri = params.get("redirect_uri");
+
+    if (
+      params.get("response_type") !== "code" ||
+      !redirectUri ||
+      params.get("code_challenge_method") !== "S256" ||
+      !params.get("code_challenge")
+    ) {
+      return sendJson(res, 400, {
+        error: "invalid_request",
+        error_description: "code flow with S256 PKCE and redirect_uri required",
+      });
+    }
+
+    const code = crypto.randomBytes(24).toString("base64url");
+    codes.set(code, {
+      clientId: params.get("client_id"),
+      redirectUri,
+      codeChallenge: params.get("code_challenge"),
+      nonce: params.get("nonce"),
+      claims: buildUserClaims(params),
+      expiresAt: Date.now() + CODE_TTL_MS,
+    });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set("code", code);
+    if (params.get("state")) {
+      location.searchParams.set("state", params.get("state"));
+    }
+
+    log(`Authorized ${codes.get(code).claims.email}, code issued`);
+
+    res.writeHead(302, { Location: location.toString() });
+    res.end();
+  };
+
+  /**
+   * POST /token - exchange a code for tokens after checking PKCE
+   */
+  const token = async (req, res) => {
+    const form = await readForm(req);
+    const code = form.get("code");
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    const verifier = form.get("code_verifier") || "";
+    const challenge = crypto
+      .createHash("sha256")
+      .update(verifier)
+      .digest("base64url");
+
+    if (
+      form.get("grant_type") !== "authorization_code" ||
+      !grant ||
+      grant.expiresAt < Date.now() ||
+      grant.redirectUri !== form.get("redirect_uri") ||
+      grant.codeChallenge !== challenge
+    ) {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString("base64url");
+    accessTokens.set(accessToken, grant.claims);
+
+    const idToken = jwt.sign(
+      { ...grant.claims, ...(grant.nonce && { nonce: grant.nonce }) },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: KEY_ID,
+        issuer,
+        audience: grant.clientId,
+        expiresIn: TOKEN_TTL_SECONDS,
+      }
+    );
+
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: idToken,
+    });
+  };
+
+  /**
+   * GET /userinfo - claims for a bearer access token
+   */
+  const userinfo = (req, res) => {
+    const accessToken = (req.headers.authorization || "").replace(
+      "Bearer ",
+      ""
+    );
+    const claims = accessTokens.get(accessToken);
+
+    if (!claims) {
+      return sendJson(res, 401, { error: "invalid_token" });
+    }
+
+    sendJson(res, 200, claims);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    try {
+      if (
+        req.method === "GET" &&
+        url.pathname === "/.well-known/openid-configuration"
+      ) {
+        return sendJson(res, 200, discovery());
+      }
+      if (req.method === "GET" && url.pathname === "/jwks") {
+        const jwk = publicKey.export({ format: "jwk" });
+        return sendJson(res, 200, {
+          keys: [{ ...jwk, kid: KEY_ID, use: "sig", alg: "RS256" }],
+        });
+      }
+      if (req.method === "GET" && url.pathname === "/authorize") {
+        return authorize(res, url.searchParams);
+      }
+      if (req.method === "POST" && url.pathname === "/token") {
+        return await token(req, res);
+      }
+      if (req.method === "GET" && url.pathname === "/userinfo") {
+        return userinfo(req, res);
+      }
+
+      sendJson(res, 404, { error: "not_found" });
+    } catch (error) {
+      console.error("Mock issuer error:", error);
+      sendJson(res, 500, { error: "server_error" });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  issuer = `http://localhost:${server.address().port}`;
+
+  return {
+    issuer,
+    server,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+// Run as a standalone issuer: node tests/helpers/mock-oidc-issuer.js
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  const argValue = (name, fallback) =>
+    process.argv.includes(name)
+      ? process.argv[process.argv.indexOf(name) + 1]
+      : fallback;
+
+  const options = {
+    port: parseInt(argValue("--port", "9400")),
+    sub: argValue("--sub", "mock-user-1"),
+    email: argValue("--email", "sso.user@example.com"),
+    name: argValue("--name", "SSO User"),
+    groups: argValue("--groups", ""),
+  };
+
+  const { issuer, server } = await startMockOidcIssuer(options);
+
+  console.log(`Mock OIDC issuer running at ${issuer}`);
+  console.log(
+    `Default user: ${options.email} (sub ${options.sub}, groups: ${
+      options.groups || "none"
+    })`
+  );
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
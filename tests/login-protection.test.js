@@ -0,0 +1,163 @@
+import { jest } from "@jest/globals";
+
+process.env.REDIS_ENABLED = "true";
+process.env.REDIS_CONNECT_TIMEOUT_MS = "50";
+
+// A Redis client whose connection never completes, as when the host is down
+const redisClient = {
+  isReady: false,
+  isOpen: false,
+  on: jest.fn(),
+  connect: jest.fn(() => {
+    redisClient.isOpen = true;
+    return new Promise(() => {});
+  }),
+};
+const createClient = jest.fn(() => redisClient);
+
+const prisma = { user: { findFirst: jest.fn(async () => null) } };
+const recordAudit = jest.fn();
+const notificationService = { sendAccountLockedNotice: jest.fn() };
+
+jest.unstable_mockModule("redis", () => ({ createClient }));
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/services/audit.service.js", () => ({
+  recordAudit,
+}));
+jest.unstable_mockModule("../src/services/notification.service.js", () => ({
+  notificationService,
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } =
+  await import("../src/services/login-protection.service.js");
+
+describe("login protection while Redis is unreachable", () => {
+  it("falls back to in-process counters instead of waiting", async () => {
+    const attempt = { email: "redis.down@example.com", ipAddress: "10.0.0.1" };
+
+    await assertLoginAllowed(attempt);
+    await recordLoginFailure(attempt);
+
+    await expect(assertLoginAllowed(attempt)).rejects.toMatchObject({
+      code: "LOGIN_THROTTLED",
+    });
+  });
+
+  it("reuses the pending client instead of opening new ones", async () => {
+    await assertLoginAllowed({ email: "other@example.com" });
+
+    expect(createClient).toHaveBeenCalledTimes(1);
+    expect(redisClient.connect).toHaveBeenCalledTimes(1);
+    expect(createClient.mock.calls[0][0]).toMatchObject({
+      disableOfflineQueue: true,
+      socket: { connectTimeout: 50 },
+    });
+  });
+});
+
+// Redis stays unreachable here, so these run against the in-process store
+describe("login protection counters", () => {
+  let now;
+
+  // Move the clock used for counter expiry without touching timers
+  const advance = (ms) => {
+    now += ms;
+  };
+
+  const failTimes = async (attempt, times) => {
+    for (let i = 0; i < times; i++) {
+      await recordLoginFailure(attempt);
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = Date.now();
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("doubles the delay after each failure on an account", async () => {
+    const attempt = { email: "delay@example.com", ipAddress: "10.0.1.1" };
+
+    for (const seconds of [1, 2, 4, 8]) {
+      await recordLoginFailure(attempt);
+
+      await expect(assertLoginAllowed(attempt)).rejects.toMatchObject({
+        code: "LOGIN_THROTTLED",
+        retryAfter: seconds,
+      });
+
+      advance(seconds * 1000);
+      await expect(assertLoginAllowed(attempt)).resolves.toBeUndefined();
+    }
+  });
+
+  it("counts the same account regardless of email case", async () => {
+    await recordLoginFailure({ email: " Case@Example.com " });
+
+    await expect(
+      assertLoginAllowed({ email: "case@example.com" })
+    ).rejects.toMatchObject({ code: "LOGIN_THROTTLED" });
+  });
+
+  it("locks the account and tells its owner after five failures", async () => {
+    const attempt = { email: "locked@example.com", ipAddress: "10.0.2.1" };
+    const user = { id: "user-1", name: "Locked", email: attempt.email };
+    prisma.user.findFirst.mockResolvedValueOnce(user);
+
+    await failTimes(attempt, 5);
+
+    await expect(assertLoginAllowed(attempt)).rejects.toMatchObject({
+      code: "LOGIN_LOCKED",
+      retryAfter: 15 * 60,
+    });
+    expect(notificationService.sendAccountLockedNotice).toHaveBeenCalledWith(
+      user,
+      expect.objectContaining({ ipAddress: "10.0.2.1" })
+    );
+    expect(recordAudit).toHaveBeenCalledTimes(1);
+
+    advance(15 * 60 * 1000);
+    await expect(assertLoginAllowed(attempt)).resolves.toBeUndefined();
+  });
+
+  it("starts over after a successful sign-in", async () => {
+    const attempt = { email: "reset@example.com", ipAddress: "10.0.3.1" };
+
+    await failTimes(attempt, 4);
+    await recordLoginSuccess(attempt.email);
+    await assertLoginAllowed(attempt);
+
+    await recordLoginFailure(attempt);
+
+    await expect(assertLoginAllowed(attempt)).rejects.toMatchObject({
+      code: "LOGIN_THROTTLED",
+      retryAfter: 1,
+    });
+  });
+
+  it("locks an IP after 50 failures across accounts", async () => {
+    for (let i = 0; i < 50; i++) {
+      await recordLoginFailure({ ipAddress: "10.0.4.1" });
+    }
+
+    await expect(
+      assertLoginAllowed({ email: "fresh@example.com", ipAddress: "10.0.4.1" })
+    ).rejects.toMatchObject({ code: "LOGIN_LOCKED" });
+    await expect(
+      assertLoginAllowed({ email: "fresh@example.com", ipAddress: "10.0.4.2" })
+    ).resolves.toBeUndefined();
+  });
+});
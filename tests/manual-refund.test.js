@@ -0,0 +1,144 @@
+import { jest } from "@jest/globals";
+
+const tx = {
+  invoice: { findFirst: jest.fn(), aggregate: jest.fn(), create: jest.fn() },
+  documentSequence: { upsert: jest.fn(async () => ({ lastNumber: 1 })) },
+  userBalance: {
+    upsert: jest.fn(async () => ({ balance: { sub: jest.fn(() => 0) } })),
+  },
+  balanceTransaction: { create: jest.fn() },
+  transaction: { create: jest.fn() },
+};
+
+const prisma = {
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/services/midtrans.service.js", () => ({
+  midtransService: {},
+}));
+jest.unstable_mockModule("../src/services/coupon.service.js", () => ({
+  couponService: {},
+}));
+jest.unstable_mockModule("../src/services/tax.service.js", () => ({
+  taxService: {},
+}));
+jest.unstable_mockModule("../src/services/webhook.service.js", () => ({
+  dispatchEvent: jest.fn(),
+}));
+jest.unstable_mockModule("../src/utils/metrics.util.js", () => ({
+  recordTopUpStatus: jest.fn(),
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { creditNoteService } = await import(
+  "../src/services/billing.service.js"
+);
+
+const paidInvoice = {
+  id: "invoice-1",
+  invoiceNumber: "INV-2026-000001",
+  type: "SUBSCRIPTION",
+  amount: "900000",
+  userId: "user-1",
+  organizationId: null,
+  subscriptionId: "sub-1",
+  taxRate: null,
+  creditNotes: [],
+};
+
+const refundedWithoutApproval = (amount) =>
+  tx.invoice.aggregate.mockResolvedValue({ _sum: { amount } });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  tx.invoice.findFirst.mockResolvedValue(paidInvoice);
+  tx.invoice.create.mockImplementation(async ({ data }) => ({
+    id: "credit-note-1",
+    ...data,
+  }));
+  refundedWithoutApproval(null);
+});
+
+describe("creditNoteService.requestManualRefund", () => {
+  it("credits refunds within the approval threshold immediately", async () => {
+    const result = await creditNoteService.requestManualRefund(
+      { userId: "user-1", amount: 300000, reason: "Outage" },
+      "admin-1"
+    );
+
+    expect(result.requiresApproval).toBe(false);
+    expect(result.creditNote.status).toBe("PAID");
+    expect(tx.userBalance.upsert).toHaveBeenCalled();
+  });
+
+  it("counts recent refunds credited without approval", async () => {
+    refundedWithoutApproval("400000");
+
+    const result = await creditNoteService.requestManualRefund(
+      { userId: "user-1", amount: 300000, reason: "Outage" },
+      "admin-1"
+    );
+
+    expect(result.requiresApproval).toBe(true);
+    expect(result.creditNote.status).toBe("DRAFT");
+    expect(tx.userBalance.upsert).not.toHaveBeenCalled();
+
+    const { where } = tx.invoice.aggregate.mock.calls[0][0];
+    expect(where).toMatchObject({
+      type: "CREDIT_NOTE",
+      status: "PAID",
+      userId: "user-1",
+      requestedById: { not: null },
+      approvedById: null,
+    });
+    expect(where.createdAt.gte).toBeInstanceOf(Date);
+  });
+
+  it("checks the refundable amount inside the serializable transaction", async () => {
+    tx.invoice.findFirst.mockResolvedValue({
+      ...paidInvoice,
+      creditNotes: [{ amount: "800000" }],
+    });
+
+    await expect(
+      creditNoteService.requestManualRefund(
+        {
+          userId: "user-1",
+          amount: 200000,
+          reason: "Outage",
+          invoiceId: "invoice-1",
+        },
+        "admin-1"
+      )
+    ).rejects.toThrow("exceeds the refundable amount");
+
+    expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function), {
+      isolationLevel: "Serializable",
+    });
+    expect(tx.invoice.create).not.toHaveBeenCalled();
+  });
+
+  it("reports a concurrent refund as a conflict", async () => {
+    prisma.$transaction.mockRejectedValueOnce(
+      Object.assign(new Error("Transaction failed due to a write conflict"), {
+        code: "P2034",
+      })
+    );
+
+    await expect(
+      creditNoteService.requestManualRefund(
+        { userId: "user-1", amount: 300000, reason: "Outage" },
+        "admin-1"
+      )
+    ).rejects.toThrow("being processed");
+  });
+});
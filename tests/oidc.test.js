@@ -0,0 +1,431 @@
+import { jest } from "@jest/globals";
+import { startMockOidcIssuer } from "./helpers/mock-oidc-issuer.js";
+
+const prisma = {
+  user: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn() },
+  userIdentity: {
+    findUnique: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+  },
+};
+
+const loginProtection = {
+  assertLoginAllowed: jest.fn(),
+  recordLoginFailure: jest.fn(),
+  recordLoginSuccess: jest.fn(),
+};
+
+// Redis is enabled but down: its connection never completes, so pending
+// states fall back to the in-memory store
+process.env.REDIS_ENABLED = "true";
+process.env.REDIS_CONNECT_TIMEOUT_MS = "50";
+
+const redisClient = {
+  isReady: false,
+  isOpen: false,
+  connectAttempts: 0,
+  on: () => {},
+  connect: () => {
+    redisClient.connectAttempts += 1;
+    redisClient.isOpen = true;
+    return new Promise(() => {});
+  },
+};
+let redisClientsCreated = 0;
+const createClient = () => {
+  redisClientsCreated += 1;
+  return redisClient;
+};
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("redis", () => ({ createClient }));
+jest.unstable_mockModule(
+  "../src/services/login-protection.service.js",
+  () => loginProtection
+);
+jest.unstable_mockModule("../src/services/refresh-token.service.js", () => ({
+  issueRefreshToken: jest.fn(),
+  rotateRefreshToken: jest.fn(),
+  revokeTokenFamily: jest.fn(),
+  revokeAllUserTokens: jest.fn(),
+}));
+jest.unstable_mockModule("../src/services/two-factor.service.js", () => ({
+  verifyTwoFactorCode: jest.fn(),
+}));
+jest.unstable_mockModule(
+  "../src/services/verification-token.service.js",
+  () => ({
+    issueVerificationToken: jest.fn(),
+    consumeVerificationToken: jest.fn(),
+  })
+);
+jest.unstable_mockModule("../src/services/notification.service.js", () => ({
+  notificationService: {},
+}));
+jest.unstable_mockModule("../src/services/audit.service.js", () => ({
+  recordAudit: jest.fn(),
+}));
+jest.unstable_mockModule("../src/services/referral.service.js", () => ({
+  referralService: {},
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const REDIRECT_URI = "http://localhost:3100/auth/oidc/callback";
+
+const mockIssuer = await startMockOidcIssuer({
+  port: 0,
+  sub: "oidc-user-1",
+  email: "sso.user@example.com",
+  groups: "staff",
+  log: () => {},
+});
+
+// Read once, on the first provider lookup
+process.env.OIDC_PROVIDERS = JSON.stringify([
+  {
+    id: "mock",
+    name: "Mock SSO",
+    issuer: mockIssuer.issuer,
+    clientId: "minispod",
+    redirectUri: REDIRECT_URI,
+    roleMapping: { admins: "ADMINISTRATOR", staff: "USER" },
+  },
+  {
+    id: "offline",
+    issuer: "http://127.0.0.1:1",
+    clientId: "minispod",
+  },
+]);
+
+const {
+  createAuthorizationRequest,
+  completeAuthorization,
+  linkIdentity,
+  resolveRole,
+  OIDC_PURPOSES,
+} = await import("../src/services/oidc.service.js");
+const { oidcLogin } = await import("../src/services/auth.service.js");
+
+/**
+ * Follow an authorization URL like a browser and read the code and state the
+ * issuer redirects back with
+ */
+const authorizeAtIssuer = async (authorizationUrl, userParams = {}) => {
+  const url = new URL(authorizationUrl);
+  for (const [key, value] of Object.entries(userParams)) {
+    url.searchParams.set(key, value);
+  }
+
+  const response = await fetch(url, { redirect: "manual" });
+  const location = new URL(response.headers.get("location"));
+
+  return {
+    code: location.searchParams.get("code"),
+    state: location.searchParams.get("state"),
+  };
+};
+
+const startFlow = async (options = { purpose: OIDC_PURPOSES.LOGIN }) => {
+  const request = await createAuthorizationRequest("mock", options);
+  return { request, params: await authorizeAtIssuer(request.authorizationUrl) };
+};
+
+afterAll(() => mockIssuer.close());
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("discovery", () => {
+  it("builds the authorization URL from the discovered endpoints", async () => {
+    const { authorizationUrl, state, expiresIn } =
+      await createAuthorizationRequest("mock", {
+        purpose: OIDC_PURPOSES.LOGIN,
+      });
+    const url = new URL(authorizationUrl);
+
+    expect(`${url.origin}${url.pathname}`).toBe(
+      `${mockIssuer.issuer}/authorize`
+    );
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      client_id: "minispod",
+      redirect_uri: REDIRECT_URI,
+      response_type: "code",
+      scope: "openid email profile",
+      state,
+      code_challenge_method: "S256",
+    });
+    expect(url.searchParams.get("code_challenge")).toBeTruthy();
+    expect(url.searchParams.get("nonce")).toBeTruthy();
+    expect(expiresIn).toBe(600);
+  });
+
+  it("reports an unreachable issuer as unavailable", async () => {
+    await expect(
+      createAuthorizationRequest("offline", { purpose: OIDC_PURPOSES.LOGIN })
+    ).rejects.toMatchObject({ code: "OIDC_PROVIDER_UNAVAILABLE" });
+  });
+
+  it("rejects unknown providers", async () => {
+    await expect(
+      createAuthorizationRequest("missing", { purpose: OIDC_PURPOSES.LOGIN })
+    ).rejects.toMatchObject({ code: "OIDC_PROVIDER_NOT_FOUND" });
+  });
+});
+
+describe("code exchange", () => {
+  it("returns the verified ID token claims merged with userinfo", async () => {
+    const { params } = await startFlow();
+
+    const { provider, claims } = await completeAuthorization("mock", params, {
+      purpose: OIDC_PURPOSES.LOGIN,
+    });
+
+    expect(provider.id).toBe("mock");
+    expect(claims).toMatchObject({
+      iss: mockIssuer.issuer,
+      aud: "minispod",
+      sub: "oidc-user-1",
+      email: "sso.user@example.com",
+      email_verified: true,
+      groups: ["staff"],
+    });
+  });
+
+  it("accepts each state only once", async () => {
+    const { params } = await startFlow();
+    await completeAuthorization("mock", params, {
+      purpose: OIDC_PURPOSES.LOGIN,
+    });
+
+    await expect(
+      completeAuthorization("mock", params, { purpose: OIDC_PURPOSES.LOGIN })
+    ).rejects.toMatchObject({ code: "INVALID_OIDC_STATE" });
+  });
+
+  it("rejects a state issued for a different purpose or user", async () => {
+    const login = await startFlow();
+    await expect(
+      completeAuthorization("mock", login.params, {
+        purpose: OIDC_PURPOSES.LINK,
+        userId: "user-1",
+      })
+    ).rejects.toMatchObject({ code: "INVALID_OIDC_STATE" });
+
+    const link = await startFlow({
+      purpose: OIDC_PURPOSES.LINK,
+      userId: "user-1",
+    });
+    await expect(
+      completeAuthorization("mock", link.params, {
+        purpose: OIDC_PURPOSES.LINK,
+        userId: "user-2",
+      })
+    ).rejects.toMatchObject({ code: "INVALID_OIDC_STATE" });
+  });
+
+  it("rejects an unknown state", async () => {
+    const { params } = await startFlow();
+
+    await expect(
+      completeAuthorization(
+        "mock",
+        { ...params, state: "forged-state" },
+        { purpose: OIDC_PURPOSES.LOGIN }
+      )
+    ).rejects.toMatchObject({ code: "INVALID_OIDC_STATE" });
+  });
+
+  it("fails when the code was issued for another PKCE challenge", async () => {
+    const first = await startFlow();
+    const second = await startFlow();
+
+    // Code from the first request, code_verifier from the second one's state
+    await expect(
+      completeAuthorization(
+        "mock",
+        { code: first.params.code, state: second.params.state },
+        { purpose: OIDC_PURPOSES.LOGIN }
+      )
+    ).rejects.toMatchObject({ code: "OIDC_AUTHENTICATION_FAILED" });
+  });
+});
+
+describe("state store while Redis is unreachable", () => {
+  it("completes the flow without waiting on Redis", async () => {
+    const { params } = await startFlow();
+
+    await expect(
+      completeAuthorization("mock", params, { purpose: OIDC_PURPOSES.LOGIN })
+    ).resolves.toMatchObject({ provider: { id: "mock" } });
+
+    // One client, connected once, shared by every state lookup
+    expect(redisClientsCreated).toBe(1);
+    expect(redisClient.connectAttempts).toBe(1);
+  });
+});
+
+describe("resolveRole", () => {
+  const provider = (roleMapping, roleClaim = "groups") => ({
+    roleClaim,
+    roleMapping,
+  });
+
+  it("returns null without a role mapping", () => {
+    expect(resolveRole(provider({}), { groups: ["admins"] })).toBeNull();
+  });
+
+  it("maps claim values to roles", () => {
+    const mapping = provider({ admins: "ADMINISTRATOR", staff: "USER" });
+
+    expect(resolveRole(mapping, { groups: ["admins"] })).toBe("ADMINISTRATOR");
+    expect(resolveRole(mapping, { groups: ["staff"] })).toBe("USER");
+  });
+
+  it("gives the highest role when several values match", () => {
+    const mapping = provider({ staff: "USER", admins: "ADMINISTRATOR" });
+
+    expect(resolveRole(mapping, { groups: ["staff", "admins"] })).toBe(
+      "ADMINISTRATOR"
+    );
+  });
+
+  it("falls back to the default role when nothing matches", () => {
+    const mapping = provider({ admins: "ADMINISTRATOR" });
+
+    expect(resolveRole(mapping, { groups: ["sales"] })).toBe("USER");
+    expect(resolveRole(mapping, {})).toBe("USER");
+  });
+
+  it("reads dotted claim paths and single string values", () => {
+    expect(
+      resolveRole(
+        provider({ "paas-admin": "ADMINISTRATOR" }, "realm_access.roles"),
+        { realm_access: { roles: ["offline_access", "paas-admin"] } }
+      )
+    ).toBe("ADMINISTRATOR");
+    expect(
+      resolveRole(provider({ admin: "ADMINISTRATOR" }, "role"), {
+        role: "admin",
+      })
+    ).toBe("ADMINISTRATOR");
+  });
+});
+
+describe("linkIdentity", () => {
+  const linkFlow = async (userId) =>
+    (await startFlow({ purpose: OIDC_PURPOSES.LINK, userId })).params;
+
+  it("links the provider account to the signed-in user", async () => {
+    prisma.userIdentity.findUnique.mockResolvedValue(null);
+    prisma.userIdentity.create.mockResolvedValue({
+      id: "identity-1",
+      provider: "mock",
+      email: "sso.user@example.com",
+    });
+
+    const identity = await linkIdentity(
+      "user-1",
+      "mock",
+      await linkFlow("user-1")
+    );
+
+    expect(prisma.userIdentity.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: {
+          userId: "user-1",
+          provider: "mock",
+          subject: "oidc-user-1",
+          email: "sso.user@example.com",
+        },
+      })
+    );
+    expect(identity.providerName).toBe("Mock SSO");
+  });
+
+  it("refuses a provider account linked to another user", async () => {
+    prisma.userIdentity.findUnique
+      .mockResolvedValueOnce({ id: "identity-2", userId: "user-2" })
+      .mockResolvedValueOnce(null);
+
+    await expect(
+      linkIdentity("user-1", "mock", await linkFlow("user-1"))
+    ).rejects.toMatchObject({
+      code: "IDENTITY_ALREADY_LINKED",
+      message: "This account is already linked to another user",
+    });
+    expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+  });
+
+  it("refuses linking the same account twice", async () => {
+    prisma.userIdentity.findUnique
+      .mockResolvedValueOnce({ id: "identity-1", userId: "user-1" })
+      .mockResolvedValueOnce({ id: "identity-1", userId: "user-1" });
+
+    await expect(
+      linkIdentity("user-1", "mock", await linkFlow("user-1"))
+    ).rejects.toMatchObject({
+      code: "IDENTITY_ALREADY_LINKED",
+      message: "This account is already linked",
+    });
+  });
+
+  it("refuses a second account from the same provider", async () => {
+    prisma.userIdentity.findUnique
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: "identity-3", userId: "user-1" });
+
+    await expect(
+      linkIdentity("user-1", "mock", await linkFlow("user-1"))
+    ).rejects.toMatchObject({
+      code: "IDENTITY_ALREADY_LINKED",
+      message:
+        "Another account from this provider is already linked. Unlink it first.",
+    });
+    expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("oidcLogin", () => {
+  it("refuses to sign in to an existing account that is not linked", async () => {
+    prisma.userIdentity.findUnique.mockResolvedValue(null);
+    prisma.user.findUnique.mockResolvedValue({
+      id: "user-1",
+      email: "sso.user@example.com",
+    });
+
+    const { params } = await startFlow();
+
+    await expect(oidcLogin("mock", params)).rejects.toMatchObject({
+      code: "OIDC_ACCOUNT_NOT_LINKED",
+    });
+    expect(prisma.user.findUnique).toHaveBeenCalledWith({
+      where: { email: "sso.user@example.com" },
+    });
+    expect(prisma.user.create).not.toHaveBeenCalled();
+    expect(loginProtection.recordLoginFailure).not.toHaveBeenCalled();
+  });
+
+  it("counts a forged state as a failed sign-in", async () => {
+    const { params } = await startFlow();
+
+    await expect(
+      oidcLogin(
+        "mock",
+        { ...params, state: "forged-state" },
+        { ipAddress: "203.0.113.7" }
+      )
+    ).rejects.toMatchObject({ code: "INVALID_OIDC_STATE" });
+    expect(loginProtection.recordLoginFailure).toHaveBeenCalledWith({
+      ipAddress: "203.0.113.7",
+    });
+  });
+});
@@ -0,0 +1,239 @@
+import { jest } from "@jest/globals";
+
+const prisma = {
+  serviceInstance: { findUnique: jest.fn() },
+  usageMetric: { create: jest.fn() },
+};
+
+const k8sConfig = {
+  isReady: jest.fn(),
+  getCoreV1Api: jest.fn(),
+  getMetricsV1beta1Api: jest.fn(),
+};
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("@prisma/client", () => ({
+  PodStatus: { RUNNING: "RUNNING", FAILED: "FAILED" },
+}));
+jest.unstable_mockModule("../src/config/kubernetes.js", () => ({
+  getKubernetesConfig: () => k8sConfig,
+  kubernetesUtils: {},
+}));
+jest.unstable_mockModule("../src/jobs/queue.manager.js", () => ({
+  default: { addJob: jest.fn() },
+}));
+jest.unstable_mockModule("../src/jobs/notification.jobs.js", () => ({
+  notificationJobs: {},
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { collectPodUsage } = await import("../src/services/pod.service.js");
+const { podJobs } = await import("../src/jobs/pod.jobs.js");
+
+const serviceInstance = {
+  id: "instance-1",
+  namespace: "user-1",
+  credentials: { deployment: "n8n-abc" },
+  volumeClaimName: "n8n-abc-data",
+};
+
+const runningPod = {
+  metadata: { name: "n8n-abc-7d9f" },
+  status: { phase: "Running" },
+  spec: {
+    nodeName: "node-1",
+    containers: [
+      {
+        name: "n8n",
+        resources: { requests: { cpu: "500m", memory: "512Mi" } },
+      },
+    ],
+  },
+};
+
+const fakeCoreV1Api = ({ pods = [runningPod], summary = null } = {}) => ({
+  listNamespacedPod: jest.fn().mockResolvedValue({ body: { items: pods } }),
+  connectGetNodeProxyWithPath: summary
+    ? jest.fn().mockResolvedValue({ body: JSON.stringify(summary) })
+    : jest.fn().mockRejectedValue(new Error("proxy forbidden")),
+});
+
+const fakeMetricsApi = (containers) => ({
+  getNamespacedCustomObject: containers
+    ? jest.fn().mockResolvedValue({ body: { containers } })
+    : jest.fn().mockRejectedValue(new Error("metrics.k8s.io not found")),
+});
+
+const nodeSummary = {
+  pods: [
+    {
+      podRef: { name: "n8n-abc-7d9f", namespace: "user-1" },
+      network: { rxBytes: 10 * 1024 * 1024, txBytes: 5 * 1024 * 1024 },
+      volume: [
+        { pvcRef: { name: "other-claim" }, usedBytes: 1 },
+        { pvcRef: { name: "n8n-abc-data" }, usedBytes: 256 * 1024 * 1024 },
+      ],
+    },
+  ],
+};
+
+const runCollectMetrics = () =>
+  podJobs.collectMetrics({
+    data: { serviceInstanceId: "instance-1", subscriptionId: "sub-1" },
+  });
+
+const recordedRow = () => prisma.usageMetric.create.mock.calls[0][0].data;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.serviceInstance.findUnique.mockResolvedValue(serviceInstance);
+  k8sConfig.isReady.mockReturnValue(true);
+});
+
+describe("collectPodUsage", () => {
+  it("reads CPU/memory from metrics-server and storage/network from the kubelet", async () => {
+    const coreV1Api = fakeCoreV1Api({ summary: nodeSummary });
+    const metricsApi = fakeMetricsApi([
+      { name: "n8n", usage: { cpu: "250000000n", memory: "262144Ki" } },
+    ]);
+
+    const usage = await collectPodUsage(serviceInstance, {
+      coreV1Api,
+      metricsApi,
+    });
+
+    expect(coreV1Api.listNamespacedPod).toHaveBeenCalledWith(
+      "user-1",
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      "app=n8n-abc"
+    );
+    expect(metricsApi.getNamespacedCustomObject).toHaveBeenCalledWith(
+      "metrics.k8s.io",
+      "v1beta1",
+      "user-1",
+      "pods",
+      "n8n-abc-7d9f"
+    );
+    expect(coreV1Api.connectGetNodeProxyWithPath).toHaveBeenCalledWith(
+      "node-1",
+      "stats/summary"
+    );
+    expect(usage).toEqual({
+      podName: "n8n-abc-7d9f",
+      metricsAvailable: true,
+      cpuUsage: "0.250",
+      memUsage: "256.00",
+      storageUsage: "256.00",
+      networkIn: "10.00",
+      networkOut: "5.00",
+    });
+  });
+
+  it("returns null when no pod is running", async () => {
+    const coreV1Api = fakeCoreV1Api({
+      pods: [{ ...runningPod, status: { phase: "Pending" } }],
+    });
+
+    await expect(
+      collectPodUsage(serviceInstance, { coreV1Api })
+    ).resolves.toBeNull();
+  });
+});
+
+describe("podJobs.collectMetrics", () => {
+  it("records the collected usage", async () => {
+    k8sConfig.getCoreV1Api.mockReturnValue(
+      fakeCoreV1Api({ summary: nodeSummary })
+    );
+    k8sConfig.getMetricsV1beta1Api.mockReturnValue(
+      fakeMetricsApi([
+        { name: "n8n", usage: { cpu: "100000000n", memory: "131072Ki" } },
+      ])
+    );
+
+    const result = await runCollectMetrics();
+
+    expect(result.success).toBe(true);
+    expect(prisma.usageMetric.create).toHaveBeenCalledTimes(1);
+    expect(recordedRow()).toEqual({
+      subscriptionId: "sub-1",
+      metricsAvailable: true,
+      cpuUsage: "0.100",
+      memUsage: "128.00",
+      storageUsage: "256.00",
+      networkIn: "10.00",
+      networkOut: "5.00",
+      recordedAt: expect.any(Date),
+    });
+  });
+
+  it("records nulls for values the metrics API and kubelet cannot provide", async () => {
+    k8sConfig.getCoreV1Api.mockReturnValue(fakeCoreV1Api());
+    k8sConfig.getMetricsV1beta1Api.mockReturnValue(fakeMetricsApi(null));
+
+    await runCollectMetrics();
+
+    expect(recordedRow()).toEqual({
+      subscriptionId: "sub-1",
+      metricsAvailable: false,
+      cpuUsage: null,
+      memUsage: null,
+      storageUsage: null,
+      networkIn: null,
+      networkOut: null,
+      recordedAt: expect.any(Date),
+    });
+  });
+
+  it("records a no-data sample when the Kubernetes client is not ready", async () => {
+    k8sConfig.isReady.mockReturnValue(false);
+
+    const result = await runCollectMetrics();
+
+    expect(result.success).toBe(true);
+    expect(k8sConfig.getCoreV1Api).not.toHaveBeenCalled();
+    expect(recordedRow()).toEqual({
+      subscriptionId: "sub-1",
+      metricsAvailable: false,
+      cpuUsage: null,
+      memUsage: null,
+      storageUsage: null,
+      networkIn: null,
+      networkOut: null,
+      recordedAt: expect.any(Date),
+    });
+  });
+
+  it("records a no-data sample when pods cannot be listed", async () => {
+    k8sConfig.getCoreV1Api.mockReturnValue({
+      listNamespacedPod: jest.fn().mockRejectedValue(new Error("ECONNREFUSED")),
+    });
+
+    await runCollectMetrics();
+
+    expect(recordedRow()).toMatchObject({
+      metricsAvailable: false,
+      cpuUsage: null,
+      memUsage: null,
+    });
+  });
+
+  it("records nothing when the pod is not running", async () => {
+    k8sConfig.getCoreV1Api.mockReturnValue(fakeCoreV1Api({ pods: [] }));
+
+    const result = await runCollectMetrics();
+
+    expect(result).toEqual({ success: false, reason: "Pod not running" });
+    expect(prisma.usageMetric.create).not.toHaveBeenCalled();
+  });
+});
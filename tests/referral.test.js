@@ -0,0 +1,284 @@
+import { jest } from "@jest/globals";
+
+const tx = {
+  referral: { findFirst: jest.fn(), updateMany: jest.fn() },
+  userBalance: { findUnique: jest.fn() },
+};
+
+const prisma = {
+  referral: { findUnique: jest.fn(), updateMany: jest.fn(), count: jest.fn() },
+  userSession: { findMany: jest.fn() },
+  transaction: { create: jest.fn() },
+};
+
+const balanceService = {
+  getUserBalance: jest.fn(),
+  addCredit: jest.fn(),
+  deductCredit: jest.fn(),
+};
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/services/billing.service.js", () => ({
+  balanceService,
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { referralService } = await import("../src/services/referral.service.js");
+
+const rewardedReferral = {
+  id: "referral-1",
+  referrerId: "referrer-1",
+  referredUserId: "referred-1",
+  status: "REWARDED",
+  qualifyingSubscriptionId: "sub-1",
+  referrerReward: "25000",
+  referredReward: "25000",
+};
+
+const walletBalances = (balances) =>
+  tx.userBalance.findUnique.mockImplementation(async ({ where }) =>
+    where.userId in balances ? { balance: balances[where.userId] } : null
+  );
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  tx.referral.findFirst.mockResolvedValue(rewardedReferral);
+  tx.referral.updateMany.mockResolvedValue({ count: 1 });
+  walletBalances({ "referrer-1": "100000", "referred-1": "100000" });
+});
+
+describe("referralService.reverseRewards", () => {
+  it("takes back both rewards when the qualifying subscription is refunded", async () => {
+    const result = await referralService.reverseRewards("sub-1", tx);
+
+    expect(tx.referral.updateMany).toHaveBeenCalledWith({
+      where: { id: "referral-1", status: "REWARDED" },
+      data: { status: "REVERSED", reversedAt: expect.any(Date) },
+    });
+    expect(
+      balanceService.deductCredit.mock.calls.map((call) => call[0])
+    ).toEqual(["referrer-1", "referred-1"]);
+    expect(balanceService.deductCredit).toHaveBeenCalledWith(
+      "referrer-1",
+      25000,
+      expect.any(String),
+      "referral-1",
+      "referral",
+      null,
+      tx
+    );
+    expect(result).toEqual({ referralId: "referral-1", reclaimed: 50000 });
+  });
+
+  it("takes back a spent reward only up to the remaining balance", async () => {
+    walletBalances({ "referrer-1": "10000", "referred-1": "100000" });
+
+    const result = await referralService.reverseRewards("sub-1", tx);
+
+    expect(balanceService.deductCredit.mock.calls[0][1]).toBe(10000);
+    expect(result.reclaimed).toBe(35000);
+  });
+
+  it("closes a referral under review without touching balances", async () => {
+    tx.referral.findFirst.mockResolvedValue({
+      ...rewardedReferral,
+      status: "UNDER_REVIEW",
+    });
+
+    await referralService.reverseRewards("sub-1", tx);
+
+    expect(tx.referral.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { id: "referral-1", status: "UNDER_REVIEW" },
+      })
+    );
+    expect(balanceService.deductCredit).not.toHaveBeenCalled();
+  });
+
+  it("does nothing when no referral qualified with the subscription", async () => {
+    tx.referral.findFirst.mockResolvedValue(null);
+
+    await expect(referralService.reverseRewards("sub-2", tx)).resolves.toBe(
+      null
+    );
+    expect(tx.referral.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("referralService.processQualifyingPurchase", () => {
+  const pendingReferral = {
+    id: "referral-1",
+    referrerId: "referrer-1",
+    referredUserId: "referred-1",
+    status: "PENDING",
+    signupIp: "198.51.100.7",
+    signupUserAgent: "Firefox",
+  };
+
+  const sessions = (byUser) =>
+    prisma.userSession.findMany.mockImplementation(
+      async ({ where }) => byUser[where.userId] || []
+    );
+
+  beforeEach(() => {
+    prisma.referral.findUnique.mockImplementation(async ({ where }) =>
+      where.referredUserId
+        ? pendingReferral
+        : {
+            ...pendingReferral,
+            ...prisma.referral.updateMany.mock.calls[0][0].data,
+            referrer: { id: "referrer-1", name: "Referrer" },
+            referredUser: { id: "referred-1", name: "Referred" },
+          }
+    );
+    prisma.referral.updateMany.mockResolvedValue({ count: 1 });
+    prisma.referral.count.mockResolvedValue(0);
+    sessions({
+      "referrer-1": [{ ipAddress: "203.0.113.1", userAgent: "Safari" }],
+    });
+  });
+
+  it("rewards both users when nothing links the accounts", async () => {
+    const referral = await referralService.processQualifyingPurchase(
+      "referred-1",
+      "sub-1"
+    );
+
+    expect(prisma.referral.updateMany).toHaveBeenCalledWith({
+      where: { id: "referral-1", status: "PENDING" },
+      data: expect.objectContaining({
+        status: "REWARDED",
+        fraudSignals: [],
+        qualifyingSubscriptionId: "sub-1",
+        rewardedAt: expect.any(Date),
+      }),
+    });
+    expect(referral.status).toBe("REWARDED");
+    expect(
+      balanceService.addCredit.mock.calls.map((call) => call.slice(0, 2))
+    ).toEqual([
+      ["referrer-1", 25000],
+      ["referred-1", 25000],
+    ]);
+    expect(prisma.transaction.create).toHaveBeenCalledTimes(2);
+  });
+
+  it.each([
+    [
+      "the same IP address",
+      { ipAddress: "198.51.100.7", userAgent: "Safari" },
+      ["SAME_IP"],
+    ],
+    [
+      "the same browser",
+      { ipAddress: "203.0.113.1", userAgent: "Firefox" },
+      ["SAME_DEVICE"],
+    ],
+  ])(
+    "holds the rewards for review when both accounts used %s",
+    async (_, referrerSession, fraudSignals) => {
+      sessions({ "referrer-1": [referrerSession] });
+
+      const referral = await referralService.processQualifyingPurchase(
+        "referred-1",
+        "sub-1"
+      );
+
+      expect(referral).toMatchObject({ status: "UNDER_REVIEW", fraudSignals });
+      expect(
+        prisma.referral.updateMany.mock.calls[0][0].data
+      ).not.toHaveProperty("rewardedAt");
+      expect(balanceService.addCredit).not.toHaveBeenCalled();
+    }
+  );
+
+  it("holds the rewards when another referral signed up from the same IP", async () => {
+    prisma.referral.count.mockResolvedValue(1);
+
+    const referral = await referralService.processQualifyingPurchase(
+      "referred-1",
+      "sub-1"
+    );
+
+    expect(referral.fraudSignals).toEqual(["SHARED_SIGNUP_IP"]);
+    expect(balanceService.addCredit).not.toHaveBeenCalled();
+  });
+
+  it("pays nothing when a concurrent purchase qualified the referral first", async () => {
+    prisma.referral.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(
+      referralService.processQualifyingPurchase("referred-1", "sub-2")
+    ).resolves.toBe(null);
+    expect(balanceService.addCredit).not.toHaveBeenCalled();
+  });
+
+  it("ignores users whose referral already qualified", async () => {
+    prisma.referral.findUnique.mockResolvedValue({
+      ...pendingReferral,
+      status: "REWARDED",
+    });
+
+    await expect(
+      referralService.processQualifyingPurchase("referred-1", "sub-2")
+    ).resolves.toBe(null);
+    expect(prisma.referral.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("referral review", () => {
+  const reviewedReferral = {
+    ...rewardedReferral,
+    referrer: { id: "referrer-1", name: "Referrer" },
+    referredUser: { id: "referred-1", name: "Referred" },
+  };
+
+  beforeEach(() => {
+    prisma.referral.updateMany.mockResolvedValue({ count: 1 });
+    prisma.referral.findUnique.mockResolvedValue(reviewedReferral);
+  });
+
+  it("pays both rewards when an admin approves a held referral", async () => {
+    await referralService.approveReferral("referral-1", "admin-1", "Siblings");
+
+    expect(prisma.referral.updateMany).toHaveBeenCalledWith({
+      where: { id: "referral-1", status: "UNDER_REVIEW" },
+      data: expect.objectContaining({
+        status: "REWARDED",
+        reviewedById: "admin-1",
+        reviewNote: "Siblings",
+      }),
+    });
+    expect(balanceService.addCredit).toHaveBeenCalledTimes(2);
+  });
+
+  it("pays nothing when an admin rejects a held referral", async () => {
+    await referralService.rejectReferral(
+      "referral-1",
+      "admin-1",
+      "Same person"
+    );
+
+    expect(prisma.referral.updateMany).toHaveBeenCalledWith({
+      where: { id: "referral-1", status: "UNDER_REVIEW" },
+      data: expect.objectContaining({ status: "REJECTED" }),
+    });
+    expect(balanceService.addCredit).not.toHaveBeenCalled();
+  });
+
+  it("refuses to review a referral twice", async () => {
+    prisma.referral.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(
+      referralService.approveReferral("referral-1", "admin-1")
+    ).rejects.toThrow("Referral awaiting review not found");
+    expect(balanceService.addCredit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,291 @@
+import { jest } from "@jest/globals";
+
+const tx = {
+  subscription: { updateMany: jest.fn(), findUnique: jest.fn() },
+  serviceCatalog: { update: jest.fn() },
+  subscriptionPause: { updateMany: jest.fn() },
+  invoice: { findMany: jest.fn() },
+};
+
+const prisma = {
+  subscription: { findFirst: jest.fn(), findUnique: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+const balanceService = {
+  getUserBalance: jest.fn(),
+  deductCredit: jest.fn(),
+  notifyLowBalance: jest.fn(),
+};
+
+const couponService = {
+  quoteSubscriptionDiscount: jest.fn(),
+  getRenewalDiscount: jest.fn(() => null),
+  getCouponEndsAt: jest.fn(() => null),
+  redeem: jest.fn(),
+  releaseRedemption: jest.fn(),
+};
+
+const creditNoteService = { issueRefund: jest.fn() };
+const invoiceService = { generateInvoice: jest.fn() };
+const transactionService = { createServicePurchaseTransaction: jest.fn() };
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/services/billing.service.js", () => ({
+  balanceService,
+  creditNoteService,
+  invoiceService,
+  transactionService,
+}));
+jest.unstable_mockModule("../src/services/coupon.service.js", () => ({
+  couponService,
+}));
+const referralService = {
+  processQualifyingPurchase: jest.fn(),
+  reverseRewards: jest.fn(),
+};
+
+jest.unstable_mockModule("../src/services/referral.service.js", () => ({
+  referralService,
+}));
+jest.unstable_mockModule("../src/services/tax.service.js", () => ({
+  taxService: {
+    quoteTax: jest.fn(async (amount) => ({
+      netAmount: amount,
+      taxAmount: 0,
+      grossAmount: amount,
+      taxRate: 0,
+      taxInclusive: false,
+    })),
+  },
+}));
+jest.unstable_mockModule("../src/services/pod.service.js", () => ({
+  createPod: jest.fn(),
+  deletePod: jest.fn(),
+  startPod: jest.fn(),
+  stopPod: jest.fn(),
+}));
+jest.unstable_mockModule("../src/jobs/notification.jobs.js", () => ({
+  notificationJobs: {},
+}));
+jest.unstable_mockModule("../src/services/webhook.service.js", () => ({
+  dispatchEvent: jest.fn(),
+}));
+jest.unstable_mockModule("../src/services/settings.service.js", () => ({
+  getLifecycleSettings: jest.fn(),
+  getPauseSettings: jest.fn(),
+  getSetting: jest.fn(),
+  SETTING_KEYS: {},
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { cancelSubscription } = await import(
+  "../src/services/subscription.service.js"
+);
+
+const subscription = {
+  id: "sub-1",
+  userId: "user-1",
+  status: "ACTIVE",
+  expiresAt: new Date("2026-11-01T00:00:00Z"),
+  service: { displayName: "n8n", monthlyPrice: "100000" },
+  serviceInstance: null,
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.subscription.findFirst.mockResolvedValue({
+    ...subscription,
+    serviceId: "service-1",
+    organizationId: null,
+    service: { ...subscription.service, availableQuota: 10 },
+  });
+  tx.subscription.updateMany.mockResolvedValue({ count: 1 });
+  tx.subscription.findUnique.mockResolvedValue({ id: "sub-1" });
+  tx.invoice.findMany.mockResolvedValue([]);
+});
+
+describe("cancelSubscription", () => {
+  it("cancels only a subscription that is still held", async () => {
+    await cancelSubscription("sub-1", "user-1");
+
+    expect(tx.subscription.updateMany).toHaveBeenCalledWith({
+      where: { id: "sub-1", status: { in: ["ACTIVE", "TRIALING", "PAUSED"] } },
+      data: expect.objectContaining({ status: "CANCELLED" }),
+    });
+    expect(tx.serviceCatalog.update).toHaveBeenCalledWith({
+      where: { id: "service-1" },
+      data: { availableQuota: { increment: 1 } },
+    });
+  });
+
+  it("restores no quota and refunds nothing when another request cancelled first", async () => {
+    tx.subscription.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(
+      cancelSubscription("sub-1", "user-1", null, { refund: true })
+    ).rejects.toThrow("Active subscription not found");
+
+    expect(tx.serviceCatalog.update).not.toHaveBeenCalled();
+    expect(tx.invoice.findMany).not.toHaveBeenCalled();
+    expect(creditNoteService.issueRefund).not.toHaveBeenCalled();
+  });
+});
+
+describe("cancelSubscription refund", () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const now = new Date("2026-10-16T00:00:00Z");
+
+  const paidInvoice = (amount, periodStart, periodEnd, credited = []) => ({
+    id: `invoice-${periodStart.slice(0, 10)}`,
+    amount: String(amount),
+    periodStart: new Date(periodStart),
+    periodEnd: new Date(periodEnd),
+    creditNotes: credited.map((credit) => ({ amount: String(credit) })),
+  });
+
+  const cancelWith = async (invoices, overrides = {}) => {
+    prisma.subscription.findFirst.mockResolvedValue({
+      ...subscription,
+      serviceId: "service-1",
+      organizationId: null,
+      service: { ...subscription.service, availableQuota: null },
+      ...overrides,
+    });
+    tx.invoice.findMany.mockResolvedValue(invoices);
+
+    const cancelled = await cancelSubscription("sub-1", "user-1", null, {
+      refund: true,
+    });
+    return cancelled.refund;
+  };
+
+  beforeAll(() => {
+    jest.useFakeTimers({ now, doNotFake: ["nextTick", "setImmediate"] });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    creditNoteService.issueRefund.mockResolvedValue({
+      id: "credit-note-1",
+      invoiceNumber: "CN-2026-000001",
+    });
+  });
+
+  it("loads the paid invoices whose period has not ended in the transaction", async () => {
+    await cancelWith([]);
+
+    expect(tx.invoice.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: {
+          subscriptionId: "sub-1",
+          type: "SUBSCRIPTION",
+          status: "PAID",
+          periodEnd: { gt: now },
+        },
+      })
+    );
+  });
+
+  it("prorates the amount paid over the invoiced period", async () => {
+    // 30-day period with 15 days left, paid 88800 after a coupon and with PPN
+    const refund = await cancelWith([
+      paidInvoice(88800, "2026-10-01T00:00:00Z", "2026-10-31T00:00:00Z"),
+    ]);
+
+    expect(refund).toMatchObject({
+      amount: 44400,
+      remainingDays: 15,
+      totalDays: 30,
+      periodEnd: new Date("2026-10-31T00:00:00Z"),
+      status: "CREDITED",
+    });
+    expect(creditNoteService.issueRefund).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amount: 44400,
+        subscriptionId: "sub-1",
+        originalInvoiceId: "invoice-2026-10-01",
+      }),
+      tx
+    );
+  });
+
+  it("does not pay out days added after the paid period", async () => {
+    // Pause credit moved expiresAt 20 days past the invoiced period
+    const refund = await cancelWith(
+      [paidInvoice(90000, "2026-09-20T00:00:00Z", "2026-10-20T00:00:00Z")],
+      { expiresAt: new Date("2026-11-09T00:00:00Z") }
+    );
+
+    expect(refund.amount).toBe(12000); // 4 of 30 days
+    expect(refund.periodEnd).toEqual(new Date("2026-10-20T00:00:00Z"));
+  });
+
+  it("refunds a period renewed in advance in full", async () => {
+    const refund = await cancelWith([
+      paidInvoice(60000, "2026-10-01T00:00:00Z", "2026-10-31T00:00:00Z"),
+      paidInvoice(60000, "2026-10-31T00:00:00Z", "2026-11-30T00:00:00Z"),
+    ]);
+
+    expect(refund.amount).toBe(30000 + 60000);
+    expect(refund.remainingDays).toBe(15 + 30);
+    expect(refund.creditNotes).toHaveLength(2);
+  });
+
+  it("takes back referral rewards earned with the refunded subscription", async () => {
+    await cancelWith([
+      paidInvoice(60000, "2026-10-01T00:00:00Z", "2026-10-31T00:00:00Z"),
+    ]);
+
+    expect(referralService.reverseRewards).toHaveBeenCalledWith("sub-1", tx);
+  });
+
+  it("issues one credit note per invoice, each within that invoice", async () => {
+    await cancelWith([
+      paidInvoice(60000, "2026-10-01T00:00:00Z", "2026-10-31T00:00:00Z", [
+        50000,
+      ]),
+      paidInvoice(60000, "2026-10-31T00:00:00Z", "2026-11-30T00:00:00Z"),
+    ]);
+
+    expect(
+      creditNoteService.issueRefund.mock.calls.map(([refund]) => [
+        refund.originalInvoiceId,
+        refund.amount,
+      ])
+    ).toEqual([
+      ["invoice-2026-10-01", 10000],
+      ["invoice-2026-10-31", 60000],
+    ]);
+  });
+
+  it("caps the refund at what has not been credited yet", async () => {
+    const refund = await cancelWith([
+      paidInvoice(90000, "2026-10-01T00:00:00Z", "2026-10-31T00:00:00Z", [
+        60000,
+      ]),
+    ]);
+
+    expect(refund.amount).toBe(30000);
+  });
+
+  it("refunds nothing for time that was never invoiced", async () => {
+    const refund = await cancelWith([], {
+      status: "ACTIVE",
+      expiresAt: new Date(now.getTime() + 30 * DAY_MS),
+    });
+
+    expect(refund).toMatchObject({ amount: 0, status: "NONE" });
+    expect(creditNoteService.issueRefund).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,201 @@
+import { jest } from "@jest/globals";
+
+const tx = {
+  subscription: { updateMany: jest.fn() },
+};
+
+const prisma = {
+  subscription: { findFirst: jest.fn(), findUnique: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+const balanceService = {
+  getUserBalance: jest.fn(),
+  deductCredit: jest.fn(),
+  notifyLowBalance: jest.fn(),
+};
+
+const couponService = {
+  quoteSubscriptionDiscount: jest.fn(),
+  getRenewalDiscount: jest.fn(() => null),
+  getCouponEndsAt: jest.fn(() => null),
+  redeem: jest.fn(),
+  releaseRedemption: jest.fn(),
+};
+
+const invoiceService = { generateInvoice: jest.fn() };
+const transactionService = { createServicePurchaseTransaction: jest.fn() };
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/services/billing.service.js", () => ({
+  balanceService,
+  creditNoteService: {},
+  invoiceService,
+  transactionService,
+}));
+jest.unstable_mockModule("../src/services/coupon.service.js", () => ({
+  couponService,
+}));
+jest.unstable_mockModule("../src/services/referral.service.js", () => ({
+  referralService: { processQualifyingPurchase: jest.fn() },
+}));
+jest.unstable_mockModule("../src/services/tax.service.js", () => ({
+  taxService: {
+    quoteTax: jest.fn(async (amount) => ({
+      netAmount: amount,
+      taxAmount: 0,
+      grossAmount: amount,
+      taxRate: 0,
+      taxInclusive: false,
+    })),
+  },
+}));
+jest.unstable_mockModule("../src/services/pod.service.js", () => ({
+  createPod: jest.fn(),
+  deletePod: jest.fn(),
+  startPod: jest.fn(),
+  stopPod: jest.fn(),
+}));
+jest.unstable_mockModule("../src/jobs/notification.jobs.js", () => ({
+  notificationJobs: {},
+}));
+jest.unstable_mockModule("../src/services/webhook.service.js", () => ({
+  dispatchEvent: jest.fn(),
+}));
+jest.unstable_mockModule("../src/services/settings.service.js", () => ({
+  getLifecycleSettings: jest.fn(),
+  getPauseSettings: jest.fn(),
+  getSetting: jest.fn(),
+  SETTING_KEYS: {},
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { renewSubscription } = await import(
+  "../src/services/subscription.service.js"
+);
+
+const expiresAt = new Date("2026-11-01T00:00:00Z");
+
+const subscription = {
+  id: "sub-1",
+  userId: "user-1",
+  status: "ACTIVE",
+  expiresAt,
+  billingCycle: "MONTHLY",
+  trialEndsAt: null,
+  trialConvertedAt: null,
+  service: { displayName: "n8n", monthlyPrice: "100000" },
+  serviceInstance: null,
+  coupon: null,
+  user: { id: "user-1", name: "User", email: "user@example.com" },
+};
+
+const charge = { transaction: { id: "balance-tx-1" } };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  prisma.subscription.findFirst.mockResolvedValue(subscription);
+  prisma.subscription.findUnique.mockResolvedValue({
+    ...subscription,
+    expiresAt: new Date("2026-12-01T00:00:00Z"),
+  });
+  balanceService.getUserBalance.mockResolvedValue({ balance: 500000 });
+  balanceService.deductCredit.mockResolvedValue(charge);
+  invoiceService.generateInvoice.mockResolvedValue({ id: "invoice-1" });
+  tx.subscription.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe("renewSubscription", () => {
+  it("extends and charges in the same transaction, guarded by expiresAt", async () => {
+    await renewSubscription("sub-1", "user-1");
+
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(tx.subscription.updateMany).toHaveBeenCalledWith({
+      where: { id: "sub-1", status: "ACTIVE", expiresAt },
+      data: expect.objectContaining({
+        status: "ACTIVE",
+        expiresAt: new Date("2026-12-01T00:00:00Z"),
+      }),
+    });
+    expect(balanceService.deductCredit).toHaveBeenCalledWith(
+      "user-1",
+      100000,
+      "Subscription renewal for n8n",
+      "sub-1",
+      "subscription",
+      null,
+      tx
+    );
+    expect(balanceService.notifyLowBalance).toHaveBeenCalledWith(
+      "user-1",
+      charge.transaction
+    );
+  });
+
+  it("does not charge when another renewal extended the subscription first", async () => {
+    tx.subscription.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(renewSubscription("sub-1", "user-1")).rejects.toThrow(
+      "Subscription was already renewed by another request"
+    );
+
+    expect(balanceService.deductCredit).not.toHaveBeenCalled();
+    expect(invoiceService.generateInvoice).not.toHaveBeenCalled();
+  });
+
+  it("fails the whole transaction when the charge fails", async () => {
+    const redemption = { id: "redemption-1" };
+    couponService.quoteSubscriptionDiscount.mockResolvedValue({
+      coupon: { id: "coupon-1", code: "HEMAT" },
+      amount: 90000,
+      discountAmount: 10000,
+    });
+    couponService.redeem.mockResolvedValue(redemption);
+    balanceService.deductCredit.mockRejectedValue(
+      new Error("Insufficient balance. Current: 0, Required: 90000")
+    );
+
+    await expect(
+      renewSubscription("sub-1", "user-1", { couponCode: "HEMAT" })
+    ).rejects.toThrow("Insufficient balance");
+
+    expect(tx.subscription.updateMany).toHaveBeenCalled();
+    expect(couponService.releaseRedemption).toHaveBeenCalledWith(redemption);
+    expect(balanceService.notifyLowBalance).not.toHaveBeenCalled();
+    expect(invoiceService.generateInvoice).not.toHaveBeenCalled();
+  });
+
+  it("renews for a requested cycle at that cycle's price", async () => {
+    prisma.subscription.findFirst.mockResolvedValue({
+      ...subscription,
+      service: { ...subscription.service, quarterlyPrice: "270000" },
+    });
+
+    await renewSubscription("sub-1", "user-1", { billingCycle: "quarterly" });
+
+    expect(tx.subscription.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({
+          billingCycle: "QUARTERLY",
+          expiresAt: new Date("2027-02-01T00:00:00Z"),
+        }),
+      })
+    );
+    expect(balanceService.deductCredit.mock.calls[0][1]).toBe(270000);
+  });
+
+  it("refuses a cycle the service does not offer", async () => {
+    await expect(
+      renewSubscription("sub-1", "user-1", { billingCycle: "yearly" })
+    ).rejects.toThrow("Billing cycle not available for this service");
+
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+import { jest } from "@jest/globals";
+
+const getTaxSettings = jest.fn();
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma: {} }));
+jest.unstable_mockModule("../src/services/settings.service.js", () => ({
+  getTaxSettings,
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { calculateTax, toInvoiceTaxFields } = await import(
+  "../src/utils/tax.util.js"
+);
+const { taxService } = await import("../src/services/tax.service.js");
+
+const PPN = { rate: 11, inclusive: false };
+
+describe("calculateTax", () => {
+  it("charges PPN on top of a price that excludes it", () => {
+    expect(calculateTax(100000, PPN)).toEqual({
+      netAmount: 100000,
+      taxAmount: 11000,
+      grossAmount: 111000,
+      taxRate: 11,
+      taxInclusive: false,
+    });
+  });
+
+  it("splits a price that includes PPN into DPP and tax", () => {
+    expect(calculateTax(111000, { ...PPN, inclusive: true })).toEqual({
+      netAmount: 100000,
+      taxAmount: 11000,
+      grossAmount: 111000,
+      taxRate: 11,
+      taxInclusive: true,
+    });
+  });
+
+  it("keeps an inclusive split to two decimals that add up to the price", () => {
+    const tax = calculateTax(100000, { ...PPN, inclusive: true });
+
+    expect(tax).toMatchObject({ netAmount: 90090.09, taxAmount: 9909.91 });
+    expect(tax.netAmount + tax.taxAmount).toBe(tax.grossAmount);
+  });
+
+  it("charges nothing extra without a rate", () => {
+    expect(calculateTax("100000", { rate: 0, inclusive: false })).toMatchObject(
+      { netAmount: 100000, taxAmount: 0, grossAmount: 100000 }
+    );
+  });
+
+  it("treats a fully discounted price as zero", () => {
+    expect(calculateTax(-500, PPN)).toMatchObject({
+      netAmount: 0,
+      taxAmount: 0,
+      grossAmount: 0,
+    });
+  });
+
+  it("maps to invoice columns without the gross amount", () => {
+    expect(toInvoiceTaxFields(calculateTax(100000, PPN))).toEqual({
+      netAmount: 100000,
+      taxAmount: 11000,
+      taxRate: 11,
+      taxInclusive: false,
+    });
+  });
+});
+
+describe("taxService.quoteTax", () => {
+  it("uses the configured rate and mode", async () => {
+    getTaxSettings.mockResolvedValue({ rate: 12, inclusive: true });
+
+    await expect(taxService.quoteTax(112000)).resolves.toMatchObject({
+      netAmount: 100000,
+      taxAmount: 12000,
+      grossAmount: 112000,
+      taxRate: 12,
+      taxInclusive: true,
+    });
+  });
+});
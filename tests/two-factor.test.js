@@ -0,0 +1,170 @@
+import { jest } from "@jest/globals";
+import crypto from "crypto";
+
+const tx = {
+  user: { update: jest.fn() },
+  twoFactorRecoveryCode: { deleteMany: jest.fn(), createMany: jest.fn() },
+};
+
+const prisma = {
+  user: { findUnique: jest.fn(), updateMany: jest.fn() },
+  twoFactorRecoveryCode: { updateMany: jest.fn() },
+  $transaction: jest.fn((callback) => callback(tx)),
+};
+
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/services/settings.service.js", () => ({
+  getSecuritySettings: jest.fn(async () => ({ requireAdminTwoFactor: false })),
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { generateTotp, getTotpStep, verifyTotp } = await import(
+  "../src/utils/totp.util.js"
+);
+const { verifyTwoFactorCode, enableTwoFactor } = await import(
+  "../src/services/two-factor.service.js"
+);
+
+// RFC 6238 test secret "12345678901234567890" in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const user = {
+  id: "user-1",
+  email: "user@example.com",
+  twoFactorEnabled: true,
+  twoFactorSecret: RFC_SECRET,
+  twoFactorLastStep: null,
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("TOTP", () => {
+  it("matches the RFC 6238 SHA-1 test vectors", () => {
+    expect(generateTotp(RFC_SECRET, getTotpStep(59 * 1000))).toBe("287082");
+    expect(generateTotp(RFC_SECRET, getTotpStep(1111111109 * 1000))).toBe(
+      "081804"
+    );
+  });
+
+  it("accepts the neighbouring steps for clock drift only", () => {
+    const step = getTotpStep();
+
+    expect(verifyTotp(generateTotp(RFC_SECRET, step - 1), RFC_SECRET)).toBe(
+      step - 1
+    );
+    expect(verifyTotp(generateTotp(RFC_SECRET, step - 3), RFC_SECRET)).toBe(
+      null
+    );
+  });
+
+  it("rejects steps at or before the last accepted one", () => {
+    const step = getTotpStep();
+    const code = generateTotp(RFC_SECRET, step);
+
+    expect(verifyTotp(code, RFC_SECRET, { lastUsedStep: step })).toBe(null);
+  });
+});
+
+describe("verifyTwoFactorCode", () => {
+  it("accepts a current code once, guarded by the last used step", async () => {
+    const step = getTotpStep();
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(
+      verifyTwoFactorCode(user, generateTotp(RFC_SECRET, step))
+    ).resolves.toBe(true);
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: "user-1",
+        OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+      },
+      data: { twoFactorLastStep: step },
+    });
+
+    // A concurrent request already used the step
+    prisma.user.updateMany.mockResolvedValue({ count: 0 });
+    await expect(
+      verifyTwoFactorCode(user, generateTotp(RFC_SECRET, step))
+    ).resolves.toBe(false);
+  });
+
+  it("uses up a recovery code entered with any case and dashes", async () => {
+    prisma.twoFactorRecoveryCode.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(verifyTwoFactorCode(user, " AB12C-DE34F ")).resolves.toBe(
+      true
+    );
+    expect(prisma.twoFactorRecoveryCode.updateMany).toHaveBeenCalledWith({
+      where: {
+        userId: "user-1",
+        codeHash: sha256("ab12cde34f"),
+        usedAt: null,
+      },
+      data: { usedAt: expect.any(Date) },
+    });
+  });
+
+  it("rejects a used or unknown recovery code", async () => {
+    prisma.twoFactorRecoveryCode.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(verifyTwoFactorCode(user, "ab12c-de34f")).resolves.toBe(false);
+  });
+
+  it("rejects codes for users without two-factor enabled", async () => {
+    await expect(
+      verifyTwoFactorCode({ ...user, twoFactorEnabled: false }, "123456")
+    ).resolves.toBe(false);
+    expect(prisma.user.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe("enableTwoFactor", () => {
+  it("enables 2FA with a valid code and issues ten recovery codes", async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      ...user,
+      twoFactorEnabled: false,
+    });
+
+    const { recoveryCodes } = await enableTwoFactor(
+      "user-1",
+      generateTotp(RFC_SECRET, getTotpStep())
+    );
+
+    expect(recoveryCodes).toHaveLength(10);
+    recoveryCodes.forEach((code) =>
+      expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/)
+    );
+    expect(tx.twoFactorRecoveryCode.createMany).toHaveBeenCalledWith({
+      data: recoveryCodes.map((code) => ({
+        userId: "user-1",
+        codeHash: sha256(code.replace("-", "")),
+      })),
+    });
+  });
+
+  it("refuses an invalid code", async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      ...user,
+      twoFactorEnabled: false,
+    });
+
+    const expired = generateTotp(RFC_SECRET, getTotpStep() - 3);
+
+    await expect(enableTwoFactor("user-1", expired)).rejects.toMatchObject({
+      code: "INVALID_TWO_FACTOR_CODE",
+    });
+    expect(tx.user.update).not.toHaveBeenCalled();
+  });
+});
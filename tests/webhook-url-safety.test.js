@@ -0,0 +1,248 @@
+import { jest } from "@jest/globals";
+
+// Hostname -> addresses returned by the mocked resolver
+const dnsRecords = new Map();
+
+const resolve = (hostname) => {
+  const addresses = dnsRecords.get(hostname);
+  if (!addresses) {
+    const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+    error.code = "ENOTFOUND";
+    throw error;
+  }
+  return addresses.map((address) => ({
+    address,
+    family: address.includes(":") ? 6 : 4,
+  }));
+};
+
+const dns = {
+  promises: { lookup: jest.fn(async (hostname) => resolve(hostname)) },
+  lookup: jest.fn((hostname, options, callback) => {
+    try {
+      callback(null, resolve(hostname));
+    } catch (error) {
+      callback(error);
+    }
+  }),
+};
+
+const prisma = {
+  webhook: { count: jest.fn(), create: jest.fn() },
+  webhookDelivery: { findUnique: jest.fn(), update: jest.fn() },
+};
+
+const axios = { post: jest.fn() };
+
+jest.unstable_mockModule("dns", () => ({ default: dns }));
+jest.unstable_mockModule("axios", () => ({ default: axios }));
+jest.unstable_mockModule("../src/config/database.js", () => ({ prisma }));
+jest.unstable_mockModule("../src/jobs/queue.manager.js", () => ({
+  default: { addJob: jest.fn() },
+}));
+jest.unstable_mockModule("../src/utils/logger.util.js", () => ({
+  default: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const { isBlockedAddress, isInternalHostname, assertPublicUrl, safeLookup } =
+  await import("../src/utils/url-safety.util.js");
+const { createWebhookSchema } = await import(
+  "../src/validations/webhook.validation.js"
+);
+const { createWebhook } = await import("../src/services/webhook.service.js");
+const { webhookJobs } = await import("../src/jobs/webhook.jobs.js");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dnsRecords.clear();
+  dnsRecords.set("hooks.example.com", ["93.184.216.34"]);
+});
+
+describe("isBlockedAddress", () => {
+  it.each([
+    "127.0.0.1",
+    "10.43.0.10",
+    "172.16.5.4",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "::",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "::ffff:a9fe:a9fe",
+    "::7f00:1",
+    "2002:7f00:1::",
+    "2002:c0a8:101::1",
+    "2001:0:4136:e378:8000:63bf:3fff:fdd2",
+    "64:ff9b:1::a00:1",
+  ])("blocks %s", (address) => {
+    expect(isBlockedAddress(address)).toBe(true);
+  });
+
+  it.each(["93.184.216.34", "8.8.8.8", "2606:4700:4700::1111"])(
+    "allows %s",
+    (address) => {
+      expect(isBlockedAddress(address)).toBe(false);
+    }
+  );
+});
+
+describe("isInternalHostname", () => {
+  it.each([
+    "localhost",
+    "api.localhost",
+    "redis",
+    "postgres.default.svc",
+    "kubernetes.default.svc.cluster.local",
+    "printer.local",
+    "metadata.google.internal",
+    "169.254.169.254",
+    "[::1]",
+  ])("treats %s as internal", (hostname) => {
+    expect(isInternalHostname(hostname)).toBe(true);
+  });
+
+  it("allows public hostnames and addresses", () => {
+    expect(isInternalHostname("hooks.example.com")).toBe(false);
+    expect(isInternalHostname("93.184.216.34")).toBe(false);
+  });
+});
+
+describe("assertPublicUrl", () => {
+  it("accepts hosts resolving to public addresses", async () => {
+    await expect(
+      assertPublicUrl("https://hooks.example.com/paas")
+    ).resolves.toBeUndefined();
+  });
+
+  it("rejects hosts resolving to a private address", async () => {
+    dnsRecords.set("internal.example.com", ["93.184.216.34", "10.0.0.5"]);
+
+    await expect(
+      assertPublicUrl("https://internal.example.com/")
+    ).rejects.toMatchObject({ code: "UNSAFE_URL" });
+  });
+
+  it("rejects hosts that do not resolve", async () => {
+    await expect(
+      assertPublicUrl("https://missing.example.com/")
+    ).rejects.toMatchObject({ code: "UNSAFE_URL" });
+  });
+
+  it("rejects the metadata endpoint without resolving", async () => {
+    await expect(
+      assertPublicUrl("http://169.254.169.254/latest/meta-data/")
+    ).rejects.toMatchObject({ code: "UNSAFE_URL" });
+    expect(dns.promises.lookup).not.toHaveBeenCalled();
+  });
+});
+
+describe("safeLookup", () => {
+  it("returns the resolved address for public hosts", (done) => {
+    safeLookup("hooks.example.com", {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect(address).toBe("93.184.216.34");
+      expect(family).toBe(4);
+      done();
+    });
+  });
+
+  it("refuses hosts rebound to a private address", (done) => {
+    dnsRecords.set("hooks.example.com", ["127.0.0.1"]);
+
+    safeLookup("hooks.example.com", { all: true }, (error) => {
+      expect(error.code).toBe("UNSAFE_URL");
+      done();
+    });
+  });
+});
+
+describe("webhook registration", () => {
+  it("rejects internal URLs in validation", () => {
+    const { error } = createWebhookSchema.validate({
+      url: "http://redis:6379/",
+      events: ["subscription.created"],
+    });
+
+    expect(error.details[0].message).toBe(
+      "Webhook URL must not point to a private or internal host"
+    );
+  });
+
+  it("rejects URLs resolving to private addresses when saving", async () => {
+    dnsRecords.set("rebind.example.com", ["192.168.0.10"]);
+
+    await expect(
+      createWebhook("user-1", {
+        url: "https://rebind.example.com/hook",
+        events: ["subscription.created"],
+      })
+    ).rejects.toMatchObject({ code: "UNSAFE_URL" });
+    expect(prisma.webhook.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("webhookJobs.deliverWebhook", () => {
+  const job = { data: { deliveryId: "delivery-1" }, opts: {}, attemptsMade: 0 };
+
+  const deliveryTo = (url) => ({
+    id: "delivery-1",
+    eventType: "subscription.created",
+    payload: { event: "subscription.created" },
+    webhook: { id: "webhook-1", url, isActive: true, secret: "whsec_test" },
+  });
+
+  it("does not follow redirects and resolves through safeLookup", async () => {
+    prisma.webhookDelivery.findUnique.mockResolvedValue(
+      deliveryTo("https://hooks.example.com/paas")
+    );
+    axios.post.mockResolvedValue({ status: 204, data: "" });
+
+    await webhookJobs.deliverWebhook(job);
+
+    expect(axios.post).toHaveBeenCalledWith(
+      "https://hooks.example.com/paas",
+      expect.any(String),
+      expect.objectContaining({ maxRedirects: 0, lookup: safeLookup })
+    );
+  });
+
+  it("refuses a host that now resolves to a private address", async () => {
+    dnsRecords.set("hooks.example.com", ["10.43.0.1"]);
+    prisma.webhookDelivery.findUnique.mockResolvedValue(
+      deliveryTo("https://hooks.example.com/paas")
+    );
+
+    await expect(webhookJobs.deliverWebhook(job)).rejects.toThrow(
+      "Webhook request failed"
+    );
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(prisma.webhookDelivery.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({ status: "FAILED", responseCode: null }),
+      })
+    );
+  });
+
+  it("keeps only a short excerpt of the response body", async () => {
+    prisma.webhookDelivery.findUnique.mockResolvedValue(
+      deliveryTo("https://hooks.example.com/paas")
+    );
+    axios.post.mockResolvedValue({ status: 500, data: "x".repeat(5000) });
+
+    await expect(webhookJobs.deliverWebhook(job)).rejects.toThrow("500");
+
+    const { data } = prisma.webhookDelivery.update.mock.calls[0][0];
+    expect(data.responseCode).toBe(500);
+    expect(data.responseBody).toHaveLength(200);
+  });
+});